@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+
+/**
+ * import-midi - CLI tool for converting Standard MIDI Files into patterns
+ *
+ * Usage:
+ *   node bin/import-midi.js <file.mid> [options]
+ *
+ * Options:
+ *   --rows-per-beat N       Grid the note-ons are quantized to (default: 4)
+ *   --time-signature S      Time signature like 3/4 (default: the file's, else 4/4)
+ *   --instrument ID         Sample of MIDI channels without one (default: ST-01)
+ *   --channel N=ID          Sample of MIDI channel N (repeatable)
+ *   --drum NOTE=ID          Sample of GM drum note NOTE on channel 10 (repeatable)
+ *   --out FILE              Pattern JSON to write (default: <file>.json)
+ *   --save [NAME]           Also store the pattern in the library (data/patterns)
+ *
+ * The written JSON ({ name, bpm, rowsPerBeat, timeSignature, rows }) can be
+ * posted as is to /api/play-pattern or /api/patterns.
+ *
+ * Examples:
+ *   node bin/import-midi.js sketch.mid
+ *   node bin/import-midi.js sketch.mid --channel 2=OP-BASS-ELECTRIC --drum 38=OP-SNARE --save
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { midiToPattern } from '../shared/midi-import.js';
+import { SamplerService } from '../server/services/SamplerService.js';
+import { PatternStore } from '../server/services/PatternStore.js';
+
+const VALUE_OPTIONS = ['--rows-per-beat', '--time-signature', '--instrument', '--channel', '--drum', '--out'];
+
+const args = process.argv.slice(2);
+
+if (args.length === 0) {
+  console.log('Usage: node bin/import-midi.js <file.mid> [options]');
+  console.log('');
+  console.log('Options:');
+  console.log('  --rows-per-beat N       Grid the note-ons are quantized to (default: 4)');
+  console.log('  --time-signature S      Time signature like 3/4 (default: the file\'s, else 4/4)');
+  console.log('  --instrument ID         Sample of MIDI channels without one (default: ST-01)');
+  console.log('  --channel N=ID          Sample of MIDI channel N (repeatable)');
+  console.log('  --drum NOTE=ID          Sample of GM drum note NOTE on channel 10 (repeatable)');
+  console.log('  --out FILE              Pattern JSON to write (default: <file>.json)');
+  console.log('  --save [NAME]           Also store the pattern in the library (data/patterns)');
+  console.log('');
+  console.log('Examples:');
+  console.log('  node bin/import-midi.js sketch.mid');
+  console.log('  node bin/import-midi.js sketch.mid --channel 2=OP-BASS-ELECTRIC --drum 38=OP-SNARE --save');
+  process.exit(1);
+}
+
+let midiFile = null;
+let outFile = null;
+let save = false;
+let saveName = null;
+const options = { instruments: [], drumMap: [] };
+
+// Parse arguments
+for (let i = 0; i < args.length; i++) {
+  const arg = args[i];
+  if (VALUE_OPTIONS.includes(arg)) {
+    if (i + 1 >= args.length) {
+      console.error(`Error: ${arg} requires a value`);
+      process.exit(1);
+    }
+    const value = args[++i];
+    if (arg === '--rows-per-beat') {
+      options.rowsPerBeat = Number(value);
+    } else if (arg === '--time-signature') {
+      options.timeSignature = value;
+    } else if (arg === '--instrument') {
+      options.instrument = value;
+    } else if (arg === '--channel') {
+      options.instruments.push(value);
+    } else if (arg === '--drum') {
+      options.drumMap.push(value);
+    } else {
+      outFile = value;
+    }
+  } else if (arg === '--save') {
+    save = true;
+    // Optional name: the next argument unless it is another option
+    if (i + 1 < args.length && !args[i + 1].startsWith('--')) {
+      saveName = args[++i];
+    }
+  } else if (!midiFile) {
+    midiFile = arg;
+  } else {
+    console.error(`Error: Unknown argument: ${arg}`);
+    process.exit(1);
+  }
+}
+
+if (!midiFile) {
+  console.error('Error: MIDI file not specified');
+  process.exit(1);
+}
+
+if (!fs.existsSync(midiFile)) {
+  console.error(`Error: MIDI file not found: ${midiFile}`);
+  process.exit(1);
+}
+
+const sampler = new SamplerService();
+
+let result;
+try {
+  result = midiToPattern(fs.readFileSync(midiFile), {
+    ...options,
+    instruments: options.instruments.join(','),
+    drumMap: options.drumMap.join(','),
+    baseNote: sample => sampler.getSample(sample)?.baseNote
+  });
+} catch (err) {
+  console.error(`Error: ${err.message}`);
+  process.exit(1);
+}
+
+const missing = [...new Set(result.channels.map(channel => channel.sample))]
+  .filter(sample => sample && !sampler.hasSample(sample));
+if (missing.length > 0) {
+  console.error(`Error: Unknown instrument: ${missing.join(', ')}`);
+  process.exit(1);
+}
+
+const name = saveName || result.name || path.basename(midiFile, path.extname(midiFile));
+const pattern = {
+  name,
+  bpm: result.bpm,
+  rowsPerBeat: result.rowsPerBeat,
+  timeSignature: result.timeSignature,
+  rows: result.rows
+};
+
+outFile = outFile || path.join(path.dirname(midiFile), `${path.basename(midiFile, path.extname(midiFile))}.json`);
+fs.writeFileSync(outFile, JSON.stringify(pattern, null, 2));
+
+console.log(`Imported: ${path.basename(midiFile)} (SMF type ${result.format}, ${result.tracks} tracks)`);
+console.log(`Notes: ${result.notes} on ${result.channels.length} channels, ${result.rows.length} rows`);
+console.log(`BPM: ${result.bpm} (${result.timeSignature}, ${result.rowsPerBeat} rows per beat)`);
+result.warnings.forEach(warning => console.log(`Warning: ${warning}`));
+console.log(`Written: ${outFile}`);
+
+if (save) {
+  try {
+    const stored = new PatternStore().create({ ...pattern, tags: ['midi'] });
+    console.log(`Saved: ${stored.id} (pattern library)`);
+  } catch (err) {
+    console.error(`Error: Failed to save: ${err.message}`);
+    process.exit(1);
+  }
+}
@@ -5,6 +5,8 @@
  * to control music playback programmatically.
  */
 
+import fs from 'fs';
+import path from 'path';
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import {
@@ -16,6 +18,157 @@ import {
 // Use localhost:3001 if running dev:api separately, or localhost:3000 for hybrid server
 const API_BASE_URL = process.env.NOISECANVAS_API_URL || 'http://localhost:3000';
 
+// Session the tools play into when a call doesn't name one
+// (set per user so each person hears their own browser)
+const DEFAULT_SESSION = process.env.NOISECANVAS_SESSION || 'default';
+
+// Shared schema for the target session parameter
+const SESSION_PROPERTY = {
+  type: 'string',
+  description: `Target session: only browsers that joined this session play the sound (default: "${DEFAULT_SESSION}")`,
+};
+
+// Shared schemas for the meter: BPM counts beats, rows per beat sets the grid
+const ROWS_PER_BEAT_PROPERTY = {
+  type: 'integer',
+  minimum: 1,
+  description: 'Rows per beat (default: 4 = 16th notes in 4/4). bpm × rowsPerBeat = rows per minute: 3 or 6 for triplet grids, 2 for 8th notes',
+};
+const TIME_SIGNATURE_PROPERTY = {
+  type: 'string',
+  pattern: '^\\d{1,2}/(1|2|4|8|16|32)$',
+  description: 'Time signature like "4/4", "3/4" or "7/8" (default: "4/4"). The beat is the lower number\'s note value; a bar is upper number × rowsPerBeat rows',
+};
+
+// Shared schema for the groove of a play (stored ID or inline template)
+const GROOVE_PROPERTY = {
+  oneOf: [
+    { type: 'string', description: 'ID of a groove saved with POST /api/grooves' },
+    {
+      type: 'object',
+      properties: {
+        type: { type: 'string', enum: ['swing', 'mpc', 'table'] },
+        amount: { type: 'number', description: 'swing: 0-100 % of a triplet shuffle; mpc: 50-75 (50 straight, 66 triplet feel)' },
+        steps: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              offset: { type: 'number', minimum: -0.5, maximum: 0.5 },
+              velocity: { type: 'number', minimum: 0, maximum: 2 }
+            }
+          },
+          description: 'table: per-row { offset (fraction of a row), velocity (volume factor) }, cycled over the rows'
+        }
+      },
+      required: ['type']
+    }
+  ],
+  description: 'Groove applied when the rows are timed (default: straight). Swing delays every second row: {type:"mpc",amount:62}. Omit to audition straight',
+};
+
+// Shared schema for the tuning of a play (stored ID or inline definition)
+const TUNING_PROPERTY = {
+  oneOf: [
+    { type: 'string', description: 'ID of a tuning saved with POST /api/tunings (e.g. an imported Scala .scl file)' },
+    {
+      type: 'object',
+      properties: {
+        type: { type: 'string', enum: ['edo', 'just', 'scala'], description: 'edo (default): equal divisions; just: 5-limit just intonation; scala: .scl text' },
+        divisions: { type: 'integer', minimum: 1, maximum: 144, description: 'edo: divisions of the octave (default: 12), e.g. 19, 24, 31' },
+        tonic: { type: 'string', description: 'just: tonic note name like "D" (default: "C")' },
+        a4: { type: 'number', minimum: 300, maximum: 600, description: 'Frequency of A-4 in Hz (default: 440)' },
+        scl: { type: 'string', description: 'scala: text of a .scl file' },
+        kbm: { type: 'string', description: 'scala: text of a .kbm keyboard mapping (optional)' }
+      }
+    }
+  ],
+  description: 'Tuning of the notes (default: 12-EDO, A-4 = 440 Hz). Note names play the nearest step, "s7" = 7 steps above the root (C-4). Example: {type:"edo",divisions:19} or {type:"just",tonic:"D"} or {a4:432}',
+};
+
+// Shared schema for seeded timing/volume randomization of a play
+const HUMANIZE_AMOUNTS = {
+  timing: { type: 'number', minimum: 0, maximum: 100, description: '± ms of random timing jitter' },
+  volume: { type: 'number', minimum: 0, maximum: 64, description: '± volume units (0-64 scale) of random volume jitter' },
+  bias: { type: 'number', minimum: -100, maximum: 100, description: 'ms early (< 0, push) or late (> 0, drag)' }
+};
+const HUMANIZE_PROPERTY = {
+  type: 'object',
+  properties: {
+    seed: { type: 'integer', description: 'Same seed = same take (the response returns the seed used)' },
+    ...HUMANIZE_AMOUNTS,
+    channels: {
+      type: 'array',
+      items: { type: ['object', 'null'], properties: HUMANIZE_AMOUNTS },
+      description: 'Per-channel overrides by channel index, e.g. [null, {timing:4}, {bias:-8}] for a tight kick, loose snare, pushed hats'
+    }
+  },
+  description: 'Humanize the take (default: off): random timing/volume per step on top of groove and delay ticks. Example: {timing:8,volume:6}',
+};
+
+// Shared schemas for trig conditions (steps that only play on some loop passes)
+const TRIG_STEP_PROPERTIES = {
+  probability: { type: 'number', minimum: 0, maximum: 100, description: 'Chance in % that the step plays (optional)' },
+  every: {
+    type: 'array',
+    items: { type: 'integer', minimum: 1 },
+    minItems: 2,
+    maxItems: 2,
+    description: 'Play on pass n of every m loop passes (optional). Example: [2,4] plays on the 2nd, 6th, 10th pass',
+  },
+  condition: {
+    type: 'string',
+    enum: ['fill', 'not-fill', 'first', 'not-first', 'pre', 'not-pre'],
+    description: 'Trig condition (optional): fill/not-fill (play fill on/off), first/not-first (first loop pass), pre/not-pre (previous conditional step on this channel played)',
+  }
+};
+const TRIG_PLAY_PROPERTIES = {
+  seed: { type: 'integer', description: 'Seed of probability conditions: same seed = same steps fire (the response returns the seed used)' },
+  fill: { type: 'boolean', description: 'Play steps with condition "fill" (default: false)', default: false }
+};
+
+// Shared schemas for polymeter plays (tracks with their own lengths instead of rows)
+const TRACKS_PROPERTIES = {
+  tracks: {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {
+        steps: {
+          type: 'array',
+          items: { type: ['object', 'null'] },
+          description: 'One step per track row (same step format as rows, null = rest); the track loops on its own length'
+        },
+        rowsPerBeat: { type: 'integer', minimum: 1, description: 'Rows per beat of this track (default: the play\'s), e.g. 3 for triplets against 4' }
+      },
+      required: ['steps']
+    },
+    description: 'Polymeter instead of rows: one channel per track, each with its own length. Example: 5-step hats over a 16-step kick: [{steps:[kick,null,null,null,...16]},{steps:[hat,null,hat,null,null]}]',
+  },
+  length: { type: 'integer', minimum: 1, description: 'With tracks: rows to play (default: until all tracks line up again)' }
+};
+
+// Note formats every note field accepts (shared/notes.js parses them the same everywhere)
+const NOTE_FORMATS = 'Note name with #, b, ## (or x) or bb, optional "-" and octave -1 to 10 ("C-4", "Bb3", "F##2", "C--1"), ' +
+  'MIDI note number 0-127 (60 = C-4), frequency ("440Hz") or step of the tuning ("s7")';
+
+// Shared schemas for chord expansion options (get_chord_notes, chords in play_notes)
+const CHORD_PROPERTIES = {
+  inversion: { type: 'integer', minimum: 0, description: 'Inversion: chord tones moved up an octave from the bottom (default: 0 = root position)' },
+  voicing: {
+    type: 'string',
+    enum: ['close', 'open', 'drop2', 'drop3'],
+    description: 'Voicing (default: close): open raises the 2nd voice an octave, drop2/drop3 drop the 2nd/3rd voice from the top an octave'
+  }
+};
+
+// Shared schema for the tracker effect column of a step
+const EFFECT_PROPERTY = {
+  type: 'string',
+  pattern: '^([0-49AaFf][0-9A-Fa-f]{2}|[Ee][9Cc][0-9A-Fa-f])$',
+  description: 'Tracker effect (optional, ProTracker style, runs on the row\'s speed ticks): 0xy arpeggio (+x/+y semitones), 1xx/2xx pitch slide up/down, 3xx slide to this note, 4xy vibrato (speed x, depth y), 9xx sample offset (xx × 256 frames), Axy volume slide up x/down y, ECx cut note at tick x, E9x retrigger every x ticks, Fxx set speed (F01-F1F ticks per row) or BPM (F20-FFF) from this row on. Examples: "037" minor chord arpeggio, "A04" fade out, "EC3" short cut',
+};
+
 /**
  * Create and configure MCP server
  *
@@ -65,14 +218,20 @@ function setupToolHandlers(server) {
                   oneOf: [
                     {
                       type: 'string',
-                      description: 'Simple note name (e.g., "C", "D-4")'
+                      description: 'Note (e.g., "C", "D-4", "Bb3", "440Hz"; no octave = the octave parameter) or chord symbol played in one row (e.g., "Cmaj7", "Am", "G7/B"). Note names win: "C" is the note ("Cmaj" the triad) and "G7" is G in octave 7, so use {chord:"G7"} for chords that look like notes'
+                    },
+                    {
+                      type: 'integer',
+                      minimum: 0,
+                      maximum: 127,
+                      description: 'MIDI note number (60 = C-4)'
                     },
                     {
                       type: 'object',
                       properties: {
                         note: {
-                          type: 'string',
-                          description: 'Note name (e.g., "C", "D-4")'
+                          type: ['string', 'integer'],
+                          description: NOTE_FORMATS
                         },
                         instrument: {
                           type: 'string',
@@ -86,16 +245,31 @@ function setupToolHandlers(server) {
                         }
                       },
                       required: ['note']
+                    },
+                    {
+                      type: 'object',
+                      properties: {
+                        chord: { type: 'string', description: 'Chord symbol (e.g., "G7", "F#m7b5", "Dsus4", "C5" power chord)' },
+                        octave: { type: 'number', description: 'Octave of the chord root (default: the octave parameter)' },
+                        inversion: CHORD_PROPERTIES.inversion,
+                        voicing: CHORD_PROPERTIES.voicing,
+                        instrument: { type: 'string', description: 'Sample/instrument name for this chord' },
+                        volume: { type: 'number', description: 'Volume level 0-64 for this chord', minimum: 0, maximum: 64 }
+                      },
+                      required: ['chord']
                     }
                   ]
                 },
                 description: 'Array of notes to play. Can be simple strings ["C", "D", "E"] or objects with per-note instrument/volume [{note: "C", instrument: "ST-01"}, {note: "C", instrument: "808-KICK"}]',
               },
+              tuning: TUNING_PROPERTY,
               bpm: {
                 type: 'number',
                 description: 'Beats per minute (default: 120)',
                 default: 120,
               },
+              rowsPerBeat: ROWS_PER_BEAT_PROPERTY,
+              timeSignature: TIME_SIGNATURE_PROPERTY,
               instrument: {
                 type: 'string',
                 description: 'Default sample/instrument name (default: "ST-01"). Used for notes that don\'t specify their own instrument.',
@@ -113,6 +287,7 @@ function setupToolHandlers(server) {
                 minimum: 0,
                 maximum: 64,
               },
+              session: SESSION_PROPERTY,
             },
             required: ['notes'],
           },
@@ -139,6 +314,68 @@ function setupToolHandlers(server) {
             required: ['sampleId'],
           },
         },
+        {
+          name: 'get_chord_notes',
+          description: 'Expand a chord symbol into notes (e.g., "Cmaj7" → C-4 E-4 G-4 B-4) to use in play_pattern rows',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              chord: {
+                type: 'string',
+                description: 'Chord symbol: root (A-G, # or b), quality and optional slash bass, e.g. "Cmaj7", "F#m7b5", "G7/B", "Dsus4", "Bbadd9"'
+              },
+              octave: { type: 'integer', description: 'Octave of the root (default: 4)', default: 4 },
+              ...CHORD_PROPERTIES
+            },
+            required: ['chord']
+          }
+        },
+        {
+          name: 'get_scale_notes',
+          description: 'List the notes of a scale or mode (e.g., "D dorian", "A harmonic minor") for writing melodies and basslines',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              scale: {
+                type: 'string',
+                description: 'Root and scale name: major/ionian, dorian, phrygian, lydian, mixolydian, minor/aeolian, locrian, harmonic minor, melodic minor, phrygian dominant, major pentatonic, minor pentatonic, blues, whole tone, diminished, chromatic'
+              },
+              octave: { type: 'integer', description: 'Octave of the root (default: 4)', default: 4 },
+              octaves: { type: 'integer', minimum: 1, maximum: 4, description: 'Octaves to list (default: 1)', default: 1 }
+            },
+            required: ['scale']
+          }
+        },
+        {
+          name: 'get_progression',
+          description: 'Turn a roman numeral chord progression (e.g., "ii-V-I in Bb", "I-vi-IV-V in G, 2 bars each") into play_pattern rows with smooth voice leading and a bass channel on the roots',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              progression: {
+                type: 'string',
+                description: 'Numerals separated by "-": case sets major/minor (I, ii), suffixes like 7, maj7, °, ø, sus4; bVII for borrowed and V7/V for secondary chords. Optional "in <key>" (e.g. "in Bb", "in A minor") and ", <n> bars each" or ", <n> beats each"'
+              },
+              key: { type: 'string', description: 'Key when the progression has none (default: C major)' },
+              bars: { type: 'number', description: 'Bars per chord when the progression has no length (default: 1)' },
+              beats: { type: 'number', description: 'Beats per chord, instead of bars' },
+              rhythm: {
+                type: 'string',
+                enum: ['block', 'strum', 'alberti'],
+                description: 'block: chords on the bar lines, strum: every beat with staggered voices, alberti: broken chord in 8th notes (default: block)',
+                default: 'block'
+              },
+              octave: { type: 'integer', description: 'Octave of the chords, the bass plays two below (default: 4)', default: 4 },
+              instrument: { type: 'string', description: 'Sample of the chords (default: "ST-01")', default: 'ST-01' },
+              bass: { type: 'boolean', description: 'Add a bass channel on the roots (default: true)', default: true },
+              bassInstrument: { type: 'string', description: 'Sample of the bass (default: the instrument)' },
+              volume: { type: 'integer', minimum: 0, maximum: 64, description: 'Step volume (default: 48)', default: 48 },
+              rowsPerBeat: ROWS_PER_BEAT_PROPERTY,
+              timeSignature: TIME_SIGNATURE_PROPERTY
+            },
+            required: ['progression']
+          }
+        },
         {
           name: 'play_pattern',
           description: 'Play a tracker-style pattern with multiple channels. Each row can contain multiple notes that play simultaneously (like a music tracker). Perfect for drum beats, chords, and multi-instrument arrangements.',
@@ -157,8 +394,8 @@ function setupToolHandlers(server) {
                         description: 'Sample/instrument name (e.g., "ST-01", "808-KICK")'
                       },
                       note: {
-                        type: 'string',
-                        description: 'Note to play (e.g., "C-4", "D#5")'
+                        type: ['string', 'integer'],
+                        description: `Note to play: ${NOTE_FORMATS}. Each channel plays one note at a time: a new note replaces the running one. "===" = note off (fade out), "^^^" = note cut (silence at once)`
                       },
                       volume: {
                         type: 'number',
@@ -171,12 +408,13 @@ function setupToolHandlers(server) {
                         description: 'Note delay in ticks (0-5, optional). Delays note trigger within the row for off-beat timing. Example: delay:3 for mid-row hi-hat',
                         minimum: 0,
                         maximum: 5
-                      }
-                    },
-                    required: ['sample', 'note']
+                      },
+                      effect: EFFECT_PROPERTY,
+                      ...TRIG_STEP_PROPERTIES
+                    }
                   }
                 },
-                description: 'Array of rows, where each row is an array of notes to play simultaneously. Example: [[{sample:"ST-01",note:"C-4"},{sample:"808-KICK",note:"C-2"}], [{sample:"ST-01",note:"E-4"}]]'
+                description: 'Array of rows (or give tracks for polymeter), where each row is an array of notes to play simultaneously. The position in the row is the channel: a step without sample/note keeps the channel\'s running note and only applies its effect. Example: [[{sample:"ST-01",note:"C-4",effect:"037"},{sample:"808-KICK",note:"C-2"}], [{effect:"A04"}]]'
               },
               bpm: {
                 type: 'number',
@@ -188,13 +426,150 @@ function setupToolHandlers(server) {
                 description: 'Ticks per row for timing (default: 6)',
                 default: 6
               },
+              rowsPerBeat: ROWS_PER_BEAT_PROPERTY,
+              timeSignature: TIME_SIGNATURE_PROPERTY,
+              groove: GROOVE_PROPERTY,
+              tuning: TUNING_PROPERTY,
+              ...TRACKS_PROPERTIES,
+              humanize: HUMANIZE_PROPERTY,
+              ...TRIG_PLAY_PROPERTIES,
               repeat: {
-                type: 'number',
+                type: 'integer',
+                minimum: 1,
                 description: 'Number of times to repeat the pattern (default: 1)',
                 default: 1
+              },
+              loop: {
+                type: 'boolean',
+                description: 'Loop the pattern until stopped with stop_playback (ignores repeat)',
+                default: false
+              },
+              session: SESSION_PROPERTY
+            },
+            required: []
+          }
+        },
+        {
+          name: 'export_midi',
+          description: 'Save a pattern as a Standard MIDI File (.mid) for a DAW, timed like play_pattern plays it (speed, Fxx, delay ticks, groove, trig conditions, repeat). One track per sample and channel, volume as velocity, 808 drums on MIDI channel 10. Give rows/tracks like play_pattern, or a stored pattern or song ID.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              file: {
+                type: 'string',
+                description: 'Path of the .mid or .midi file to write (e.g. "~/Music/sketch.mid"); missing directories are created'
+              },
+              overwrite: {
+                type: 'boolean',
+                description: 'Replace the file if it already exists (default: false, an existing file is an error)',
+                default: false
+              },
+              rows: {
+                type: 'array',
+                items: { type: 'array' },
+                description: 'Pattern rows exactly as given to play_pattern'
+              },
+              ...TRACKS_PROPERTIES,
+              pattern: { type: 'string', description: 'ID of a stored pattern (instead of rows)' },
+              song: { type: 'string', description: 'ID of a stored song (instead of rows): its order list with tempo ramps' },
+              name: { type: 'string', description: 'Song name in the file' },
+              bpm: { type: 'number', description: 'Beats per minute (default: 120, or the stored value)' },
+              speed: { type: 'number', description: 'Ticks per row (default: 6, or the stored value)' },
+              rowsPerBeat: ROWS_PER_BEAT_PROPERTY,
+              timeSignature: TIME_SIGNATURE_PROPERTY,
+              groove: GROOVE_PROPERTY,
+              ...TRIG_PLAY_PROPERTIES,
+              repeat: { type: 'integer', minimum: 1, description: 'Number of times to repeat the pattern (default: 1)', default: 1 }
+            },
+            required: ['file']
+          }
+        },
+        {
+          name: 'set_slot',
+          description: 'Live coding: loop a pattern in a named slot (e.g., "drums", "bass"). Sending a new pattern to the same slot replaces the running loop exactly at the next bar (or pattern) boundary instead of stacking a second copy. Use several slots for layers that change independently.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              name: {
+                type: 'string',
+                description: 'Slot name (letters, digits, "-" or "_")'
+              },
+              rows: {
+                type: 'array',
+                items: {
+                  type: 'array',
+                  items: { type: 'object' }
+                },
+                description: 'Pattern rows, same format as play_pattern (or give tracks)'
+              },
+              bpm: {
+                type: 'number',
+                description: 'Beats per minute (default: 120)',
+                default: 120
+              },
+              speed: {
+                type: 'number',
+                description: 'Ticks per row for timing (default: 6)',
+                default: 6
+              },
+              rowsPerBeat: ROWS_PER_BEAT_PROPERTY,
+              timeSignature: TIME_SIGNATURE_PROPERTY,
+              groove: GROOVE_PROPERTY,
+              tuning: TUNING_PROPERTY,
+              ...TRACKS_PROPERTIES,
+              ...TRIG_PLAY_PROPERTIES,
+              quantize: {
+                type: 'string',
+                enum: ['bar', 'pattern'],
+                description: 'When the new pattern takes over: next bar (default, length from timeSignature and rowsPerBeat) or end of the running pattern',
+                default: 'bar'
+              },
+              session: SESSION_PROPERTY
+            },
+            required: ['name']
+          }
+        },
+        {
+          name: 'clear_slot',
+          description: 'Stop the loop in a slot and remove the slot',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              name: {
+                type: 'string',
+                description: 'Slot name'
+              },
+              session: SESSION_PROPERTY
+            },
+            required: ['name']
+          }
+        },
+        {
+          name: 'stop_playback',
+          description: 'Stop playback in the browser. Stops one play when playId is given (the playId returned by play_notes/play_pattern), otherwise stops everything playing in the session.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              playId: {
+                type: 'string',
+                description: 'ID of the play to stop (optional, default: stop all)'
+              },
+              session: SESSION_PROPERTY
+            }
+          }
+        },
+        {
+          name: 'get_play_status',
+          description: 'Check what happened to a play: "queued" (no browser started it yet), "playing" (with current row/repeat and bar/beat), "finished", "stopped" or "expired" (no browser was listening, or the browser playing it went away).',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              playId: {
+                type: 'string',
+                description: 'ID returned by play_notes/play_pattern'
               }
             },
-            required: ['rows']
+            required: ['playId']
           }
         },
       ],
@@ -213,12 +588,36 @@ function setupToolHandlers(server) {
         case 'play_pattern':
           return await handlePlayPattern(args);
 
+        case 'export_midi':
+          return await handleExportMidi(args);
+
+        case 'set_slot':
+          return await handleSetSlot(args);
+
+        case 'clear_slot':
+          return await handleClearSlot(args);
+
+        case 'stop_playback':
+          return await handleStopPlayback(args);
+
+        case 'get_play_status':
+          return await handleGetPlayStatus(args);
+
         case 'list_samples':
           return await handleListSamples();
 
         case 'get_sample_info':
           return await handleGetSampleInfo(args);
 
+        case 'get_chord_notes':
+          return await handleTheory('chord', args);
+
+        case 'get_scale_notes':
+          return await handleTheory('scale', args);
+
+        case 'get_progression':
+          return await handleTheory('progression', args);
+
         default:
           throw new Error(`Unknown tool: ${name}`);
       }
@@ -242,14 +641,14 @@ function setupToolHandlers(server) {
  * Forwards the request to the Express API
  */
 async function handlePlayNotes(args) {
-  const { notes, bpm, instrument, octave, volume } = args;
+  const { notes, bpm, instrument, octave, volume, rowsPerBeat, timeSignature, tuning, session = DEFAULT_SESSION } = args;
 
   // Call HTTP API
   try {
     const response = await fetch(`${API_BASE_URL}/api/play-notes`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ notes, bpm, instrument, octave, volume })
+      body: JSON.stringify({ notes, bpm, instrument, octave, volume, rowsPerBeat, timeSignature, tuning, session })
     });
 
     const result = await response.json();
@@ -281,13 +680,127 @@ async function handlePlayNotes(args) {
  * Forwards the request to the Express API
  */
 async function handlePlayPattern(args) {
-  const { rows, bpm, speed, repeat } = args;
+  const { rows, tracks, length, bpm, speed, repeat, loop, rowsPerBeat, timeSignature, groove, humanize, tuning, seed, fill, session = DEFAULT_SESSION } = args;
 
   try {
     const response = await fetch(`${API_BASE_URL}/api/play-pattern`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ rows, bpm, speed, repeat })
+      body: JSON.stringify({ rows, tracks, length, bpm, speed, repeat, loop, rowsPerBeat, timeSignature, groove, humanize, tuning, seed, fill, session })
+    });
+
+    const result = await response.json();
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(result, null, 2),
+        },
+      ],
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Error calling API: ${error.message}`,
+        },
+      ],
+      isError: true,
+    };
+  }
+}
+
+/**
+ * Handle export_midi tool call
+ *
+ * Forwards the request to the Express API and writes the returned file
+ * (the MCP server runs on the user's machine). Only .mid/.midi files are
+ * written, and an existing file only with `overwrite`.
+ */
+async function handleExportMidi(args) {
+  const { file, overwrite = false, ...options } = args;
+
+  let result;
+  let data;
+  try {
+    const target = resolveExportFile(file, ['.mid', '.midi'], overwrite);
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/export/midi`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(options)
+      });
+      ({ data, ...result } = await response.json());
+    } catch (error) {
+      throw new Error(`Error calling API: ${error.message}`);
+    }
+
+    if (result.success) {
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      // 'wx' fails if the file appeared since the check
+      fs.writeFileSync(target, Buffer.from(data, 'base64'), { flag: overwrite ? 'w' : 'wx' });
+      result.file = target;
+    }
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: error.message,
+        },
+      ],
+      isError: true,
+    };
+  }
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify(result, null, 2),
+      },
+    ],
+  };
+}
+
+/**
+ * Absolute path of a file a tool writes (~ is the home directory)
+ *
+ * @param {string} file - Path given to the tool
+ * @param {Array<string>} extensions - Allowed extensions (lower case)
+ * @param {boolean} overwrite - Allow replacing an existing file
+ * @returns {string} Absolute path; throws for another extension or an existing file
+ */
+function resolveExportFile(file, extensions, overwrite) {
+  if (typeof file !== 'string' || file.trim() === '') {
+    throw new Error('file must be a path');
+  }
+  const target = path.resolve(file.replace(/^~(?=$|\/)/, process.env.HOME || '~'));
+  if (!extensions.includes(path.extname(target).toLowerCase())) {
+    throw new Error(`file must end in ${extensions.join(' or ')}: ${target}`);
+  }
+  if (!overwrite && fs.existsSync(target)) {
+    throw new Error(`File already exists: ${target} (set overwrite to replace it)`);
+  }
+  return target;
+}
+
+/**
+ * Handle set_slot tool call
+ *
+ * Forwards the request to the Express API
+ */
+async function handleSetSlot(args) {
+  const { name, rows, tracks, length, bpm, speed, quantize, rowsPerBeat, timeSignature, groove, tuning, seed, fill, session = DEFAULT_SESSION } = args;
+
+  try {
+    const response = await fetch(`${API_BASE_URL}/api/slots/${encodeURIComponent(name)}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ rows, tracks, length, bpm, speed, quantize, rowsPerBeat, timeSignature, groove, tuning, seed, fill, session })
     });
 
     const result = await response.json();
@@ -313,6 +826,116 @@ async function handlePlayPattern(args) {
   }
 }
 
+/**
+ * Handle clear_slot tool call
+ *
+ * Forwards the request to the Express API
+ */
+async function handleClearSlot(args) {
+  const { name, session = DEFAULT_SESSION } = args;
+
+  try {
+    const response = await fetch(
+      `${API_BASE_URL}/api/slots/${encodeURIComponent(name)}?session=${encodeURIComponent(session)}`,
+      { method: 'DELETE' }
+    );
+
+    const result = await response.json();
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(result, null, 2),
+        },
+      ],
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Error calling API: ${error.message}`,
+        },
+      ],
+      isError: true,
+    };
+  }
+}
+
+/**
+ * Handle stop_playback tool call
+ *
+ * Forwards the request to the Express API
+ */
+async function handleStopPlayback(args = {}) {
+  const { playId, session = DEFAULT_SESSION } = args;
+
+  try {
+    const response = playId
+      ? await fetch(`${API_BASE_URL}/api/plays/${encodeURIComponent(playId)}/stop`, { method: 'POST' })
+      : await fetch(`${API_BASE_URL}/api/stop-all`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ session })
+      });
+
+    const result = await response.json();
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(result, null, 2),
+        },
+      ],
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Error calling API: ${error.message}`,
+        },
+      ],
+      isError: true,
+    };
+  }
+}
+
+/**
+ * Handle get_play_status tool call
+ *
+ * Forwards the request to the Express API
+ */
+async function handleGetPlayStatus(args) {
+  const { playId } = args;
+
+  try {
+    const response = await fetch(`${API_BASE_URL}/api/plays/${encodeURIComponent(playId)}`);
+    const result = await response.json();
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(result, null, 2),
+        },
+      ],
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Error calling API: ${error.message}`,
+        },
+      ],
+      isError: true,
+    };
+  }
+}
+
 /**
  * Handle list_samples tool call
  *
@@ -377,6 +1000,42 @@ async function handleGetSampleInfo(args) {
   }
 }
 
+/**
+ * Handle get_chord_notes / get_scale_notes / get_progression tool calls
+ *
+ * Forwards the request to the Express API (POST /api/theory/chord, /api/theory/scale or /api/theory/progression)
+ */
+async function handleTheory(kind, args) {
+  try {
+    const response = await fetch(`${API_BASE_URL}/api/theory/${kind}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(args)
+    });
+
+    const result = await response.json();
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(result, null, 2),
+        },
+      ],
+    };
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `Error calling API: ${error.message}`,
+        },
+      ],
+      isError: true,
+    };
+  }
+}
+
 /**
  * Start MCP server with stdio transport
  *
@@ -6,8 +6,16 @@
 
 import { PatternService } from '../services/PatternService.js';
 import { SamplerService } from '../services/SamplerService.js';
+import { PatternStore } from '../services/PatternStore.js';
+import { SongStore } from '../services/SongStore.js';
+import { GrooveStore } from '../services/GrooveStore.js';
+import { TuningStore } from '../services/TuningStore.js';
+import { ModuleStore } from '../services/ModuleStore.js';
 import { createAPIRouter } from './api.js';
 import express from 'express';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 
 // Helper to make requests to the API
 async function makeRequest(app, method, path, body = null) {
@@ -69,8 +77,18 @@ describe('API Routes Integration', () => {
     // Create services
     services = {
       pattern: new PatternService({ enableLogging: false }),
-      sampler: new SamplerService()
+      sampler: new SamplerService(),
+      patterns: new PatternStore({
+        directory: fs.mkdtempSync(path.join(os.tmpdir(), 'noisecanvas-patterns-'))
+      })
     };
+    services.songs = new SongStore({
+      directory: path.join(services.patterns.directory, 'songs'),
+      patterns: services.patterns
+    });
+    services.grooves = new GrooveStore({ directory: path.join(services.patterns.directory, 'grooves') });
+    services.tunings = new TuningStore({ directory: path.join(services.patterns.directory, 'tunings') });
+    services.modules = new ModuleStore({ directory: path.join(services.patterns.directory, 'modules') });
 
     // Create Express app with API router
     app = express();
@@ -78,6 +96,10 @@ describe('API Routes Integration', () => {
     app.use('/api', createAPIRouter(services));
   });
 
+  afterEach(() => {
+    fs.rmSync(services.patterns.directory, { recursive: true, force: true });
+  });
+
   describe('POST /api/play-notes', () => {
     test('should convert musical BPM to tempo (120 → 480)', async () => {
       const { status, data } = await makeRequest(app, 'POST', '/api/play-notes', {
@@ -159,6 +181,30 @@ describe('API Routes Integration', () => {
       expect(services.pattern.pendingPlays[0].bpm).toBe(720); // Internal tempo: 180 × 4
     });
 
+    test('should convert BPM with rowsPerBeat and return the length in bars', async () => {
+      const { status, data } = await makeRequest(app, 'POST', '/api/play-pattern', {
+        rows: Array(20).fill([]),
+        bpm: 120,
+        rowsPerBeat: 3,
+        timeSignature: '3/4'
+      });
+
+      expect(status).toBe(200);
+      expect(data.timeSignature).toBe('3/4');
+      expect(data.length).toEqual({ bars: 2, beats: 0, rows: 2 });
+      expect(services.pattern.pendingPlays[0].tempo).toBe(360); // 120 × 3
+    });
+
+    test('should return error for invalid time signature', async () => {
+      const { status, data } = await makeRequest(app, 'POST', '/api/play-pattern', {
+        rows: [[]],
+        timeSignature: '5/5'
+      });
+
+      expect(status).toBe(400);
+      expect(data.error).toContain('Invalid time signature');
+    });
+
     test('should use default BPM when not provided', async () => {
       const { status, data } = await makeRequest(app, 'POST', '/api/play-pattern', {
         rows: [
@@ -170,6 +216,80 @@ describe('API Routes Integration', () => {
       expect(data.bpm).toBe(120); // Default musical BPM
     });
 
+    test('should queue pattern in the target session', async () => {
+      const { data } = await makeRequest(app, 'POST', '/api/play-pattern', {
+        rows: [
+          [{ sample: '808-KICK', note: 'C-2' }]
+        ],
+        session: 'alice'
+      });
+
+      expect(data.session).toBe('alice');
+      expect(services.pattern.getPendingPlays('alice')).toHaveLength(1);
+      expect(services.pattern.pendingPlays).toHaveLength(0);
+    });
+
+    test('should return the humanize seed so the take can be replayed', async () => {
+      const { status, data } = await makeRequest(app, 'POST', '/api/play-pattern', {
+        rows: [[{ sample: '808-KICK', note: 'C-2' }]],
+        humanize: { timing: 8, volume: 4 }
+      });
+
+      expect(status).toBe(200);
+      expect(Number.isInteger(data.humanize.seed)).toBe(true);
+      expect(services.pattern.pendingPlays[0].humanize).toEqual(data.humanize);
+    });
+
+    test('should merge polymeter tracks into rows on a common grid', async () => {
+      const { status, data } = await makeRequest(app, 'POST', '/api/play-pattern', {
+        tracks: [
+          { steps: [{ sample: '808-KICK', note: 'C-2' }, null, null, null] },
+          { steps: [{ sample: '808-HAT', note: 'C-2' }, null], rowsPerBeat: 3 }
+        ],
+        bpm: 100
+      });
+
+      expect(status).toBe(200);
+      expect(data.rowsPerBeat).toBe(12);
+      expect(data.pattern).toHaveLength(24); // 2 beats: 2 kick loops, 3 hat loops
+      expect(data.tracks).toEqual([
+        { steps: 4, rowsPerBeat: 4, loops: 2 },
+        { steps: 2, rowsPerBeat: 3, loops: 3 }
+      ]);
+      expect(services.pattern.pendingPlays[0].tempo).toBe(1200); // 100 × 12
+    });
+
+    test('should return 400 for invalid tracks', async () => {
+      const { status, data } = await makeRequest(app, 'POST', '/api/play-pattern', { tracks: [{ steps: [] }] });
+
+      expect(status).toBe(400);
+      expect(data.error).toContain('Track 0 must have a non-empty steps array');
+    });
+
+    test('should return the trig condition seed and fill', async () => {
+      const { data } = await makeRequest(app, 'POST', '/api/play-pattern', {
+        rows: [[{ sample: '808-KICK', note: 'C-2', probability: 50 }]],
+        seed: 42,
+        fill: true
+      });
+      const { data: unseeded } = await makeRequest(app, 'POST', '/api/play-pattern', { rows: [[]] });
+      const { status } = await makeRequest(app, 'POST', '/api/play-pattern', { rows: [[]], seed: 'x' });
+
+      expect(data).toMatchObject({ seed: 42, fill: true });
+      expect(Number.isInteger(unseeded.seed)).toBe(true);
+      expect(status).toBe(400);
+    });
+
+    test('should return 400 for invalid humanize settings', async () => {
+      const { status, data } = await makeRequest(app, 'POST', '/api/play-pattern', {
+        rows: [[{ sample: '808-KICK', note: 'C-2' }]],
+        humanize: { timing: 500 }
+      });
+
+      expect(status).toBe(400);
+      expect(data.error).toContain('humanize timing');
+    });
+
     test('should return error for invalid rows parameter', async () => {
       const { status, data } = await makeRequest(app, 'POST', '/api/play-pattern', {
         rows: 'not-an-array'
@@ -247,6 +367,244 @@ describe('API Routes Integration', () => {
       expect(data.valid).toBe(false);
       expect(data.missingSamples).toContain('DOES-NOT-EXIST');
     });
+
+    test('should detect invalid effects in rows', async () => {
+      const { status, data } = await makeRequest(app, 'POST', '/api/validate-pattern', {
+        pattern: [
+          [{ sample: 'ST-01', note: 'C-4', effect: '037' }],
+          [{ effect: 'A0F' }, { effect: 'B00' }]
+        ]
+      });
+
+      expect(status).toBe(200);
+      expect(data.valid).toBe(false);
+      expect(data.invalidEffects).toEqual([
+        expect.objectContaining({ row: 1, channel: 1, effect: 'B00' })
+      ]);
+    });
+
+    test('should detect invalid notes in rows', async () => {
+      const { data } = await makeRequest(app, 'POST', '/api/validate-pattern', {
+        pattern: [
+          [{ sample: 'ST-01', note: 'Bb3' }, { sample: 'ST-01', note: 'H-4' }],
+          [{ sample: 'ST-01', note: 60 }, { note: '===' }, { sample: 'ST-01', note: '440Hz' }]
+        ]
+      });
+
+      expect(data.valid).toBe(false);
+      expect(data.invalidNotes).toEqual([
+        expect.objectContaining({ row: 0, channel: 1, note: 'H-4', error: expect.stringContaining('Invalid note') })
+      ]);
+    });
+
+    test('should detect invalid trig conditions in rows', async () => {
+      const { data } = await makeRequest(app, 'POST', '/api/validate-pattern', {
+        pattern: [
+          [{ sample: 'ST-01', note: 'C-4', probability: 50 }, { sample: 'ST-01', note: 'C-4', every: [3, 2] }]
+        ]
+      });
+
+      expect(data.valid).toBe(false);
+      expect(data.invalidConditions).toEqual([
+        expect.objectContaining({ row: 0, channel: 1, error: expect.stringContaining('every must be') })
+      ]);
+    });
+  });
+
+  describe('Theory routes', () => {
+    test('should expand a chord with inversion', async () => {
+      const { status, data } = await makeRequest(app, 'POST', '/api/theory/chord', { chord: 'Cmaj7', inversion: 1 });
+
+      expect(status).toBe(200);
+      expect(data.notes).toEqual(['E-4', 'G-4', 'B-4', 'C-5']);
+    });
+
+    test('should list the notes of a scale', async () => {
+      const { data } = await makeRequest(app, 'POST', '/api/theory/scale', { scale: 'D dorian' });
+
+      expect(data.notes).toEqual(['D-4', 'E-4', 'F-4', 'G-4', 'A-4', 'B-4', 'C-5']);
+    });
+
+    test('should return 400 for unknown chords and scales', async () => {
+      const { status: chordStatus } = await makeRequest(app, 'POST', '/api/theory/chord', { chord: 'Hmaj7' });
+      const { status: scaleStatus, data } = await makeRequest(app, 'POST', '/api/theory/scale', { scale: 'C bebop' });
+
+      expect(chordStatus).toBe(400);
+      expect(scaleStatus).toBe(400);
+      expect(data.error).toContain('Unknown scale');
+    });
+
+    test('should turn a progression into pattern rows', async () => {
+      const { status, data } = await makeRequest(app, 'POST', '/api/theory/progression', {
+        progression: 'ii7-V7-Imaj7 in Bb, 2 bars each',
+        rhythm: 'strum'
+      });
+
+      expect(status).toBe(200);
+      expect(data.key).toBe('Bb major');
+      expect(data.chords.map(chord => chord.symbol)).toEqual(['Cm7', 'F7', 'Bbmaj7']);
+      expect(data.chords[1].notes).toEqual(['C-4', 'D#-4', 'F-4', 'A-4']);
+      expect(data.rows).toHaveLength(96);
+      expect(data.rows[0][0]).toEqual({ sample: 'ST-01', note: 'C-2', volume: 48 });
+    });
+
+    test('should return 400 for unknown numerals and instruments', async () => {
+      const { status: numeralStatus } = await makeRequest(app, 'POST', '/api/theory/progression', { progression: 'I-X' });
+      const { status, data } = await makeRequest(app, 'POST', '/api/theory/progression', {
+        progression: 'I-IV',
+        instrument: 'NOPE'
+      });
+
+      expect(numeralStatus).toBe(400);
+      expect(status).toBe(400);
+      expect(data.error).toContain('Unknown instrument: NOPE');
+    });
+  });
+
+  describe('POST /api/import/midi', () => {
+    // Type 0, 96 ticks per quarter: C-4 and E-4 for a beat, then a kick on channel 10
+    const midiFile = Buffer.from([
+      0x4D, 0x54, 0x68, 0x64, 0, 0, 0, 6, 0, 0, 0, 1, 0, 96,
+      0x4D, 0x54, 0x72, 0x6B, 0, 0, 0, 22,
+      0, 0x90, 60, 127, 0, 64, 127, 96, 0x80, 60, 0, 0, 64, 0, 0, 0x99, 36, 100, 0, 0xFF, 0x2F, 0
+    ]).toString('base64');
+
+    test('should convert a MIDI file into pattern rows', async () => {
+      const { status, data } = await makeRequest(app, 'POST', '/api/import/midi', { data: midiFile });
+
+      expect(status).toBe(200);
+      expect(data.rows).toHaveLength(16);
+      expect(data.rows[0].slice(0, 2)).toEqual([
+        { sample: 'ST-01', note: 'C-4', volume: 64 },
+        { sample: 'ST-01', note: 'E-4', volume: 64 }
+      ]);
+      expect(data.rows[4][2]).toMatchObject({ sample: '808-KICK', volume: 50 });
+      expect(data.pattern).toBeNull();
+    });
+
+    test('should save the import in the pattern library', async () => {
+      const { status, data } = await makeRequest(app, 'POST', '/api/import/midi', { data: midiFile, save: true, name: 'Sketch' });
+
+      expect(status).toBe(201);
+      expect(services.patterns.get(data.pattern.id).rows).toHaveLength(16);
+    });
+
+    test('should return 400 for invalid files and unknown instruments', async () => {
+      const { status } = await makeRequest(app, 'POST', '/api/import/midi', { data: 'bm90IG1pZGk=' });
+      const { status: instrumentStatus, data } = await makeRequest(app, 'POST', '/api/import/midi', {
+        data: midiFile,
+        instrument: 'NOPE'
+      });
+
+      expect(status).toBe(400);
+      expect(instrumentStatus).toBe(400);
+      expect(data.error).toContain('Unknown instrument: NOPE');
+    });
+  });
+
+  describe('POST /api/import/mod', () => {
+    const modFile = fs.readFileSync(path.join(process.cwd(), 'data/songs/lotus20.mod')).toString('base64');
+
+    test('should register the samples and store the song', async () => {
+      const { status, data } = await makeRequest(app, 'POST', '/api/import/mod', { data: modFile, name: 'Lotus' });
+
+      expect(status).toBe(201);
+      expect(data.module).toMatchObject({ id: 'lotus', format: 'M.K.', channels: 4, songId: 'lotus', path: '/data/modules/lotus.mod' });
+      expect(data.samples[0]).toMatchObject({ id: 'LOTUS-01', baseNote: 'C-2' });
+      expect(services.sampler.getSample('LOTUS-02')).toMatchObject({ type: 'module', module: { id: 'lotus', index: 2 } });
+      expect(services.songs.get('lotus')).toMatchObject({ tags: ['mod'], bpm: 125, tuning: { type: 'amiga' } });
+      expect(fs.existsSync(services.modules.moduleFile(services.modules.get('lotus')))).toBe(true);
+    });
+
+    test('should import S3M modules with their sample rates', async () => {
+      const s3mFile = fs.readFileSync(path.join(process.cwd(), 'data/songs/distance.s3m')).toString('base64');
+      const { status, data } = await makeRequest(app, 'POST', '/api/import/mod', { data: s3mFile, name: 'Distance' });
+
+      expect(status).toBe(201);
+      expect(data.module).toMatchObject({ id: 'distance', type: 's3m', format: 'SCRM', path: '/data/modules/distance.s3m' });
+      expect(data.samples[0]).toMatchObject({ id: 'S3M-01', baseNote: 'C-4' });
+      expect(services.songs.get('distance')).toMatchObject({ tags: ['s3m'], bpm: 133, tuning: null });
+    });
+
+    test('should return 400 for invalid files and taken sample IDs', async () => {
+      const { status } = await makeRequest(app, 'POST', '/api/import/mod', { data: 'bm90IGEgbW9k' });
+      const { status: takenStatus, data } = await makeRequest(app, 'POST', '/api/import/mod', { data: modFile, prefix: 'ST' });
+
+      expect(status).toBe(400);
+      expect(takenStatus).toBe(400);
+      expect(data.error).toContain('Sample IDs already registered: ST-01');
+    });
+  });
+
+  describe('POST /api/export/midi', () => {
+    test('should write rows as a MIDI file with a track per sample', async () => {
+      const { status, data } = await makeRequest(app, 'POST', '/api/export/midi', {
+        rows: [[{ sample: '808-KICK', note: 'C-2' }, { sample: 'ST-01', note: 'C-4', volume: 32 }], [null, { note: '===' }]],
+        bpm: 100,
+        name: 'Sketch'
+      });
+
+      expect(status).toBe(200);
+      expect(data).toMatchObject({ name: 'Sketch', bpm: 100, division: 240, notes: 2 });
+      expect(data.tracks.map(track => [track.sample, track.midiChannel])).toEqual([['808-KICK', 10], ['ST-01', 1]]);
+      expect(Buffer.from(data.data, 'base64').subarray(0, 4).toString()).toBe('MThd');
+    });
+
+    test('should export a stored pattern with its values', async () => {
+      const pattern = services.patterns.create({ name: 'Export', bpm: 90, rows: [[{ sample: 'ST-01', note: 'C-4' }]] });
+      const { status, data } = await makeRequest(app, 'POST', '/api/export/midi', { pattern: pattern.id, repeat: 2 });
+
+      expect(status).toBe(200);
+      expect(data).toMatchObject({ name: 'Export', bpm: 90, rows: 2, notes: 2 });
+    });
+
+    test('should return 400 without a pattern and 404 for unknown IDs', async () => {
+      const { status } = await makeRequest(app, 'POST', '/api/export/midi', {});
+      const { status: speedStatus } = await makeRequest(app, 'POST', '/api/export/midi', { rows: [[null]], speed: 40 });
+      const { status: missingStatus } = await makeRequest(app, 'POST', '/api/export/midi', { song: 'nope' });
+
+      expect(status).toBe(400);
+      expect(speedStatus).toBe(400);
+      expect(missingStatus).toBe(404);
+    });
+  });
+
+  describe('POST /api/export/mod', () => {
+    test('should write rows as a module with the samples they play', async () => {
+      const { status, data } = await makeRequest(app, 'POST', '/api/export/mod', {
+        rows: [[{ sample: '808-KICK', note: 'C-2' }, { sample: '808-SNARE', volume: 32, pan: 40 }], [null, { note: '===' }]],
+        bpm: 125,
+        name: 'Sketch'
+      });
+
+      expect(status).toBe(200);
+      expect(data).toMatchObject({ name: 'Sketch', format: 'M.K.', channels: 4, trackerBpm: 125, patterns: 1, positions: 1 });
+      expect(data.samples.map(sample => sample.id)).toEqual(['808-KICK', '808-SNARE']);
+      expect(data.warnings).toContain('Step pan is dropped: ProTracker channels are panned left-right-right-left');
+      expect(Buffer.from(data.data, 'base64').subarray(1080, 1084).toString()).toBe('M.K.');
+    });
+
+    test('should warn about repeat and humanize', async () => {
+      const { data } = await makeRequest(app, 'POST', '/api/export/mod', {
+        rows: [[{ sample: '808-KICK', note: 'C-2' }]],
+        repeat: 4,
+        humanize: { timing: 8 }
+      });
+
+      expect(data.warnings).toEqual([
+        'Humanize is not exported: notes are written on the grid',
+        'Repeat is not exported: the order list is written once (players loop it)'
+      ]);
+    });
+
+    test('should return 400 for unknown samples and 404 for unknown IDs', async () => {
+      const { status, data } = await makeRequest(app, 'POST', '/api/export/mod', { rows: [[{ sample: 'NOPE' }]] });
+      const { status: missingStatus } = await makeRequest(app, 'POST', '/api/export/mod', { pattern: 'nope' });
+
+      expect(status).toBe(400);
+      expect(data.error).toContain('Unknown samples: NOPE');
+      expect(missingStatus).toBe(404);
+    });
   });
 
   describe('GET /api/pending-plays', () => {
@@ -277,6 +635,168 @@ describe('API Routes Integration', () => {
     });
   });
 
+  describe('Play lifecycle routes', () => {
+    test('should report status and return it from GET /api/plays/:id', async () => {
+      const { data: played } = await makeRequest(app, 'POST', '/api/play-notes', {
+        notes: ['C']
+      });
+
+      await makeRequest(app, 'POST', `/api/plays/${played.playId}/status`, { event: 'started' });
+      const { status, data } = await makeRequest(app, 'GET', `/api/plays/${played.playId}`);
+
+      expect(status).toBe(200);
+      expect(data.play.status).toBe('playing');
+    });
+
+    test('should stop a play', async () => {
+      const { data: played } = await makeRequest(app, 'POST', '/api/play-notes', {
+        notes: ['C']
+      });
+
+      const { status } = await makeRequest(app, 'POST', `/api/plays/${played.playId}/stop`);
+      const { data } = await makeRequest(app, 'GET', `/api/plays/${played.playId}`);
+
+      expect(status).toBe(200);
+      expect(data.play.status).toBe('stopped');
+    });
+
+    test('should return 404 for unknown play', async () => {
+      const { status } = await makeRequest(app, 'GET', '/api/plays/nope');
+
+      expect(status).toBe(404);
+    });
+  });
+
+  describe('Pattern library routes', () => {
+    const rows = [[{ sample: '808-KICK', note: 'C-2' }], []];
+
+    test('should save a pattern and play it with its stored bpm', async () => {
+      const { status: createStatus, data: created } = await makeRequest(app, 'POST', '/api/patterns', {
+        name: 'Lofi Verse',
+        rows,
+        bpm: 90
+      });
+      const { status, data } = await makeRequest(app, 'POST', `/api/patterns/${created.pattern.id}/play`);
+
+      expect(createStatus).toBe(201);
+      expect(created.pattern.id).toBe('lofi-verse');
+      expect(status).toBe(200);
+      expect(services.pattern.pendingPlays[0].tempo).toBe(360); // 90 × 4
+      expect(data.patternId).toBe('lofi-verse');
+    });
+
+    test('should play a stored pattern with its humanize settings unless turned off', async () => {
+      const { data: created } = await makeRequest(app, 'POST', '/api/patterns', {
+        name: 'Loose Drums',
+        rows,
+        humanize: { seed: 3, timing: 6 }
+      });
+      const { data: stored } = await makeRequest(app, 'POST', `/api/patterns/${created.pattern.id}/play`);
+      const { data: straight } = await makeRequest(app, 'POST', `/api/patterns/${created.pattern.id}/play`, { humanize: null });
+
+      expect(stored.humanize).toEqual({ seed: 3, timing: 6 });
+      expect(straight.humanize).toBeNull();
+    });
+
+    test('should return 400 for invalid pattern', async () => {
+      const { status, data } = await makeRequest(app, 'POST', '/api/patterns', { rows });
+
+      expect(status).toBe(400);
+      expect(data.success).toBe(false);
+    });
+
+    test('should return 404 for unknown pattern', async () => {
+      const { status } = await makeRequest(app, 'GET', '/api/patterns/nope');
+
+      expect(status).toBe(404);
+    });
+  });
+
+  describe('Song routes', () => {
+    const song = {
+      name: 'Demo Song',
+      patterns: { intro: [[{ sample: '808-KICK', note: 'C-2' }]], verse: [[{ sample: '808-SNARE', note: 'C-2' }]] },
+      order: ['intro', { pattern: 'verse', repeat: 2 }]
+    };
+
+    test('should play a song from startOrder', async () => {
+      const { data: created } = await makeRequest(app, 'POST', '/api/songs', song);
+      const { status, data } = await makeRequest(app, 'POST', `/api/songs/${created.song.id}/play`, { startOrder: 1 });
+
+      expect(status).toBe(200);
+      expect(data.orders).toEqual(['verse', 'verse']);
+      expect(services.pattern.pendingPlays[0].song.order).toEqual([0, 0]);
+    });
+
+    test('should return 400 for out of range startOrder', async () => {
+      const { data: created } = await makeRequest(app, 'POST', '/api/songs', song);
+      const { status } = await makeRequest(app, 'POST', `/api/songs/${created.song.id}/play`, { startOrder: 5 });
+
+      expect(status).toBe(400);
+    });
+  });
+
+  describe('Groove routes', () => {
+    test('should play a stored pattern with its groove or straight', async () => {
+      await makeRequest(app, 'POST', '/api/grooves', { name: 'MPC 62', type: 'mpc', amount: 62 });
+      const { data: created } = await makeRequest(app, 'POST', '/api/patterns', {
+        name: 'Hats', rows: [[], []], groove: 'mpc-62'
+      });
+
+      const { data: swung } = await makeRequest(app, 'POST', `/api/patterns/${created.pattern.id}/play`, {});
+      const { data: straight } = await makeRequest(app, 'POST', `/api/patterns/${created.pattern.id}/play`, { groove: null });
+
+      expect(swung.groove).toBe('MPC 62');
+      expect(services.pattern.pendingPlays[0].groove.steps[1].offset).toBeCloseTo(0.24);
+      expect(straight.groove).toBeNull();
+    });
+
+    test('should return 400 for unknown groove', async () => {
+      const { status, data } = await makeRequest(app, 'POST', '/api/play-pattern', { rows: [[]], groove: 'nope' });
+
+      expect(status).toBe(400);
+      expect(data.error).toBe('Groove not found: nope');
+    });
+  });
+
+  describe('Tuning routes', () => {
+    test('should import a Scala tuning and play a song with it', async () => {
+      const { status, data: imported } = await makeRequest(app, 'POST', '/api/tunings', {
+        name: 'Pelog', type: 'scala', scl: 'Pelog\n7\n120.0\n270.0\n540.0\n670.0\n785.0\n950.0\n2/1\n'
+      });
+      const { data: created } = await makeRequest(app, 'POST', '/api/songs', {
+        name: 'Gamelan', patterns: { a: [[{ sample: 'ST-01', note: 's3' }]] }, order: ['a'], tuning: 'pelog'
+      });
+
+      const { data: played } = await makeRequest(app, 'POST', `/api/songs/${created.song.id}/play`, {});
+      const { data: stored } = await makeRequest(app, 'GET', '/api/tunings/pelog');
+
+      expect(status).toBe(201);
+      expect(imported.tuning.id).toBe('pelog');
+      expect(played.tuning).toBe('Pelog');
+      expect(services.pattern.pendingPlays[0].tuning.cents).toHaveLength(7);
+      expect(stored.resolved.keyboard.reference).toBe(69);
+    });
+
+    test('should play notes with an inline tuning', async () => {
+      const { data } = await makeRequest(app, 'POST', '/api/play-notes', {
+        notes: ['C', 'E', 'G'], tuning: { type: 'just', tonic: 'C' }
+      });
+
+      expect(data.tuning).toBe('Just C');
+      expect(services.pattern.pendingPlays[0].tuning).toEqual({ name: 'Just C', type: 'just', tonic: 0, a4: 440 });
+    });
+
+    test('should return 400 for invalid tunings', async () => {
+      const { status, data } = await makeRequest(app, 'POST', '/api/play-pattern', { rows: [[]], tuning: { divisions: 500 } });
+      const { status: unknown } = await makeRequest(app, 'POST', '/api/slots/lead', { rows: [[]], tuning: 'nope' });
+
+      expect(status).toBe(400);
+      expect(data.error).toContain('divisions must be an integer');
+      expect(unknown).toBe(400);
+    });
+  });
+
   describe('GET /api/health', () => {
     test('should return health status', async () => {
       const { status, data } = await makeRequest(app, 'GET', '/api/health');
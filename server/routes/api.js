@@ -6,20 +6,162 @@
  */
 
 import express from 'express';
+import { createMeter, musicalBpmToTempo, rowsToBars } from '../../shared/meter.js';
+import { resolveHumanize } from '../../shared/humanize.js';
+import { mergeTracks } from '../../shared/polymeter.js';
+import { chordNotes, scaleNotes } from '../../shared/theory.js';
+import { progressionPattern } from '../../shared/progression.js';
+import { midiToPattern } from '../../shared/midi-import.js';
+import { songToMidi } from '../../shared/midi-export.js';
+import { songSamples, songToMod } from '../../shared/mod-export.js';
+import { moduleToSong, parseModule } from '../../shared/module-import.js';
+
+// Largest import file (modules with samples, long MIDI files)
+export const UPLOAD_LIMIT = 20 * 1024 * 1024;
+
+// Largest JSON import body: the file as base64 (4 bytes per 3) plus the options next to it
+export const JSON_UPLOAD_LIMIT = Math.ceil(UPLOAD_LIMIT / 3) * 4 + 64 * 1024;
+
+/**
+ * Read the meter of a play from the request body
+ *
+ * The API takes musical BPM; tempo (rows per minute) = BPM × rowsPerBeat
+ * (default 4 rows per beat, 16th note resolution, in 4/4).
+ *
+ * @param {object} body - Request body ({ rowsPerBeat, timeSignature })
+ * @param {object} stored - Stored pattern/song whose values are the defaults
+ * @returns {object} Meter (see shared/meter.js); throws for invalid values
+ */
+function readMeter(body, stored = {}) {
+  return createMeter({
+    rowsPerBeat: body.rowsPerBeat ?? stored.rowsPerBeat,
+    timeSignature: body.timeSignature ?? stored.timeSignature
+  });
+}
+
+/**
+ * Read the musical BPM and speed (ticks per row) of a play from the request body
+ *
+ * A zero, negative or non-numeric value would give rows without duration,
+ * so the client's scheduler would never get past them.
+ *
+ * @param {object} body - Request body ({ bpm, speed })
+ * @param {object} stored - Stored pattern/song whose values are the defaults
+ * @returns {object} { bpm (default: 120), speed (undefined = the player's default) }; throws for invalid values
+ */
+function readTempo(body, stored = {}) {
+  const bpm = body.bpm ?? stored.bpm ?? 120;
+  const speed = body.speed ?? stored.speed;
+  if (typeof bpm !== 'number' || !Number.isFinite(bpm) || bpm <= 0) {
+    throw new Error('bpm must be a positive number');
+  }
+  if (speed !== undefined && (typeof speed !== 'number' || !Number.isFinite(speed) || speed <= 0)) {
+    throw new Error('speed must be a positive number');
+  }
+  return { bpm, speed };
+}
+
+/**
+ * Groove of a stored pattern/song play: the body's groove wins (null plays
+ * straight), otherwise the stored one
+ */
+function readGroove(body, stored) {
+  return body.groove !== undefined ? body.groove : stored.groove;
+}
+
+/**
+ * Tuning of a stored pattern/song play: the body's tuning wins (null plays
+ * 12-EDO at A-4 = 440 Hz), otherwise the stored one
+ */
+function readTuning(body, stored) {
+  return body.tuning !== undefined ? body.tuning : stored.tuning;
+}
+
+/**
+ * Humanize settings of a play, with a seed (random if none was given, so the
+ * response tells how to replay the take); null turns humanize off
+ *
+ * @param {object} body - Request body ({ humanize })
+ * @param {object} stored - Stored pattern whose humanize is the default
+ * @returns {object|null} Settings with seed; throws for invalid settings
+ */
+function readHumanize(body, stored = {}) {
+  const humanize = body.humanize !== undefined ? body.humanize : stored.humanize;
+  return humanize ? resolveHumanize(humanize) : null;
+}
+
+/**
+ * Repeat count of a play (how often the pattern or order list plays)
+ *
+ * @param {object} body - Request body ({ repeat })
+ * @returns {number|undefined} Repeat count (undefined = once); throws unless it is a positive integer
+ */
+function readRepeat(body) {
+  if (body.repeat !== undefined && (!Number.isInteger(body.repeat) || body.repeat < 1)) {
+    throw new Error('repeat must be a positive integer');
+  }
+  return body.repeat;
+}
+
+/**
+ * Trig condition options of a play: the seed of probability conditions
+ * (random if none was given, returned so the take can be replayed) and fill
+ *
+ * @param {object} body - Request body ({ seed, fill })
+ * @returns {object} { seed, fill }; throws for an invalid seed
+ */
+function readTrigOptions(body) {
+  if (body.seed !== undefined && !Number.isInteger(body.seed)) {
+    throw new Error('seed must be an integer');
+  }
+  return {
+    seed: body.seed ?? Math.floor(Math.random() * 0x7FFFFFFF),
+    fill: body.fill === true
+  };
+}
 
 /**
- * Convert musical BPM (quarter notes per minute) to tempo (rows per minute)
+ * Merge the tracks of a polymeter play into rows (see shared/polymeter.js)
  *
- * In musical notation: BPM = quarter notes per minute
- * In tracker format: 4 rows = 1 beat (16th note resolution)
- * Therefore: tempo = musical BPM × 4
+ * The play runs on the tracks' common grid, so its meter switches to the
+ * grid's rowsPerBeat (the BPM stays the same).
+ *
+ * @param {object} body - Request body ({ tracks, length })
+ * @param {object} meter - Meter of the play (rowsPerBeat of tracks without their own)
+ * @returns {object} { rows, meter, tracks (per-track summary) }; throws for invalid tracks
+ */
+function readTracks(body, meter) {
+  const polymeter = mergeTracks(body.tracks, { rowsPerBeat: meter.rowsPerBeat, length: body.length });
+  return {
+    rows: polymeter.rows,
+    meter: createMeter({ rowsPerBeat: polymeter.rowsPerBeat, timeSignature: meter.timeSignature }),
+    tracks: polymeter.tracks
+  };
+}
+
+/**
+ * File of an import request: the raw request body (Content-Type
+ * application/octet-stream or audio/*, options in the query string) or
+ * base64 `data` in a JSON body (options next to it)
  *
- * @param {number} musicalBpm - Musical BPM (quarter notes per minute)
- * @returns {number} Tempo (rows per minute)
+ * @param {object} req - Express request
+ * @param {Array<string>} numericFields - Query options read as numbers
+ * @returns {object} { bytes, options }; throws without a file
  */
-function musicalBpmToTempo(musicalBpm) {
-  const ROWS_PER_BEAT = 4;  // 16th note resolution
-  return musicalBpm * ROWS_PER_BEAT;
+function readUpload(req, numericFields = []) {
+  if (Buffer.isBuffer(req.body)) {
+    const options = { ...req.query };
+    numericFields.filter(field => options[field] !== undefined).forEach(field => {
+      options[field] = Number(options[field]);
+    });
+    return { bytes: req.body, options };
+  }
+
+  const { data, ...options } = req.body || {};
+  if (typeof data !== 'string' || data === '') {
+    throw new Error('Send the file as the request body (Content-Type: application/octet-stream) or base64 "data" in JSON');
+  }
+  return { bytes: Buffer.from(data, 'base64'), options };
 }
 
 /**
@@ -28,6 +170,11 @@ function musicalBpmToTempo(musicalBpm) {
  * @param {object} services - Service instances
  * @param {PatternService} services.pattern - Pattern service
  * @param {SamplerService} services.sampler - Sampler service
+ * @param {PatternStore} services.patterns - Pattern library
+ * @param {SongStore} services.songs - Song library
+ * @param {GrooveStore} services.grooves - Groove library
+ * @param {TuningStore} services.tunings - Tuning library
+ * @param {ModuleStore} services.modules - Imported modules
  * @returns {express.Router} Express router
  */
 export function createAPIRouter(services) {
@@ -39,15 +186,19 @@ export function createAPIRouter(services) {
    * Play a sequence of notes
    *
    * Body:
-   *   - notes: string[] - Array of note names
+   *   - notes: Array - Note names ("C", "Bb3", "440Hz"), MIDI numbers, chord symbols or note/chord objects
    *   - bpm: number (optional) - Beats per minute
    *   - instrument: string (optional) - Sample name
    *   - octave: number (optional) - Octave
    *   - volume: number (optional) - Volume 0-64
+   *   - rowsPerBeat: number (optional) - Notes per beat (default: 4)
+   *   - timeSignature: string (optional) - Time signature like "3/4" (default: "4/4")
+   *   - tuning: string|object (optional) - Tuning library ID or inline tuning (default: 12-EDO, A-4 = 440 Hz)
+   *   - session: string (optional) - Target session (default: 'default')
    */
   router.post('/play-notes', async (req, res) => {
     try {
-      const { notes, bpm, instrument, octave, volume } = req.body;
+      const { notes, instrument, octave, volume } = req.body;
 
       // Validate notes parameter
       if (!notes || !Array.isArray(notes)) {
@@ -57,18 +208,39 @@ export function createAPIRouter(services) {
         });
       }
 
+      let session;
+      let meter;
+      let bpm;
+      let tuning;
+      try {
+        session = services.pattern.resolveSessionId(req.body.session);
+        meter = readMeter(req.body);
+        ({ bpm } = readTempo(req.body));
+        tuning = services.tunings.resolve(req.body.tuning);
+        services.pattern.notesToPattern(notes, { instrument, octave, volume });
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
       // Convert musical BPM to tempo (API accepts musical BPM)
-      const tempo = bpm ? musicalBpmToTempo(bpm) : undefined;
+      const tempo = musicalBpmToTempo(bpm, meter.rowsPerBeat);
 
       // Call service layer
       const result = await services.pattern.playNotes(notes, {
         bpm: tempo,
         instrument,
         octave,
-        volume
+        volume,
+        rowsPerBeat: meter.rowsPerBeat,
+        timeSignature: meter.timeSignature,
+        tuning,
+        session
       });
 
-      res.json(result);
+      res.json({ ...result, tuning: tuning ? tuning.name : null });
     } catch (error) {
       res.status(500).json({
         success: false,
@@ -84,47 +256,102 @@ export function createAPIRouter(services) {
    *
    * Body:
    *   - rows: Array<Array<object>> - Pattern rows (each row can have multiple simultaneous notes)
+   *   - tracks: Array<object> (instead of rows) - Polymeter tracks [{ steps, rowsPerBeat }], one channel each
+   *   - length: number (optional, with tracks) - Rows to play (default: until all tracks line up again)
    *   - bpm: number (optional) - Beats per minute
    *   - speed: number (optional) - Ticks per row
    *   - repeat: number (optional) - Number of repeats
+   *   - loop: boolean (optional) - Loop until stopped (ignores repeat)
+   *   - rowsPerBeat: number (optional) - Rows per beat (default: 4)
+   *   - timeSignature: string (optional) - Time signature like "3/4" (default: "4/4")
+   *   - groove: string|object (optional) - Groove library ID or inline groove (default: straight)
+   *   - tuning: string|object (optional) - Tuning library ID or inline tuning (default: 12-EDO, A-4 = 440 Hz)
+   *   - humanize: object (optional) - { seed, timing, volume, bias, channels } timing/volume jitter
+   *   - seed: number (optional) - Seed of probability trig conditions (default: random)
+   *   - fill: boolean (optional) - Play 'fill' trig conditions (default: false)
+   *   - session: string (optional) - Target session (default: 'default')
    */
   router.post('/play-pattern', async (req, res) => {
     try {
-      const { rows, bpm, speed, repeat } = req.body;
+      const { loop } = req.body;
+      let { rows } = req.body;
 
-      // Validate rows parameter
-      if (!rows || !Array.isArray(rows)) {
+      // Validate rows parameter (tracks are checked when they are merged)
+      if (req.body.tracks === undefined && (!rows || !Array.isArray(rows))) {
         return res.status(400).json({
           success: false,
           error: 'rows parameter must be an array'
         });
       }
 
-      // Convert musical BPM to tempo (API accepts musical BPM)
-      const musicalBpm = bpm || 120;
-      const tempo = musicalBpmToTempo(musicalBpm);
+      let session;
+      let meter;
+      let tempo;
+      let groove;
+      let tuning;
+      let humanize;
+      let trig;
+      let repeat;
+      let tracks = null;
+      try {
+        session = services.pattern.resolveSessionId(req.body.session);
+        meter = readMeter(req.body);
+        tempo = readTempo(req.body);
+        if (req.body.tracks !== undefined) {
+          ({ rows, meter, tracks } = readTracks(req.body, meter));
+        }
+        services.pattern.validateRows(rows);
+        repeat = readRepeat(req.body);
+        groove = services.grooves.resolve(req.body.groove);
+        tuning = services.tunings.resolve(req.body.tuning);
+        humanize = readHumanize(req.body);
+        trig = readTrigOptions(req.body);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
 
-      // Add to pending plays queue
-      const playId = `pattern_${Date.now()}`;
-      const playData = {
-        playId,
-        pattern: rows,  // rows is already in the correct multi-channel format
-        tempo: tempo,  // tempo in rows/min for Web Audio sampler
-        speed: speed || 6,
-        repeat: repeat || 1,
-        startTime: Date.now(),
-      };
+      // Convert musical BPM to tempo (API accepts musical BPM)
+      const musicalBpm = tempo.bpm;
 
-      services.pattern.pendingPlays.push(playData);
+      // Deliver to clients (push subscribers + polling queue)
+      const playData = services.pattern.playPattern(rows, {
+        tempo: musicalBpmToTempo(musicalBpm, meter.rowsPerBeat),
+        speed: tempo.speed,
+        repeat,
+        loop,
+        rowsPerBeat: meter.rowsPerBeat,
+        timeSignature: meter.timeSignature,
+        groove,
+        tuning,
+        humanize,
+        ...trig,
+        session
+      });
 
       res.json({
         success: true,
-        playId,
+        playId: playData.playId,
+        session: playData.session,
         pattern: rows,
         bpm: musicalBpm,  // Return the musical BPM to user
         speed: playData.speed,
+        rowsPerBeat: meter.rowsPerBeat,
+        timeSignature: meter.timeSignature,
+        length: rowsToBars(rows.length, meter),
+        groove: groove ? groove.name : null,
+        tuning: tuning ? tuning.name : null,
+        humanize,
+        seed: playData.seed,
+        fill: playData.fill,
+        tracks,
         repeat: playData.repeat,
-        message: `Playing pattern with ${rows.length} rows at ${musicalBpm} BPM`
+        loop: playData.loop,
+        message: playData.loop
+          ? `Looping pattern with ${rows.length} rows at ${musicalBpm} BPM (stop with /api/plays/${playData.playId}/stop)`
+          : `Playing pattern with ${rows.length} rows at ${musicalBpm} BPM`
       });
     } catch (error) {
       res.status(500).json({
@@ -135,16 +362,102 @@ export function createAPIRouter(services) {
   });
 
   /**
-   * GET /api/samples
+   * POST /api/slots/:name
    *
-   * Get all available samples
+   * Put a looping pattern into a named slot (live coding)
+   * Replaces the slot's running loop at the next bar/pattern boundary.
+   *
+   * Body:
+   *   - rows: Array<Array<object>> - Pattern rows
+   *   - tracks: Array<object> (instead of rows) - Polymeter tracks [{ steps, rowsPerBeat }]
+   *   - length: number (optional, with tracks) - Rows per loop (default: until all tracks line up again)
+   *   - bpm: number (optional) - Beats per minute (default: 120)
+   *   - speed: number (optional) - Ticks per row
+   *   - quantize: string (optional) - 'bar' (default) or 'pattern'
+   *   - rowsPerBeat: number (optional) - Rows per beat (default: 4)
+   *   - timeSignature: string (optional) - Time signature like "3/4" (default: "4/4")
+   *   - rowsPerBar: number (optional) - Rows per bar for 'bar' quantize (default: from the time signature, 16 in 4/4)
+   *   - groove: string|object (optional) - Groove library ID or inline groove (default: straight)
+   *   - tuning: string|object (optional) - Tuning library ID or inline tuning (default: 12-EDO, A-4 = 440 Hz)
+   *   - seed: number (optional) - Seed of probability trig conditions (default: random)
+   *   - fill: boolean (optional) - Play 'fill' trig conditions (default: false)
+   *   - session: string (optional) - Target session (default: 'default')
    */
-  router.get('/samples', (req, res) => {
+  router.post('/slots/:name', (req, res) => {
     try {
-      const samples = services.sampler.getAllSamples();
+      const { quantize, rowsPerBar } = req.body;
+      let { rows } = req.body;
+
+      if (req.body.tracks === undefined && (!rows || !Array.isArray(rows))) {
+        return res.status(400).json({
+          success: false,
+          error: 'rows parameter must be an array'
+        });
+      }
+
+      let session;
+      let meter;
+      let tempo;
+      let groove;
+      let tuning;
+      let trig;
+      let tracks = null;
+      try {
+        session = services.pattern.resolveSessionId(req.body.session);
+        meter = readMeter(req.body);
+        tempo = readTempo(req.body);
+        if (req.body.tracks !== undefined) {
+          ({ rows, meter, tracks } = readTracks(req.body, meter));
+        }
+        services.pattern.validateSlot(req.params.name, rows, {
+          quantize,
+          rowsPerBar,
+          rowsPerBeat: meter.rowsPerBeat,
+          timeSignature: meter.timeSignature
+        });
+        groove = services.grooves.resolve(req.body.groove);
+        tuning = services.tunings.resolve(req.body.tuning);
+        trig = readTrigOptions(req.body);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      const musicalBpm = tempo.bpm;
+      const playData = services.pattern.setSlot(req.params.name, rows, {
+        tempo: musicalBpmToTempo(musicalBpm, meter.rowsPerBeat),
+        speed: tempo.speed,
+        quantize,
+        rowsPerBeat: meter.rowsPerBeat,
+        timeSignature: meter.timeSignature,
+        rowsPerBar,
+        groove,
+        tuning,
+        ...trig,
+        session
+      });
+
       res.json({
         success: true,
-        samples
+        slot: playData.slot,
+        playId: playData.playId,
+        session: playData.session,
+        replaces: playData.replaces,
+        bpm: musicalBpm,
+        rowsPerBeat: meter.rowsPerBeat,
+        timeSignature: meter.timeSignature,
+        rowsPerBar: playData.rowsPerBar,
+        groove: groove ? groove.name : null,
+        tuning: tuning ? tuning.name : null,
+        seed: playData.seed,
+        fill: playData.fill,
+        tracks,
+        quantize: playData.quantize,
+        message: playData.replaces
+          ? `Slot '${playData.slot}' will switch at the next ${playData.quantize} boundary`
+          : `Slot '${playData.slot}' started looping ${rows.length} rows at ${musicalBpm} BPM`
       });
     } catch (error) {
       res.status(500).json({
@@ -155,24 +468,70 @@ export function createAPIRouter(services) {
   });
 
   /**
-   * GET /api/samples/:id
+   * GET /api/slots
    *
-   * Get specific sample metadata
+   * List slots of a session
+   *
+   * Query:
+   *   - session: string (optional) - Session (default: 'default')
    */
-  router.get('/samples/:id', (req, res) => {
+  router.get('/slots', (req, res) => {
     try {
-      const sample = services.sampler.getSample(req.params.id);
+      let session;
+      try {
+        session = services.pattern.resolveSessionId(req.query.session);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
 
-      if (!sample) {
+      const slots = services.pattern.listSlots(session);
+      res.json({
+        success: true,
+        slots
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * DELETE /api/slots/:name
+   *
+   * Stop a slot's loop and remove the slot
+   *
+   * Query:
+   *   - session: string (optional) - Session (default: 'default')
+   */
+  router.delete('/slots/:name', (req, res) => {
+    try {
+      let session;
+      try {
+        session = services.pattern.resolveSessionId(req.query.session);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      const cleared = services.pattern.clearSlot(req.params.name, session);
+
+      if (!cleared) {
         return res.status(404).json({
           success: false,
-          error: `Sample not found: ${req.params.id}`
+          error: `Slot not found: ${req.params.name}`
         });
       }
 
       res.json({
         success: true,
-        sample
+        message: `Cleared slot '${req.params.name}'`
       });
     } catch (error) {
       res.status(500).json({
@@ -183,29 +542,126 @@ export function createAPIRouter(services) {
   });
 
   /**
-   * POST /api/validate-pattern
+   * GET /api/plays/:id
+   *
+   * Get a play with its lifecycle status
+   * (queued, playing, finished, stopped, expired) and last reported
+   * position (row, repeat, order, and bar/beat from the play's meter)
+   */
+  router.get('/plays/:id', (req, res) => {
+    try {
+      const play = services.pattern.getPlay(req.params.id);
+
+      if (!play) {
+        return res.status(404).json({
+          success: false,
+          error: `Play not found: ${req.params.id}`
+        });
+      }
+
+      res.json({
+        success: true,
+        play
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * POST /api/plays/:id/status
    *
-   * Validate that all samples in a pattern exist
+   * Lifecycle report from a client
    *
    * Body:
-   *   - pattern: Array - Pattern data
+   *   - event: string - 'received' | 'started' | 'position' | 'finished'
+   *   - startedAt: number (optional) - Wall clock ms of the first row ('started')
+   *   - row: number (optional) - Current row ('position')
+   *   - repeat: number (optional) - Current repeat ('position')
+   *   - order: number (optional) - Current order position of a song ('position')
    */
-  router.post('/validate-pattern', (req, res) => {
+  router.post('/plays/:id/status', (req, res) => {
     try {
-      const { pattern } = req.body;
+      const { event, startedAt, row, repeat, order } = req.body;
+      const play = services.pattern.reportPlayStatus(req.params.id, { event, startedAt, row, repeat, order });
 
-      if (!pattern || !Array.isArray(pattern)) {
+      if (!play) {
+        return res.status(404).json({
+          success: false,
+          error: `Play not found: ${req.params.id}`
+        });
+      }
+
+      res.json({
+        success: true,
+        status: play.status
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * POST /api/plays/:id/stop
+   *
+   * Stop a play (clients cancel notes already scheduled)
+   */
+  router.post('/plays/:id/stop', (req, res) => {
+    try {
+      const stopped = services.pattern.stopPlay(req.params.id);
+
+      if (!stopped) {
+        return res.status(404).json({
+          success: false,
+          error: `Play not found: ${req.params.id}`
+        });
+      }
+
+      res.json({
+        success: true,
+        playId: req.params.id,
+        message: `Stopped play ${req.params.id}`
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * POST /api/stop-all
+   *
+   * Stop every play of a session
+   *
+   * Body:
+   *   - session: string (optional) - Target session (default: 'default')
+   */
+  router.post('/stop-all', (req, res) => {
+    try {
+      let session;
+      try {
+        session = services.pattern.resolveSessionId(req.body?.session);
+      } catch (error) {
         return res.status(400).json({
           success: false,
-          error: 'pattern parameter must be an array'
+          error: error.message
         });
       }
 
-      const validation = services.sampler.validatePattern(pattern);
+      const playIds = services.pattern.stopAll(session);
 
       res.json({
         success: true,
-        ...validation
+        playIds,
+        message: `Stopped ${playIds.length} play(s)`
       });
     } catch (error) {
       res.status(500).json({
@@ -216,14 +672,1524 @@ export function createAPIRouter(services) {
   });
 
   /**
-   * GET /api/pending-plays
+   * POST /api/pause
+   * POST /api/resume
    *
-   * Get pending plays (for browser polling)
-   * Returns and clears the pending plays queue
+   * Pause or resume the transport of a session
+   *
+   * Body:
+   *   - session: string (optional) - Target session (default: 'default')
    */
-  router.get('/pending-plays', (req, res) => {
+  router.post('/pause', (req, res) => {
+    try {
+      let session;
+      try {
+        session = services.pattern.resolveSessionId(req.body?.session);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      services.pattern.pause(session);
+      res.json({ success: true, message: 'Paused' });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  router.post('/resume', (req, res) => {
+    try {
+      let session;
+      try {
+        session = services.pattern.resolveSessionId(req.body?.session);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      services.pattern.resume(session);
+      res.json({ success: true, message: 'Resumed' });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * GET /api/patterns
+   *
+   * List stored patterns (metadata only, newest first)
+   *
+   * Query:
+   *   - tag: string (optional) - Only patterns with this tag
+   */
+  router.get('/patterns', (req, res) => {
+    try {
+      const patterns = services.patterns.list({ tag: req.query.tag });
+      res.json({
+        success: true,
+        patterns
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * GET /api/patterns/:id
+   *
+   * Get a stored pattern with its rows
+   */
+  router.get('/patterns/:id', (req, res) => {
     try {
-      const pendingPlays = services.pattern.getPendingPlays();
+      const pattern = services.patterns.get(req.params.id);
+
+      if (!pattern) {
+        return res.status(404).json({
+          success: false,
+          error: `Pattern not found: ${req.params.id}`
+        });
+      }
+
+      res.json({
+        success: true,
+        pattern
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * POST /api/patterns
+   *
+   * Save a new pattern
+   *
+   * Body:
+   *   - name: string - Pattern name (the ID is derived from it)
+   *   - rows: Array<Array<object>> - Pattern rows (same format as /api/play-pattern)
+   *   - tags: string[] (optional) - Tags for filtering
+   *   - bpm: number (optional) - Beats per minute (default: 120)
+   *   - speed: number (optional) - Ticks per row (default: 6)
+   *   - rowsPerBeat: number (optional) - Rows per beat (default: 4)
+   *   - timeSignature: string (optional) - Time signature like "3/4" (default: "4/4")
+   *   - groove: string|object (optional) - Groove library ID or inline groove
+   *   - tuning: string|object (optional) - Tuning library ID or inline tuning
+   *   - humanize: object (optional) - Humanize settings (without seed: a new take every play)
+   */
+  router.post('/patterns', (req, res) => {
+    try {
+      try {
+        services.patterns.validate(req.body);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      const pattern = services.patterns.create(req.body);
+      res.status(201).json({
+        success: true,
+        pattern
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * PUT /api/patterns/:id
+   *
+   * Update a stored pattern (fields not given are kept)
+   *
+   * Body: any of name, rows, tags, bpm, speed, rowsPerBeat, timeSignature, groove, humanize, tuning
+   */
+  router.put('/patterns/:id', (req, res) => {
+    try {
+      const existing = services.patterns.get(req.params.id);
+
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          error: `Pattern not found: ${req.params.id}`
+        });
+      }
+
+      try {
+        services.patterns.validate({ ...existing, ...req.body });
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      const pattern = services.patterns.update(req.params.id, req.body);
+      res.json({
+        success: true,
+        pattern
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * DELETE /api/patterns/:id
+   *
+   * Delete a stored pattern
+   */
+  router.delete('/patterns/:id', (req, res) => {
+    try {
+      const deleted = services.patterns.delete(req.params.id);
+
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          error: `Pattern not found: ${req.params.id}`
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `Deleted pattern ${req.params.id}`
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * POST /api/patterns/:id/play
+   *
+   * Play a stored pattern
+   *
+   * Body (all optional, override the stored values):
+   *   - bpm: number - Beats per minute
+   *   - speed: number - Ticks per row
+   *   - rowsPerBeat: number - Rows per beat
+   *   - timeSignature: string - Time signature like "3/4"
+   *   - groove: string|object|null - Groove ID or inline groove (null = straight)
+   *   - tuning: string|object|null - Tuning ID or inline tuning (null = 12-EDO)
+   *   - humanize: object|null - Humanize settings (null = off)
+   *   - seed: number - Seed of probability trig conditions (default: random)
+   *   - fill: boolean - Play 'fill' trig conditions
+   *   - repeat: number - Number of repeats
+   *   - loop: boolean - Loop until stopped
+   *   - session: string - Target session (default: 'default')
+   */
+  router.post('/patterns/:id/play', (req, res) => {
+    try {
+      const pattern = services.patterns.get(req.params.id);
+
+      if (!pattern) {
+        return res.status(404).json({
+          success: false,
+          error: `Pattern not found: ${req.params.id}`
+        });
+      }
+
+      const { loop } = req.body || {};
+
+      let session;
+      let meter;
+      let tempo;
+      let repeat;
+      let groove;
+      let tuning;
+      let humanize;
+      let trig;
+      try {
+        session = services.pattern.resolveSessionId(req.body?.session);
+        meter = readMeter(req.body || {}, pattern);
+        tempo = readTempo(req.body || {}, pattern);
+        repeat = readRepeat(req.body || {});
+        services.pattern.validateRows(pattern.rows);
+        groove = services.grooves.resolve(readGroove(req.body || {}, pattern));
+        tuning = services.tunings.resolve(readTuning(req.body || {}, pattern));
+        humanize = readHumanize(req.body || {}, pattern);
+        trig = readTrigOptions(req.body || {});
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      const musicalBpm = tempo.bpm;
+      const playData = services.pattern.playPattern(pattern.rows, {
+        tempo: musicalBpmToTempo(musicalBpm, meter.rowsPerBeat),
+        speed: tempo.speed,
+        repeat,
+        loop,
+        rowsPerBeat: meter.rowsPerBeat,
+        timeSignature: meter.timeSignature,
+        groove,
+        tuning,
+        humanize,
+        ...trig,
+        session
+      });
+
+      res.json({
+        success: true,
+        playId: playData.playId,
+        session: playData.session,
+        patternId: pattern.id,
+        bpm: musicalBpm,
+        speed: playData.speed,
+        rowsPerBeat: meter.rowsPerBeat,
+        timeSignature: meter.timeSignature,
+        length: rowsToBars(pattern.rows.length, meter),
+        groove: groove ? groove.name : null,
+        tuning: tuning ? tuning.name : null,
+        humanize,
+        seed: playData.seed,
+        fill: playData.fill,
+        repeat: playData.repeat,
+        loop: playData.loop,
+        message: `Playing '${pattern.name}' (${pattern.rows.length} rows) at ${musicalBpm} BPM`
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * GET /api/songs
+   *
+   * List stored songs (metadata and pattern names, newest first)
+   *
+   * Query:
+   *   - tag: string (optional) - Only songs with this tag
+   */
+  router.get('/songs', (req, res) => {
+    try {
+      const songs = services.songs.list({ tag: req.query.tag });
+      res.json({
+        success: true,
+        songs
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * GET /api/songs/:id
+   *
+   * Get a stored song with its pattern pool and order list
+   */
+  router.get('/songs/:id', (req, res) => {
+    try {
+      const song = services.songs.get(req.params.id);
+
+      if (!song) {
+        return res.status(404).json({
+          success: false,
+          error: `Song not found: ${req.params.id}`
+        });
+      }
+
+      res.json({
+        success: true,
+        song
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * POST /api/songs
+   *
+   * Save a new song
+   *
+   * Body:
+   *   - name: string - Song name (the ID is derived from it)
+   *   - patterns: object - Pattern pool: name -> rows, or name -> pattern library ID
+   *   - order: Array<string|object> - Order list: pattern names or { pattern, repeat }
+   *   - tags: string[] (optional) - Tags for filtering
+   *   - bpm: number (optional) - Beats per minute (default: 120)
+   *   - speed: number (optional) - Ticks per row (default: 6)
+   *   - rowsPerBeat: number (optional) - Rows per beat (default: 4)
+   *   - timeSignature: string (optional) - Time signature like "3/4" (default: "4/4")
+   *   - groove: string|object (optional) - Groove library ID or inline groove
+   *   - tuning: string|object (optional) - Tuning library ID or inline tuning
+   *   - tempoRamps: Array<object> (optional) - [{ from: { order, row }, to: { order, row }, bpm, curve }]
+   */
+  router.post('/songs', (req, res) => {
+    try {
+      try {
+        services.songs.validate(req.body);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      const song = services.songs.create(req.body);
+      res.status(201).json({
+        success: true,
+        song
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * PUT /api/songs/:id
+   *
+   * Update a stored song (fields not given are kept)
+   *
+   * Body: any of name, patterns, order, tags, bpm, speed, rowsPerBeat, timeSignature, groove, tuning, tempoRamps
+   */
+  router.put('/songs/:id', (req, res) => {
+    try {
+      const existing = services.songs.get(req.params.id);
+
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          error: `Song not found: ${req.params.id}`
+        });
+      }
+
+      try {
+        services.songs.validate({ ...existing, ...req.body });
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      const song = services.songs.update(req.params.id, req.body);
+      res.json({
+        success: true,
+        song
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * DELETE /api/songs/:id
+   *
+   * Delete a stored song
+   */
+  router.delete('/songs/:id', (req, res) => {
+    try {
+      const deleted = services.songs.delete(req.params.id);
+
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          error: `Song not found: ${req.params.id}`
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `Deleted song ${req.params.id}`
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * POST /api/songs/:id/play
+   *
+   * Play a stored song: its order list, pattern after pattern without gaps
+   *
+   * Body (all optional):
+   *   - startOrder: number - First order entry to play (default: 0)
+   *   - numOrders: number - Number of order entries to play (default: to the end)
+   *   - bpm: number - Beats per minute (default: the song's bpm)
+   *   - speed: number - Ticks per row (default: the song's speed)
+   *   - rowsPerBeat: number - Rows per beat (default: the song's)
+   *   - timeSignature: string - Time signature (default: the song's)
+   *   - groove: string|object|null - Groove ID or inline groove (default: the song's, null = straight)
+   *   - tuning: string|object|null - Tuning ID or inline tuning (default: the song's, null = 12-EDO)
+   *   - seed: number - Seed of probability trig conditions (default: random)
+   *   - fill: boolean - Play 'fill' trig conditions
+   *   - repeat: number - Number of times to play the order list
+   *   - loop: boolean - Loop until stopped
+   *   - session: string - Target session (default: 'default')
+   */
+  router.post('/songs/:id/play', (req, res) => {
+    try {
+      const song = services.songs.get(req.params.id);
+
+      if (!song) {
+        return res.status(404).json({
+          success: false,
+          error: `Song not found: ${req.params.id}`
+        });
+      }
+
+      const { startOrder, numOrders, loop } = req.body || {};
+
+      let session;
+      let arrangement;
+      let meter;
+      let tempo;
+      let repeat;
+      let groove;
+      let tuning;
+      let trig;
+      try {
+        session = services.pattern.resolveSessionId(req.body?.session);
+        arrangement = services.songs.arrange(song, { startOrder, numOrders });
+        meter = readMeter(req.body || {}, song);
+        tempo = readTempo(req.body || {}, song);
+        repeat = readRepeat(req.body || {});
+        groove = services.grooves.resolve(readGroove(req.body || {}, song));
+        tuning = services.tunings.resolve(readTuning(req.body || {}, song));
+        trig = readTrigOptions(req.body || {});
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      const musicalBpm = tempo.bpm;
+      const playData = services.pattern.playSong(arrangement, {
+        tempo: musicalBpmToTempo(musicalBpm, meter.rowsPerBeat),
+        speed: tempo.speed,
+        rowsPerBeat: meter.rowsPerBeat,
+        timeSignature: meter.timeSignature,
+        groove,
+        tuning,
+        ...trig,
+        repeat,
+        loop,
+        session,
+        songId: song.id
+      });
+
+      res.json({
+        success: true,
+        playId: playData.playId,
+        session: playData.session,
+        songId: song.id,
+        bpm: musicalBpm,
+        speed: playData.speed,
+        rowsPerBeat: meter.rowsPerBeat,
+        timeSignature: meter.timeSignature,
+        length: rowsToBars(arrangement.order.reduce((rows, index) => rows + arrangement.patterns[index].length, 0), meter),
+        groove: groove ? groove.name : null,
+        tuning: tuning ? tuning.name : null,
+        seed: playData.seed,
+        fill: playData.fill,
+        repeat: playData.repeat,
+        loop: playData.loop,
+        startOrder: arrangement.entries[0],
+        orders: arrangement.order.map(index => arrangement.names[index]),
+        message: `Playing '${song.name}' from order ${arrangement.entries[0]} (${arrangement.order.length} patterns) at ${musicalBpm} BPM`
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * GET /api/grooves
+   *
+   * List stored groove templates (newest first)
+   *
+   * Query:
+   *   - tag: string (optional) - Only grooves with this tag
+   */
+  router.get('/grooves', (req, res) => {
+    try {
+      const grooves = services.grooves.list({ tag: req.query.tag });
+      res.json({
+        success: true,
+        grooves
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * GET /api/grooves/:id
+   *
+   * Get a stored groove with its offset/velocity table
+   */
+  router.get('/grooves/:id', (req, res) => {
+    try {
+      const groove = services.grooves.get(req.params.id);
+
+      if (!groove) {
+        return res.status(404).json({
+          success: false,
+          error: `Groove not found: ${req.params.id}`
+        });
+      }
+
+      res.json({
+        success: true,
+        groove,
+        steps: services.grooves.resolve(groove.id).steps
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * POST /api/grooves
+   *
+   * Save a new groove template
+   *
+   * Body:
+   *   - name: string - Groove name (the ID is derived from it)
+   *   - type: string - 'swing' (amount 0-100 %), 'mpc' (amount 50-75) or 'table'
+   *   - amount: number - Swing amount ('swing', 'mpc')
+   *   - steps: Array<object> - [{ offset (rows), velocity }] cycled over the rows ('table')
+   *   - tags: string[] (optional) - Tags for filtering
+   */
+  router.post('/grooves', (req, res) => {
+    try {
+      try {
+        services.grooves.validate(req.body);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      const groove = services.grooves.create(req.body);
+      res.status(201).json({
+        success: true,
+        groove
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * PUT /api/grooves/:id
+   *
+   * Update a stored groove (fields not given are kept)
+   *
+   * Body: any of name, type, amount, steps, tags
+   */
+  router.put('/grooves/:id', (req, res) => {
+    try {
+      const existing = services.grooves.get(req.params.id);
+
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          error: `Groove not found: ${req.params.id}`
+        });
+      }
+
+      try {
+        services.grooves.validate({ ...existing, ...req.body });
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      const groove = services.grooves.update(req.params.id, req.body);
+      res.json({
+        success: true,
+        groove
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * DELETE /api/grooves/:id
+   *
+   * Delete a stored groove
+   */
+  router.delete('/grooves/:id', (req, res) => {
+    try {
+      const deleted = services.grooves.delete(req.params.id);
+
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          error: `Groove not found: ${req.params.id}`
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `Deleted groove ${req.params.id}`
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * GET /api/tunings
+   *
+   * List stored tunings (newest first, without the Scala file texts)
+   *
+   * Query:
+   *   - tag: string (optional) - Only tunings with this tag
+   */
+  router.get('/tunings', (req, res) => {
+    try {
+      const tunings = services.tunings.list({ tag: req.query.tag });
+      res.json({
+        success: true,
+        tunings
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * GET /api/tunings/:id
+   *
+   * Get a stored tuning and what it resolves to (divisions, tonic, or cents per degree and keyboard mapping)
+   */
+  router.get('/tunings/:id', (req, res) => {
+    try {
+      const tuning = services.tunings.get(req.params.id);
+
+      if (!tuning) {
+        return res.status(404).json({
+          success: false,
+          error: `Tuning not found: ${req.params.id}`
+        });
+      }
+
+      res.json({
+        success: true,
+        tuning,
+        resolved: services.tunings.resolve(tuning.id)
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * POST /api/tunings
+   *
+   * Save a new tuning (e.g. import a Scala .scl file with its .kbm mapping)
+   *
+   * Body:
+   *   - name: string - Tuning name (the ID is derived from it)
+   *   - type: string (optional) - 'edo' (default), 'just' or 'scala'
+   *   - divisions: number (optional, edo) - Equal divisions of the octave (default: 12)
+   *   - tonic: string (optional, just) - Tonic note name like "D" (default: "C")
+   *   - a4: number (optional) - Frequency of A-4 in Hz (default: 440)
+   *   - scl: string (scala) - Text of a Scala .scl file
+   *   - kbm: string (optional, scala) - Text of a Scala .kbm keyboard mapping
+   *   - tags: string[] (optional) - Tags for filtering
+   */
+  router.post('/tunings', (req, res) => {
+    try {
+      try {
+        services.tunings.validate(req.body);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      const tuning = services.tunings.create(req.body);
+      res.status(201).json({
+        success: true,
+        tuning
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * PUT /api/tunings/:id
+   *
+   * Update a stored tuning (fields not given are kept)
+   *
+   * Body: any of name, type, divisions, tonic, a4, scl, kbm, tags
+   */
+  router.put('/tunings/:id', (req, res) => {
+    try {
+      const existing = services.tunings.get(req.params.id);
+
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          error: `Tuning not found: ${req.params.id}`
+        });
+      }
+
+      try {
+        services.tunings.validate({ ...existing, ...req.body });
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      const tuning = services.tunings.update(req.params.id, req.body);
+      res.json({
+        success: true,
+        tuning
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * DELETE /api/tunings/:id
+   *
+   * Delete a stored tuning
+   */
+  router.delete('/tunings/:id', (req, res) => {
+    try {
+      const deleted = services.tunings.delete(req.params.id);
+
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          error: `Tuning not found: ${req.params.id}`
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `Deleted tuning ${req.params.id}`
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * GET /api/samples
+   *
+   * Get all available samples
+   */
+  router.get('/samples', (req, res) => {
+    try {
+      const samples = services.sampler.getAllSamples();
+      res.json({
+        success: true,
+        samples
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * GET /api/samples/:id
+   *
+   * Get specific sample metadata
+   */
+  router.get('/samples/:id', (req, res) => {
+    try {
+      const sample = services.sampler.getSample(req.params.id);
+
+      if (!sample) {
+        return res.status(404).json({
+          success: false,
+          error: `Sample not found: ${req.params.id}`
+        });
+      }
+
+      res.json({
+        success: true,
+        sample
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * POST /api/theory/chord
+   *
+   * Expand a chord symbol into notes
+   *
+   * Body:
+   *   - chord: string - Chord symbol like "Cmaj7", "F#m7b5", "G7/B", "Dsus4"
+   *   - octave: number (optional) - Octave of the root (default: 4)
+   *   - inversion: number (optional) - Chord tones moved up an octave from the bottom (default: 0)
+   *   - voicing: string (optional) - 'close' (default), 'open', 'drop2' or 'drop3'
+   */
+  router.post('/theory/chord', (req, res) => {
+    try {
+      const { chord, octave, inversion, voicing } = req.body || {};
+
+      let notes;
+      try {
+        notes = chordNotes(chord, { octave, inversion, voicing });
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      res.json({
+        success: true,
+        chord,
+        notes
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * POST /api/theory/scale
+   *
+   * List the notes of a scale or mode
+   *
+   * Body:
+   *   - scale: string - Root and scale name like "D dorian" or "A harmonic minor"
+   *   - octave: number (optional) - Octave of the root (default: 4)
+   *   - octaves: number (optional) - Octaves to list, 1-4 (default: 1)
+   */
+  router.post('/theory/scale', (req, res) => {
+    try {
+      const { scale, octave, octaves } = req.body || {};
+
+      let notes;
+      try {
+        notes = scaleNotes(scale, { octave, octaves });
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      res.json({
+        success: true,
+        scale,
+        notes
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * POST /api/theory/progression
+   *
+   * Turn a roman numeral progression into pattern rows (play-pattern format)
+   *
+   * Body:
+   *   - progression: string - Numerals with optional key and length, like "ii-V-I in Bb"
+   *     or "I-vi-IV-V in G, 2 bars each"
+   *   - key: string (optional) - Key when the progression has none (default: C major)
+   *   - bars / beats: number (optional) - Length of each chord when the progression has none (default: 1 bar)
+   *   - rhythm: string (optional) - 'block' (default), 'strum' or 'alberti'
+   *   - octave: number (optional) - Octave of the chords (default: 4), the bass plays two below
+   *   - instrument: string (optional) - Sample of the chords (default: 'ST-01')
+   *   - bass: boolean (optional) - Bass channel on the roots (default: true)
+   *   - bassInstrument: string (optional) - Sample of the bass (default: the instrument)
+   *   - volume: number (optional) - Step volume 0-64 (default: 48)
+   *   - rowsPerBeat, timeSignature (optional) - Meter of the rows (default: 4, "4/4")
+   */
+  router.post('/theory/progression', (req, res) => {
+    try {
+      const body = req.body || {};
+      const { progression, key, bars, beats, rhythm, octave, instrument, bass, bassInstrument, volume } = body;
+
+      let result;
+      let meter;
+      try {
+        meter = readMeter(body);
+        [instrument, bass !== false ? bassInstrument : undefined].forEach(sample => {
+          if (sample !== undefined && !services.sampler.hasSample(sample)) {
+            throw new Error(`Unknown instrument: ${sample} (see GET /api/samples)`);
+          }
+        });
+        result = progressionPattern(progression, {
+          key, bars, beats, rhythm, octave, instrument, bass, bassInstrument, volume, meter
+        });
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      res.json({
+        success: true,
+        progression,
+        ...result,
+        rowsPerBeat: meter.rowsPerBeat,
+        timeSignature: meter.timeSignature
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Uploads of the import routes: binary, or base64 `data` in JSON. An app-wide
+  // express.json() (100kb default) parses first, so apps mount this limit on
+  // /api/import ahead of it (see server.js)
+  router.use('/import', express.raw({ type: ['application/octet-stream', 'audio/*'], limit: UPLOAD_LIMIT }));
+  router.use('/import', express.json({ limit: JSON_UPLOAD_LIMIT }));
+
+  /**
+   * POST /api/import/midi
+   *
+   * Convert a Standard MIDI File (type 0/1) into pattern rows for /api/play-pattern
+   * (see shared/midi-import.js)
+   *
+   * Body: the file (Content-Type: application/octet-stream or audio/midi, options in
+   * the query string) or JSON with the file as base64 `data` and the options:
+   *   - rowsPerBeat: number (optional) - Grid the note-ons are quantized to (default: 4)
+   *   - timeSignature: string (optional) - Default: the file's, else "4/4"
+   *   - instrument: string (optional) - Sample of MIDI channels without one (default: 'ST-01')
+   *   - instruments: object|string (optional) - MIDI channel → sample, { "2": "OP-BASS-ELECTRIC" } or "2=OP-BASS-ELECTRIC"
+   *   - drumMap: object|string (optional) - GM drum note of channel 10 → sample, on top of the 808 kit map
+   *   - save: boolean (optional) - Store the result in the pattern library
+   *   - name, tags (optional) - Name (default: the file's track name) and tags of the stored pattern
+   */
+  router.post('/import/midi', (req, res) => {
+    try {
+      let result;
+      let options;
+      try {
+        const file = readUpload(req, ['rowsPerBeat']);
+        options = file.options;
+        result = midiToPattern(file.bytes, {
+          rowsPerBeat: options.rowsPerBeat,
+          timeSignature: options.timeSignature,
+          instrument: options.instrument,
+          instruments: options.instruments,
+          drumMap: options.drumMap,
+          baseNote: sample => services.sampler.getSample(sample)?.baseNote
+        });
+
+        const missing = [...new Set(result.channels.map(channel => channel.sample))]
+          .filter(sample => sample && !services.sampler.hasSample(sample));
+        if (missing.length > 0) {
+          throw new Error(`Unknown instrument: ${missing.join(', ')} (see GET /api/samples)`);
+        }
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      let pattern = null;
+      if (options.save === true || options.save === 'true') {
+        const data = {
+          name: options.name || result.name || 'MIDI import',
+          tags: options.tags || ['midi'],
+          bpm: result.bpm,
+          rowsPerBeat: result.rowsPerBeat,
+          timeSignature: result.timeSignature,
+          rows: result.rows
+        };
+        try {
+          services.patterns.validate(data);
+        } catch (error) {
+          return res.status(400).json({
+            success: false,
+            error: error.message
+          });
+        }
+        pattern = services.patterns.summarize(services.patterns.create(data));
+      }
+
+      res.status(pattern ? 201 : 200).json({
+        success: true,
+        ...result,
+        pattern
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * POST /api/import/mod
+   *
+   * Import a ProTracker (MOD), Scream Tracker 3 (S3M) or FastTracker 2 (XM) module,
+   * detected by its signature (see shared/module-import.js): its samples are registered
+   * (GET /api/samples, IDs `${prefix}-NN`, `${prefix}-II-SS` for XM instruments), its
+   * patterns and order list become a stored song. MOD songs play at the module's periods
+   * (amiga tuning); XM samples keep their instrument's envelopes and fadeout
+   *
+   * Body: the file (Content-Type: application/octet-stream, options in the query
+   * string) or JSON with the file as base64 `data` and the options:
+   *   - name: string (optional) - Module and song name (default: the module title)
+   *   - tags: array (optional) - Tags of the song and module (default: the module type: ['mod'], ['s3m'] or ['xm'])
+   *   - prefix: string (optional) - Prefix of the sample IDs (default: the module ID in capitals)
+   */
+  router.post('/import/mod', (req, res) => {
+    try {
+      let file;
+      let module;
+      let song;
+      let songData;
+      try {
+        file = readUpload(req);
+        module = parseModule(file.bytes);
+        const name = file.options.name || module.title || `${module.type.toUpperCase()} import`;
+        const prefix = file.options.prefix || services.modules.createId(name).toUpperCase();
+        if (typeof prefix !== 'string') {
+          throw new Error('prefix must be a string');
+        }
+        song = moduleToSong(module, { prefix });
+
+        const taken = song.samples.map(sample => sample.id).filter(id => services.sampler.hasSample(id));
+        if (taken.length > 0) {
+          throw new Error(`Sample IDs already registered: ${taken.join(', ')} (choose another prefix)`);
+        }
+
+        songData = {
+          name,
+          tags: file.options.tags || [module.type],
+          bpm: song.bpm,
+          speed: song.speed,
+          rowsPerBeat: song.rowsPerBeat,
+          timeSignature: song.timeSignature,
+          tuning: song.tuning,
+          patterns: song.patterns,
+          order: song.order
+        };
+        services.songs.validate(songData);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      const stored = services.songs.create(songData);
+      const item = services.modules.create({
+        name: songData.name,
+        tags: songData.tags,
+        type: module.type,
+        format: module.format,
+        channels: module.channels,
+        songId: stored.id,
+        samples: song.samples
+      }, file.bytes);
+      services.sampler.registerModule(item);
+
+      res.status(201).json({
+        success: true,
+        module: services.modules.summarize(item),
+        song: services.songs.summarize(stored),
+        samples: song.samples,
+        warnings: song.warnings
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * Handler of an export route: reads what to export (rows, polymeter tracks,
+   * a stored pattern or a song, arranged like a song) with its meter and
+   * tempo, converts it and responds with the file
+   *
+   * @param {object} format
+   * @param {string} format.extension - File extension of downloads ('mid')
+   * @param {string} format.contentType - Content-Type of downloads
+   * @param {function} format.convert - (arrangement, { body, stored, name, meter, tempo }) → { bytes, ...report };
+   *   throws for invalid input
+   * @returns {function} Route handler
+   */
+  function exportRoute({ extension, contentType, convert }) {
+    return (req, res) => {
+      try {
+        const body = req.body || {};
+        const sources = ['rows', 'tracks', 'pattern', 'song'].filter(field => body[field] !== undefined);
+        if (sources.length !== 1) {
+          return res.status(400).json({
+            success: false,
+            error: 'Send one of rows, tracks, pattern (library ID) or song (song ID)'
+          });
+        }
+
+        let stored = {};
+        if (body.pattern !== undefined || body.song !== undefined) {
+          stored = body.pattern !== undefined ? services.patterns.get(body.pattern) : services.songs.get(body.song);
+          if (!stored) {
+            return res.status(404).json({
+              success: false,
+              error: body.pattern !== undefined ? `Pattern not found: ${body.pattern}` : `Song not found: ${body.song}`
+            });
+          }
+        }
+
+        const name = body.name || stored.name || null;
+        let result;
+        try {
+          let meter = readMeter(body, stored);
+          const tempo = readTempo(body, stored);
+          let arrangement;
+          if (body.song !== undefined) {
+            arrangement = services.songs.arrange(stored, { startOrder: body.startOrder, numOrders: body.numOrders });
+          } else if (body.tracks !== undefined) {
+            const merged = readTracks(body, meter);
+            meter = merged.meter;
+            arrangement = { patterns: [merged.rows], order: [0] };
+          } else {
+            const rows = body.pattern !== undefined ? stored.rows : body.rows;
+            if (!Array.isArray(rows)) {
+              throw new Error('rows parameter must be an array');
+            }
+            arrangement = { patterns: [rows], order: [0] };
+          }
+
+          result = convert(arrangement, { body, stored, name, meter, tempo });
+        } catch (error) {
+          return res.status(400).json({
+            success: false,
+            error: error.message
+          });
+        }
+
+        const { bytes, ...report } = result;
+        if (body.download === true) {
+          const filename = `${(name || 'pattern').replace(/[^\w.-]+/g, '-')}.${extension}`;
+          res.set('Content-Type', contentType);
+          res.set('Content-Disposition', `attachment; filename="${filename}"`);
+          return res.send(Buffer.from(bytes));
+        }
+
+        res.json({
+          success: true,
+          name,
+          ...report,
+          size: bytes.length,
+          data: Buffer.from(bytes).toString('base64')
+        });
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    };
+  }
+
+  /**
+   * POST /api/export/midi
+   *
+   * Write pattern rows, a stored pattern or a song as a Standard MIDI File (type 1),
+   * timed like they play (see shared/midi-export.js)
+   *
+   * Body (one of rows, tracks, pattern or song):
+   *   - rows: Array<Array<object>> - Pattern rows
+   *   - tracks: Array<object> - Polymeter tracks [{ steps, rowsPerBeat }] (with optional length)
+   *   - pattern: string - Pattern library ID (its values are the defaults)
+   *   - song: string - Song ID (its values are the defaults), with optional startOrder/numOrders
+   *   - bpm, speed, repeat, rowsPerBeat, timeSignature, groove, seed, fill (optional) - As for /api/play-pattern
+   *   - drumMap: object|string (optional) - GM drum note → sample of channel 10, on top of the 808 kit
+   *   - name: string (optional) - Song name in the file
+   *   - download: boolean (optional) - Respond with the file (audio/midi) instead of JSON with base64 `data`
+   */
+  router.post('/export/midi', exportRoute({
+    extension: 'mid',
+    contentType: 'audio/midi',
+    convert: (arrangement, { body, stored, name, meter, tempo }) => {
+      const groove = services.grooves.resolve(readGroove(body, stored));
+      const trig = readTrigOptions(body);
+
+      const result = songToMidi(arrangement, {
+        name,
+        bpm: tempo.bpm,
+        speed: tempo.speed,
+        rowsPerBeat: meter.rowsPerBeat,
+        timeSignature: meter.timeSignature,
+        repeat: readRepeat(body),
+        groove: groove ? groove.steps : null,
+        ...trig,
+        drumMap: body.drumMap
+      });
+
+      const tuning = services.tunings.resolve(readTuning(body, stored));
+      if (tuning) {
+        result.warnings.push(`Tuning '${tuning.name}' is not exported: notes are written as 12-EDO MIDI notes`);
+      }
+      return { ...result, seed: trig.seed, fill: trig.fill };
+    }
+  }));
+
+  /**
+   * POST /api/export/mod
+   *
+   * Write pattern rows, a stored pattern or a song as a 4-channel ProTracker module
+   * (see shared/mod-export.js): the samples it plays as 8-bit samples, its patterns
+   * as 64-row MOD patterns and its order list. The report's warnings list what the
+   * format can't hold (pan, trig conditions, rows with more than 4 notes, ...)
+   *
+   * Body (one of rows, tracks, pattern or song):
+   *   - rows: Array<Array<object>> - Pattern rows
+   *   - tracks: Array<object> - Polymeter tracks [{ steps, rowsPerBeat }] (with optional length)
+   *   - pattern: string - Pattern library ID (its values are the defaults)
+   *   - song: string - Song ID (its values are the defaults), with optional startOrder/numOrders
+   *   - bpm, speed, rowsPerBeat (optional) - As for /api/play-pattern
+   *   - name: string (optional) - Song title in the file
+   *   (groove, tuning, humanize, repeat and tempo ramps are not written: the warnings say so)
+   *   - download: boolean (optional) - Respond with the file (audio/mod) instead of JSON with base64 `data`
+   */
+  router.post('/export/mod', exportRoute({
+    extension: 'mod',
+    contentType: 'audio/mod',
+    convert: (arrangement, { body, stored, name, meter, tempo }) => {
+      const ids = songSamples(arrangement);
+      const missing = ids.filter(id => !services.sampler.hasSample(id));
+      if (missing.length > 0) {
+        throw new Error(`Unknown samples: ${missing.join(', ')}`);
+      }
+      const parsed = new Map();
+      const samples = Object.fromEntries(ids.map(id => [id, services.sampler.readSampleAudio(id, parsed)]));
+
+      const result = songToMod(arrangement, {
+        name,
+        bpm: tempo.bpm,
+        speed: tempo.speed,
+        rowsPerBeat: meter.rowsPerBeat,
+        samples
+      });
+
+      const tuning = services.tunings.resolve(readTuning(body, stored));
+      if (tuning && tuning.type !== 'amiga') {
+        result.warnings.push(`Tuning '${tuning.name}' is not exported: notes are written as ProTracker periods`);
+      }
+      if (services.grooves.resolve(readGroove(body, stored))) {
+        result.warnings.push('Groove is not exported: rows are written straight');
+      }
+      if (readHumanize(body, stored)) {
+        result.warnings.push('Humanize is not exported: notes are written on the grid');
+      }
+      if (body.repeat !== undefined && body.repeat !== 1) {
+        result.warnings.push('Repeat is not exported: the order list is written once (players loop it)');
+      }
+      if (arrangement.tempoRamps && arrangement.tempoRamps.length > 0) {
+        result.warnings.push('Tempo ramps are not exported: the song keeps the tempo of its Fxx effects');
+      }
+      return result;
+    }
+  }));
+
+  /**
+   * POST /api/validate-pattern
+   *
+   * Validate that all samples in a pattern exist and all notes and effects are playable
+   *
+   * Body:
+   *   - pattern: Array - Pattern data (rows of steps)
+   */
+  router.post('/validate-pattern', (req, res) => {
+    try {
+      const { pattern } = req.body;
+
+      if (!pattern || !Array.isArray(pattern)) {
+        return res.status(400).json({
+          success: false,
+          error: 'pattern parameter must be an array'
+        });
+      }
+
+      const validation = services.sampler.validatePattern(pattern);
+
+      res.json({
+        success: true,
+        ...validation
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * GET /api/events
+   *
+   * Server-Sent Events stream of plays (push delivery)
+   * Every client connected to the session receives every play of that
+   * session as an `event: play` message.
+   *
+   * Query:
+   *   - session: string (optional) - Session to join (default: 'default')
+   */
+  router.get('/events', (req, res) => {
+    let session;
+    try {
+      session = services.pattern.getSession(req.query.session);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+    res.write(`: connected to session ${session.id}\n\n`);
+
+    const unsubscribe = services.pattern.subscribe(({ type, data }) => {
+      res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    }, session.id);
+
+    // Comment lines keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  });
+
+  /**
+   * GET /api/pending-plays
+   *
+   * Get pending plays (for browser polling)
+   * Returns and clears the pending plays queue
+   * Fallback for clients without /api/events support
+   *
+   * Query:
+   *   - session: string (optional) - Session to poll (default: 'default')
+   */
+  router.get('/pending-plays', (req, res) => {
+    try {
+      let session;
+      try {
+        session = services.pattern.resolveSessionId(req.query.session);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      const pendingPlays = services.pattern.getPendingPlays(session);
       res.json({
         success: true,
         plays: pendingPlays,
@@ -0,0 +1,193 @@
+/**
+ * Unit tests for API route validation
+ *
+ * Serves the router on an ephemeral port and checks that bad requests are
+ * answered with 400 (and never reach the service layer as 500s)
+ */
+
+import express from 'express';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PatternService } from '../services/PatternService.js';
+import { SamplerService } from '../services/SamplerService.js';
+import { PatternStore } from '../services/PatternStore.js';
+import { SongStore } from '../services/SongStore.js';
+import { GrooveStore } from '../services/GrooveStore.js';
+import { TuningStore } from '../services/TuningStore.js';
+import { ModuleStore } from '../services/ModuleStore.js';
+import { JSON_UPLOAD_LIMIT, UPLOAD_LIMIT, createAPIRouter } from './api.js';
+
+const ROWS = [[{ sample: '808-KICK', note: 'C-2' }]];
+
+describe('API route validation', () => {
+  let directory;
+  let services;
+  let server;
+  let baseUrl;
+
+  async function request(method, url, body) {
+    const response = await fetch(`${baseUrl}${url}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, data: await response.json() };
+  }
+
+  beforeEach(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'noisecanvas-api-'));
+    services = {
+      pattern: new PatternService({ enableLogging: false }),
+      sampler: new SamplerService(),
+      patterns: new PatternStore({ directory: path.join(directory, 'patterns') })
+    };
+    services.songs = new SongStore({ directory: path.join(directory, 'songs'), patterns: services.patterns });
+    services.grooves = new GrooveStore({ directory: path.join(directory, 'grooves') });
+    services.tunings = new TuningStore({ directory: path.join(directory, 'tunings') });
+    services.modules = new ModuleStore({ directory: path.join(directory, 'modules') });
+
+    const app = express();
+    app.use('/api/import', express.json({ limit: JSON_UPLOAD_LIMIT })); // As in server.js
+    app.use(express.json());
+    app.use('/api', createAPIRouter(services));
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe('sessions', () => {
+    test('should return 400 for an invalid session name', async () => {
+      const requests = [
+        ['POST', '/play-notes', { notes: ['C'], session: 'no spaces' }],
+        ['POST', '/play-pattern', { rows: ROWS, session: 'no spaces' }],
+        ['POST', '/slots/drums', { rows: ROWS, session: 'no spaces' }],
+        ['GET', '/slots?session=no%20spaces'],
+        ['POST', '/stop-all', { session: 'no spaces' }],
+        ['GET', '/pending-plays?session=no%20spaces']
+      ];
+
+      for (const [method, url, body] of requests) {
+        const { status, data } = await request(method, url, body);
+
+        expect({ url, status }).toEqual({ url, status: 400 });
+        expect(data).toMatchObject({ success: false, error: expect.stringContaining('Invalid session id') });
+      }
+      expect(services.pattern.activePlays.size).toBe(0);
+    });
+  });
+
+  describe('tempo', () => {
+    test('should return 400 for a BPM or speed that is not a positive number', async () => {
+      const requests = [{ bpm: 0 }, { bpm: -120 }, { bpm: 'fast' }, { speed: 0 }].flatMap(body => [
+        ['/play-pattern', { rows: ROWS, ...body }],
+        ['/slots/drums', { rows: ROWS, ...body }]
+      ]);
+      requests.push(['/play-notes', { notes: ['C'], bpm: 0 }]);
+
+      for (const [url, body] of requests) {
+        const { status, data } = await request('POST', url, body);
+
+        expect({ url, status }).toEqual({ url, status: 400 });
+        expect(data.error).toMatch(/(bpm|speed) must be a positive number/);
+      }
+      expect(services.pattern.activePlays.size).toBe(0);
+    });
+  });
+
+  describe('repeat', () => {
+    test('should return 400 for a repeat that is not a positive integer', async () => {
+      const pattern = services.patterns.create({ name: 'Kick', rows: ROWS });
+
+      for (const repeat of ['lots', 0, -1, 1.5]) {
+        for (const [url, body] of [['/play-pattern', { rows: ROWS, repeat }], [`/patterns/${pattern.id}/play`, { repeat }]]) {
+          const { status, data } = await request('POST', url, body);
+
+          expect({ url, status }).toEqual({ url, status: 400 });
+          expect(data.error).toBe('repeat must be a positive integer');
+        }
+      }
+      expect(services.pattern.activePlays.size).toBe(0);
+    });
+
+    test('should play a pattern as often as repeat says', async () => {
+      const { status, data } = await request('POST', '/play-pattern', { rows: ROWS, repeat: 3 });
+
+      expect(status).toBe(200);
+      expect(data.repeat).toBe(3);
+    });
+  });
+
+  describe('slots', () => {
+    test('should return 400 for an invalid slot name, rows, quantize or rowsPerBar', async () => {
+      const requests = [
+        ['/slots/bad%20name', { rows: ROWS }, 'Invalid slot name'],
+        ['/slots/drums', { rows: [] }, 'rows must be a non-empty array'],
+        ['/slots/drums', { rows: ROWS, quantize: 'beat' }, 'Invalid quantize'],
+        ['/slots/drums', { rows: ROWS, rowsPerBar: 'x' }, 'Invalid rowsPerBar'],
+        ['/slots/drums', { rows: ROWS, rowsPerBar: 0 }, 'Invalid rowsPerBar']
+      ];
+
+      for (const [url, body, error] of requests) {
+        const { status, data } = await request('POST', url, body);
+
+        expect({ url, status }).toEqual({ url, status: 400 });
+        expect(data.error).toContain(error);
+      }
+      expect(services.pattern.listSlots()).toEqual([]);
+    });
+
+    test('should return the rowsPerBar of the swap', async () => {
+      const { status, data } = await request('POST', '/slots/drums', { rows: ROWS, rowsPerBar: 12 });
+
+      expect(status).toBe(200);
+      expect(data.rowsPerBar).toBe(12);
+    });
+  });
+
+  describe('notes', () => {
+    test('should return 400 naming an invalid note or step note', async () => {
+      const rows = [[{ sample: '808-KICK', note: 'C-2' }, { sample: 'ST-01', note: 'H9' }]];
+      const requests = [
+        ['/play-notes', { notes: ['C', 'H9'] }, 'notes[1]: Invalid note: "H9"'],
+        ['/play-pattern', { rows }, 'rows[0][1]: Invalid note: "H9"'],
+        ['/slots/lead', { rows }, 'rows[0][1]: Invalid note: "H9"']
+      ];
+
+      for (const [url, body, error] of requests) {
+        const { status, data } = await request('POST', url, body);
+
+        expect({ url, status }).toEqual({ url, status: 400 });
+        expect(data.error).toContain(error);
+      }
+      expect(services.pattern.activePlays.size).toBe(0);
+    });
+  });
+
+  describe('rows', () => {
+    test('should return 400 for empty rows', async () => {
+      const { status, data } = await request('POST', '/play-pattern', { rows: [] });
+
+      expect(status).toBe(400);
+      expect(data.error).toBe('rows must be a non-empty array');
+      expect(services.pattern.activePlays.size).toBe(0);
+    });
+  });
+
+  describe('imports', () => {
+    test('should take files near the upload limit as base64 JSON', async () => {
+      const data = Buffer.alloc(UPLOAD_LIMIT - 1024 * 1024).toString('base64');
+
+      const { status, data: result } = await request('POST', '/import/midi', { data });
+
+      expect(status).toBe(400); // Parsed, then rejected as a MIDI file (not 413)
+      expect(result.success).toBe(false);
+    });
+  });
+});
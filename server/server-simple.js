@@ -10,14 +10,20 @@
 import express from 'express';
 import { PatternService } from './services/PatternService.js';
 import { SamplerService } from './services/SamplerService.js';
-import { createAPIRouter } from './routes/api.js';
+import { PatternStore } from './services/PatternStore.js';
+import { SongStore } from './services/SongStore.js';
+import { GrooveStore } from './services/GrooveStore.js';
+import { TuningStore } from './services/TuningStore.js';
+import { ModuleStore } from './services/ModuleStore.js';
+import { JSON_UPLOAD_LIMIT, createAPIRouter } from './routes/api.js';
 
 const PORT = 3001;
 
 async function startServer() {
   const app = express();
 
-  // Middleware
+  // Middleware (imports send files as base64 JSON, past the default 100kb limit)
+  app.use('/api/import', express.json({ limit: JSON_UPLOAD_LIMIT }));
   app.use(express.json());
   app.use(express.urlencoded({ extended: true }));
 
@@ -33,9 +39,16 @@ async function startServer() {
   });
 
   // Initialize services
+  const patterns = new PatternStore();
+  const modules = new ModuleStore();
   const services = {
     pattern: new PatternService({ testBroadcast: false }),
-    sampler: new SamplerService(),
+    sampler: new SamplerService({ modules }),
+    patterns,
+    songs: new SongStore({ patterns }),
+    grooves: new GrooveStore(),
+    tunings: new TuningStore(),
+    modules,
   };
 
   console.log('[NoiseCanvas API] Initializing services...');
@@ -69,7 +82,24 @@ async function startServer() {
     console.log('  POST /api/play-notes       - Play a sequence of notes');
     console.log('  GET  /api/samples          - List all samples');
     console.log('  GET  /api/samples/:id      - Get sample info');
-    console.log('  POST /api/validate-pattern - Validate pattern samples');
+    console.log('  POST /api/validate-pattern - Validate pattern samples and effects');
+    console.log('  POST /api/theory/chord     - Expand a chord symbol into notes');
+    console.log('  POST /api/theory/scale     - List the notes of a scale or mode');
+    console.log('  POST /api/theory/progression - Voice a roman numeral progression into pattern rows');
+    console.log('  POST /api/import/midi      - Convert a Standard MIDI File into pattern rows');
+    console.log('  POST /api/import/mod       - Import a ProTracker module (samples + song)');
+    console.log('  POST /api/export/midi      - Write a pattern or song as a Standard MIDI File');
+    console.log('  POST /api/export/mod       - Write a pattern or song as a ProTracker module');
+    console.log('  GET  /api/events           - Play stream (Server-Sent Events)');
+    console.log('  POST /api/slots/:name      - Loop a pattern in a slot (hot swap at next bar)');
+    console.log('  GET  /api/patterns         - Pattern library (POST/PUT/DELETE, /:id/play)');
+    console.log('  GET  /api/songs            - Song library (POST/PUT/DELETE, /:id/play)');
+    console.log('  GET  /api/grooves          - Groove templates (POST/PUT/DELETE)');
+    console.log('  GET  /api/tunings          - Tunings: n-EDO, just, Scala .scl/.kbm (POST/PUT/DELETE)');
+    console.log('  GET  /api/plays/:id        - Play status (queued/playing/finished/...)');
+    console.log('  POST /api/plays/:id/stop   - Stop a play');
+    console.log('  POST /api/stop-all         - Stop all plays of a session');
+    console.log('  POST /api/pause|resume     - Pause/resume a session');
     console.log('  GET  /api/health           - Health check');
     console.log('');
     console.log('💡 Run Vite frontend: npm run dev:vite');
@@ -0,0 +1,70 @@
+/**
+ * GrooveStore: Named groove templates backed by JSON files
+ *
+ * Grooves (swing, MPC swing, custom offset/velocity tables, see
+ * shared/groove.js) are attached to plays, patterns and songs by ID or inline.
+ *
+ * Groove format:
+ *   {
+ *     id, name, tags: [],
+ *     type: 'swing' | 'mpc' | 'table', amount, steps: [{ offset, velocity }],
+ *     createdAt, updatedAt
+ *   }
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { JsonFileStore } from './JsonFileStore.js';
+import { grooveSteps, validateGroove } from '../../shared/groove.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_DIRECTORY = path.join(__dirname, '../../data/grooves');
+
+export class GrooveStore extends JsonFileStore {
+  constructor(options = {}) {
+    super({
+      directory: options.directory || DEFAULT_DIRECTORY,
+      fields: ['name', 'tags', 'type', 'amount', 'steps'],
+      defaults: { tags: [] },
+      fallbackId: 'groove'
+    });
+  }
+
+  /**
+   * Check required fields and types
+   */
+  validate(data) {
+    super.validate(data);
+    if (data.tags !== undefined && (!Array.isArray(data.tags) || !data.tags.every(tag => typeof tag === 'string'))) {
+      throw new Error('tags must be an array of strings');
+    }
+    validateGroove(data);
+  }
+
+  /**
+   * Resolve a groove reference into what the scheduler plays
+   *
+   * @param {string|object|null} groove - Stored groove ID, inline definition, or null (straight)
+   * @returns {object|null} { name, steps: [{ offset, velocity }] } or null
+   */
+  resolve(groove) {
+    if (groove === undefined || groove === null) {
+      return null;
+    }
+
+    if (typeof groove === 'string') {
+      const stored = this.get(groove);
+      if (!stored) {
+        throw new Error(`Groove not found: ${groove}`);
+      }
+      return { name: stored.name, steps: grooveSteps(stored) };
+    }
+
+    validateGroove(groove);
+    return { name: groove.name || groove.type, steps: grooveSteps(groove) };
+  }
+}
+
+export default GrooveStore;
@@ -0,0 +1,46 @@
+/**
+ * Unit tests for GrooveStore
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { GrooveStore } from './GrooveStore.js';
+
+describe('GrooveStore', () => {
+  let directory;
+  let store;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'noisecanvas-grooves-'));
+    store = new GrooveStore({ directory });
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should create and list grooves', () => {
+    const groove = store.create({ name: 'MPC 62', type: 'mpc', amount: 62, tags: ['hiphop'] });
+
+    expect(groove.id).toBe('mpc-62');
+    expect(store.list({ tag: 'hiphop' })).toEqual([groove]);
+  });
+
+  test('should throw error for invalid groove data', () => {
+    expect(() => store.create({ type: 'mpc', amount: 62 })).toThrow('name must be a non-empty string');
+    expect(() => store.create({ name: 'x', type: 'mpc', amount: 80 })).toThrow('MPC swing amount must be from 50 to 75');
+  });
+
+  test('should resolve stored and inline grooves to tables', () => {
+    store.create({ name: 'Lazy', type: 'swing', amount: 0 });
+
+    expect(store.resolve('lazy')).toEqual({ name: 'Lazy', steps: [{ offset: 0, velocity: 1 }, { offset: 0, velocity: 1 }] });
+    expect(store.resolve({ type: 'table', steps: [{ velocity: 0.5 }] })).toEqual({ name: 'table', steps: [{ offset: 0, velocity: 0.5 }] });
+    expect(store.resolve(null)).toBeNull();
+  });
+
+  test('should throw error for unknown groove ID', () => {
+    expect(() => store.resolve('nope')).toThrow('Groove not found: nope');
+  });
+});
@@ -0,0 +1,194 @@
+/**
+ * JsonFileStore: Base class for libraries stored as one JSON file per item
+ *
+ * Items live in <directory>/<id>.json, so libraries can be browsed, edited by
+ * hand and versioned like the study/ files. Subclasses declare their fields
+ * and defaults and implement validate(); IDs and timestamps are handled here.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+// IDs become file names: keep them to safe characters
+const ID_PATTERN = /^[a-z0-9_-]{1,64}$/;
+
+export class JsonFileStore {
+  /**
+   * @param {object} options
+   * @param {string} options.directory - Library directory
+   * @param {Array<string>} options.fields - Fields that create/update accept (in file order)
+   * @param {object} options.defaults - Values for fields not given on create
+   * @param {string} options.fallbackId - ID base for names without usable characters
+   */
+  constructor({ directory, fields, defaults = {}, fallbackId = 'item' }) {
+    this.directory = directory;
+    this.fields = fields;
+    this.defaults = defaults;
+    this.fallbackId = fallbackId;
+  }
+
+  /**
+   * List stored items (newest first)
+   *
+   * @param {object} filter - Optional filter
+   * @param {string} filter.tag - Only items with this tag
+   * @returns {Array<object>} Item summaries (see summarize)
+   */
+  list(filter = {}) {
+    if (!fs.existsSync(this.directory)) {
+      return [];
+    }
+
+    return fs.readdirSync(this.directory)
+      .filter(file => file.endsWith('.json'))
+      .map(file => this.readFile(path.join(this.directory, file)))
+      .filter(item => !filter.tag || (item.tags || []).includes(filter.tag))
+      .sort((a, b) => b.updatedAt - a.updatedAt)
+      .map(item => this.summarize(item));
+  }
+
+  /**
+   * Get a stored item
+   *
+   * @param {string} id - Item ID
+   * @returns {object|null} Item or null if not found
+   */
+  get(id) {
+    const filePath = this.filePath(id);
+    if (!filePath || !fs.existsSync(filePath)) {
+      return null;
+    }
+    return this.readFile(filePath);
+  }
+
+  /**
+   * Save a new item
+   *
+   * @param {object} data - Item fields
+   * @returns {object} Stored item (with id and timestamps)
+   */
+  create(data = {}) {
+    this.validate(data);
+
+    const now = Date.now();
+    const item = { id: this.createId(data.name) };
+    for (const field of this.fields) {
+      item[field] = data[field] !== undefined ? data[field] : structuredClone(this.defaults[field]);
+    }
+    item.createdAt = now;
+    item.updatedAt = now;
+
+    this.writeFile(item);
+    return item;
+  }
+
+  /**
+   * Update a stored item (fields not given are kept)
+   *
+   * @param {string} id - Item ID
+   * @param {object} data - Fields to change
+   * @returns {object|null} Updated item or null if not found
+   */
+  update(id, data = {}) {
+    const existing = this.get(id);
+    if (!existing) {
+      return null;
+    }
+
+    const item = {
+      ...existing,
+      ...pick(data, this.fields),
+      id: existing.id,
+      createdAt: existing.createdAt,
+      updatedAt: Math.max(Date.now(), existing.updatedAt + 1)
+    };
+    this.validate(item);
+
+    this.writeFile(item);
+    return item;
+  }
+
+  /**
+   * Delete a stored item
+   *
+   * @param {string} id - Item ID
+   * @returns {boolean} True if the item existed
+   */
+  delete(id) {
+    const filePath = this.filePath(id);
+    if (!filePath || !fs.existsSync(filePath)) {
+      return false;
+    }
+
+    fs.unlinkSync(filePath);
+    return true;
+  }
+
+  /**
+   * Check required fields and types (throws on invalid data)
+   * Subclasses override this.
+   */
+  validate(data) {
+    if (typeof data.name !== 'string' || data.name.trim() === '') {
+      throw new Error('name must be a non-empty string');
+    }
+  }
+
+  /**
+   * Item as shown in list() (subclasses drop bulky fields here)
+   */
+  summarize(item) {
+    return item;
+  }
+
+  /**
+   * Create a readable, unique ID from the item name
+   * ("Lofi Verse" → "lofi-verse", then "lofi-verse-2", ...)
+   */
+  createId(name) {
+    const base = name.toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 56) || this.fallbackId;
+
+    let id = base;
+    for (let n = 2; fs.existsSync(this.filePath(id)); n++) {
+      id = `${base}-${n}`;
+    }
+    return id;
+  }
+
+  /**
+   * File path of an item, or null for IDs that aren't safe file names
+   */
+  filePath(id) {
+    if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+      return null;
+    }
+    return path.join(this.directory, `${id}.json`);
+  }
+
+  readFile(filePath) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  }
+
+  writeFile(item) {
+    fs.mkdirSync(this.directory, { recursive: true });
+    fs.writeFileSync(this.filePath(item.id), JSON.stringify(item, null, 2) + '\n');
+  }
+}
+
+/**
+ * Copy only the given keys that are present in obj
+ */
+function pick(obj, keys) {
+  const result = {};
+  for (const key of keys) {
+    if (obj[key] !== undefined) {
+      result[key] = obj[key];
+    }
+  }
+  return result;
+}
+
+export default JsonFileStore;
@@ -0,0 +1,112 @@
+/**
+ * ModuleStore: Imported tracker modules (MOD, S3M, XM) backed by JSON files
+ *
+ * The module file is kept next to its JSON (<id>.<type>), served under
+ * /data/modules; clients extract the samples from it (see web/mod-loader.js).
+ * The JSON lists the sample IDs the import registered and the song it
+ * created from the patterns.
+ *
+ * Module format:
+ *   {
+ *     id, name, tags: [], type ('mod', 's3m' or 'xm'), format, channels, path, songId,
+ *     samples: [{ id, index, name, baseNote, sampleRate, volume, finetune, length, loopStart, loopLength,
+ *       volumeEnvelope, panningEnvelope, fadeout (XM) }],
+ *     createdAt, updatedAt
+ *   }
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { JsonFileStore } from './JsonFileStore.js';
+import { MODULE_TYPES } from '../../shared/module-import.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_DIRECTORY = path.join(__dirname, '../../data/modules');
+
+// URL the module files are served under
+const DEFAULT_URL = '/data/modules';
+
+export class ModuleStore extends JsonFileStore {
+  /**
+   * @param {object} options
+   * @param {string} options.directory - Library directory (default: data/modules)
+   * @param {string} options.url - URL of the directory (default: /data/modules)
+   */
+  constructor(options = {}) {
+    super({
+      directory: options.directory || DEFAULT_DIRECTORY,
+      fields: ['name', 'tags', 'type', 'format', 'channels', 'path', 'songId', 'samples'],
+      defaults: { tags: [], type: 'mod', songId: null },
+      fallbackId: 'module'
+    });
+    this.url = options.url || DEFAULT_URL;
+  }
+
+  /**
+   * Check required fields and types
+   */
+  validate(data) {
+    super.validate(data);
+    if (data.tags !== undefined && (!Array.isArray(data.tags) || !data.tags.every(tag => typeof tag === 'string'))) {
+      throw new Error('tags must be an array of strings');
+    }
+    if (data.type !== undefined && !MODULE_TYPES.includes(data.type)) {
+      throw new Error(`type must be one of: ${MODULE_TYPES.join(', ')}`);
+    }
+    if (!Array.isArray(data.samples) || !data.samples.every(sample => sample && typeof sample.id === 'string' && Number.isInteger(sample.index))) {
+      throw new Error('samples must be an array of { id, index }');
+    }
+  }
+
+  /**
+   * Save a new module with its file
+   *
+   * @param {object} data - Module fields (path is set here)
+   * @param {Uint8Array} bytes - Module file
+   * @returns {object} Stored module
+   */
+  create(data = {}, bytes) {
+    if (!(bytes instanceof Uint8Array)) {
+      throw new Error('Module file must be binary data');
+    }
+    this.validate(data);
+    const id = this.createId(data.name);
+    const type = data.type || this.defaults.type;
+    const item = super.create({ ...data, path: `${this.url}/${id}.${type}` });
+    fs.writeFileSync(this.moduleFile(item), bytes);
+    return item;
+  }
+
+  /**
+   * Delete a stored module and its file
+   */
+  delete(id) {
+    const item = this.get(id);
+    const deleted = super.delete(id);
+    if (deleted) {
+      fs.rmSync(this.moduleFile(item), { force: true });
+    }
+    return deleted;
+  }
+
+  /**
+   * List summary without the sample list
+   */
+  summarize(item) {
+    const { samples, ...summary } = item;
+    return { ...summary, samples: samples.length };
+  }
+
+  /**
+   * File path of a stored module's file (modules stored before S3M/XM
+   * support have no type: they are .mod files)
+   */
+  moduleFile({ id, type = 'mod' }) {
+    return path.join(this.directory, `${id}.${type}`);
+  }
+}
+
+export default ModuleStore;
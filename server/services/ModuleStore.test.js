@@ -0,0 +1,98 @@
+/**
+ * Unit tests for ModuleStore
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ModuleStore } from './ModuleStore.js';
+import { SamplerService } from './SamplerService.js';
+import { writeMod } from '../../shared/mod.js';
+
+const SAMPLES = [{ id: 'LOOP-01', index: 1, name: 'bass', baseNote: 'C-2', volume: 48, finetune: 0, length: 8, loopStart: 0, loopLength: 4 }];
+const MODULE_FILE = new Uint8Array([1, 2, 3, 4]);
+
+describe('ModuleStore', () => {
+  let directory;
+  let store;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'noisecanvas-modules-'));
+    store = new ModuleStore({ directory });
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should store the module file next to its JSON', () => {
+    const module = store.create({ name: 'Loop', format: 'M.K.', channels: 4, songId: 'loop', samples: SAMPLES }, MODULE_FILE);
+
+    expect(module).toMatchObject({ id: 'loop', type: 'mod', path: '/data/modules/loop.mod', tags: [], songId: 'loop' });
+    expect(Array.from(fs.readFileSync(path.join(directory, 'loop.mod')))).toEqual([1, 2, 3, 4]);
+    expect(store.list()[0]).toMatchObject({ id: 'loop', samples: 1 });
+  });
+
+  test('should delete the module file too', () => {
+    store.create({ name: 'Loop', samples: SAMPLES }, MODULE_FILE);
+
+    expect(store.delete('loop')).toBe(true);
+    expect(fs.readdirSync(directory)).toEqual([]);
+  });
+
+  test('should name the file after the module type', () => {
+    const module = store.create({ name: 'Scream', type: 's3m', format: 'SCRM', samples: SAMPLES }, MODULE_FILE);
+
+    expect(module.path).toBe('/data/modules/scream.s3m');
+    expect(fs.existsSync(path.join(directory, 'scream.s3m'))).toBe(true);
+    expect(store.delete('scream')).toBe(true);
+    expect(fs.readdirSync(directory)).toEqual([]);
+  });
+
+  test('should throw error for invalid module data', () => {
+    expect(() => store.create({ name: 'Loop', samples: SAMPLES }, 'not binary')).toThrow('binary data');
+    expect(() => store.create({ name: 'Loop', samples: [{ id: 'X' }] }, MODULE_FILE)).toThrow('samples must be');
+    expect(() => store.create({ name: 'Loop', type: 'it', samples: SAMPLES }, MODULE_FILE)).toThrow('type must be one of');
+  });
+
+  test('should register stored module samples with the sampler', () => {
+    store.create({ name: 'Loop', format: 'M.K.', samples: SAMPLES }, MODULE_FILE);
+    const sampler = new SamplerService({ modules: store });
+
+    expect(sampler.getSample('LOOP-01')).toMatchObject({
+      displayName: 'Loop: bass',
+      path: '/data/modules/loop.mod',
+      baseNote: 'C-2',
+      type: 'module',
+      loopLength: 4,
+      module: { id: 'loop', type: 'mod', format: 'M.K.', index: 1 }
+    });
+    expect(sampler.getSample('LOOP-01').sampleRate).toBeCloseTo(8287.14, 2);
+  });
+
+  test('should read the audio of stored module samples', () => {
+    const bytes = writeMod({ samples: [{ name: 'bass', data: Int8Array.of(0, 64, -128, 127, 0, 0, 0, 0) }], order: [0], patterns: [[]] });
+    store.create({ name: 'Loop', samples: SAMPLES }, bytes);
+    const audio = new SamplerService({ modules: store }).readSampleAudio('LOOP-01');
+
+    expect(Array.from(audio.data.slice(0, 4))).toEqual([0, 0.5, -1, 127 / 128]);
+    expect(audio).toMatchObject({ baseNote: 'C-2', loopStart: 0, loopLength: 4 });
+    expect(audio.sampleRate).toBeCloseTo(8287.14, 2);
+  });
+
+  test('should parse each module once when reading its samples with a shared cache', () => {
+    const bytes = writeMod({
+      samples: [{ name: 'bass', data: Int8Array.of(0, 64, 0, 0) }, { name: 'lead', data: Int8Array.of(0, -64, 0, 0) }],
+      order: [0],
+      patterns: [[]]
+    });
+    const module = store.create({ name: 'Loop', samples: [SAMPLES[0], { ...SAMPLES[0], id: 'LOOP-02', index: 2, name: 'lead' }] }, bytes);
+    const sampler = new SamplerService({ modules: store });
+    const parsed = new Map();
+
+    expect(sampler.readSampleAudio('LOOP-01', parsed).data[1]).toBe(0.5);
+    fs.rmSync(store.moduleFile(module));
+    expect(sampler.readSampleAudio('LOOP-02', parsed).data[1]).toBe(-0.5);
+    expect(Array.from(parsed.keys())).toEqual(['loop']);
+  });
+});
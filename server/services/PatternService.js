@@ -5,10 +5,45 @@
  * and can be used with any interface (REST API, IPC, MCP, direct calls)
  */
 
+import { createMeter, rowToBarBeat } from '../../shared/meter.js';
+import { chordNotes, isChordSymbol } from '../../shared/theory.js';
+import { formatNote, parseNote } from '../../shared/notes.js';
+import { NOTE_CUT, NOTE_OFF } from '../../shared/tracker-effects.js';
+
+// Plays older than this are dropped from the polling queue (a late start sounds wrong)
+const PENDING_PLAY_TTL_MS = 10000;
+
+// A play no client received within this time is 'expired' (nobody heard it)
+const PLAY_EXPIRY_MS = PENDING_PLAY_TTL_MS;
+
+// Clients report the position of a running play every second (see web/noisecanvas-client.js)
+const POSITION_REPORT_INTERVAL_MS = 1000;
+
+// A received play without reports for this long lost its client (tab closed) and is 'expired'
+// (generous: hidden tabs run their report timer only once a minute)
+const PLAY_STALE_MS = 120 * POSITION_REPORT_INTERVAL_MS;
+
+// Ended plays (finished/stopped/expired) are kept this long for status queries
+const PLAY_RETENTION_MS = 10 * 60 * 1000;
+
+// Play lifecycle: queued → playing → finished, or stopped/expired
+const ENDED_STATUSES = new Set(['finished', 'stopped', 'expired']);
+
+// Session used when a caller doesn't name one (single-user setup)
+export const DEFAULT_SESSION = 'default';
+
+// Session and slot names
+const NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Slot swaps wait for the next bar (or the end of the running pattern)
+const SLOT_QUANTIZE_MODES = ['bar', 'pattern'];
+
 export class PatternService {
   constructor(options = {}) {
-    this.activePlays = new Map(); // Track active pattern playbacks
-    this.pendingPlays = []; // Queue of plays waiting to be consumed by clients
+    this.activePlays = new Map(); // playId -> play record with status (all sessions)
+    this.sessions = new Map(); // sessionId -> { pendingPlays, listeners }
+    this.slots = new Map(); // sessionId -> Map(slotName -> slot)
+    this.playCounter = 0; // Keeps play IDs unique within the same millisecond
     this.enableLogging = options.enableLogging !== false; // Enable logging by default
 
     // TEST: Start broadcasting C-D-E every 3 seconds (only if testBroadcast enabled)
@@ -25,7 +60,7 @@ export class PatternService {
       if (this.enableLogging) {
         console.log('[PatternService] TEST: Broadcasting C-D-E');
       }
-      this.pendingPlays.push({
+      this.enqueuePlay({
         playId: `test_${Date.now()}`,
         pattern: [
           { sample: 'ST-01', note: 'C-4', volume: 64 },
@@ -42,14 +77,20 @@ export class PatternService {
   /**
    * Play a sequence of notes
    *
-   * @param {Array<string|object>} notes - Array of note names or note objects
-   *   - String format: 'C', 'D-4', etc.
+   * @param {Array<string|object>} notes - Array of note names, chord symbols or note objects
+   *   - String format: 'C', 'D-4', 'Bb3', '440Hz', etc., or a chord symbol ('Cmaj7', 'G7/B') played in one row
+   *   - MIDI note number: 60
    *   - Object format: { note: 'C', instrument: 'ST-01', volume: 64 }
+   *   - Chord object: { chord: 'Cmaj7', octave, inversion, voicing, instrument, volume }
    * @param {object} options - Playback options (defaults for notes without specific values)
    * @param {number} options.bpm - Tempo in rows per minute (internal timing)
    * @param {string} options.instrument - Default sample name (default: 'ST-01')
    * @param {number} options.octave - Default octave number (default: 4)
    * @param {number} options.volume - Default volume 0-64 (default: 64)
+   * @param {number} options.rowsPerBeat - Rows per beat (default: 4)
+   * @param {string} options.timeSignature - Time signature (default: '4/4')
+   * @param {object} options.tuning - Resolved tuning (default: 12-EDO, A-4 = 440 Hz)
+   * @param {string} options.session - Target session (default: 'default')
    * @returns {object} Result with status and pattern details
    */
   async playNotes(notes, options = {}) {
@@ -58,124 +99,793 @@ export class PatternService {
     }
 
     const tempo = options.bpm || 480; // Default: 120 BPM × 4 = 480 rows/min
+    const meter = createMeter(options);
+    const pattern = this.notesToPattern(notes, options);
+
+    const playId = this.createPlayId('play');
+
+    const playData = this.enqueuePlay({
+      playId,
+      session: options.session,
+      pattern,
+      tempo,
+      rowsPerBeat: meter.rowsPerBeat,
+      timeSignature: meter.timeSignature,
+      tuning: options.tuning || null,
+      notes,
+      startTime: Date.now(),
+    });
+
+    // Return pattern that can be sent to client
+    return {
+      success: true,
+      playId,
+      session: playData.session,
+      pattern,
+      tempo,
+      rowsPerBeat: meter.rowsPerBeat,
+      timeSignature: meter.timeSignature,
+      notes,
+      message: `Playing notes: ${notes.join(', ')} at ${tempo} rows/min`
+    };
+  }
+
+  /**
+   * Convert the notes of playNotes into pattern rows
+   * Pattern format: [{ sample, note, volume }], chords: a row of steps (one channel per chord note)
+   *
+   * @param {Array<string|number|object>} notes - Notes, MIDI numbers, chord symbols or note/chord objects
+   * @param {object} options - Defaults of notes without their own (instrument, octave, volume; see playNotes)
+   * @returns {Array<object|Array<object>>} Pattern rows; throws naming the first invalid note
+   */
+  notesToPattern(notes, options = {}) {
     const defaultInstrument = options.instrument || 'ST-01';
     const defaultOctave = options.octave || 4;
     const defaultVolume = options.volume || 64;
 
-    // Validate input
     if (!Array.isArray(notes) || notes.length === 0) {
       throw new Error('notes must be a non-empty array');
     }
 
-    // Convert note names to pattern format
-    // Pattern format: [{ sample, note, volume }]
     // Support both string notes and object notes with per-note instrument/volume
-    const pattern = notes.map(noteInput => {
-      let noteName, instrument, volume;
-
-      if (typeof noteInput === 'string') {
-        // Simple string note - use defaults
-        noteName = noteInput;
-        instrument = defaultInstrument;
-        volume = defaultVolume;
-      } else if (typeof noteInput === 'object' && noteInput.note) {
-        // Object note with optional instrument/volume override
-        noteName = noteInput.note;
-        instrument = noteInput.instrument || defaultInstrument;
-        volume = noteInput.volume !== undefined ? noteInput.volume : defaultVolume;
-      } else {
-        throw new Error('Each note must be a string or object with "note" property');
+    return notes.map((noteInput, index) => {
+      try {
+        return this.noteToSteps(noteInput, { defaultInstrument, defaultOctave, defaultVolume });
+      } catch (error) {
+        throw new Error(`notes[${index}]: ${error.message}`);
       }
+    });
+  }
+
+  /**
+   * Check the rows of a pattern play: at least one row, and every step note
+   * parses like it does in the browser (see shared/notes.js)
+   *
+   * @param {Array<Array<object>>} rows - Pattern rows (arrays of steps) or single steps
+   * @returns {Array<Array<object>>} The same rows; throws naming the first invalid step
+   */
+  validateRows(rows) {
+    if (!Array.isArray(rows) || rows.length === 0) {
+      throw new Error('rows must be a non-empty array');
+    }
 
-      return {
-        sample: instrument,
-        note: this.formatNote(noteName, defaultOctave),
-        volume: volume
-      };
+    rows.forEach((row, rowIndex) => {
+      (Array.isArray(row) ? row : [row]).forEach((step, channel) => {
+        if (!step || step.note === undefined || step.note === NOTE_OFF || step.note === NOTE_CUT) {
+          return;
+        }
+        try {
+          parseNote(step.note);
+        } catch (error) {
+          throw new Error(`rows[${rowIndex}][${channel}]: ${error.message}`);
+        }
+      });
     });
+    return rows;
+  }
 
-    const playId = `play_${Date.now()}`;
+  /**
+   * Play a tracker-style pattern (multi-channel rows)
+   *
+   * @param {Array<Array<object>>} rows - Pattern rows, each row holds simultaneous steps
+   * @param {object} options - Playback options
+   * @param {number} options.tempo - Tempo in rows per minute (default: 480)
+   * @param {number} options.speed - Ticks per row (default: 6)
+   * @param {number} options.repeat - Number of repeats (default: 1)
+   * @param {boolean} options.loop - Loop until stopped (repeat is ignored)
+   * @param {number} options.rowsPerBeat - Rows per beat (default: 4)
+   * @param {string} options.timeSignature - Time signature (default: '4/4')
+   * @param {object} options.groove - Resolved groove { name, steps } (see GrooveStore.resolve, default: straight)
+   * @param {object} options.tuning - Resolved tuning (see TuningStore.resolve, default: 12-EDO, A-4 = 440 Hz)
+   * @param {object} options.humanize - Humanize settings with seed (see shared/humanize.js, default: none)
+   * @param {number} options.seed - Seed of probability trig conditions (see shared/trig-conditions.js, default: random)
+   * @param {boolean} options.fill - Play 'fill' trig conditions (default: false)
+   * @param {string} options.session - Target session (default: 'default')
+   * @returns {object} Play data as delivered to clients
+   */
+  playPattern(rows, options = {}) {
+    this.validateRows(rows);
+    const meter = createMeter(options);
 
-    const playData = {
-      playId,
-      pattern,
-      tempo,
-      notes,
+    return this.enqueuePlay({
+      playId: this.createPlayId('pattern'),
+      session: options.session,
+      pattern: rows,
+      tempo: options.tempo || 480,
+      speed: options.speed || 6,
+      rowsPerBeat: meter.rowsPerBeat,
+      timeSignature: meter.timeSignature,
+      groove: options.groove || null,
+      tuning: options.tuning || null,
+      humanize: options.humanize || null,
+      seed: options.seed ?? null,
+      fill: options.fill === true,
+      repeat: options.repeat || 1,
+      loop: options.loop === true,
       startTime: Date.now(),
-    };
+    });
+  }
+
+  /**
+   * Play a song arrangement (patterns in order list order, without gaps)
+   *
+   * @param {object} arrangement - { patterns, names, order, entries, tempoRamps } (see SongStore.arrange)
+   * @param {object} options - Playback options
+   * @param {number} options.tempo - Tempo in rows per minute (default: 480)
+   * @param {number} options.speed - Ticks per row (default: 6)
+   * @param {number} options.repeat - Number of times to play the order list (default: 1)
+   * @param {boolean} options.loop - Loop until stopped (repeat is ignored)
+   * @param {number} options.rowsPerBeat - Rows per beat (default: 4)
+   * @param {string} options.timeSignature - Time signature (default: '4/4')
+   * @param {object} options.groove - Resolved groove { name, steps } (default: straight)
+   * @param {object} options.tuning - Resolved tuning (default: 12-EDO, A-4 = 440 Hz)
+   * @param {number} options.seed - Seed of probability trig conditions (default: random)
+   * @param {boolean} options.fill - Play 'fill' trig conditions (default: false)
+   * @param {string} options.songId - Stored song ID (for status and logging)
+   * @param {string} options.session - Target session (default: 'default')
+   * @returns {object} Play data as delivered to clients
+   */
+  playSong(arrangement, options = {}) {
+    const { patterns, names = [], order } = arrangement || {};
+    if (!Array.isArray(patterns) || patterns.some(rows => !Array.isArray(rows) || rows.length === 0)) {
+      throw new Error('patterns must be an array of non-empty rows arrays');
+    }
+    if (!Array.isArray(order) || order.length === 0 || order.some(index => !(index in patterns))) {
+      throw new Error('order must be a non-empty array of pattern indices');
+    }
+    const entries = arrangement.entries || order.map((_, position) => position);
+    const tempoRamps = arrangement.tempoRamps || [];
+    const meter = createMeter(options);
+
+    return this.enqueuePlay({
+      playId: this.createPlayId('song'),
+      session: options.session,
+      songId: options.songId || null,
+      song: { patterns, names, order, entries, tempoRamps },
+      tempo: options.tempo || 480,
+      speed: options.speed || 6,
+      rowsPerBeat: meter.rowsPerBeat,
+      timeSignature: meter.timeSignature,
+      groove: options.groove || null,
+      tuning: options.tuning || null,
+      seed: options.seed ?? null,
+      fill: options.fill === true,
+      repeat: options.repeat || 1,
+      loop: options.loop === true,
+      startTime: Date.now(),
+    });
+  }
+
+  /**
+   * Put a looping pattern into a named slot (live coding)
+   *
+   * The first call starts the loop. Later calls to the same slot replace the
+   * running loop at the next bar (or pattern) boundary instead of stacking a
+   * second copy on top.
+   *
+   * @param {string} name - Slot name (e.g., 'drums', 'bass')
+   * @param {Array<Array<object>>} rows - Pattern rows
+   * @param {object} options - Playback options
+   * @param {number} options.tempo - Tempo in rows per minute (default: 480)
+   * @param {number} options.speed - Ticks per row (default: 6)
+   * @param {string} options.quantize - 'bar' (default) or 'pattern'
+   * @param {number} options.rowsPerBeat - Rows per beat (default: 4)
+   * @param {string} options.timeSignature - Time signature (default: '4/4')
+   * @param {number} options.rowsPerBar - Rows per bar for 'bar' quantize (default: from the time signature)
+   * @param {object} options.groove - Resolved groove { name, steps } (default: straight)
+   * @param {object} options.tuning - Resolved tuning (default: 12-EDO, A-4 = 440 Hz)
+   * @param {number} options.seed - Seed of probability trig conditions (default: random)
+   * @param {boolean} options.fill - Play 'fill' trig conditions (default: false)
+   * @param {string} options.session - Target session (default: 'default')
+   * @returns {object} Play data plus `replaces` (playId of the loop being replaced, or null)
+   */
+  setSlot(name, rows, options = {}) {
+    const { quantize, rowsPerBar } = this.validateSlot(name, rows, options);
+    const meter = createMeter(options);
+
+    const sessionId = this.resolveSessionId(options.session);
+    const slots = this.getSlots(sessionId);
+    const previous = slots.get(name);
+    const replaces = previous && this.isPlayRunning(previous.playId) ? previous.playId : null;
 
-    // Store pattern info (for tracking/cancellation)
-    this.activePlays.set(playId, playData);
+    const playData = this.enqueuePlay({
+      playId: this.createPlayId(`slot_${name}`),
+      session: sessionId,
+      slot: name,
+      quantize,
+      rowsPerBar,
+      pattern: rows,
+      tempo: options.tempo || 480,
+      speed: options.speed || 6,
+      rowsPerBeat: meter.rowsPerBeat,
+      timeSignature: meter.timeSignature,
+      groove: options.groove || null,
+      tuning: options.tuning || null,
+      seed: options.seed ?? null,
+      fill: options.fill === true,
+      repeat: 1,
+      loop: true,
+      startTime: Date.now(),
+    });
+
+    slots.set(name, {
+      name,
+      session: sessionId,
+      playId: playData.playId,
+      // Loops that play on until the swap (an earlier swap still waiting is replaced too)
+      replacing: previous ? this.runningPlays([previous.playId, ...previous.replacing]) : [],
+      rows: rows.length,
+      tempo: playData.tempo,
+      speed: playData.speed,
+      quantize,
+      updatedAt: playData.startTime
+    });
+
+    return { ...playData, replaces };
+  }
+
+  /**
+   * Check the name, rows and swap options of a slot play (see setSlot)
+   *
+   * @param {string} name - Slot name
+   * @param {Array<Array<object>>} rows - Pattern rows
+   * @param {object} options - setSlot options (quantize, rowsPerBar and the meter)
+   * @returns {object} { quantize, rowsPerBar } with their defaults; throws for invalid values
+   */
+  validateSlot(name, rows, options = {}) {
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid slot name: ${name} (use letters, digits, '-' or '_')`);
+    }
+    this.validateRows(rows);
+
+    const quantize = options.quantize || 'bar';
+    if (!SLOT_QUANTIZE_MODES.includes(quantize)) {
+      throw new Error(`Invalid quantize: ${quantize} (use ${SLOT_QUANTIZE_MODES.join(' or ')})`);
+    }
+    if (options.rowsPerBar !== undefined && (!Number.isInteger(options.rowsPerBar) || options.rowsPerBar < 1)) {
+      throw new Error(`Invalid rowsPerBar: ${options.rowsPerBar} (must be a positive integer)`);
+    }
+
+    return { quantize, rowsPerBar: options.rowsPerBar ?? createMeter(options).rowsPerBar };
+  }
+
+  /**
+   * List the slots of a session
+   *
+   * @param {string} sessionId - Session ID (default: 'default')
+   * @returns {Array<object>} Slots with the status of their current play
+   */
+  listSlots(sessionId = DEFAULT_SESSION) {
+    const slots = this.getSlots(this.resolveSessionId(sessionId));
+
+    return Array.from(slots.values(), slot => ({
+      ...slot,
+      replacing: this.runningPlays(slot.replacing),
+      status: this.getPlay(slot.playId)?.status || 'finished'
+    }));
+  }
+
+  /**
+   * Stop a slot's loop and remove the slot
+   * A swap still waiting for its boundary stops the loop it would replace too.
+   *
+   * @param {string} name - Slot name
+   * @param {string} sessionId - Session ID (default: 'default')
+   * @returns {boolean} True if the slot existed
+   */
+  clearSlot(name, sessionId = DEFAULT_SESSION) {
+    const slots = this.getSlots(this.resolveSessionId(sessionId));
+    const slot = slots.get(name);
+    if (!slot) {
+      return false;
+    }
+
+    for (const playId of this.runningPlays([slot.playId, ...slot.replacing])) {
+      this.stopPlay(playId);
+    }
+    slots.delete(name);
+    return true;
+  }
 
-    // Add to pending queue for clients to poll
-    this.pendingPlays.push(playData);
+  /**
+   * Slot map of a session (created on first use)
+   */
+  getSlots(sessionId) {
+    if (!this.slots.has(sessionId)) {
+      this.slots.set(sessionId, new Map());
+    }
+    return this.slots.get(sessionId);
+  }
+
+  /**
+   * True if a play hasn't ended (queued or playing)
+   */
+  isPlayRunning(playId) {
+    const play = this.getPlay(playId);
+    return play !== null && !ENDED_STATUSES.has(play.status);
+  }
+
+  /**
+   * The plays of a list that haven't ended
+   *
+   * @param {Array<string>} playIds - Play IDs
+   * @returns {Array<string>} IDs of the queued or playing ones
+   */
+  runningPlays(playIds) {
+    return playIds.filter(playId => this.isPlayRunning(playId));
+  }
+
+  /**
+   * Create a unique play ID
+   *
+   * @param {string} prefix - ID prefix ('play', 'pattern', ...)
+   * @returns {string} Play ID (e.g., 'pattern_1700000000000_3')
+   */
+  createPlayId(prefix) {
+    return `${prefix}_${Date.now()}_${++this.playCounter}`;
+  }
+
+  /**
+   * Register a play and deliver it to clients of its session
+   *
+   * Push subscribers receive every play immediately (broadcast, so every open
+   * browser in the session hears it). The pending queue is kept for clients
+   * that still poll.
+   *
+   * @param {object} playData - Play data ({ playId, session, pattern, tempo, ... })
+   * @returns {object} The same play data (session filled in)
+   */
+  enqueuePlay(playData) {
+    const session = this.getSession(playData.session);
+    playData.session = session.id;
+
+    // Store play record (for status/cancellation); clients report progress into it
+    this.pruneEndedPlays();
+    this.activePlays.set(playData.playId, {
+      ...playData,
+      status: 'queued',
+      receivedAt: null,
+      startedAt: null,
+      reportedAt: null,
+      endedAt: null,
+      row: null,
+      repeat: null,
+      order: null,
+      bar: null,
+      beat: null
+    });
+
+    this.pruneStalePendingPlays(session);
+    session.pendingPlays.push(playData);
     if (this.enableLogging) {
-      console.log('[PatternService] ✅ Added to pending queue. Queue length:', this.pendingPlays.length);
+      console.log(`[PatternService] ✅ Added to pending queue of '${session.id}'. Queue length:`, session.pendingPlays.length);
+    }
+
+    this.broadcast('play', playData, session.id);
+    return playData;
+  }
+
+  /**
+   * Get a session, creating it on first use
+   *
+   * Sessions separate outputs: a play sent to session 'alice' is only heard
+   * by browsers that joined 'alice'.
+   *
+   * @param {string} sessionId - Session ID (default: 'default')
+   * @returns {object} Session { id, pendingPlays, listeners }
+   */
+  getSession(sessionId = DEFAULT_SESSION) {
+    const id = this.resolveSessionId(sessionId);
+
+    if (!this.sessions.has(id)) {
+      this.sessions.set(id, { id, pendingPlays: [], listeners: new Set() });
+    }
+    return this.sessions.get(id);
+  }
+
+  /**
+   * Validate a session ID (missing = default session)
+   *
+   * @param {string} sessionId - Session ID
+   * @returns {string} Session ID to use
+   */
+  resolveSessionId(sessionId) {
+    const id = sessionId || DEFAULT_SESSION;
+    if (typeof id !== 'string' || !NAME_PATTERN.test(id)) {
+      throw new Error(`Invalid session id: ${id} (use letters, digits, '-' or '_')`);
+    }
+    return id;
+  }
+
+  /**
+   * Pending queue of the default session (single-user shortcut)
+   */
+  get pendingPlays() {
+    return this.getSession(DEFAULT_SESSION).pendingPlays;
+  }
+
+  /**
+   * Subscribe to play events of a session (push delivery)
+   *
+   * @param {function} listener - Called with { type, data } for every event
+   * @param {string} sessionId - Session to join (default: 'default')
+   * @returns {function} Unsubscribe function
+   */
+  subscribe(listener, sessionId = DEFAULT_SESSION) {
+    const session = this.getSession(sessionId);
+    session.listeners.add(listener);
+
+    return () => {
+      session.listeners.delete(listener);
+      this.releaseSession(session);
+    };
+  }
+
+  /**
+   * Forget a session nobody listens to and nothing waits in
+   */
+  releaseSession(session) {
+    if (session.listeners.size === 0 && session.pendingPlays.length === 0) {
+      this.sessions.delete(session.id);
+    }
+  }
+
+  /**
+   * Send an event to all push subscribers of a session
+   *
+   * @param {string} type - Event type (e.g., 'play')
+   * @param {object} data - Event payload
+   * @param {string} sessionId - Target session (default: 'default')
+   */
+  broadcast(type, data, sessionId = DEFAULT_SESSION) {
+    const session = this.sessions.get(this.resolveSessionId(sessionId));
+    if (!session) {
+      return; // Nobody listening, nothing queued
+    }
+
+    for (const listener of session.listeners) {
+      try {
+        listener({ type, data });
+      } catch (error) {
+        // One broken connection must not silence the others
+        console.error('[PatternService] Listener failed:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Drop plays nobody polled in time
+   * Without this the queue grows forever when every client uses push delivery.
+   */
+  pruneStalePendingPlays(session, now = Date.now()) {
+    session.pendingPlays = session.pendingPlays.filter(
+      play => now - play.startTime < PENDING_PLAY_TTL_MS
+    );
+  }
+
+  /**
+   * Pattern step(s) of one play-notes entry: a step, or a row of steps for a chord
+   *
+   * @param {string|number|object} noteInput - Note, chord symbol, MIDI number or note/chord object
+   * @param {object} defaults - { defaultInstrument, defaultOctave, defaultVolume }
+   * @returns {object|Array<object>} Step ({ sample, note, volume }) or row of steps
+   */
+  noteToSteps(noteInput, { defaultInstrument, defaultOctave, defaultVolume }) {
+    if (isChordSymbol(noteInput)) {
+      return chordNotes(noteInput, { octave: defaultOctave })
+        .map(note => ({ sample: defaultInstrument, note, volume: defaultVolume }));
+    }
+    if (typeof noteInput === 'object' && noteInput !== null && noteInput.chord) {
+      const { chord, octave = defaultOctave, inversion, voicing } = noteInput;
+      const chordVolume = noteInput.volume !== undefined ? noteInput.volume : defaultVolume;
+      return chordNotes(chord, { octave, inversion, voicing })
+        .map(note => ({ sample: noteInput.instrument || defaultInstrument, note, volume: chordVolume }));
+    }
+
+    let noteName, instrument, volume;
+    if (typeof noteInput === 'string' || typeof noteInput === 'number') {
+      // Simple note (name, MIDI number or frequency) - use defaults
+      noteName = noteInput;
+      instrument = defaultInstrument;
+      volume = defaultVolume;
+    } else if (typeof noteInput === 'object' && noteInput !== null && noteInput.note !== undefined) {
+      // Object note with optional instrument/volume override
+      noteName = noteInput.note;
+      instrument = noteInput.instrument || defaultInstrument;
+      volume = noteInput.volume !== undefined ? noteInput.volume : defaultVolume;
+    } else {
+      throw new Error('Each note must be a string, MIDI number or object with "note" or "chord" property');
     }
 
-    // Return pattern that can be sent to client
     return {
-      success: true,
-      playId,
-      pattern,
-      tempo,
-      notes,
-      message: `Playing notes: ${notes.join(', ')} at ${tempo} rows/min`
+      sample: instrument,
+      note: this.formatNote(noteName, defaultOctave),
+      volume: volume
     };
   }
 
   /**
    * Format note name with octave
+   * Flats, double accidentals, MIDI numbers are written as tracker notes
+   * ('Bb3' → 'A#-3', 60 → 'C-4'), frequencies stay in Hz (see shared/notes.js)
    *
-   * @param {string} noteName - Note name (C, D, E, etc.) or full note (C-4)
+   * @param {string|number} noteName - Note name (C, D, E, etc.), full note (C-4), MIDI number or frequency
    * @param {number} defaultOctave - Default octave if not in noteName
    * @returns {string} Formatted note (e.g., 'C-4')
    */
   formatNote(noteName, defaultOctave = 4) {
-    // If note already has octave (e.g., 'C-4' or 'C#5'), return as-is
-    if (noteName.match(/^[A-G]#?[-]?\d$/)) {
-      // Normalize format to use dash (C4 → C-4)
-      return noteName.replace(/^([A-G]#?)(\d)$/, '$1-$2');
+    return formatNote(noteName, defaultOctave);
+  }
+
+  /**
+   * Get information about a play, including its lifecycle status
+   *
+   * Status is one of:
+   *   - queued:   sent, no client has started it yet
+   *   - playing:  a client reported the start (row/repeat/bar/beat = last reported position)
+   *   - finished: a client played the last row
+   *   - stopped:  stopped through stopPlay/stopAll
+   *   - expired:  no client received it in time (no browser in the session), or its
+   *               client stopped reporting (tab closed while it played)
+   *
+   * @param {string} playId - Play ID
+   * @returns {object|null} Play record or null if not found
+   */
+  getPlay(playId) {
+    const play = this.activePlays.get(playId);
+    if (!play) {
+      return null;
     }
 
-    // Otherwise append default octave
-    return `${noteName}-${defaultOctave}`;
+    this.refreshPlayStatus(play);
+    return play;
   }
 
   /**
-   * Get information about an active play
+   * Record a lifecycle report from a client
    *
    * @param {string} playId - Play ID
-   * @returns {object|null} Play information or null if not found
+   * @param {object} report - Client report
+   * @param {string} report.event - 'received' | 'started' | 'position' | 'finished'
+   * @param {number} report.startedAt - Wall clock time (ms) of the first row ('started')
+   * @param {number} report.row - Current row ('position')
+   * @param {number} report.repeat - Current repeat ('position')
+   * @param {number} report.order - Current position in the song's expanded order ('position', songs only)
+   * @returns {object|null} Updated play record or null if not found
    */
-  getPlay(playId) {
-    return this.activePlays.get(playId) || null;
+  reportPlayStatus(playId, report = {}) {
+    const play = this.activePlays.get(playId);
+    if (!play) {
+      return null;
+    }
+
+    this.refreshPlayStatus(play);
+    if (ENDED_STATUSES.has(play.status)) {
+      return play; // Late reports (e.g., from a second browser) don't revive a play
+    }
+
+    const now = Date.now();
+    play.reportedAt = now;
+    switch (report.event) {
+      case 'received':
+        play.receivedAt = play.receivedAt || now;
+        break;
+      case 'started':
+        play.status = 'playing';
+        play.receivedAt = play.receivedAt || now;
+        play.startedAt = play.startedAt || report.startedAt || now;
+        play.row = 0;
+        play.repeat = 0;
+        play.order = play.song ? play.song.entries[0] : null;
+        Object.assign(play, this.barBeatPosition(play, 0, 0));
+        break;
+      case 'position':
+        play.status = 'playing';
+        play.row = report.row;
+        play.repeat = report.repeat;
+        if (play.song && report.order !== undefined) {
+          play.order = play.song.entries[report.order]; // Client counts expanded positions
+        }
+        Object.assign(play, this.barBeatPosition(play, report.row, report.order));
+        break;
+      case 'finished':
+        play.status = 'finished';
+        play.endedAt = now;
+        break;
+      default:
+        throw new Error(`Unknown play event: ${report.event} (use received, started, position or finished)`);
+    }
+
+    return play;
+  }
+
+  /**
+   * Bar and beat of a reported position
+   *
+   * Songs count bars from the start of the order list (the row is inside the
+   * pattern at order position `orderPosition`), patterns from their first row.
+   *
+   * @returns {object} { bar, beat } (1-based; null without a row)
+   */
+  barBeatPosition(play, row, orderPosition = 0) {
+    if (!Number.isInteger(row) || row < 0) {
+      return { bar: null, beat: null };
+    }
+
+    let passRow = row;
+    if (play.song) {
+      const { patterns, order } = play.song;
+      for (let position = 0; position < Math.min(orderPosition, order.length); position++) {
+        passRow += patterns[order[position]].length;
+      }
+    }
+
+    const { bar, beat } = rowToBarBeat(passRow, createMeter(play));
+    return { bar, beat };
+  }
+
+  /**
+   * Expire a queued play nobody received in time, and a received play whose
+   * client stopped reporting (it would otherwise stay 'playing' forever)
+   */
+  refreshPlayStatus(play, now = Date.now()) {
+    if (play.status === 'queued' && !play.receivedAt && now - play.startTime > PLAY_EXPIRY_MS) {
+      play.status = 'expired';
+      play.endedAt = play.startTime + PLAY_EXPIRY_MS;
+    } else if (play.reportedAt && !ENDED_STATUSES.has(play.status) && now - play.reportedAt > PLAY_STALE_MS) {
+      play.status = 'expired';
+      play.endedAt = play.reportedAt + PLAY_STALE_MS;
+    }
+  }
+
+  /**
+   * Forget plays that ended long ago (records would otherwise live forever)
+   */
+  pruneEndedPlays(now = Date.now()) {
+    for (const [playId, play] of this.activePlays) {
+      this.refreshPlayStatus(play, now);
+      if (play.endedAt && now - play.endedAt > PLAY_RETENTION_MS) {
+        this.activePlays.delete(playId);
+      }
+    }
   }
 
   /**
-   * Stop and remove a play
+   * Stop a play
+   *
+   * Clients of the play's session receive a 'stop' event and cancel the
+   * sound they already scheduled. The record stays with status 'stopped'.
    *
    * @param {string} playId - Play ID
-   * @returns {boolean} True if play was found and removed
+   * @returns {boolean} True if play was found
    */
   stopPlay(playId) {
-    return this.activePlays.delete(playId);
+    const play = this.getPlay(playId);
+    if (!play) {
+      return false;
+    }
+
+    this.markStopped(play);
+    this.dropPendingPlays(play.session, pending => pending.playId === playId);
+    this.broadcast('stop', { playId }, play.session);
+    return true;
+  }
+
+  /**
+   * Mark a play stopped unless it already ended
+   */
+  markStopped(play) {
+    if (!ENDED_STATUSES.has(play.status)) {
+      play.status = 'stopped';
+      play.endedAt = Date.now();
+    }
+  }
+
+  /**
+   * Stop every play of a session
+   *
+   * @param {string} sessionId - Session ID (default: 'default')
+   * @returns {Array<string>} IDs of the stopped plays
+   */
+  stopAll(sessionId = DEFAULT_SESSION) {
+    const id = this.resolveSessionId(sessionId);
+    const stopped = [];
+
+    for (const [playId, play] of this.activePlays) {
+      this.refreshPlayStatus(play);
+      if (play.session === id && !ENDED_STATUSES.has(play.status)) {
+        this.markStopped(play);
+        stopped.push(playId);
+      }
+    }
+
+    this.dropPendingPlays(id, () => true);
+    this.broadcast('stop-all', { playIds: stopped }, id);
+    return stopped;
+  }
+
+  /**
+   * Pause playback of a session (sound freezes where it is)
+   *
+   * @param {string} sessionId - Session ID (default: 'default')
+   */
+  pause(sessionId = DEFAULT_SESSION) {
+    this.broadcast('pause', {}, sessionId);
   }
 
   /**
-   * Clear all plays
+   * Resume paused playback of a session
+   *
+   * @param {string} sessionId - Session ID (default: 'default')
+   */
+  resume(sessionId = DEFAULT_SESSION) {
+    this.broadcast('resume', {}, sessionId);
+  }
+
+  /**
+   * Clear all plays (every session)
    */
   clearAll() {
+    const sessionIds = new Set(this.sessions.keys());
+    for (const play of this.activePlays.values()) {
+      sessionIds.add(play.session);
+    }
+
+    for (const sessionId of sessionIds) {
+      this.stopAll(sessionId);
+    }
     this.activePlays.clear();
+    this.slots.clear();
   }
 
   /**
-   * Get and clear pending plays (for polling)
+   * Remove plays from a session's polling queue so pollers never start them
+   *
+   * @param {string} sessionId - Session ID
+   * @param {function} predicate - Returns true for plays to drop
+   */
+  dropPendingPlays(sessionId, predicate) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return;
+    }
+
+    session.pendingPlays = session.pendingPlays.filter(play => !predicate(play));
+    this.releaseSession(session);
+  }
+
+  /**
+   * Get and clear pending plays of a session (for polling)
+   *
+   * @param {string} sessionId - Session ID (default: 'default')
    * @returns {Array} Array of pending play data
    */
-  getPendingPlays() {
-    const pending = [...this.pendingPlays];
-    this.pendingPlays = [];
+  getPendingPlays(sessionId = DEFAULT_SESSION) {
+    const session = this.getSession(sessionId);
+    this.pruneStalePendingPlays(session);
+    const pending = session.pendingPlays;
+    session.pendingPlays = [];
+    this.releaseSession(session);
     return pending;
   }
 }
@@ -34,6 +34,25 @@ describe('PatternService', () => {
       expect(result.message).toContain('960 rows/min');
     });
 
+    test('should play chord symbols in one row', async () => {
+      const result = await service.playNotes(['Am7', 'C', { chord: 'G7/B', octave: 3, instrument: 'piano', volume: 40 }]);
+
+      expect(result.pattern).toHaveLength(3);
+      expect(result.pattern[0].map(step => step.note)).toEqual(['A-4', 'C-5', 'E-5', 'G-5']);
+      expect(result.pattern[1]).toEqual({ sample: 'ST-01', note: 'C-4', volume: 64 });
+      expect(result.pattern[2][0]).toEqual({ sample: 'piano', note: 'B-2', volume: 40 });
+    });
+
+    test('should normalize flats, MIDI numbers and frequencies', async () => {
+      const result = await service.playNotes(['Bb3', 60, { note: 'Cx', instrument: 'piano' }, '440 Hz']);
+
+      expect(result.pattern.map(step => step.note)).toEqual(['A#-3', 'C-4', 'D-4', '440Hz']);
+    });
+
+    test('should name the offending note', async () => {
+      await expect(service.playNotes(['C', 'D', 'H-4'])).rejects.toThrow('notes[2]: Invalid note: "H-4"');
+    });
+
     test('should handle per-note instrument override', async () => {
       const notes = [
         { note: 'C', instrument: 'ST-01' },
@@ -92,6 +111,373 @@ describe('PatternService', () => {
     });
   });
 
+  describe('playPattern', () => {
+    test('should add pattern play with defaults', () => {
+      const play = service.playPattern([[{ sample: '808-KICK', note: 'C-2' }]]);
+
+      expect(play.tempo).toBe(480);
+      expect(play.speed).toBe(6);
+      expect(play.repeat).toBe(1);
+      expect(service.pendingPlays).toHaveLength(1);
+      expect(service.getPlay(play.playId)).toMatchObject({ playId: play.playId, status: 'queued' });
+    });
+
+    test('should pass loop flag to clients', () => {
+      const play = service.playPattern([[{ sample: '808-KICK', note: 'C-2' }]], { loop: true });
+
+      expect(play.loop).toBe(true);
+      expect(service.pendingPlays[0].loop).toBe(true);
+    });
+
+    test('should throw error for non-array or empty rows', () => {
+      expect(() => service.playPattern('C')).toThrow('rows must be a non-empty array');
+      expect(() => service.playPattern([])).toThrow('rows must be a non-empty array');
+    });
+
+    test('should name the step of an invalid note and queue nothing', () => {
+      const rows = [[{ sample: '808-KICK', note: 'C-2' }], [null, { sample: 'ST-01', note: 'H9' }]];
+
+      expect(() => service.playPattern(rows)).toThrow('rows[1][1]: Invalid note: "H9"');
+      expect(() => service.setSlot('lead', rows)).toThrow('rows[1][1]: Invalid note: "H9"');
+      expect(service.pendingPlays).toHaveLength(0);
+    });
+
+    test('should accept note off, note cut and steps without a note', () => {
+      const rows = [[{ sample: 'ST-01', note: 'Bb3' }, { sample: '808-KICK' }], [{ note: '===' }, { note: '^^^' }]];
+
+      expect(service.playPattern(rows).pattern).toBe(rows);
+    });
+
+    test('should report position as bar and beat of the meter', () => {
+      const { playId } = service.playPattern([[]], { rowsPerBeat: 3, timeSignature: '3/4' });
+
+      service.reportPlayStatus(playId, { event: 'started' });
+      expect(service.getPlay(playId)).toMatchObject({ bar: 1, beat: 1, rowsPerBeat: 3, timeSignature: '3/4' });
+
+      service.reportPlayStatus(playId, { event: 'position', row: 16, repeat: 0 });
+      expect(service.getPlay(playId)).toMatchObject({ bar: 2, beat: 3 });
+    });
+
+    test('should pass groove to clients', () => {
+      const groove = { name: 'mpc', steps: [{ offset: 0, velocity: 1 }, { offset: 0.24, velocity: 1 }] };
+
+      expect(service.playPattern([[]], { groove }).groove).toEqual(groove);
+      expect(service.playPattern([[]]).groove).toBeNull();
+    });
+
+    test('should pass tuning to clients', () => {
+      const tuning = { name: '19-EDO', type: 'edo', divisions: 19, a4: 440 };
+
+      expect(service.playPattern([[]], { tuning }).tuning).toEqual(tuning);
+      expect(service.playPattern([[]]).tuning).toBeNull();
+    });
+
+    test('should pass humanize settings to clients', () => {
+      const humanize = { seed: 7, timing: 8, channels: [null, { bias: -5 }] };
+
+      expect(service.playPattern([[]], { humanize }).humanize).toEqual(humanize);
+      expect(service.playPattern([[]]).humanize).toBeNull();
+    });
+
+    test('should pass trig condition seed and fill to clients', () => {
+      expect(service.playPattern([[]], { seed: 42, fill: true })).toMatchObject({ seed: 42, fill: true });
+      expect(service.setSlot('drums', [[]], { seed: 7 })).toMatchObject({ seed: 7, fill: false });
+    });
+
+    test('should throw error for invalid meter', () => {
+      expect(() => service.playPattern([[]], { timeSignature: '4' })).toThrow('Invalid time signature: 4');
+    });
+  });
+
+  describe('playSong', () => {
+    const arrangement = {
+      patterns: [[[{ sample: '808-KICK', note: 'C-2' }]], [[{ sample: '808-SNARE', note: 'C-2' }]]],
+      names: ['intro', 'verse'],
+      order: [0, 1, 1],
+      entries: [2, 3, 3]
+    };
+
+    test('should add song play with order list', () => {
+      const play = service.playSong(arrangement, { songId: 'demo' });
+
+      expect(play.playId).toMatch(/^song_/);
+      expect(play.songId).toBe('demo');
+      expect(play.song.order).toEqual([0, 1, 1]);
+      expect(play.tempo).toBe(480);
+      expect(service.pendingPlays).toHaveLength(1);
+    });
+
+    test('should report position as song order entry', () => {
+      const { playId } = service.playSong(arrangement);
+
+      service.reportPlayStatus(playId, { event: 'started' });
+      expect(service.getPlay(playId).order).toBe(2);
+
+      service.reportPlayStatus(playId, { event: 'position', row: 0, repeat: 0, order: 2 });
+      expect(service.getPlay(playId).order).toBe(3);
+    });
+
+    test('should count bars from the start of the order list', () => {
+      const long = { patterns: [Array(16).fill([]), Array(8).fill([])], order: [0, 1] };
+      const { playId } = service.playSong(long);
+
+      service.reportPlayStatus(playId, { event: 'position', row: 4, repeat: 0, order: 1 });
+      expect(service.getPlay(playId)).toMatchObject({ bar: 2, beat: 2 });
+    });
+
+    test('should throw error for invalid arrangement', () => {
+      expect(() => service.playSong({ patterns: [[]], order: [0] })).toThrow('patterns must be an array of non-empty rows arrays');
+      expect(() => service.playSong({ patterns: arrangement.patterns, order: [5] })).toThrow('order must be a non-empty array of pattern indices');
+    });
+  });
+
+  describe('subscribe', () => {
+    test('should push every play to all subscribers', async () => {
+      const received1 = [];
+      const received2 = [];
+      service.subscribe(event => received1.push(event));
+      service.subscribe(event => received2.push(event));
+
+      await service.playNotes(['C']);
+      service.playPattern([[{ sample: '808-KICK', note: 'C-2' }]]);
+
+      expect(received1.map(e => e.type)).toEqual(['play', 'play']);
+      expect(received2).toHaveLength(2);
+      expect(received1[1].data.speed).toBe(6);
+    });
+
+    test('should stop delivering after unsubscribe', async () => {
+      const received = [];
+      const unsubscribe = service.subscribe(event => received.push(event));
+
+      await service.playNotes(['C']);
+      unsubscribe();
+      await service.playNotes(['D']);
+
+      expect(received).toHaveLength(1);
+    });
+
+    test('should keep delivering when one subscriber throws', async () => {
+      const received = [];
+      const consoleError = console.error;
+      console.error = () => {};
+      service.subscribe(() => { throw new Error('closed'); });
+      service.subscribe(event => received.push(event));
+
+      await service.playNotes(['C']);
+      console.error = consoleError;
+
+      expect(received).toHaveLength(1);
+    });
+  });
+
+  describe('play lifecycle', () => {
+    test('should start as queued', async () => {
+      const result = await service.playNotes(['C']);
+
+      expect(service.getPlay(result.playId).status).toBe('queued');
+    });
+
+    test('should follow client reports to finished', async () => {
+      const { playId } = await service.playNotes(['C', 'D']);
+
+      service.reportPlayStatus(playId, { event: 'received' });
+      expect(service.getPlay(playId).status).toBe('queued');
+
+      service.reportPlayStatus(playId, { event: 'started', startedAt: 1234 });
+      expect(service.getPlay(playId)).toMatchObject({ status: 'playing', startedAt: 1234, row: 0 });
+
+      service.reportPlayStatus(playId, { event: 'position', row: 1, repeat: 0 });
+      expect(service.getPlay(playId).row).toBe(1);
+
+      service.reportPlayStatus(playId, { event: 'finished' });
+      expect(service.getPlay(playId).status).toBe('finished');
+    });
+
+    test('should not revive a stopped play from late reports', async () => {
+      const { playId } = await service.playNotes(['C']);
+
+      service.stopPlay(playId);
+      service.reportPlayStatus(playId, { event: 'started' });
+
+      expect(service.getPlay(playId).status).toBe('stopped');
+    });
+
+    test('should expire plays no client received', async () => {
+      const { playId } = await service.playNotes(['C']);
+      service.activePlays.get(playId).startTime -= 60000;
+
+      expect(service.getPlay(playId).status).toBe('expired');
+    });
+
+    test('should expire received and playing plays whose client stopped reporting', async () => {
+      const { playId: received } = await service.playNotes(['C']);
+      const { playId: looping } = service.playPattern([[]], { loop: true });
+      service.reportPlayStatus(received, { event: 'received' });
+      service.reportPlayStatus(looping, { event: 'started' });
+      service.reportPlayStatus(looping, { event: 'position', row: 0, repeat: 3 });
+
+      expect(service.getPlay(looping).status).toBe('playing');
+      for (const playId of [received, looping]) {
+        service.activePlays.get(playId).reportedAt -= 5 * 60 * 1000;
+        expect(service.getPlay(playId).status).toBe('expired');
+      }
+    });
+
+    test('should forget plays whose client stopped reporting long ago', async () => {
+      const { playId } = service.playPattern([[]], { loop: true });
+      service.reportPlayStatus(playId, { event: 'started' });
+      service.activePlays.get(playId).reportedAt -= 60 * 60 * 1000;
+
+      await service.playNotes(['D']);
+
+      expect(service.getPlay(playId)).toBeNull();
+    });
+
+    test('should forget plays that ended long ago', async () => {
+      const { playId } = await service.playNotes(['C']);
+      service.stopPlay(playId);
+      service.activePlays.get(playId).endedAt -= 60 * 60 * 1000;
+
+      await service.playNotes(['D']);
+
+      expect(service.getPlay(playId)).toBeNull();
+    });
+
+    test('should reject unknown events', async () => {
+      const { playId } = await service.playNotes(['C']);
+
+      expect(() => service.reportPlayStatus(playId, { event: 'exploded' })).toThrow('Unknown play event');
+    });
+
+    test('should return null for unknown play', () => {
+      expect(service.reportPlayStatus('nope', { event: 'started' })).toBeNull();
+    });
+  });
+
+  describe('slots', () => {
+    const drums = [[{ sample: '808-KICK', note: 'C-2' }], [{ sample: '808-SNARE', note: 'C-2' }]];
+
+    test('should start a looping play in a new slot', () => {
+      const play = service.setSlot('drums', drums);
+
+      expect(play.slot).toBe('drums');
+      expect(play.loop).toBe(true);
+      expect(play.quantize).toBe('bar');
+      expect(play.rowsPerBar).toBe(16);
+      expect(play.replaces).toBeNull();
+    });
+
+    test('should size bars from the time signature', () => {
+      expect(service.setSlot('waltz', drums, { timeSignature: '3/4' }).rowsPerBar).toBe(12);
+      expect(service.setSlot('seven', drums, { rowsPerBeat: 2, timeSignature: '7/8', rowsPerBar: 7 }).rowsPerBar).toBe(7);
+    });
+
+    test('should replace the running play of a slot', () => {
+      const first = service.setSlot('drums', drums);
+      const second = service.setSlot('drums', drums, { quantize: 'pattern' });
+
+      expect(second.replaces).toBe(first.playId);
+      expect(second.quantize).toBe('pattern');
+      expect(service.listSlots()).toHaveLength(1);
+      expect(service.listSlots()[0].playId).toBe(second.playId);
+    });
+
+    test('should not replace a stopped slot play', () => {
+      const first = service.setSlot('drums', drums);
+      service.stopPlay(first.playId);
+
+      expect(service.setSlot('drums', drums).replaces).toBeNull();
+    });
+
+    test('should keep slots per session', () => {
+      service.setSlot('drums', drums, { session: 'alice' });
+
+      expect(service.listSlots('alice')).toHaveLength(1);
+      expect(service.listSlots()).toHaveLength(0);
+    });
+
+    test('should clear a slot and stop its play', () => {
+      const play = service.setSlot('drums', drums);
+
+      expect(service.clearSlot('drums')).toBe(true);
+      expect(service.getPlay(play.playId).status).toBe('stopped');
+      expect(service.clearSlot('drums')).toBe(false);
+    });
+
+    test('should stop the running loop when a slot is cleared during a pending swap', () => {
+      const first = service.setSlot('drums', drums);
+      service.reportPlayStatus(first.playId, { event: 'started' });
+      const second = service.setSlot('drums', drums);
+      const third = service.setSlot('drums', drums);
+
+      expect(service.listSlots()[0].replacing).toEqual([second.playId, first.playId]);
+      expect(service.clearSlot('drums')).toBe(true);
+      for (const play of [first, second, third]) {
+        expect(service.getPlay(play.playId).status).toBe('stopped');
+      }
+    });
+
+    test('should reject invalid slot name, quantize and rowsPerBar', () => {
+      expect(() => service.setSlot('my slot', drums)).toThrow('Invalid slot name');
+      expect(() => service.setSlot('drums', drums, { quantize: 'beat' })).toThrow('Invalid quantize');
+      for (const rowsPerBar of ['x', 0, -16, 1.5]) {
+        expect(() => service.setSlot('drums', drums, { rowsPerBar })).toThrow('Invalid rowsPerBar');
+      }
+      expect(service.listSlots()).toEqual([]);
+    });
+
+    test('should swap on bars of rowsPerBar rows, or of the meter without it', () => {
+      expect(service.setSlot('drums', drums, { rowsPerBar: 12 }).rowsPerBar).toBe(12);
+      expect(service.setSlot('bass', drums, { timeSignature: '3/4' }).rowsPerBar).toBe(12);
+      expect(service.setSlot('keys', drums).rowsPerBar).toBe(16);
+    });
+  });
+
+  describe('sessions', () => {
+    test('should deliver plays only to subscribers of the target session', async () => {
+      const alice = [];
+      const bob = [];
+      service.subscribe(event => alice.push(event), 'alice');
+      service.subscribe(event => bob.push(event), 'bob');
+
+      await service.playNotes(['C'], { session: 'alice' });
+      service.playPattern([[{ sample: '808-KICK', note: 'C-2' }]], { session: 'bob' });
+
+      expect(alice).toHaveLength(1);
+      expect(alice[0].data.session).toBe('alice');
+      expect(bob).toHaveLength(1);
+      expect(bob[0].data.session).toBe('bob');
+    });
+
+    test('should keep separate pending queues per session', async () => {
+      await service.playNotes(['C'], { session: 'alice' });
+      await service.playNotes(['D']);
+
+      expect(service.getPendingPlays('alice')).toHaveLength(1);
+      expect(service.getPendingPlays('bob')).toHaveLength(0);
+      expect(service.getPendingPlays()).toHaveLength(1);
+    });
+
+    test('should use default session when none given', async () => {
+      const result = await service.playNotes(['C']);
+
+      expect(result.session).toBe('default');
+    });
+
+    test('should forget idle sessions after unsubscribe', () => {
+      const unsubscribe = service.subscribe(() => {}, 'alice');
+      expect(service.sessions.has('alice')).toBe(true);
+
+      unsubscribe();
+      expect(service.sessions.has('alice')).toBe(false);
+    });
+
+    test('should reject invalid session id', async () => {
+      await expect(service.playNotes(['C'], { session: '../etc' })).rejects.toThrow('Invalid session id');
+    });
+  });
+
   describe('formatNote', () => {
     test('should format note without octave', () => {
       expect(service.formatNote('C', 4)).toBe('C-4');
@@ -107,6 +493,11 @@ describe('PatternService', () => {
       expect(service.formatNote('C-4', 5)).toBe('C-4');
       expect(service.formatNote('D#-3', 2)).toBe('D#-3');
     });
+
+    test('should write flats and negative octaves as tracker notes', () => {
+      expect(service.formatNote('Db', 4)).toBe('C#-4');
+      expect(service.formatNote('C--1', 4)).toBe('C--1');
+    });
   });
 
   describe('getPendingPlays', () => {
@@ -127,6 +518,13 @@ describe('PatternService', () => {
       const pending = service.getPendingPlays();
       expect(pending).toEqual([]);
     });
+
+    test('should drop stale plays nobody polled', async () => {
+      await service.playNotes(['C']);
+      service.pendingPlays[0].startTime -= 60000;
+
+      expect(service.getPendingPlays()).toEqual([]);
+    });
   });
 
   describe('activePlays tracking', () => {
@@ -145,7 +543,45 @@ describe('PatternService', () => {
       expect(stopped).toBe(true);
 
       const play = service.getPlay(result.playId);
-      expect(play).toBeNull();
+      expect(play.status).toBe('stopped');
+    });
+
+    test('should broadcast stop to the play session', async () => {
+      const events = [];
+      service.subscribe(event => events.push(event), 'alice');
+      const result = await service.playNotes(['C'], { session: 'alice' });
+
+      service.stopPlay(result.playId);
+
+      expect(events[1]).toEqual({ type: 'stop', data: { playId: result.playId } });
+      expect(service.getPendingPlays('alice')).toEqual([]);
+    });
+
+    test('should return false when stopping unknown play', () => {
+      expect(service.stopPlay('nope')).toBe(false);
+    });
+
+    test('should stop all plays of one session only', async () => {
+      const events = [];
+      service.subscribe(event => events.push(event), 'alice');
+      const a = await service.playNotes(['C'], { session: 'alice' });
+      const b = await service.playNotes(['D'], { session: 'bob' });
+
+      const stopped = service.stopAll('alice');
+
+      expect(stopped).toEqual([a.playId]);
+      expect(events[1].type).toBe('stop-all');
+      expect(service.getPlay(b.playId).status).toBe('queued');
+    });
+
+    test('should broadcast pause and resume', () => {
+      const events = [];
+      service.subscribe(event => events.push(event));
+
+      service.pause();
+      service.resume();
+
+      expect(events.map(e => e.type)).toEqual(['pause', 'resume']);
     });
 
     test('should clear all plays', async () => {
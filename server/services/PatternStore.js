@@ -0,0 +1,85 @@
+/**
+ * PatternStore: Persistent pattern library backed by JSON files
+ *
+ * Each pattern is one file (<id>.json) in the library directory (see
+ * JsonFileStore).
+ *
+ * Pattern format:
+ *   {
+ *     id, name, tags: [], bpm, speed, rowsPerBeat, timeSignature, groove, humanize, tuning,
+ *     rows: [[{ sample, note, volume, delay }], ...],
+ *     createdAt, updatedAt
+ *   }
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { JsonFileStore } from './JsonFileStore.js';
+import { DEFAULT_ROWS_PER_BEAT, DEFAULT_TIME_SIGNATURE, createMeter } from '../../shared/meter.js';
+import { validateGroove } from '../../shared/groove.js';
+import { resolveHumanize } from '../../shared/humanize.js';
+import { resolveTuning } from '../../shared/tuning.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_DIRECTORY = path.join(__dirname, '../../data/patterns');
+
+export class PatternStore extends JsonFileStore {
+  constructor(options = {}) {
+    super({
+      directory: options.directory || DEFAULT_DIRECTORY,
+      fields: ['name', 'tags', 'bpm', 'speed', 'rowsPerBeat', 'timeSignature', 'groove', 'humanize', 'tuning', 'rows'],
+      defaults: {
+        tags: [], bpm: 120, speed: 6, rowsPerBeat: DEFAULT_ROWS_PER_BEAT, timeSignature: DEFAULT_TIME_SIGNATURE, groove: null,
+        humanize: null, tuning: null
+      },
+      fallbackId: 'pattern'
+    });
+  }
+
+  /**
+   * Check required fields and types
+   */
+  validate(data) {
+    super.validate(data);
+    if (!Array.isArray(data.rows)) {
+      throw new Error('rows must be an array');
+    }
+    validateMetadata(data);
+    if (data.humanize !== undefined && data.humanize !== null) {
+      resolveHumanize(data.humanize); // Without a seed, every play is a new take
+    }
+  }
+
+  /**
+   * List entry: metadata with rowCount instead of rows
+   */
+  summarize({ rows, ...metadata }) {
+    return { ...metadata, rowCount: rows.length };
+  }
+}
+
+/**
+ * Check the optional metadata shared by patterns and songs
+ * (tags, bpm, speed, rowsPerBeat, timeSignature, groove, tuning)
+ */
+export function validateMetadata(data) {
+  if (data.tags !== undefined && (!Array.isArray(data.tags) || !data.tags.every(tag => typeof tag === 'string'))) {
+    throw new Error('tags must be an array of strings');
+  }
+  for (const field of ['bpm', 'speed']) {
+    if (data[field] !== undefined && !(typeof data[field] === 'number' && data[field] > 0)) {
+      throw new Error(`${field} must be a positive number`);
+    }
+  }
+  createMeter(data); // Throws for an invalid rowsPerBeat/timeSignature
+  if (data.groove !== undefined && data.groove !== null && typeof data.groove !== 'string') {
+    validateGroove(data.groove); // Inline groove (a string is a groove library ID)
+  }
+  if (data.tuning !== undefined && data.tuning !== null && typeof data.tuning !== 'string') {
+    resolveTuning(data.tuning); // Inline tuning (a string is a tuning library ID)
+  }
+}
+
+export default PatternStore;
@@ -0,0 +1,121 @@
+/**
+ * Unit tests for PatternStore
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PatternStore } from './PatternStore.js';
+
+describe('PatternStore', () => {
+  let directory;
+  let store;
+
+  const rows = [
+    [{ sample: '808-KICK', note: 'C-2' }],
+    [{ sample: '808-SNARE', note: 'C-2' }]
+  ];
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'noisecanvas-patterns-'));
+    store = new PatternStore({ directory });
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe('create', () => {
+    test('should create pattern with defaults', () => {
+      const pattern = store.create({ name: 'Basic Beat', rows });
+
+      expect(pattern.id).toBe('basic-beat');
+      expect(pattern.bpm).toBe(120);
+      expect(pattern.speed).toBe(6);
+      expect(pattern.tags).toEqual([]);
+      expect(pattern.rowsPerBeat).toBe(4);
+      expect(pattern.timeSignature).toBe('4/4');
+      expect(pattern.createdAt).toBe(pattern.updatedAt);
+      expect(fs.existsSync(path.join(directory, 'basic-beat.json'))).toBe(true);
+    });
+
+    test('should give duplicate names a unique id', () => {
+      store.create({ name: 'Beat', rows });
+      const second = store.create({ name: 'Beat', rows });
+
+      expect(second.id).toBe('beat-2');
+    });
+
+    test('should throw error for invalid pattern data', () => {
+      expect(() => store.create({ rows })).toThrow('name must be a non-empty string');
+      expect(() => store.create({ name: 'x' })).toThrow('rows must be an array');
+      expect(() => store.create({ name: 'x', rows, tags: 'drums' })).toThrow('tags must be an array of strings');
+      expect(() => store.create({ name: 'x', rows, bpm: -1 })).toThrow('bpm must be a positive number');
+      expect(() => store.create({ name: 'x', rows, rowsPerBeat: 0 })).toThrow('rowsPerBeat must be a positive integer');
+      expect(() => store.create({ name: 'x', rows, timeSignature: '3-4' })).toThrow('Invalid time signature: 3-4');
+      expect(() => store.create({ name: 'x', rows, groove: { type: 'mpc', amount: 90 } })).toThrow('MPC swing amount');
+      expect(() => store.create({ name: 'x', rows, humanize: { timing: 500 } })).toThrow('humanize timing must be a number');
+      expect(() => store.create({ name: 'x', rows, tuning: { divisions: 0 } })).toThrow('divisions must be an integer');
+    });
+  });
+
+  describe('get and list', () => {
+    test('should return stored pattern or null', () => {
+      const created = store.create({ name: 'Groove', rows, bpm: 90, tags: ['lofi'] });
+
+      expect(store.get(created.id)).toEqual(created);
+      expect(store.get('missing')).toBeNull();
+    });
+
+    test('should return null for unsafe ids', () => {
+      expect(store.get('../package')).toBeNull();
+    });
+
+    test('should list metadata newest first', () => {
+      store.create({ name: 'Old', rows });
+      const newer = store.create({ name: 'New', rows, tags: ['drums'] });
+      store.update(newer.id, { bpm: 100 });
+
+      const list = store.list();
+
+      expect(list.map(p => p.id)).toEqual(['new', 'old']);
+      expect(list[0].rowCount).toBe(2);
+      expect(list[0].rows).toBeUndefined();
+    });
+
+    test('should filter list by tag', () => {
+      store.create({ name: 'Drums', rows, tags: ['drums'] });
+      store.create({ name: 'Keys', rows, tags: ['keys'] });
+
+      expect(store.list({ tag: 'drums' }).map(p => p.id)).toEqual(['drums']);
+    });
+
+    test('should return empty list without directory', () => {
+      const missing = new PatternStore({ directory: path.join(directory, 'nope') });
+      expect(missing.list()).toEqual([]);
+    });
+  });
+
+  describe('update and delete', () => {
+    test('should update given fields and keep the rest', () => {
+      const created = store.create({ name: 'Beat', rows, bpm: 90 });
+
+      const updated = store.update(created.id, { bpm: 140, id: 'hijack' });
+
+      expect(updated.id).toBe(created.id);
+      expect(updated.bpm).toBe(140);
+      expect(updated.rows).toEqual(rows);
+      expect(updated.createdAt).toBe(created.createdAt);
+      expect(updated.updatedAt).toBeGreaterThan(created.updatedAt);
+      expect(store.update('missing', { bpm: 1 })).toBeNull();
+    });
+
+    test('should delete pattern', () => {
+      const created = store.create({ name: 'Beat', rows });
+
+      expect(store.delete(created.id)).toBe(true);
+      expect(store.get(created.id)).toBeNull();
+      expect(store.delete(created.id)).toBe(false);
+    });
+  });
+});
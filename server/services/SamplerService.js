@@ -8,17 +8,37 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { NOTE_CUT, NOTE_OFF, parseEffect } from '../../shared/tracker-effects.js';
+import { validateTrig } from '../../shared/trig-conditions.js';
+import { parseNote } from '../../shared/notes.js';
+import { modSampleRate } from '../../shared/mod.js';
+import { parseModule } from '../../shared/module-import.js';
+import { parseWav } from '../../shared/wav.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Sample paths (/data/samples/...) are served from the project directory
+const PROJECT_DIRECTORY = path.join(__dirname, '../..');
+
 export class SamplerService {
+  /**
+   * @param {object} options
+   * @param {ModuleStore} options.modules - Imported modules whose samples are registered too
+   */
   constructor(options = {}) {
     // Available samples registry
     this.samples = new Map();
+    this.modules = options.modules || null;
 
     // Initialize with default samples
     this.registerDefaultSamples();
+
+    if (options.modules) {
+      for (const { id } of options.modules.list()) {
+        this.registerModule(options.modules.get(id));
+      }
+    }
   }
 
   /**
@@ -123,6 +143,39 @@ export class SamplerService {
     this.samples.set(id, metadata);
   }
 
+  /**
+   * Register the samples of an imported module (see ModuleStore)
+   *
+   * Their path is the module file: clients extract the sample data from it
+   * and play the base note at sampleRate (a MOD's C-2 at the Amiga's period
+   * 428, an S3M's C-4 at its C2SPD, an XM's at 8363 Hz); XM samples keep
+   * their instrument's envelopes and fadeout.
+   *
+   * @param {object} module - Stored module { id, name, type, format, path, samples }
+   * @returns {string[]} Registered sample IDs
+   */
+  registerModule(module) {
+    for (const sample of module.samples) {
+      this.registerSample(sample.id, {
+        name: sample.id,
+        displayName: `${module.name}: ${sample.name || `Sample ${sample.index}`}`,
+        path: module.path,
+        baseNote: sample.baseNote,
+        type: 'module',
+        loopStart: sample.loopStart,
+        loopLength: sample.loopLength,
+        volume: sample.volume,
+        // Modules imported before S3M/XM support only stored the finetune
+        sampleRate: sample.sampleRate ?? modSampleRate(sample.finetune),
+        volumeEnvelope: sample.volumeEnvelope,
+        panningEnvelope: sample.panningEnvelope,
+        fadeout: sample.fadeout,
+        module: { id: module.id, type: module.type, format: module.format, index: sample.index }
+      });
+    }
+    return module.samples.map(sample => sample.id);
+  }
+
   /**
    * Get sample metadata
    *
@@ -133,6 +186,42 @@ export class SamplerService {
     return this.samples.get(id) || null;
   }
 
+  /**
+   * Read the audio of a sample on the server (for exports): the WAV file of
+   * a manifest sample, or the sample data of an imported module
+   *
+   * @param {string} id - Sample identifier
+   * @param {Map} [parsed] - Parsed modules by module id, shared across the calls of one export so each module file is parsed once
+   * @returns {object} { data (Float32Array, mono, -1 to 1), sampleRate (of the base note), baseNote, loopStart, loopLength }
+   */
+  readSampleAudio(id, parsed = new Map()) {
+    const sample = this.getSample(id);
+    if (!sample) {
+      throw new Error(`Sample not found: ${id}`);
+    }
+    const { baseNote, loopStart, loopLength } = sample;
+
+    if (sample.module) {
+      const module = this.modules && this.modules.get(sample.module.id);
+      if (!module) {
+        throw new Error(`Module of sample ${id} not found: ${sample.module.id}`);
+      }
+      if (!parsed.has(sample.module.id)) {
+        parsed.set(sample.module.id, parseModule(fs.readFileSync(this.modules.moduleFile(module))));
+      }
+      const { data } = parsed.get(sample.module.id).samples[sample.module.index - 1];
+      const scale = data instanceof Int16Array ? 32768 : 128;
+      return { data: Float32Array.from(data, value => value / scale), sampleRate: sample.sampleRate, baseNote, loopStart, loopLength };
+    }
+
+    const filePath = path.join(PROJECT_DIRECTORY, sample.path);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Sample file not found: ${sample.path} (${id})`);
+    }
+    const { data, sampleRate } = parseWav(fs.readFileSync(filePath));
+    return { data, sampleRate, baseNote, loopStart, loopLength };
+  }
+
   /**
    * Get all available samples
    *
@@ -153,23 +242,57 @@ export class SamplerService {
   }
 
   /**
-   * Validate that all samples in a pattern exist
+   * Validate that all samples in a pattern exist and all notes, effects and
+   * trig conditions are playable
    *
-   * @param {Array} pattern - Pattern array with sample references
-   * @returns {object} Validation result { valid: boolean, missingSamples: [] }
+   * @param {Array} pattern - Pattern rows (arrays of steps) or single steps
+   * @returns {object} Validation result { valid: boolean, missingSamples: [], invalidNotes: [{ row, channel, note, error }],
+   *   invalidEffects: [{ row, channel, effect, error }], invalidConditions: [{ row, channel, error }] }
    */
   validatePattern(pattern) {
     const missingSamples = new Set();
+    const invalidNotes = [];
+    const invalidEffects = [];
+    const invalidConditions = [];
 
-    pattern.forEach(step => {
-      if (step && step.sample && !this.hasSample(step.sample)) {
-        missingSamples.add(step.sample);
-      }
+    pattern.forEach((row, rowIndex) => {
+      const steps = Array.isArray(row) ? row : [row];
+      steps.forEach((step, channel) => {
+        if (!step) {
+          return;
+        }
+        if (step.sample && !this.hasSample(step.sample)) {
+          missingSamples.add(step.sample);
+        }
+        if (step.note !== undefined && step.note !== NOTE_OFF && step.note !== NOTE_CUT) {
+          try {
+            parseNote(step.note);
+          } catch (error) {
+            invalidNotes.push({ row: rowIndex, channel, note: step.note, error: error.message });
+          }
+        }
+        if (step.effect !== undefined) {
+          try {
+            parseEffect(step.effect);
+          } catch (error) {
+            invalidEffects.push({ row: rowIndex, channel, effect: step.effect, error: error.message });
+          }
+        }
+        try {
+          validateTrig(step);
+        } catch (error) {
+          invalidConditions.push({ row: rowIndex, channel, error: error.message });
+        }
+      });
     });
 
     return {
-      valid: missingSamples.size === 0,
-      missingSamples: Array.from(missingSamples)
+      valid: missingSamples.size === 0 && invalidNotes.length === 0 && invalidEffects.length === 0 &&
+        invalidConditions.length === 0,
+      missingSamples: Array.from(missingSamples),
+      invalidNotes,
+      invalidEffects,
+      invalidConditions
     };
   }
 }
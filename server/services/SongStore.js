@@ -0,0 +1,234 @@
+/**
+ * SongStore: Song arrangements backed by JSON files
+ *
+ * A song is a pool of named patterns plus an order list, like a MOD order
+ * table. Pool entries hold rows, or the ID of a pattern in the pattern library
+ * (resolved when the song is played). Order entries name a pool pattern, with
+ * an optional repeat count. Tempo ramps change the tempo row by row between
+ * two song positions (order entry + row, first pass of a repeated entry).
+ *
+ * Song format:
+ *   {
+ *     id, name, tags: [], bpm, speed, rowsPerBeat, timeSignature, groove, tuning,
+ *     patterns: { intro: [[...rows]], verse: 'lofi-verse' },
+ *     order: ['intro', { pattern: 'verse', repeat: 2 }, 'intro'],
+ *     tempoRamps: [{ from: { order: 1, row: 0 }, to: { order: 2, row: 15 }, bpm: 90, curve: 'linear' }],
+ *     createdAt, updatedAt
+ *   }
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { JsonFileStore } from './JsonFileStore.js';
+import { validateMetadata } from './PatternStore.js';
+import { DEFAULT_ROWS_PER_BEAT, DEFAULT_TIME_SIGNATURE } from '../../shared/meter.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_DIRECTORY = path.join(__dirname, '../../data/arrangements');
+
+// How tempo moves between the two ends of a ramp
+const RAMP_CURVES = ['linear', 'exponential'];
+
+export class SongStore extends JsonFileStore {
+  /**
+   * @param {object} options
+   * @param {string} options.directory - Library directory (default: data/arrangements)
+   * @param {PatternStore} options.patterns - Pattern library for pool references
+   */
+  constructor(options = {}) {
+    super({
+      directory: options.directory || DEFAULT_DIRECTORY,
+      fields: ['name', 'tags', 'bpm', 'speed', 'rowsPerBeat', 'timeSignature', 'groove', 'tuning', 'patterns', 'order', 'tempoRamps'],
+      defaults: {
+        tags: [], bpm: 120, speed: 6, rowsPerBeat: DEFAULT_ROWS_PER_BEAT, timeSignature: DEFAULT_TIME_SIGNATURE, groove: null, tuning: null,
+        tempoRamps: []
+      },
+      fallbackId: 'song'
+    });
+    this.patternStore = options.patterns || null;
+  }
+
+  /**
+   * Check required fields and types
+   */
+  validate(data) {
+    super.validate(data);
+    validateMetadata(data);
+
+    const pool = data.patterns;
+    if (!pool || typeof pool !== 'object' || Array.isArray(pool) || Object.keys(pool).length === 0) {
+      throw new Error('patterns must be an object of named patterns');
+    }
+    for (const [name, entry] of Object.entries(pool)) {
+      if (typeof entry !== 'string' && !(Array.isArray(entry) && entry.length > 0)) {
+        throw new Error(`Pattern '${name}' must be a non-empty rows array or a pattern library ID`);
+      }
+    }
+
+    if (!Array.isArray(data.order) || data.order.length === 0) {
+      throw new Error('order must be a non-empty array');
+    }
+    data.order.forEach((entry, index) => {
+      const { pattern, repeat } = normalizeOrderEntry(entry);
+      if (typeof pattern !== 'string' || !Object.hasOwn(pool, pattern)) {
+        throw new Error(`Order entry ${index} refers to unknown pattern: ${pattern}`);
+      }
+      if (!Number.isInteger(repeat) || repeat < 1) {
+        throw new Error(`Order entry ${index} repeat must be a positive integer`);
+      }
+    });
+
+    if (data.tempoRamps !== undefined) {
+      validateTempoRamps(data.tempoRamps, data.order.length);
+    }
+  }
+
+  /**
+   * List entry: metadata with pattern names instead of the pool
+   */
+  summarize({ patterns, ...metadata }) {
+    return { ...metadata, patternNames: Object.keys(patterns) };
+  }
+
+  /**
+   * Turn a song into what the scheduler plays: a pattern list and a flat order
+   * of indices into it (repeat counts expanded)
+   *
+   * Tempo ramps become absolute rows of the arrangement; ramps that don't lie
+   * completely inside the played part are left out.
+   *
+   * @param {object} song - Stored song
+   * @param {object} options
+   * @param {number} options.startOrder - First order entry to play (default: 0)
+   * @param {number} options.numOrders - Number of order entries to play (default: to the end)
+   * @returns {object} { patterns: [rows], names: [name], order: [index], entries: [song order entry of each position], tempoRamps: [{ startRow, endRow, bpm, curve }] }
+   */
+  arrange(song, options = {}) {
+    const startOrder = options.startOrder ?? 0;
+    const numOrders = options.numOrders ?? song.order.length - startOrder;
+
+    if (!Number.isInteger(startOrder) || startOrder < 0 || startOrder >= song.order.length) {
+      throw new Error(`startOrder must be an integer from 0 to ${song.order.length - 1}`);
+    }
+    if (!Number.isInteger(numOrders) || numOrders < 1) {
+      throw new Error('numOrders must be a positive integer');
+    }
+
+    const names = [];
+    const patterns = [];
+    const order = [];
+    const entries = [];
+    const end = Math.min(startOrder + numOrders, song.order.length);
+    for (let entryIndex = startOrder; entryIndex < end; entryIndex++) {
+      const { pattern: name, repeat } = normalizeOrderEntry(song.order[entryIndex]);
+      if (!names.includes(name)) {
+        names.push(name);
+        patterns.push(this.resolvePattern(song, name));
+      }
+      for (let i = 0; i < repeat; i++) {
+        order.push(names.indexOf(name));
+        entries.push(entryIndex);
+      }
+    }
+
+    const tempoRamps = this.arrangeTempoRamps(song, { patterns, order, entries });
+
+    return { patterns, names, order, entries, tempoRamps };
+  }
+
+  /**
+   * Convert song positions of tempo ramps into rows counted from the start of
+   * an arrangement
+   */
+  arrangeTempoRamps(song, { patterns, order, entries }) {
+    // First row of each arrangement position
+    const positionRows = [];
+    let rowCount = 0;
+    for (const index of order) {
+      positionRows.push(rowCount);
+      rowCount += patterns[index].length;
+    }
+
+    const toRow = ({ order: entry, row }) => {
+      const position = entries.indexOf(entry);
+      if (position === -1) {
+        return null; // Outside the played part
+      }
+      const length = patterns[order[position]].length;
+      if (row >= length) {
+        throw new Error(`Tempo ramp row ${row} is past the end of order entry ${entry} (${length} rows)`);
+      }
+      return positionRows[position] + row;
+    };
+
+    return (song.tempoRamps || []).flatMap(ramp => {
+      const startRow = toRow(ramp.from);
+      const endRow = toRow(ramp.to);
+      if (startRow === null || endRow === null) {
+        return [];
+      }
+      return [{ startRow, endRow, bpm: ramp.bpm, curve: ramp.curve || 'linear' }];
+    });
+  }
+
+  /**
+   * Rows of a pool pattern (looking up pattern library references)
+   */
+  resolvePattern(song, name) {
+    const entry = song.patterns[name];
+    if (Array.isArray(entry)) {
+      return entry;
+    }
+
+    const stored = this.patternStore ? this.patternStore.get(entry) : null;
+    if (!stored) {
+      throw new Error(`Pattern '${name}' refers to missing library pattern: ${entry}`);
+    }
+    if (stored.rows.length === 0) {
+      throw new Error(`Pattern '${name}' refers to empty library pattern: ${entry}`);
+    }
+    return stored.rows;
+  }
+}
+
+/**
+ * Check tempo ramps: [{ from: { order, row }, to: { order, row }, bpm, curve }]
+ */
+function validateTempoRamps(tempoRamps, orderLength) {
+  if (!Array.isArray(tempoRamps)) {
+    throw new Error('tempoRamps must be an array');
+  }
+
+  tempoRamps.forEach((ramp, index) => {
+    for (const end of ['from', 'to']) {
+      const position = ramp?.[end];
+      if (!position || !Number.isInteger(position.order) || position.order < 0 || position.order >= orderLength ||
+          !Number.isInteger(position.row) || position.row < 0) {
+        throw new Error(`Tempo ramp ${index} ${end} must be { order, row } inside the order list`);
+      }
+    }
+    if (ramp.to.order < ramp.from.order || (ramp.to.order === ramp.from.order && ramp.to.row <= ramp.from.row)) {
+      throw new Error(`Tempo ramp ${index} must end after it starts`);
+    }
+    if (!(typeof ramp.bpm === 'number' && ramp.bpm > 0)) {
+      throw new Error(`Tempo ramp ${index} bpm must be a positive number`);
+    }
+    if (ramp.curve !== undefined && !RAMP_CURVES.includes(ramp.curve)) {
+      throw new Error(`Tempo ramp ${index} curve must be ${RAMP_CURVES.join(' or ')}`);
+    }
+  });
+}
+
+/**
+ * Order entries are a pattern name or { pattern, repeat }
+ */
+function normalizeOrderEntry(entry) {
+  if (typeof entry === 'string') {
+    return { pattern: entry, repeat: 1 };
+  }
+  return { pattern: entry?.pattern, repeat: entry?.repeat ?? 1 };
+}
+
+export default SongStore;
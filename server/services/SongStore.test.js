@@ -0,0 +1,118 @@
+/**
+ * Unit tests for SongStore
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PatternStore } from './PatternStore.js';
+import { SongStore } from './SongStore.js';
+
+describe('SongStore', () => {
+  let directory;
+  let patterns;
+  let store;
+
+  const kick = [[{ sample: '808-KICK', note: 'C-2' }], []];
+  const snare = [[{ sample: '808-SNARE', note: 'C-2' }], []];
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'noisecanvas-songs-'));
+    patterns = new PatternStore({ directory: path.join(directory, 'patterns') });
+    store = new SongStore({ directory: path.join(directory, 'songs'), patterns });
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe('create', () => {
+    test('should create song with defaults', () => {
+      const song = store.create({ name: 'Demo Song', patterns: { intro: kick }, order: ['intro'] });
+
+      expect(song.id).toBe('demo-song');
+      expect(song.bpm).toBe(120);
+      expect(song.speed).toBe(6);
+      expect(store.get('demo-song')).toEqual(song);
+    });
+
+    test('should list songs with pattern names', () => {
+      store.create({ name: 'Demo', patterns: { intro: kick, verse: snare }, order: ['intro', 'verse'] });
+
+      const [song] = store.list();
+
+      expect(song.patternNames).toEqual(['intro', 'verse']);
+      expect(song.patterns).toBeUndefined();
+    });
+
+    test('should throw error for invalid song data', () => {
+      expect(() => store.create({ name: 'x', order: ['intro'] })).toThrow('patterns must be an object of named patterns');
+      expect(() => store.create({ name: 'x', patterns: { intro: [] }, order: ['intro'] })).toThrow("Pattern 'intro' must be");
+      expect(() => store.create({ name: 'x', patterns: { intro: kick }, order: [] })).toThrow('order must be a non-empty array');
+      expect(() => store.create({ name: 'x', patterns: { intro: kick }, order: ['verse'] })).toThrow('unknown pattern: verse');
+      expect(() => store.create({ name: 'x', patterns: { intro: kick }, order: [{ pattern: 'intro', repeat: 0 }] })).toThrow('repeat must be a positive integer');
+    });
+
+    test('should throw error for invalid tempo ramps', () => {
+      const data = { name: 'x', patterns: { intro: kick }, order: ['intro', 'intro'] };
+      const ramp = { from: { order: 0, row: 0 }, to: { order: 1, row: 1 }, bpm: 140 };
+
+      expect(() => store.create({ ...data, tempoRamps: [{ ...ramp, to: { order: 2, row: 0 } }] })).toThrow('Tempo ramp 0 to must be { order, row } inside the order list');
+      expect(() => store.create({ ...data, tempoRamps: [{ ...ramp, to: { order: 0, row: 0 } }] })).toThrow('Tempo ramp 0 must end after it starts');
+      expect(() => store.create({ ...data, tempoRamps: [{ ...ramp, bpm: 0 }] })).toThrow('bpm must be a positive number');
+      expect(() => store.create({ ...data, tempoRamps: [{ ...ramp, curve: 'sine' }] })).toThrow('curve must be linear or exponential');
+    });
+  });
+
+  describe('arrange', () => {
+    const song = {
+      patterns: { intro: kick, verse: snare },
+      order: ['intro', { pattern: 'verse', repeat: 2 }, 'intro']
+    };
+
+    test('should expand repeats into a flat order', () => {
+      const arrangement = store.arrange(song);
+
+      expect(arrangement.names).toEqual(['intro', 'verse']);
+      expect(arrangement.patterns).toEqual([kick, snare]);
+      expect(arrangement.order).toEqual([0, 1, 1, 0]);
+      expect(arrangement.entries).toEqual([0, 1, 1, 2]);
+    });
+
+    test('should start at startOrder and play numOrders entries', () => {
+      const arrangement = store.arrange(song, { startOrder: 1, numOrders: 1 });
+
+      expect(arrangement.names).toEqual(['verse']);
+      expect(arrangement.order).toEqual([0, 0]);
+      expect(arrangement.entries).toEqual([1, 1]);
+    });
+
+    test('should throw error for out of range startOrder', () => {
+      expect(() => store.arrange(song, { startOrder: 3 })).toThrow('startOrder must be an integer from 0 to 2');
+      expect(() => store.arrange(song, { numOrders: 0 })).toThrow('numOrders must be a positive integer');
+    });
+
+    test('should convert tempo ramps to arrangement rows', () => {
+      const ramp = { from: { order: 1, row: 1 }, to: { order: 2, row: 0 }, bpm: 140, curve: 'exponential' };
+
+      expect(store.arrange({ ...song, tempoRamps: [ramp] }).tempoRamps)
+        .toEqual([{ startRow: 3, endRow: 6, bpm: 140, curve: 'exponential' }]);
+      expect(store.arrange({ ...song, tempoRamps: [ramp] }, { startOrder: 1, numOrders: 1 }).tempoRamps).toEqual([]);
+      expect(() => store.arrange({ ...song, tempoRamps: [{ ...ramp, to: { order: 2, row: 2 } }] }))
+        .toThrow('Tempo ramp row 2 is past the end of order entry 2 (2 rows)');
+    });
+
+    test('should resolve pattern library references', () => {
+      const stored = patterns.create({ name: 'Lofi Verse', rows: snare });
+
+      const arrangement = store.arrange({ patterns: { verse: stored.id }, order: ['verse'] });
+
+      expect(arrangement.patterns).toEqual([snare]);
+    });
+
+    test('should throw error for missing library pattern', () => {
+      expect(() => store.arrange({ patterns: { verse: 'nope' }, order: ['verse'] }))
+        .toThrow("Pattern 'verse' refers to missing library pattern: nope");
+    });
+  });
+});
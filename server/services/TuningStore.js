@@ -0,0 +1,77 @@
+/**
+ * TuningStore: Named tunings backed by JSON files
+ *
+ * Tunings (n-EDO, just intonation, imported Scala .scl/.kbm files, see
+ * shared/tuning.js) are attached to plays, patterns and songs by ID or inline.
+ *
+ * Tuning format:
+ *   {
+ *     id, name, tags: [],
+ *     type: 'edo' | 'just' | 'scala' | 'amiga', divisions, tonic, a4, scl, kbm,
+ *     createdAt, updatedAt
+ *   }
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { JsonFileStore } from './JsonFileStore.js';
+import { resolveTuning } from '../../shared/tuning.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_DIRECTORY = path.join(__dirname, '../../data/tunings');
+
+export class TuningStore extends JsonFileStore {
+  constructor(options = {}) {
+    super({
+      directory: options.directory || DEFAULT_DIRECTORY,
+      fields: ['name', 'tags', 'type', 'divisions', 'tonic', 'a4', 'scl', 'kbm'],
+      defaults: { tags: [] },
+      fallbackId: 'tuning'
+    });
+  }
+
+  /**
+   * Check required fields and types
+   */
+  validate(data) {
+    super.validate(data);
+    if (data.tags !== undefined && (!Array.isArray(data.tags) || !data.tags.every(tag => typeof tag === 'string'))) {
+      throw new Error('tags must be an array of strings');
+    }
+    resolveTuning(data);
+  }
+
+  /**
+   * List summary without the Scala file texts
+   */
+  summarize(item) {
+    const { scl, kbm, ...summary } = item;
+    return summary;
+  }
+
+  /**
+   * Resolve a tuning reference into what the sampler plays
+   *
+   * @param {string|object|null} tuning - Stored tuning ID, inline definition, or null (12-EDO, A-4 = 440 Hz)
+   * @returns {object|null} Resolved tuning (see shared/tuning.js resolveTuning) or null
+   */
+  resolve(tuning) {
+    if (tuning === undefined || tuning === null) {
+      return null;
+    }
+
+    if (typeof tuning === 'string') {
+      const stored = this.get(tuning);
+      if (!stored) {
+        throw new Error(`Tuning not found: ${tuning}`);
+      }
+      return resolveTuning(stored);
+    }
+
+    return resolveTuning(tuning);
+  }
+}
+
+export default TuningStore;
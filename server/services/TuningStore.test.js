@@ -0,0 +1,48 @@
+/**
+ * Unit tests for TuningStore
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { TuningStore } from './TuningStore.js';
+
+describe('TuningStore', () => {
+  let directory;
+  let store;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'noisecanvas-tunings-'));
+    store = new TuningStore({ directory });
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should import a Scala file and list it without the file text', () => {
+    const tuning = store.create({ name: 'Quarter tones', type: 'scala', scl: 'Quarter tones\n2\n50.0\n2/1\n', tags: ['micro'] });
+
+    expect(tuning.id).toBe('quarter-tones');
+    expect(store.list({ tag: 'micro' })).toEqual([
+      { id: 'quarter-tones', name: 'Quarter tones', tags: ['micro'], type: 'scala', createdAt: tuning.createdAt, updatedAt: tuning.updatedAt }
+    ]);
+  });
+
+  test('should throw error for invalid tuning data', () => {
+    expect(() => store.create({ type: 'edo', divisions: 19 })).toThrow('name must be a non-empty string');
+    expect(() => store.create({ name: 'x', type: 'scala', scl: 'x\n3\n2/1\n' })).toThrow('expected 3 pitches, found 1');
+  });
+
+  test('should resolve stored and inline tunings', () => {
+    store.create({ name: '19-TET', type: 'edo', divisions: 19 });
+
+    expect(store.resolve('19-tet')).toEqual({ name: '19-TET', type: 'edo', divisions: 19, a4: 440 });
+    expect(store.resolve({ a4: 432 })).toEqual({ name: '12-EDO', type: 'edo', divisions: 12, a4: 432 });
+    expect(store.resolve(null)).toBeNull();
+  });
+
+  test('should throw error for unknown tuning ID', () => {
+    expect(() => store.resolve('nope')).toThrow('Tuning not found: nope');
+  });
+});
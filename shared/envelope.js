@@ -0,0 +1,80 @@
+/**
+ * Instrument envelopes: XM volume and panning envelopes over ticks
+ *
+ * Used by the browser sampler, which turns the walks into AudioParam
+ * automation. An envelope ({ points: [{ tick, value }], sustain, loopStart,
+ * loopEnd } with point indexes, see shared/xm.js) advances one position per
+ * speed tick from the note start:
+ *   - values between points are interpolated linearly
+ *   - while the key is held, it stops at the sustain point
+ *   - at the loop end it jumps back to the loop start
+ *   - after the last point it keeps the last value
+ */
+
+/**
+ * Value of an envelope at a position
+ *
+ * @param {object} envelope - { points }
+ * @param {number} position - Envelope position (ticks)
+ * @returns {number}
+ */
+export function envelopeValue({ points }, position) {
+  if (position <= points[0].tick) {
+    return points[0].value;
+  }
+  for (let i = 1; i < points.length; i++) {
+    const from = points[i - 1];
+    const to = points[i];
+    if (position <= to.tick) {
+      return to.tick === from.tick ? to.value : from.value + (to.value - from.value) * (position - from.tick) / (to.tick - from.tick);
+    }
+  }
+  return points[points.length - 1].value;
+}
+
+/**
+ * Walk an envelope for a number of ticks
+ *
+ * @param {object} envelope - { points, sustain, loopStart, loopEnd }
+ * @param {object} options
+ * @param {number} options.position - Envelope position to start at (default: 0, the note start)
+ * @param {number} options.ticks - Ticks to walk
+ * @param {boolean} options.held - Key held: stop at the sustain point (default: true)
+ * @returns {object} { events: [{ tick (from the walk start), value, jump }] (ramp linearly to each event,
+ *   jump = set at once), position (after the walk), ended (the value stays from the last event on) }
+ */
+export function walkEnvelope(envelope, { position = 0, ticks, held = true }) {
+  const { points, sustain, loopStart, loopEnd } = envelope;
+  const tickOf = (index) => (index === null || index === undefined ? null : points[index].tick);
+  const sustainTick = held ? tickOf(sustain) : null;
+  const loopStartTick = tickOf(loopStart);
+  const loopEndTick = tickOf(loopEnd);
+  const lastTick = points[points.length - 1].tick;
+
+  const events = [{ tick: 0, value: envelopeValue(envelope, position), jump: true }];
+  let current = position;
+  let tick = 0;
+  while (tick < ticks) {
+    if (current === sustainTick) {
+      return { events, position: current, ended: true };
+    }
+    if (current === loopEndTick) {
+      if (loopStartTick >= loopEndTick) {
+        return { events, position: current, ended: true }; // Loop of one point: it holds
+      }
+      current = loopStartTick;
+      events.push({ tick, value: envelopeValue(envelope, current), jump: true });
+    }
+    if (current >= lastTick) {
+      return { events, position: current, ended: true };
+    }
+
+    const next = points.find(point => point.tick > current).tick;
+    const stop = Math.min(...[next, loopEndTick, sustainTick].filter(value => value !== null && value > current));
+    const length = Math.min(stop - current, ticks - tick);
+    current += length;
+    tick += length;
+    events.push({ tick, value: envelopeValue(envelope, current), jump: false });
+  }
+  return { events, position: current, ended: false };
+}
@@ -0,0 +1,61 @@
+/**
+ * Unit tests for instrument envelopes
+ */
+
+import { envelopeValue, walkEnvelope } from './envelope.js';
+
+const points = (...pairs) => pairs.map(([tick, value]) => ({ tick, value }));
+
+// Attack to 64, decay to the sustain at 32, release to 0
+const PIANO = { points: points([0, 0], [4, 64], [8, 32], [16, 0]), sustain: 2, loopStart: null, loopEnd: null };
+
+// Tremolo-like loop between points 1 and 2
+const LOOPING = { points: points([0, 64], [2, 32], [6, 64]), sustain: null, loopStart: 1, loopEnd: 2 };
+
+describe('envelope', () => {
+  describe('envelopeValue', () => {
+    test('should interpolate between points and hold the ends', () => {
+      expect(envelopeValue(PIANO, 0)).toBe(0);
+      expect(envelopeValue(PIANO, 2)).toBe(32);
+      expect(envelopeValue(PIANO, 6)).toBe(48);
+      expect(envelopeValue(PIANO, 40)).toBe(0);
+    });
+  });
+
+  describe('walkEnvelope', () => {
+    test('should stop at the sustain point while the key is held', () => {
+      expect(walkEnvelope(PIANO, { ticks: 100 })).toEqual({
+        events: [{ tick: 0, value: 0, jump: true }, { tick: 4, value: 64, jump: false }, { tick: 8, value: 32, jump: false }],
+        position: 8,
+        ended: true
+      });
+    });
+
+    test('should go on from the key off position to the end', () => {
+      const held = walkEnvelope(PIANO, { ticks: 6 });
+      expect(held).toMatchObject({ position: 6, ended: false });
+
+      expect(walkEnvelope(PIANO, { position: held.position, ticks: 100, held: false })).toEqual({
+        events: [{ tick: 0, value: 48, jump: true }, { tick: 2, value: 32, jump: false }, { tick: 10, value: 0, jump: false }],
+        position: 16,
+        ended: true
+      });
+    });
+
+    test('should jump back at the loop end', () => {
+      const { events, position, ended } = walkEnvelope(LOOPING, { ticks: 11 });
+
+      expect(events).toEqual([
+        { tick: 0, value: 64, jump: true },
+        { tick: 2, value: 32, jump: false },
+        { tick: 6, value: 64, jump: false },
+        { tick: 6, value: 32, jump: true },
+        { tick: 10, value: 64, jump: false },
+        { tick: 10, value: 32, jump: true },
+        { tick: 11, value: 40, jump: false }
+      ]);
+      expect({ position, ended }).toEqual({ position: 3, ended: false });
+      expect(walkEnvelope({ ...LOOPING, loopStart: 2 }, { ticks: 50 })).toMatchObject({ position: 6, ended: true });
+    });
+  });
+});
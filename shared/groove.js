@@ -0,0 +1,105 @@
+/**
+ * Groove: swing and groove templates applied when rows are timed
+ *
+ * Shared by the server (validates stored and inline grooves) and the browser
+ * scheduler (moves rows off the grid and scales their velocity).
+ *
+ * A groove is one of:
+ *   { type: 'swing', amount }  Percentage swing: every second row (the even
+ *                              16ths at 4 rows per beat) is late by amount %
+ *                              of a triplet shuffle (0 = straight, 100 = triplets)
+ *   { type: 'mpc', amount }    MPC-style swing 50-75: the second row of each
+ *                              pair starts at amount % of the pair (50 = straight,
+ *                              66 ≈ triplets, 75 = dotted)
+ *   { type: 'table', steps }   Custom table, cycled over the rows:
+ *                              [{ offset (rows, -0.5..0.5), velocity (× volume, 0-2) }]
+ *
+ * Every groove resolves to a table (grooveSteps), so the scheduler only deals
+ * with per-row offset and velocity.
+ */
+
+export const GROOVE_TYPES = ['swing', 'mpc', 'table'];
+
+// Limits of table entries (a row can't move past its neighbours' midpoints)
+const MAX_OFFSET_ROWS = 0.5;
+const MAX_VELOCITY = 2;
+
+/**
+ * Check a groove definition (throws on invalid data)
+ *
+ * @param {object} groove - Groove definition
+ */
+export function validateGroove(groove) {
+  if (!groove || typeof groove !== 'object' || !GROOVE_TYPES.includes(groove.type)) {
+    throw new Error(`Groove type must be ${GROOVE_TYPES.join(', ')}`);
+  }
+
+  if (groove.type === 'swing' && !isNumberIn(groove.amount, 0, 100)) {
+    throw new Error('Swing amount must be a percentage from 0 to 100');
+  }
+  if (groove.type === 'mpc' && !isNumberIn(groove.amount, 50, 75)) {
+    throw new Error('MPC swing amount must be from 50 to 75');
+  }
+  if (groove.type === 'table') {
+    if (!Array.isArray(groove.steps) || groove.steps.length === 0) {
+      throw new Error('Groove table steps must be a non-empty array');
+    }
+    groove.steps.forEach((step, index) => {
+      if (!step || typeof step !== 'object') {
+        throw new Error(`Groove step ${index} must be an object { offset, velocity }`);
+      }
+      if (step.offset !== undefined && !isNumberIn(step.offset, -MAX_OFFSET_ROWS, MAX_OFFSET_ROWS)) {
+        throw new Error(`Groove step ${index} offset must be from -${MAX_OFFSET_ROWS} to ${MAX_OFFSET_ROWS} rows`);
+      }
+      if (step.velocity !== undefined && !isNumberIn(step.velocity, 0, MAX_VELOCITY)) {
+        throw new Error(`Groove step ${index} velocity must be from 0 to ${MAX_VELOCITY}`);
+      }
+    });
+  }
+}
+
+/**
+ * Table form of a groove
+ *
+ * @param {object} groove - Valid groove definition
+ * @returns {Array<object>} [{ offset (rows), velocity }] cycled over the rows
+ */
+export function grooveSteps(groove) {
+  switch (groove.type) {
+    case 'swing':
+      return [{ offset: 0, velocity: 1 }, { offset: groove.amount / 100 / 3, velocity: 1 }];
+    case 'mpc':
+      return [{ offset: 0, velocity: 1 }, { offset: groove.amount / 50 - 1, velocity: 1 }];
+    default:
+      return groove.steps.map(step => ({ offset: step.offset ?? 0, velocity: step.velocity ?? 1 }));
+  }
+}
+
+/**
+ * Offset and velocity of a row
+ *
+ * @param {Array<object>|null} steps - Groove table (null = straight)
+ * @param {number} row - Row counted from the start of the play
+ * @returns {object} { offset (rows), velocity }
+ */
+export function grooveAt(steps, row) {
+  if (!steps || steps.length === 0) {
+    return { offset: 0, velocity: 1 };
+  }
+  return steps[row % steps.length];
+}
+
+/**
+ * How far the groove moves rows ahead of the grid at most (its most negative
+ * offset); the scheduler schedules rows this much earlier
+ *
+ * @param {Array<object>|null} steps - Groove table (null = straight)
+ * @returns {number} Rows (0 if no row is early)
+ */
+export function grooveLead(steps) {
+  return Math.max(0, ...(steps || []).map(step => -step.offset));
+}
+
+function isNumberIn(value, min, max) {
+  return typeof value === 'number' && value >= min && value <= max;
+}
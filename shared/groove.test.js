@@ -0,0 +1,44 @@
+/**
+ * Unit tests for groove templates
+ */
+
+import { grooveAt, grooveLead, grooveSteps, validateGroove } from './groove.js';
+
+describe('groove', () => {
+  test('should delay every second row for percentage swing', () => {
+    const steps = grooveSteps({ type: 'swing', amount: 100 });
+
+    expect(grooveAt(steps, 0)).toEqual({ offset: 0, velocity: 1 });
+    expect(grooveAt(steps, 3).offset).toBeCloseTo(1 / 3);
+  });
+
+  test('should place the off row at the MPC swing amount of the pair', () => {
+    expect(grooveSteps({ type: 'mpc', amount: 50 })[1].offset).toBe(0);
+    expect(grooveSteps({ type: 'mpc', amount: 75 })[1].offset).toBe(0.5);
+  });
+
+  test('should cycle table steps with defaults', () => {
+    const steps = grooveSteps({ type: 'table', steps: [{ velocity: 1.2 }, { offset: -0.1 }, {}] });
+
+    expect(grooveAt(steps, 4)).toEqual({ offset: -0.1, velocity: 1 });
+    expect(grooveAt(steps, 6)).toEqual({ offset: 0, velocity: 1.2 });
+  });
+
+  test('should play straight without groove', () => {
+    expect(grooveAt(null, 5)).toEqual({ offset: 0, velocity: 1 });
+  });
+
+  test('should report how far rows move ahead of the grid', () => {
+    expect(grooveLead(grooveSteps({ type: 'table', steps: [{ offset: -0.1 }, { offset: 0.3 }, { offset: -0.25 }] }))).toBe(0.25);
+    expect(grooveLead(grooveSteps({ type: 'swing', amount: 50 }))).toBe(0);
+    expect(grooveLead(null)).toBe(0);
+  });
+
+  test('should throw error for invalid grooves', () => {
+    expect(() => validateGroove({ type: 'shuffle' })).toThrow('Groove type must be swing, mpc, table');
+    expect(() => validateGroove({ type: 'swing', amount: 120 })).toThrow('Swing amount must be a percentage from 0 to 100');
+    expect(() => validateGroove({ type: 'mpc', amount: 40 })).toThrow('MPC swing amount must be from 50 to 75');
+    expect(() => validateGroove({ type: 'table', steps: [] })).toThrow('steps must be a non-empty array');
+    expect(() => validateGroove({ type: 'table', steps: [{ offset: 0.8 }] })).toThrow('Groove step 0 offset must be from -0.5 to 0.5 rows');
+  });
+});
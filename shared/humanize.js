@@ -0,0 +1,132 @@
+/**
+ * Humanize: seeded timing and volume randomization per channel
+ *
+ * Shared by the server (validates settings, picks a seed) and the browser
+ * scheduler (offsets note times and volumes).
+ *
+ * Settings:
+ *   {
+ *     seed,        // Integer; the same seed plays the same take
+ *     timing,      // ± ms of random timing jitter (default 0)
+ *     volume,      // ± volume units (0-64 scale) of random volume jitter (default 0)
+ *     bias,        // ms early (< 0, push) or late (> 0, drag) (default 0)
+ *     channels: [  // Per-channel overrides by channel index (optional, null = none)
+ *       { timing, volume, bias }
+ *     ]
+ *   }
+ *
+ * Random values come from a hash of (seed, row, channel), not from a running
+ * generator, so a take doesn't depend on how the lookahead scheduler batches
+ * rows: row 37 of channel 2 always gets the same jitter for a given seed.
+ * Humanize works on top of the step's `delay` ticks.
+ */
+
+// Limits (beyond these a groove, not a human, is at work)
+const MAX_TIMING_MS = 100;
+const MAX_BIAS_MS = 100;
+const MAX_VOLUME = 64;
+
+/**
+ * Deterministic random number for a seed and a list of integer keys
+ *
+ * @param {number} seed - Integer seed
+ * @param {...number} keys - Integers that pick the value (row, channel, ...)
+ * @returns {number} Value in [0, 1)
+ */
+export function seededRandom(seed, ...keys) {
+  let hash = seed >>> 0;
+  for (const key of keys) {
+    hash = Math.imul(hash ^ (key >>> 0), 0x9E3779B1);
+    hash ^= hash >>> 15;
+  }
+  // mulberry32 finalizer
+  hash = Math.imul(hash ^ (hash >>> 15), hash | 1);
+  hash ^= hash + Math.imul(hash ^ (hash >>> 7), hash | 61);
+  return ((hash ^ (hash >>> 14)) >>> 0) / 4294967296;
+}
+
+/**
+ * Check humanize settings and fill in a seed
+ *
+ * @param {object} humanize - Settings (seed optional)
+ * @returns {object} Settings with a seed (random if none was given)
+ */
+export function resolveHumanize(humanize) {
+  if (!humanize || typeof humanize !== 'object' || Array.isArray(humanize)) {
+    throw new Error('humanize must be an object { seed, timing, volume, channels }');
+  }
+  if (humanize.seed !== undefined && !Number.isInteger(humanize.seed)) {
+    throw new Error('humanize seed must be an integer');
+  }
+  validateAmounts(humanize, 'humanize');
+  if (humanize.channels !== undefined) {
+    if (!Array.isArray(humanize.channels)) {
+      throw new Error('humanize channels must be an array (one entry per channel)');
+    }
+    humanize.channels.forEach((channel, index) => {
+      if (channel === null) {
+        return;
+      }
+      if (typeof channel !== 'object') {
+        throw new Error(`humanize channel ${index} must be an object { timing, volume, bias }`);
+      }
+      validateAmounts(channel, `humanize channel ${index}`);
+    });
+  }
+
+  return {
+    ...humanize,
+    seed: humanize.seed ?? Math.floor(Math.random() * 0x7FFFFFFF)
+  };
+}
+
+/**
+ * Timing and volume change of one step
+ *
+ * @param {object|null} humanize - Resolved settings (null = no humanize)
+ * @param {number} row - Row counted from the start of the play
+ * @param {number} channel - Channel index
+ * @returns {object} { offset (seconds), volume (units to add) }
+ */
+export function humanizeStep(humanize, row, channel) {
+  if (!humanize) {
+    return { offset: 0, volume: 0 };
+  }
+
+  const settings = { ...humanize, ...(humanize.channels?.[channel] || {}) };
+  const timing = settings.timing || 0;
+  const volume = settings.volume || 0;
+  const bias = settings.bias || 0;
+
+  // Uniform jitter in [-amount, +amount]
+  const timingJitter = (seededRandom(humanize.seed, row, channel, 0) * 2 - 1) * timing;
+  const volumeJitter = (seededRandom(humanize.seed, row, channel, 1) * 2 - 1) * volume;
+
+  return { offset: (bias + timingJitter) / 1000, volume: Math.round(volumeJitter) || 0 }; // No -0
+}
+
+/**
+ * How far humanize moves steps ahead of the grid at most (push bias and
+ * negative jitter, over all channels); the scheduler schedules rows this
+ * much earlier
+ *
+ * @param {object|null} humanize - Resolved settings (null = no humanize)
+ * @returns {number} Seconds (0 if no step is early)
+ */
+export function humanizeLead(humanize) {
+  if (!humanize) {
+    return 0;
+  }
+  const settings = [humanize, ...(humanize.channels || []).map(channel => ({ ...humanize, ...(channel || {}) }))];
+  return Math.max(0, ...settings.map(({ timing = 0, bias = 0 }) => timing - bias)) / 1000;
+}
+
+function validateAmounts(settings, label) {
+  const limits = { timing: [0, MAX_TIMING_MS], volume: [0, MAX_VOLUME], bias: [-MAX_BIAS_MS, MAX_BIAS_MS] };
+  for (const [field, [min, max]] of Object.entries(limits)) {
+    const value = settings[field];
+    if (value !== undefined && !(typeof value === 'number' && value >= min && value <= max)) {
+      throw new Error(`${label} ${field} must be a number from ${min} to ${max}`);
+    }
+  }
+}
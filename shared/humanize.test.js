@@ -0,0 +1,71 @@
+/**
+ * Unit tests for seeded humanize
+ */
+
+import { humanizeLead, humanizeStep, resolveHumanize, seededRandom } from './humanize.js';
+
+describe('humanize', () => {
+  test('should return the same values for the same seed and keys', () => {
+    expect(seededRandom(42, 3, 1)).toBe(seededRandom(42, 3, 1));
+    expect(seededRandom(42, 3, 1)).not.toBe(seededRandom(43, 3, 1));
+    expect(seededRandom(42, 3, 1)).not.toBe(seededRandom(42, 1, 3));
+  });
+
+  test('should keep random values in [0, 1)', () => {
+    for (let row = 0; row < 200; row++) {
+      const value = seededRandom(7, row, 0);
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    }
+  });
+
+  test('should reproduce a take from its seed', () => {
+    const humanize = { seed: 1234, timing: 10, volume: 8 };
+    const take = () => Array.from({ length: 16 }, (_, row) => humanizeStep(humanize, row, 2));
+
+    expect(take()).toEqual(take());
+    expect(new Set(take().map(step => step.offset)).size).toBeGreaterThan(1);
+  });
+
+  test('should keep jitter within the amounts', () => {
+    const humanize = { seed: 5, timing: 10, volume: 8 };
+
+    for (let row = 0; row < 64; row++) {
+      const step = humanizeStep(humanize, row, 0);
+      expect(Math.abs(step.offset)).toBeLessThanOrEqual(0.01);
+      expect(Math.abs(step.volume)).toBeLessThanOrEqual(8);
+    }
+  });
+
+  test('should apply per-channel overrides and bias', () => {
+    const humanize = { seed: 9, timing: 10, channels: [{ timing: 0 }, null, { timing: 0, bias: -8 }] };
+
+    expect(humanizeStep(humanize, 3, 0)).toEqual({ offset: 0, volume: 0 });
+    expect(humanizeStep(humanize, 3, 1).offset).not.toBe(0);
+    expect(humanizeStep(humanize, 3, 2).offset).toBeCloseTo(-0.008);
+  });
+
+  test('should report how far steps move ahead of the grid', () => {
+    expect(humanizeLead({ seed: 1, timing: 10, bias: 5 })).toBeCloseTo(0.005);
+    expect(humanizeLead({ seed: 1, timing: 10, channels: [null, { bias: -100 }] })).toBeCloseTo(0.11);
+    expect(humanizeLead({ seed: 1, bias: 20 })).toBe(0);
+    expect(humanizeLead(null)).toBe(0);
+  });
+
+  test('should not change steps without humanize', () => {
+    expect(humanizeStep(null, 3, 0)).toEqual({ offset: 0, volume: 0 });
+  });
+
+  test('should pick a seed when none is given', () => {
+    expect(Number.isInteger(resolveHumanize({ timing: 5 }).seed)).toBe(true);
+    expect(resolveHumanize({ seed: 7, timing: 5 })).toEqual({ seed: 7, timing: 5 });
+  });
+
+  test('should throw error for invalid settings', () => {
+    expect(() => resolveHumanize(5)).toThrow('humanize must be an object');
+    expect(() => resolveHumanize({ seed: 1.5 })).toThrow('humanize seed must be an integer');
+    expect(() => resolveHumanize({ timing: 500 })).toThrow('humanize timing must be a number from 0 to 100');
+    expect(() => resolveHumanize({ channels: {} })).toThrow('humanize channels must be an array');
+    expect(() => resolveHumanize({ channels: [null, { bias: 200 }] })).toThrow('humanize channel 1 bias must be a number from -100 to 100');
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Meter: rows per beat and time signatures
+ *
+ * Shared by the server (BPM → tempo, bar/beat positions in play status) and
+ * the browser (scheduler, client).
+ *
+ * A pattern row is a fixed fraction of a beat (rowsPerBeat), and the beat is
+ * the note value of the time signature's lower number: 4/4 at 4 rows per beat
+ * is a 16th-note grid with 16 rows per bar, 3/4 at 6 rows per beat a
+ * 16th-triplet grid with 18 rows per bar, and 7/8 at 2 rows per beat counts
+ * BPM in 8th notes with 14 rows per bar.
+ *
+ * Tempo (rows per minute) = musical BPM × rowsPerBeat.
+ */
+
+export const DEFAULT_ROWS_PER_BEAT = 4; // 16th note resolution
+export const DEFAULT_TIME_SIGNATURE = '4/4';
+
+const TIME_SIGNATURE_PATTERN = /^(\d{1,2})\/(1|2|4|8|16|32)$/;
+
+/**
+ * Parse a time signature like "3/4" or "7/8"
+ *
+ * @param {string} timeSignature - Beats per bar / beat note value
+ * @returns {object} { beatsPerBar, beatUnit }
+ */
+export function parseTimeSignature(timeSignature) {
+  const match = typeof timeSignature === 'string' ? timeSignature.match(TIME_SIGNATURE_PATTERN) : null;
+  if (!match || Number(match[1]) < 1) {
+    throw new Error(`Invalid time signature: ${timeSignature} (use beats/note value, e.g. "3/4" or "7/8")`);
+  }
+  return { beatsPerBar: Number(match[1]), beatUnit: Number(match[2]) };
+}
+
+/**
+ * Build a meter from optional settings (missing = 4 rows per beat, 4/4)
+ *
+ * @param {object} options
+ * @param {number} options.rowsPerBeat - Rows per beat (positive integer)
+ * @param {string} options.timeSignature - Time signature like "3/4"
+ * @returns {object} { rowsPerBeat, timeSignature, beatsPerBar, beatUnit, rowsPerBar }
+ */
+export function createMeter({ rowsPerBeat, timeSignature } = {}) {
+  rowsPerBeat = rowsPerBeat ?? DEFAULT_ROWS_PER_BEAT;
+  timeSignature = timeSignature ?? DEFAULT_TIME_SIGNATURE;
+
+  if (!Number.isInteger(rowsPerBeat) || rowsPerBeat < 1) {
+    throw new Error('rowsPerBeat must be a positive integer');
+  }
+  const { beatsPerBar, beatUnit } = parseTimeSignature(timeSignature);
+
+  return { rowsPerBeat, timeSignature, beatsPerBar, beatUnit, rowsPerBar: beatsPerBar * rowsPerBeat };
+}
+
+/**
+ * Convert musical BPM (beats per minute) to tempo (rows per minute)
+ *
+ * @param {number} musicalBpm - Beats per minute
+ * @param {number} rowsPerBeat - Rows per beat (default: 4)
+ * @returns {number} Tempo (rows per minute)
+ */
+export function musicalBpmToTempo(musicalBpm, rowsPerBeat = DEFAULT_ROWS_PER_BEAT) {
+  return musicalBpm * rowsPerBeat;
+}
+
+/**
+ * Bar and beat of a row (1-based like a DAW transport)
+ *
+ * @param {number} row - Row counted from the start (0-based)
+ * @param {object} meter - Meter from createMeter
+ * @returns {object} { bar, beat, row (row inside the beat, 0-based) }
+ */
+export function rowToBarBeat(row, meter) {
+  return {
+    bar: Math.floor(row / meter.rowsPerBar) + 1,
+    beat: Math.floor((row % meter.rowsPerBar) / meter.rowsPerBeat) + 1,
+    row: row % meter.rowsPerBeat
+  };
+}
+
+/**
+ * Length of a number of rows in whole bars, whole beats and leftover rows
+ *
+ * @param {number} rows - Number of rows
+ * @param {object} meter - Meter from createMeter
+ * @returns {object} { bars, beats, rows }
+ */
+export function rowsToBars(rows, meter) {
+  return {
+    bars: Math.floor(rows / meter.rowsPerBar),
+    beats: Math.floor((rows % meter.rowsPerBar) / meter.rowsPerBeat),
+    rows: rows % meter.rowsPerBeat
+  };
+}
@@ -0,0 +1,48 @@
+/**
+ * Unit tests for meter (rows per beat, time signatures)
+ */
+
+import {
+  createMeter,
+  musicalBpmToTempo,
+  parseTimeSignature,
+  rowToBarBeat,
+  rowsToBars
+} from './meter.js';
+
+describe('meter', () => {
+  test('should default to 4 rows per beat in 4/4', () => {
+    expect(createMeter()).toEqual({
+      rowsPerBeat: 4, timeSignature: '4/4', beatsPerBar: 4, beatUnit: 4, rowsPerBar: 16
+    });
+  });
+
+  test('should size bars from the time signature', () => {
+    expect(createMeter({ rowsPerBeat: 6, timeSignature: '3/4' }).rowsPerBar).toBe(18);
+    expect(createMeter({ rowsPerBeat: 2, timeSignature: '7/8' }).rowsPerBar).toBe(14);
+  });
+
+  test('should throw error for invalid meter', () => {
+    expect(() => createMeter({ rowsPerBeat: 0 })).toThrow('rowsPerBeat must be a positive integer');
+    expect(() => createMeter({ rowsPerBeat: 2.5 })).toThrow('rowsPerBeat must be a positive integer');
+    expect(() => parseTimeSignature('4/5')).toThrow('Invalid time signature: 4/5');
+    expect(() => parseTimeSignature('0/4')).toThrow('Invalid time signature: 0/4');
+  });
+
+  test('should convert BPM with rows per beat', () => {
+    expect(musicalBpmToTempo(120)).toBe(480);
+    expect(musicalBpmToTempo(120, 3)).toBe(360);
+  });
+
+  test('should give 1-based bar and beat of a row', () => {
+    const meter = createMeter({ rowsPerBeat: 4, timeSignature: '3/4' });
+
+    expect(rowToBarBeat(0, meter)).toEqual({ bar: 1, beat: 1, row: 0 });
+    expect(rowToBarBeat(13, meter)).toEqual({ bar: 2, beat: 1, row: 1 });
+    expect(rowToBarBeat(23, meter)).toEqual({ bar: 2, beat: 3, row: 3 });
+  });
+
+  test('should give length in bars, beats and rows', () => {
+    expect(rowsToBars(38, createMeter())).toEqual({ bars: 2, beats: 1, rows: 2 });
+  });
+});
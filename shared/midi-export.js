@@ -0,0 +1,334 @@
+/**
+ * MIDI export: pattern rows and songs written as Standard MIDI Files
+ *
+ * Shared by the server (POST /api/export/midi) and usable in the browser.
+ * The rows are timed like the browser scheduler plays them: speed and Fxx
+ * tempo/speed changes, tempo ramps of songs, `delay` ticks, the groove and
+ * trig conditions (with the same seed the same steps fire), repeated
+ * `repeat` times.
+ *
+ * Every pattern channel is monophonic: a note lasts until the next note,
+ * note off ("===") or note cut ("^^^") on its channel, an ECx cut, or the
+ * end of the export. Tone portamento (3xx) can't slide in MIDI, so the note
+ * it slides to starts where the slide starts. E9x retriggers become repeated
+ * notes. Volume becomes velocity (0-64 → 0-127); silent steps end the
+ * running note without starting one.
+ *
+ * Tracks (SMF type 1): a conductor track with the tempo map and time
+ * signature, then one track per pattern channel and sample. Every melodic
+ * sample gets its own MIDI channel (1-16 without 10, in order of appearance);
+ * drum samples play on channel 10 at their General MIDI note (the inverse of
+ * the import's drum map, overridden per note by `drumMap`).
+ */
+
+import { createMeter } from './meter.js';
+import { grooveAt } from './groove.js';
+import { DRUM_CHANNEL, MAX_ROWS, readSampleMap } from './midi-import.js';
+import { parseNote } from './notes.js';
+import { writeSmf } from './smf.js';
+import { NOTE_CUT, NOTE_OFF, applyTempoEffect, parseEffect, rampTempo } from './tracker-effects.js';
+import { trigFires } from './trig-conditions.js';
+
+// MIDI ticks per pattern row (divisible by the common speeds 1-6, 10, 12, 15)
+export const TICKS_PER_ROW = 60;
+
+// 808 kit sample → General MIDI drum note
+export const DEFAULT_DRUM_NOTES = {
+  '808-KICK': 36,
+  '808-SNARE': 38,
+  '808-CLAV': 75,
+  '808-HIHAT-CLOSED': 42,
+  '808-HIHAT-OPEN': 46,
+  '808-TOM': 45,
+  '808-CRASH': 49,
+  '808-COWBELL': 56,
+  '808-CONGA': 63
+};
+
+const MELODIC_CHANNELS = Array.from({ length: 16 }, (_, index) => index + 1).filter(channel => channel !== DRUM_CHANNEL);
+
+/**
+ * Convert pattern rows into a Standard MIDI File
+ *
+ * @param {Array<Array<object>>} rows - Pattern rows
+ * @param {object} options - See songToMidi
+ * @returns {object} See songToMidi
+ */
+export function patternToMidi(rows, options = {}) {
+  return songToMidi({ patterns: [rows], order: [0] }, options);
+}
+
+/**
+ * Convert an arranged song into a Standard MIDI File
+ *
+ * @param {object} song - { patterns: [rows], order: [index into patterns], tempoRamps } (see SongStore.arrange)
+ * @param {object} options
+ * @param {string} options.name - Name of the conductor track (optional)
+ * @param {number} options.bpm - Musical BPM (default: 120)
+ * @param {number} options.speed - Ticks per row (default: 6)
+ * @param {number} options.rowsPerBeat - Rows per beat (default: 4)
+ * @param {string} options.timeSignature - Time signature (default: 4/4)
+ * @param {number} options.repeat - Times through the order list (default: 1)
+ * @param {Array<object>} options.groove - Groove table [{ offset, velocity }] (optional, see grooveSteps)
+ * @param {number} options.seed - Seed of probability trig conditions (default: 0)
+ * @param {boolean} options.fill - Play 'fill' trig conditions (default: false)
+ * @param {object|string} options.drumMap - GM drum note → sample, on top of DEFAULT_DRUM_NOTES
+ * @returns {object} { bytes, division, bpm, speed, rowsPerBeat, timeSignature, repeat, rows,
+ *   duration (seconds), notes, tracks: [{ name, channel, sample, midiChannel, notes }], warnings }
+ */
+export function songToMidi(song, {
+  name = null,
+  bpm = 120,
+  speed = 6,
+  rowsPerBeat,
+  timeSignature,
+  repeat = 1,
+  groove = null,
+  seed = 0,
+  fill = false,
+  drumMap = {}
+} = {}) {
+  const meter = createMeter({ rowsPerBeat, timeSignature });
+  if (typeof bpm !== 'number' || !(bpm > 0)) {
+    throw new Error('bpm must be a positive number');
+  }
+  if (!Number.isInteger(speed) || speed < 1 || speed > 31) {
+    throw new Error('speed must be an integer from 1 to 31 ticks per row');
+  }
+  if (!Number.isInteger(repeat) || repeat < 1) {
+    throw new Error('repeat must be a positive integer');
+  }
+  const passRows = song.order.reduce((rows, index) => rows + song.patterns[index].length, 0);
+  if (passRows === 0) {
+    throw new Error('Nothing to export: the pattern has no rows');
+  }
+  if (passRows * repeat > MAX_ROWS) {
+    throw new Error(`Export is too long: ${passRows * repeat} rows (up to ${MAX_ROWS})`);
+  }
+
+  // Quarter notes are rowsPerBeat × beatUnit / 4 rows
+  const rowsPerQuarter = meter.rowsPerBeat * meter.beatUnit / 4;
+  const division = TICKS_PER_ROW * rowsPerQuarter;
+  if (division > 0x7FFF) {
+    throw new Error(`${meter.rowsPerBeat} rows per beat of ${meter.timeSignature} need more than 32767 ticks per quarter note`);
+  }
+
+  const drumNotes = { ...DEFAULT_DRUM_NOTES };
+  Object.entries(readSampleMap(drumMap, 'drumMap', 0, 127)).forEach(([note, sample]) => {
+    drumNotes[sample] = Number(note);
+  });
+  const playsDrums = sample => drumNotes[sample] !== undefined;
+
+  const warnings = new Set();
+  const tracks = new Map(); // 'channel:sample' → { name, channel, sample, notes: [{ start, end, note, velocity }] }
+  const channels = []; // Per pattern channel: running note (or null)
+  const tempoEvents = [];
+  const trigResults = [];
+  const play = { tempo: bpm * meter.rowsPerBeat, speed, rowsPerBeat: meter.rowsPerBeat };
+  const rampStartTempos = [];
+  let tick = 0;
+  let duration = 0;
+  let absoluteRow = 0;
+
+  const endNote = (channelIndex, at) => {
+    const running = channels[channelIndex];
+    if (running) {
+      running.end = Math.max(running.start, at);
+      channels[channelIndex] = null;
+    }
+  };
+  const startNote = (channelIndex, sample, note, velocity, at) => {
+    const key = `${channelIndex}:${sample}`;
+    if (!tracks.has(key)) {
+      tracks.set(key, { channel: channelIndex, sample, notes: [] });
+    }
+    const entry = { start: at, end: null, sample, note, velocity };
+    tracks.get(key).notes.push(entry);
+    channels[channelIndex] = entry;
+  };
+
+  for (let pass = 0; pass < repeat; pass++) {
+    let passRow = 0;
+    for (const index of song.order) {
+      for (const row of song.patterns[index]) {
+        const steps = (Array.isArray(row) ? row : [row]).map((step, channel) =>
+          (step && trigFires(step, { seed, row: absoluteRow, pass, fill, channel }, trigResults) ? step : null));
+        const effects = steps.map(step => (step ? readEffect(step, warnings) : null));
+
+        // Tempo changes of the row apply before it is timed (like the scheduler)
+        effects.forEach(effect => {
+          if (effect && effect.command === 'F') {
+            Object.assign(play, applyTempoEffect(play, effect));
+          }
+        });
+        (song.tempoRamps || []).forEach((ramp, rampIndex) => {
+          if (passRow < ramp.startRow || passRow > ramp.endRow) {
+            return;
+          }
+          if (passRow === ramp.startRow) {
+            rampStartTempos[rampIndex] = play.tempo;
+          }
+          const fraction = (passRow - ramp.startRow) / (ramp.endRow - ramp.startRow);
+          play.tempo = rampTempo(rampStartTempos[rampIndex], ramp.bpm * play.rowsPerBeat, fraction, ramp.curve);
+        });
+
+        const microsecondsPerQuarter = Math.round(60000000 / play.tempo * rowsPerQuarter);
+        if (tempoEvents.length === 0 || tempoEvents[tempoEvents.length - 1].microsecondsPerQuarter !== microsecondsPerQuarter) {
+          tempoEvents.push({ tick, type: 'tempo', microsecondsPerQuarter });
+        }
+
+        const { offset, velocity: grooveVelocity } = grooveAt(groove, absoluteRow);
+        const rowTick = tick + Math.round(offset * TICKS_PER_ROW);
+        const tickLength = TICKS_PER_ROW / play.speed;
+
+        steps.forEach((step, channelIndex) => {
+          if (!step) {
+            return;
+          }
+          const effect = effects[channelIndex];
+          const noteTick = Math.max(0, rowTick + Math.round((step.delay ?? 0) * tickLength));
+
+          if (step.note === NOTE_OFF || step.note === NOTE_CUT) {
+            endNote(channelIndex, noteTick);
+            return;
+          }
+
+          if (step.sample) {
+            let note;
+            try {
+              note = drumNotes[step.sample] ?? toMidiNote(step.note, warnings);
+            } catch (error) {
+              // Invalid note: skip the step like the scheduler does
+              warnings.add(`${error.message}: step skipped`);
+              return;
+            }
+            if (effect && effect.command === '3' && channels[channelIndex]) {
+              warnings.add('Tone portamento (3xx) can\'t slide in MIDI: the target note starts at the slide');
+            }
+            endNote(channelIndex, noteTick);
+            const velocity = toVelocity((step.volume ?? 64) * grooveVelocity);
+            if (velocity > 0) {
+              startNote(channelIndex, step.sample, note, velocity, noteTick);
+            }
+          }
+
+          const running = channels[channelIndex];
+          if (running && effect && effect.command === 'E9' && effect.x > 0) {
+            for (let retrigger = effect.x; retrigger < play.speed; retrigger += effect.x) {
+              const at = rowTick + Math.round(retrigger * tickLength);
+              endNote(channelIndex, at);
+              startNote(channelIndex, running.sample, running.note, running.velocity, at);
+            }
+          }
+          if (channels[channelIndex] && effect && effect.command === 'EC' && effect.x < play.speed) {
+            endNote(channelIndex, rowTick + Math.round(effect.x * tickLength));
+          }
+        });
+
+        tick += TICKS_PER_ROW;
+        duration += 60 / play.tempo;
+        absoluteRow++;
+        passRow++;
+      }
+    }
+  }
+  channels.forEach((_, channelIndex) => endNote(channelIndex, tick));
+
+  // MIDI channels: drums on 10, melodic samples in order of appearance
+  const midiChannels = new Map();
+  const trackList = [...tracks.values()]
+    .sort((a, b) => a.channel - b.channel)
+    .map(track => {
+      if (!midiChannels.has(track.sample)) {
+        const melodic = [...midiChannels.entries()].filter(([sample]) => !playsDrums(sample)).length;
+        if (!playsDrums(track.sample) && melodic === MELODIC_CHANNELS.length) {
+          warnings.add(`More than ${MELODIC_CHANNELS.length} melodic samples: MIDI channels are shared`);
+        }
+        midiChannels.set(track.sample, playsDrums(track.sample)
+          ? DRUM_CHANNEL
+          : MELODIC_CHANNELS[melodic % MELODIC_CHANNELS.length]);
+      }
+      const notes = track.notes.filter(note => note.end > note.start);
+      return { ...track, notes, midiChannel: midiChannels.get(track.sample) };
+    })
+    .filter(track => track.notes.length > 0);
+
+  // Samples on several pattern channels get the channel number in their track name
+  const sampleCounts = new Map();
+  trackList.forEach(track => sampleCounts.set(track.sample, (sampleCounts.get(track.sample) || 0) + 1));
+  trackList.forEach(track => {
+    track.name = sampleCounts.get(track.sample) > 1 ? `${track.sample} (channel ${track.channel + 1})` : track.sample;
+  });
+
+  const conductor = [
+    ...(name ? [{ tick: 0, type: 'trackName', text: name }] : []),
+    { tick: 0, type: 'timeSignature', numerator: meter.beatsPerBar, denominator: meter.beatUnit },
+    ...tempoEvents
+  ];
+  const bytes = writeSmf({
+    format: 1,
+    division,
+    tracks: [
+      { events: conductor },
+      ...trackList.map(track => ({ events: trackEvents(track) }))
+    ]
+  });
+
+  return {
+    bytes,
+    division,
+    bpm,
+    speed,
+    rowsPerBeat: meter.rowsPerBeat,
+    timeSignature: meter.timeSignature,
+    repeat,
+    rows: absoluteRow,
+    duration: Math.round(duration * 1000) / 1000,
+    notes: trackList.reduce((sum, track) => sum + track.notes.length, 0),
+    tracks: trackList.map(track => ({
+      name: track.name,
+      channel: track.channel,
+      sample: track.sample,
+      midiChannel: track.midiChannel,
+      notes: track.notes.length
+    })),
+    warnings: [...warnings]
+  };
+}
+
+// Track name, then note-offs before note-ons on the same tick
+function trackEvents(track) {
+  const events = track.notes.flatMap(note => [
+    { tick: note.start, type: 'noteOn', channel: track.midiChannel, note: note.note, velocity: note.velocity },
+    { tick: note.end, type: 'noteOff', channel: track.midiChannel, note: note.note, velocity: 0 }
+  ]).sort((a, b) => a.tick - b.tick || (a.type === 'noteOff' ? 0 : 1) - (b.type === 'noteOff' ? 0 : 1));
+  return [{ tick: 0, type: 'trackName', text: track.name }, ...events];
+}
+
+function readEffect(step, warnings) {
+  if (!step.effect) {
+    return null;
+  }
+  try {
+    return parseEffect(step.effect);
+  } catch (error) {
+    warnings.add(error.message);
+    return null;
+  }
+}
+
+function toMidiNote(note, warnings) {
+  const { midi, hz } = parseNote(note);
+  const rounded = Math.round(midi);
+  if (hz !== undefined && rounded !== midi) {
+    warnings.add('Frequencies between notes were rounded to the nearest MIDI note');
+  }
+  if (rounded < 0 || rounded > 127) {
+    throw new Error(`Note out of MIDI range: ${note}`);
+  }
+  return rounded;
+}
+
+function toVelocity(volume) {
+  return Math.min(127, Math.max(0, Math.round(volume * 127 / 64)));
+}
@@ -0,0 +1,139 @@
+/**
+ * Unit tests for Standard MIDI File writing and export
+ */
+
+import { parseSmf, writeSmf } from './smf.js';
+import { midiToPattern } from './midi-import.js';
+import { patternToMidi, songToMidi } from './midi-export.js';
+
+// Note events of a parsed track as [tick, type, note, velocity]
+const noteEvents = track => track.events
+  .filter(event => event.type === 'noteOn' || event.type === 'noteOff')
+  .map(event => [event.tick, event.type, event.note, event.velocity]);
+
+describe('smf', () => {
+  test('should write files that read back to their events', () => {
+    const bytes = writeSmf({
+      division: 480,
+      tracks: [
+        { events: [{ tick: 0, type: 'trackName', text: 'Song' }, { tick: 0, type: 'tempo', microsecondsPerQuarter: 500000 }, { tick: 0, type: 'timeSignature', numerator: 6, denominator: 8 }] },
+        { events: [{ tick: 0, type: 'noteOn', channel: 2, note: 60, velocity: 100 }, { tick: 20000, type: 'noteOff', channel: 2, note: 60, velocity: 0 }] }
+      ]
+    });
+    const { format, division, tracks } = parseSmf(bytes);
+
+    expect(format).toBe(1);
+    expect(division).toBe(480);
+    expect(tracks[0].name).toBe('Song');
+    expect(tracks[0].events[1]).toMatchObject({ type: 'tempo', bpm: 120 });
+    expect(tracks[0].events[2]).toMatchObject({ numerator: 6, denominator: 8 });
+    expect(tracks[1].events).toEqual([
+      { tick: 0, type: 'noteOn', channel: 2, note: 60, velocity: 100 },
+      { tick: 20000, type: 'noteOff', channel: 2, note: 60, velocity: 0 }
+    ]);
+  });
+
+  test('should reject unsorted events and invalid headers', () => {
+    const events = [{ tick: 10, type: 'noteOn', channel: 1, note: 60, velocity: 1 }, { tick: 0, type: 'noteOff', channel: 1, note: 60 }];
+    expect(() => writeSmf({ division: 96, tracks: [{ events }] })).toThrow('sorted by tick');
+    expect(() => writeSmf({ division: 0x8000, tracks: [] })).toThrow('division must be');
+    expect(() => writeSmf({ format: 0, division: 96, tracks: [] })).toThrow('exactly one track');
+  });
+});
+
+describe('midi-export', () => {
+  test('should end notes at the next note or note off on their channel', () => {
+    const result = patternToMidi([
+      [{ sample: 'ST-01', note: 'C-4', volume: 64 }],
+      [null],
+      [{ sample: 'ST-01', note: 'E-4', volume: 32 }],
+      [{ note: '===' }]
+    ], { bpm: 120 });
+    const { division, tracks } = parseSmf(result.bytes);
+
+    expect(division).toBe(240); // 60 ticks per row, 4 rows per quarter
+    expect(result).toMatchObject({ rows: 4, notes: 2, duration: 0.5, warnings: [] });
+    expect(result.tracks).toEqual([{ name: 'ST-01', channel: 0, sample: 'ST-01', midiChannel: 1, notes: 2 }]);
+    expect(tracks[0].events.find(event => event.type === 'tempo').bpm).toBe(120);
+    expect(noteEvents(tracks[1])).toEqual([
+      [0, 'noteOn', 60, 127], [120, 'noteOff', 60, 0], [120, 'noteOn', 64, 64], [180, 'noteOff', 64, 0]
+    ]);
+  });
+
+  test('should time delay ticks, note cuts and retriggers by the speed', () => {
+    const result = patternToMidi([
+      [{ sample: 'ST-01', note: 'C-4', delay: 3 }],
+      [{ sample: 'ST-01', note: 'D-4', effect: 'EC2' }],
+      [{ sample: 'ST-01', note: 'E-4', effect: 'E93' }]
+    ], { speed: 6 });
+
+    expect(noteEvents(parseSmf(result.bytes).tracks[1]).map(([tick, type]) => `${type}@${tick}`)).toEqual([
+      'noteOn@30', 'noteOff@60', 'noteOn@60', 'noteOff@80', 'noteOn@120', 'noteOff@150', 'noteOn@150', 'noteOff@180'
+    ]);
+  });
+
+  test('should write Fxx tempo and speed changes to the tempo map', () => {
+    const result = patternToMidi([
+      [{ sample: 'ST-01', note: 'C-4' }],
+      [{ effect: 'F8C' }], // 140 BPM
+      [{ effect: 'F03' }] // Half the ticks per row: twice the rows per minute
+    ], { bpm: 120, speed: 6 });
+    const tempos = parseSmf(result.bytes).tracks[0].events.filter(event => event.type === 'tempo');
+
+    expect(tempos.map(event => [event.tick, Math.round(event.bpm)])).toEqual([[0, 120], [60, 140], [120, 280]]);
+  });
+
+  test('should put samples on their own tracks and drums on channel 10', () => {
+    const result = patternToMidi([
+      [{ sample: '808-KICK', note: 'C-3' }, { sample: 'OP-BASS-ELECTRIC', note: 'E-2', volume: 48 }, { sample: 'ST-01', note: 'G-4' }],
+      [{ sample: 'OP-SNARE', note: 'C-3' }, null, { sample: 'OP-BASS-ELECTRIC', note: 'A-2' }]
+    ], { drumMap: '40=OP-SNARE' });
+
+    expect(result.tracks.map(track => [track.name, track.midiChannel])).toEqual([
+      ['808-KICK', 10], ['OP-SNARE', 10], ['OP-BASS-ELECTRIC (channel 2)', 1], ['ST-01', 2], ['OP-BASS-ELECTRIC (channel 3)', 1]
+    ]);
+    const tracks = parseSmf(result.bytes).tracks;
+    expect(noteEvents(tracks[1])[0]).toEqual([0, 'noteOn', 36, 127]);
+    expect(noteEvents(tracks[2])[0]).toEqual([60, 'noteOn', 40, 127]);
+    expect(noteEvents(tracks[3])[0]).toEqual([0, 'noteOn', 40, 95]);
+  });
+
+  test('should import back to the same rows', () => {
+    const rows = [
+      [{ sample: 'ST-01', note: 'C-4', volume: 64 }, { sample: '808-KICK', note: 'C-2', volume: 64 }],
+      [null, null],
+      [{ sample: 'ST-01', note: 'G-4', volume: 32 }, null],
+      [{ note: '===' }, null]
+    ];
+    const imported = midiToPattern(patternToMidi(rows, { timeSignature: '1/4' }).bytes, { timeSignature: '1/4' });
+
+    expect(imported.rows).toEqual(rows);
+  });
+
+  test('should play songs in order with their tempo ramps, repeated', () => {
+    const verse = [[{ sample: 'ST-01', note: 'C-4' }], [null]];
+    const result = songToMidi({ patterns: [verse], order: [0, 0], tempoRamps: [{ startRow: 0, endRow: 3, bpm: 60 }] },
+      { bpm: 120, repeat: 2, name: 'Demo' });
+    const conductor = parseSmf(result.bytes).tracks[0];
+
+    expect(result).toMatchObject({ rows: 8, notes: 4 });
+    expect(conductor.name).toBe('Demo');
+    expect(conductor.events.filter(event => event.type === 'tempo').map(event => Math.round(event.bpm)))
+      .toEqual([120, 100, 80, 60]); // The ramp's end tempo carries into the repeat
+  });
+
+  test('should follow trig conditions and skip invalid steps with a warning', () => {
+    const rows = [[{ sample: 'ST-01', note: 'C-4', every: [2, 2] }], [{ sample: 'ST-01', note: 'H-4' }]];
+    const result = patternToMidi(rows, { repeat: 2 });
+
+    expect(result.notes).toBe(1);
+    expect(result.warnings).toEqual([expect.stringMatching(/^Invalid note: "H-4".*: step skipped$/)]);
+  });
+
+  test('should reject invalid options and empty patterns', () => {
+    expect(() => patternToMidi([])).toThrow('no rows');
+    expect(() => patternToMidi([[null]], { speed: 0 })).toThrow('speed must be');
+    expect(() => patternToMidi([[null]], { repeat: 1.5 })).toThrow('repeat must be');
+    expect(() => patternToMidi(new Array(40000).fill([null]), { repeat: 2 })).toThrow('too long');
+  });
+});
@@ -0,0 +1,262 @@
+/**
+ * MIDI import: Standard MIDI Files turned into pattern rows
+ *
+ * Shared by the server (POST /api/import/midi) and the import-midi CLI; the
+ * rows play as they are through /api/play-pattern or the pattern library.
+ *
+ * Note-ons are quantized to the nearest row of the grid: rowsPerBeat rows per
+ * beat of the time signature (the file's first one unless given). Velocity
+ * becomes volume (0-127 → 0-64). Tracker channels are monophonic, so a MIDI
+ * channel gets as many pattern channels as it has overlapping notes; a note
+ * ends with a note off ("===") unless the next note on its pattern channel
+ * starts on that row.
+ *
+ * Instruments: each MIDI channel (1-16) plays a sample (`instruments`,
+ * default `instrument`). Channel 10 is drums: every General MIDI drum note
+ * is mapped to a sample through the drum map (DEFAULT_DRUM_MAP, overridden
+ * per note by `drumMap`) and played at the sample's base note, one pattern
+ * channel per sample. Drum notes without a sample are skipped.
+ *
+ * Tempo: the first tempo gives `bpm` (beats of the time signature per
+ * minute, default 120 quarter notes), later tempo events become Fxx effects
+ * (32-255 BPM) on an extra last channel.
+ */
+
+import { createMeter, parseTimeSignature } from './meter.js';
+import { midiToNote } from './notes.js';
+import { parseSmf } from './smf.js';
+import { NOTE_OFF } from './tracker-effects.js';
+
+export const DRUM_CHANNEL = 10;
+
+// Longest import in rows (a few minutes at 4 rows per beat fit easily)
+export const MAX_ROWS = 65536;
+
+// General MIDI drum note → sample of the 808 kit
+export const DEFAULT_DRUM_MAP = {
+  35: '808-KICK', 36: '808-KICK',
+  37: '808-CLAV', 39: '808-CLAV', 75: '808-CLAV',
+  38: '808-SNARE', 40: '808-SNARE',
+  42: '808-HIHAT-CLOSED', 44: '808-HIHAT-CLOSED', 46: '808-HIHAT-OPEN',
+  41: '808-TOM', 43: '808-TOM', 45: '808-TOM', 47: '808-TOM', 48: '808-TOM', 50: '808-TOM',
+  49: '808-CRASH', 51: '808-CRASH', 52: '808-CRASH', 53: '808-CRASH', 55: '808-CRASH', 57: '808-CRASH', 59: '808-CRASH',
+  56: '808-COWBELL',
+  60: '808-CONGA', 61: '808-CONGA', 62: '808-CONGA', 63: '808-CONGA', 64: '808-CONGA'
+};
+
+const DEFAULT_QUARTER_BPM = 120;
+const MIN_EFFECT_BPM = 32;
+const MAX_EFFECT_BPM = 255;
+
+/**
+ * Convert a Standard MIDI File into pattern rows
+ *
+ * @param {Uint8Array} bytes - SMF type 0 or 1
+ * @param {object} options
+ * @param {number} options.rowsPerBeat - Rows per beat of the grid (default: 4)
+ * @param {string} options.timeSignature - Time signature (default: the file's, else 4/4)
+ * @param {string} options.instrument - Sample of MIDI channels without one (default: 'ST-01')
+ * @param {object|string} options.instruments - MIDI channel → sample (see readSampleMap)
+ * @param {object|string} options.drumMap - GM drum note → sample, on top of DEFAULT_DRUM_MAP
+ * @param {Function} options.baseNote - Base note of a sample ID (drums play at it, default: 'C-2')
+ * @returns {object} { name, format, tracks, bpm, rowsPerBeat, timeSignature, rows,
+ *   channels: [{ midiChannel, sample } | { tempo: true }], notes, warnings }
+ */
+export function midiToPattern(bytes, {
+  rowsPerBeat,
+  timeSignature,
+  instrument = 'ST-01',
+  instruments = {},
+  drumMap = {},
+  baseNote = () => 'C-2'
+} = {}) {
+  const smf = parseSmf(bytes);
+  const channelSamples = readSampleMap(instruments, 'instruments', 1, 16);
+  const drumSamples = { ...DEFAULT_DRUM_MAP, ...readSampleMap(drumMap, 'drumMap', 0, 127) };
+  const warnings = [];
+
+  // Note-offs first, so a note repeated on the same tick starts after the old one ends
+  const events = smf.tracks.flatMap(track => track.events)
+    .sort((a, b) => a.tick - b.tick || (a.type === 'noteOff' ? 0 : 1) - (b.type === 'noteOff' ? 0 : 1));
+
+  const meter = createMeter({ rowsPerBeat, timeSignature: timeSignature ?? fileTimeSignature(events, warnings) });
+  const ticksPerRow = smf.division * 4 / meter.beatUnit / meter.rowsPerBeat;
+  const toRow = tick => Math.round(tick / ticksPerRow);
+  const toBeatBpm = quarterBpm => quarterBpm * meter.beatUnit / 4;
+
+  // Pair note-ons with note-offs (first on, first off per channel and note)
+  const notes = [];
+  const open = new Map();
+  let bpm = toBeatBpm(DEFAULT_QUARTER_BPM);
+  const tempoChanges = new Map();
+  for (const event of events) {
+    const key = `${event.channel}:${event.note}`;
+    if (event.type === 'noteOn') {
+      const note = { channel: event.channel, note: event.note, velocity: event.velocity, start: toRow(event.tick), end: null };
+      notes.push(note);
+      if (!open.has(key)) {
+        open.set(key, []);
+      }
+      open.get(key).push(note);
+    } else if (event.type === 'noteOff' && open.get(key)?.length) {
+      open.get(key).shift().end = toRow(event.tick);
+    } else if (event.type === 'tempo') {
+      if (toRow(event.tick) === 0) {
+        bpm = Math.round(toBeatBpm(event.bpm) * 100) / 100;
+      } else {
+        tempoChanges.set(toRow(event.tick), toBeatBpm(event.bpm));
+      }
+    }
+  }
+
+  // Whole bars covering every note start (note offs past the end are left to the end of the play)
+  const lastRow = notes.reduce((last, note) => Math.max(last, note.start, (note.end ?? note.start + 1) - 1),
+    Math.max(0, ...tempoChanges.keys()));
+  const length = Math.ceil((lastRow + 1) / meter.rowsPerBar) * meter.rowsPerBar;
+  if (length > MAX_ROWS) {
+    throw new Error(`MIDI file is too long: ${length} rows at ${meter.rowsPerBeat} rows per beat (up to ${MAX_ROWS})`);
+  }
+
+  const channels = [];
+  const columns = [];
+
+  // Melodic channels: a pattern channel per overlapping note
+  const melodic = [...new Set(notes.map(note => note.channel))]
+    .filter(channel => channel !== DRUM_CHANNEL)
+    .sort((a, b) => a - b);
+  for (const midiChannel of melodic) {
+    const sample = channelSamples[midiChannel] ?? instrument;
+    const voices = [];
+    for (const note of notes.filter(entry => entry.channel === midiChannel)) {
+      const end = note.end === null ? Infinity : Math.max(note.end, note.start + 1);
+      let voice = voices.find(entry => entry.free <= note.start);
+      if (!voice) {
+        voice = { free: 0, notes: [] };
+        voices.push(voice);
+      }
+      voice.free = end;
+      voice.notes.push({ ...note, end });
+    }
+    voices.forEach(voice => {
+      channels.push({ midiChannel, sample });
+      columns.push(voice.notes.flatMap((note, index) => {
+        const next = voice.notes[index + 1];
+        const cells = [[note.start, { sample, note: midiToNote(note.note), volume: toVolume(note.velocity) }]];
+        if (note.end < length && (!next || next.start !== note.end)) {
+          cells.push([note.end, { note: NOTE_OFF }]);
+        }
+        return cells;
+      }));
+    });
+  }
+
+  // Drums: a pattern channel per sample, the loudest hit wins a row
+  const drumColumns = new Map();
+  const unmapped = new Map();
+  for (const note of notes.filter(entry => entry.channel === DRUM_CHANNEL)) {
+    const sample = drumSamples[note.note];
+    if (!sample) {
+      unmapped.set(note.note, (unmapped.get(note.note) || 0) + 1);
+      continue;
+    }
+    if (!drumColumns.has(sample)) {
+      drumColumns.set(sample, new Map());
+    }
+    const hits = drumColumns.get(sample);
+    const volume = toVolume(note.velocity);
+    if (!hits.has(note.start) || hits.get(note.start).volume < volume) {
+      hits.set(note.start, { sample, note: baseNote(sample) || 'C-2', volume });
+    }
+  }
+  drumColumns.forEach((hits, sample) => {
+    channels.push({ midiChannel: DRUM_CHANNEL, sample });
+    columns.push([...hits.entries()]);
+  });
+  unmapped.forEach((count, note) => {
+    warnings.push(`Drum note ${note} has no sample in the drum map: ${count} note${count === 1 ? '' : 's'} skipped`);
+  });
+
+  // Tempo changes: Fxx on their own channel
+  if (tempoChanges.size > 0) {
+    let clamped = false;
+    channels.push({ tempo: true });
+    columns.push([...tempoChanges.entries()].map(([row, beatBpm]) => {
+      const value = Math.min(MAX_EFFECT_BPM, Math.max(MIN_EFFECT_BPM, Math.round(beatBpm)));
+      clamped = clamped || value !== Math.round(beatBpm);
+      return [row, { effect: `F${value.toString(16).toUpperCase().padStart(2, '0')}` }];
+    }));
+    if (clamped) {
+      warnings.push(`Tempo changes outside ${MIN_EFFECT_BPM}-${MAX_EFFECT_BPM} BPM were clamped (Fxx range)`);
+    }
+  }
+
+  const rows = Array.from({ length }, () => new Array(channels.length).fill(null));
+  columns.forEach((cells, column) => {
+    cells.forEach(([row, step]) => { rows[row][column] = step; });
+  });
+
+  return {
+    name: smf.tracks.find(track => track.name)?.name ?? null,
+    format: smf.format,
+    tracks: smf.tracks.length,
+    bpm,
+    rowsPerBeat: meter.rowsPerBeat,
+    timeSignature: meter.timeSignature,
+    rows,
+    channels,
+    notes: notes.length - [...unmapped.values()].reduce((sum, count) => sum + count, 0),
+    warnings
+  };
+}
+
+/**
+ * Read a number → sample map given as an object ({ "2": "OP-BASS-ELECTRIC" })
+ * or as text ("2=OP-BASS-ELECTRIC,10=808-KICK", as the CLI and query strings take it)
+ *
+ * @param {object|string} value - Map to read
+ * @param {string} label - Option name for errors
+ * @param {number} min - Lowest key
+ * @param {number} max - Highest key
+ * @returns {object} { number: sample }
+ */
+export function readSampleMap(value, label, min, max) {
+  let entries;
+  if (typeof value === 'string') {
+    entries = value.split(',')
+      .filter(entry => entry.trim() !== '')
+      .map(entry => entry.split('=').map(part => part.trim()));
+  } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+    entries = Object.entries(value);
+  } else {
+    throw new Error(`${label} must be an object like { "2": "OP-BASS-ELECTRIC" } or text like "2=OP-BASS-ELECTRIC"`);
+  }
+
+  const map = {};
+  for (const [key, sample] of entries) {
+    const number = Number(key);
+    if (!/^\d+$/.test(String(key)) || number < min || number > max || typeof sample !== 'string' || sample === '') {
+      throw new Error(`${label}: "${key}=${sample ?? ''}" must map a number from ${min} to ${max} to a sample`);
+    }
+    map[number] = sample;
+  }
+  return map;
+}
+
+function fileTimeSignature(events, warnings) {
+  const signature = events.find(event => event.type === 'timeSignature' && event.tick === 0);
+  if (!signature) {
+    return undefined;
+  }
+  const text = `${signature.numerator}/${signature.denominator}`;
+  try {
+    parseTimeSignature(text);
+    return text;
+  } catch {
+    warnings.push(`Time signature ${text} is not supported, imported as 4/4`);
+    return undefined;
+  }
+}
+
+function toVolume(velocity) {
+  return Math.round(velocity * 64 / 127);
+}
@@ -0,0 +1,114 @@
+/**
+ * Unit tests for Standard MIDI File parsing and import
+ */
+
+import { parseSmf } from './smf.js';
+import { midiToPattern, readSampleMap } from './midi-import.js';
+
+// Build an SMF from tracks of [delta, ...event bytes]
+function smf(tracks, { format = 1, division = 96 } = {}) {
+  const varint = value => {
+    const bytes = [value & 0x7F];
+    while ((value >>= 7) > 0) {
+      bytes.unshift((value & 0x7F) | 0x80);
+    }
+    return bytes;
+  };
+  const uint = (value, size) => Array.from({ length: size }, (_, index) => (value >> (8 * (size - 1 - index))) & 0xFF);
+  const ascii = text => [...text].map(char => char.charCodeAt(0));
+
+  const chunks = tracks.map(events => {
+    const data = events.flatMap(([delta, ...bytes]) => [...varint(delta), ...bytes]).concat([0, 0xFF, 0x2F, 0]);
+    return [...ascii('MTrk'), ...uint(data.length, 4), ...data];
+  });
+  return new Uint8Array([...ascii('MThd'), ...uint(6, 4), ...uint(format, 2), ...uint(tracks.length, 2), ...uint(division, 2), ...chunks.flat()]);
+}
+
+const tempo = bpm => [0xFF, 0x51, 3, ...[16, 8, 0].map(shift => (Math.round(60000000 / bpm) >> shift) & 0xFF)];
+
+describe('smf', () => {
+  test('should read notes, running status, tempo and time signature', () => {
+    const file = smf([
+      [[0, 0xFF, 0x03, 4, ...[...'Lead'].map(char => char.charCodeAt(0))], [0, ...tempo(100)], [0, 0xFF, 0x58, 4, 3, 2, 24, 8]],
+      [[0, 0x90, 60, 100], [48, 64, 90], [48, 60, 0], [0, 0x80, 64, 0]]
+    ]);
+    const { format, division, tracks } = parseSmf(file);
+
+    expect(format).toBe(1);
+    expect(division).toBe(96);
+    expect(tracks[0].name).toBe('Lead');
+    expect(tracks[0].events[1]).toMatchObject({ type: 'tempo', bpm: 100 });
+    expect(tracks[0].events[2]).toMatchObject({ type: 'timeSignature', numerator: 3, denominator: 4 });
+    expect(tracks[1].events.map(event => [event.tick, event.type, event.note])).toEqual([
+      [0, 'noteOn', 60], [48, 'noteOn', 64], [96, 'noteOff', 60], [96, 'noteOff', 64]
+    ]);
+    expect(tracks[1].events[0].channel).toBe(1);
+  });
+
+  test('should reject other files, type 2 and SMPTE timing', () => {
+    expect(() => parseSmf(new Uint8Array([1, 2, 3, 4]))).toThrow('Not a Standard MIDI File');
+    expect(() => parseSmf(smf([[]], { format: 2 }))).toThrow('type 2');
+    expect(() => parseSmf(smf([[]], { division: 0xE728 }))).toThrow('SMPTE');
+    expect(() => parseSmf(smf([[[0, 0x90, 60, 100]]]).slice(0, -6))).toThrow('cut short');
+  });
+});
+
+describe('midi-import', () => {
+  test('should quantize notes to rows and keep velocity as volume', () => {
+    // 96 ticks per quarter = 24 ticks per row at 4 rows per beat
+    const file = smf([[[0, 0x90, 60, 127], [47, 0x80, 60, 0], [0, 0x90, 62, 64], [96, 0x80, 62, 0]]], { format: 0 });
+    const result = midiToPattern(file);
+
+    expect(result).toMatchObject({ format: 0, bpm: 120, rowsPerBeat: 4, timeSignature: '4/4' });
+    expect(result.rows).toHaveLength(16);
+    expect(result.rows[0][0]).toEqual({ sample: 'ST-01', note: 'C-4', volume: 64 });
+    expect(result.rows[1][0]).toBeNull(); // The next note starts where this one ends
+    expect(result.rows[2][0]).toEqual({ sample: 'ST-01', note: 'D-4', volume: 32 });
+    expect(result.rows[6][0]).toEqual({ note: '===' });
+  });
+
+  test('should spread overlapping notes over channels', () => {
+    const file = smf([[[0, 0x90, 60, 100], [0, 0x90, 64, 100], [0, 0x91, 40, 100], [96, 0x80, 60, 0], [0, 0x80, 64, 0], [0, 0x81, 40, 0]]]);
+    const result = midiToPattern(file, { instruments: { 2: 'OP-BASS-ELECTRIC' } });
+
+    expect(result.channels).toEqual([
+      { midiChannel: 1, sample: 'ST-01' },
+      { midiChannel: 1, sample: 'ST-01' },
+      { midiChannel: 2, sample: 'OP-BASS-ELECTRIC' }
+    ]);
+    expect(result.rows[0].map(step => step.note)).toEqual(['C-4', 'E-4', 'E-2']);
+    expect(result.rows[4]).toEqual([{ note: '===' }, { note: '===' }, { note: '===' }]);
+  });
+
+  test('should map channel 10 through the drum map', () => {
+    const file = smf([[[0, 0x99, 36, 127], [0, 0x99, 42, 80], [24, 0x99, 38, 100], [0, 0x99, 81, 100], [24, 0x89, 36, 0]]]);
+    const result = midiToPattern(file, { drumMap: '38=OP-SNARE', baseNote: sample => (sample === 'OP-SNARE' ? 'C-2' : 'C-3') });
+
+    expect(result.channels.map(channel => channel.sample)).toEqual(['808-KICK', '808-HIHAT-CLOSED', 'OP-SNARE']);
+    expect(result.rows[0][0]).toEqual({ sample: '808-KICK', note: 'C-3', volume: 64 });
+    expect(result.rows[1][2]).toEqual({ sample: 'OP-SNARE', note: 'C-2', volume: 50 });
+    expect(result.notes).toBe(3);
+    expect(result.warnings).toEqual(['Drum note 81 has no sample in the drum map: 1 note skipped']);
+  });
+
+  test('should take the tempo and time signature, and turn tempo changes into Fxx', () => {
+    const file = smf([
+      [[0, ...tempo(90)], [0, 0xFF, 0x58, 4, 6, 3, 24, 8], [192, ...tempo(140)]],
+      [[0, 0x90, 60, 100], [96, 0x80, 60, 0]]
+    ]);
+    const result = midiToPattern(file, { rowsPerBeat: 2 });
+
+    // 6/8 at 2 rows per 8th: a quarter note is 4 rows, BPM counts 8ths
+    expect(result).toMatchObject({ bpm: 180, timeSignature: '6/8' });
+    expect(result.rows).toHaveLength(12);
+    expect(result.channels[1]).toEqual({ tempo: true });
+    expect(result.rows[8][1]).toEqual({ effect: 'FFF' }); // 280 8ths per minute, clamped
+    expect(result.warnings[0]).toContain('clamped');
+  });
+
+  test('should read sample maps as objects or text', () => {
+    expect(readSampleMap('2=OP-BASS-ELECTRIC, 3=OP-FLUTE', 'instruments', 1, 16)).toEqual({ 2: 'OP-BASS-ELECTRIC', 3: 'OP-FLUTE' });
+    expect(() => readSampleMap({ 17: 'ST-01' }, 'instruments', 1, 16)).toThrow('instruments: "17=ST-01"');
+    expect(() => readSampleMap([], 'drumMap', 0, 127)).toThrow('drumMap must be');
+  });
+});
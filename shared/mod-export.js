@@ -0,0 +1,564 @@
+/**
+ * MOD export: pattern rows and songs written as ProTracker modules
+ *
+ * Shared by the server (POST /api/export/mod) and usable in the browser.
+ * Takes the audio of the samples the song plays (see
+ * SamplerService.readSampleAudio) and writes a 4-channel M.K. module
+ * (M!K! past 64 patterns) with shared/mod.js.
+ *
+ * Samples: the first 31 the song plays, resampled to 8-bit at the rate
+ * that puts their notes in ProTracker's three octaves (C-1 to B-3): each
+ * sample is moved by whole octaves (its transpose) so its notes fit, as high
+ * as the sample's own rate and the 128 KB limit allow, and its notes are
+ * written moved by the same octaves. Loop points are scaled with it.
+ *
+ * Patterns: every pattern of the song becomes 64-row MOD patterns; a shorter
+ * last part ends with a D00 pattern break. Identical MOD patterns are
+ * written once. The order list plays the song's order once (up to 128
+ * positions); repeats of an order entry are positions of their own. Steps
+ * become cells:
+ *   - a note plays its sample at the period of its note; the sample's
+ *     default volume is 64, other volumes become Cxx
+ *   - `delay` becomes EDx; note off ("===") and note cut ("^^^") silence the
+ *     note (C00, ECx with a delay)
+ *   - effects are kept; slide and vibrato depths are rescaled to the
+ *     transposed sample's periods, 9xx to its frames, and Fxx tempo from
+ *     this engine's BPM to ProTracker's (which counts at speed 6)
+ *   - a cell holds one effect: the step's effect wins over delay, delay over
+ *     volume
+ *   - channels past 4 move to a free channel of their row (cutting the note
+ *     it holds, preferring silent channels); without one the step is dropped
+ * Pan, trig conditions, tunings and grooves can't be written: the report
+ * lists what was dropped or changed.
+ */
+
+import { MAX_POSITIONS, MAX_SAMPLES, MAX_SAMPLE_LENGTH, ROWS_PER_PATTERN, modSampleRate, writeMod } from './mod.js';
+import { MOD_BPM, MOD_SPEED } from './mod-import.js';
+import { createMeter } from './meter.js';
+import { parseNote } from './notes.js';
+import { NOTE_CUT, NOTE_OFF, notePeriod, parseEffect } from './tracker-effects.js';
+
+export const MOD_CHANNELS = 4;
+
+// M.K. holds 64 patterns, ProTracker 2.3's M!K! 100
+const MAX_PATTERNS = 100;
+const MK_PATTERNS = 64;
+
+// ProTracker's note range: C-1 to B-3, C-2 plays a sample at modSampleRate()
+const LOWEST_NOTE = 24;
+const HIGHEST_NOTE = 59;
+const REFERENCE_MIDI = 36;
+const MOD_RATE = modSampleRate(0);
+
+const DEFAULT_BASE_NOTE = 'C-4';
+const TRIG_FIELDS = ['probability', 'every', 'condition'];
+
+/**
+ * Convert pattern rows into a ProTracker module
+ *
+ * @param {Array<Array<object>>} rows - Pattern rows
+ * @param {object} options - See songToMod
+ * @returns {object} See songToMod
+ */
+export function patternToMod(rows, options = {}) {
+  return songToMod({ patterns: [rows], order: [0] }, options);
+}
+
+/**
+ * Sample IDs a song plays, in order of appearance (the module's sample numbers)
+ *
+ * @param {object} song - { patterns: [rows], order: [index into patterns] }
+ * @returns {string[]}
+ */
+export function songSamples(song) {
+  const ids = [];
+  for (const index of song.order) {
+    for (const row of song.patterns[index]) {
+      for (const step of Array.isArray(row) ? row : [row]) {
+        if (step && step.sample && !ids.includes(step.sample)) {
+          ids.push(step.sample);
+        }
+      }
+    }
+  }
+  return ids;
+}
+
+/**
+ * Convert an arranged song into a ProTracker module
+ *
+ * @param {object} song - { patterns: [rows], order: [index into patterns] } (see SongStore.arrange)
+ * @param {object} options
+ * @param {string} options.name - Song title (optional, up to 20 characters)
+ * @param {number} options.bpm - Musical BPM (default: 120)
+ * @param {number} options.speed - Ticks per row (default: 6)
+ * @param {number} options.rowsPerBeat - Rows per beat (default: 4)
+ * @param {object} options.samples - Sample ID → { data (Float32Array, -1 to 1), sampleRate (of the base note),
+ *   baseNote, loopStart, loopLength } for every sample the song plays
+ * @returns {object} { bytes, format, channels, bpm, speed, rowsPerBeat, trackerBpm, patterns, positions, rows,
+ *   samples: [{ number, id, length, sampleRate, transpose }], warnings }
+ */
+export function songToMod(song, {
+  name = null,
+  bpm = 120,
+  speed = MOD_SPEED,
+  rowsPerBeat,
+  samples = {}
+} = {}) {
+  const meter = createMeter({ rowsPerBeat });
+  if (typeof bpm !== 'number' || !(bpm > 0)) {
+    throw new Error('bpm must be a positive number');
+  }
+  if (!Number.isInteger(speed) || speed < 1 || speed > 31) {
+    throw new Error('speed must be an integer from 1 to 31 ticks per row');
+  }
+  if (song.order.every(index => song.patterns[index].length === 0)) {
+    throw new Error('Nothing to export: the pattern has no rows');
+  }
+
+  const warnings = new Set();
+  const timing = { speed, rowsPerBeat: meter.rowsPerBeat };
+
+  // Samples, with the notes they play
+  const notes = new Map();
+  for (const id of songSamples(song)) {
+    if (!samples[id]) {
+      throw new Error(`No audio for sample: ${id}`);
+    }
+    notes.set(id, new Set());
+  }
+  for (const index of song.order) {
+    for (const row of song.patterns[index]) {
+      for (const step of Array.isArray(row) ? row : [row]) {
+        const midi = step && step.sample ? stepMidi(step, samples[step.sample], warnings) : null;
+        if (midi !== null) {
+          notes.get(step.sample).add(midi);
+        }
+      }
+    }
+  }
+  const ids = [...notes.keys()].filter(id => notes.get(id).size > 0);
+  if (ids.length > MAX_SAMPLES) {
+    warnings.add(`A module holds ${MAX_SAMPLES} samples: notes of ${ids.slice(MAX_SAMPLES).join(', ')} are dropped`);
+  }
+  const exported = new Map();
+  ids.slice(0, MAX_SAMPLES).forEach((id, index) => {
+    exported.set(id, { id, number: index + 1, ...convertSample(id, samples[id], notes.get(id), warnings) });
+  });
+
+  // Patterns and order list
+  const context = { exported, samples, timing, warnings };
+  const patterns = [];
+  const patternNumbers = new Map(); // Cells as JSON → pattern number
+  const parts = new Map(); // Song pattern index → its 64-row parts
+  const order = [];
+  let rows = 0;
+
+  const addPattern = (cells) => {
+    const key = JSON.stringify(cells);
+    if (!patternNumbers.has(key)) {
+      if (patterns.length === MAX_PATTERNS) {
+        return null;
+      }
+      patternNumbers.set(key, patterns.length);
+      patterns.push(cells);
+    }
+    return patternNumbers.get(key);
+  };
+
+  const trackerBpm = trackerTempo(bpm, timing, warnings);
+  entries: for (const [position, index] of song.order.entries()) {
+    if (!parts.has(index)) {
+      if (song.patterns[index].length === 0) {
+        warnings.add('Empty patterns are skipped');
+      }
+      parts.set(index, convertPattern(song.patterns[index], context));
+    }
+    for (const part of parts.get(index)) {
+      const cells = order.length === 0 ? startTiming(part, speed, trackerBpm, warnings) : part;
+      const number = order.length < MAX_POSITIONS ? addPattern(cells) : null;
+      if (number === null) {
+        warnings.add(order.length < MAX_POSITIONS
+          ? `The song needs more than ${MAX_PATTERNS} MOD patterns: it ends at order entry ${position}`
+          : `The song needs more than ${MAX_POSITIONS} positions: it ends at order entry ${position}`);
+        break entries;
+      }
+      order.push(number);
+    }
+    rows += song.patterns[index].length;
+  }
+
+  const format = patterns.length > MK_PATTERNS ? 'M!K!' : 'M.K.';
+  const bytes = writeMod({
+    title: name || '',
+    format,
+    samples: [...exported.values()].map(sample => sample.sample),
+    order,
+    patterns
+  });
+
+  return {
+    bytes,
+    format,
+    channels: MOD_CHANNELS,
+    bpm,
+    speed,
+    rowsPerBeat: meter.rowsPerBeat,
+    trackerBpm,
+    patterns: patterns.length,
+    positions: order.length,
+    rows,
+    samples: [...exported.values()].map(({ number, id, sample, rate, transpose }) => ({
+      number,
+      id,
+      length: sample.data.length & ~1,
+      sampleRate: Math.round(rate),
+      transpose
+    })),
+    warnings: [...warnings]
+  };
+}
+
+/**
+ * Resample a sample to 8-bit at the rate its notes need (see the module doc)
+ */
+function convertSample(id, audio, notes, warnings) {
+  const baseMidi = Math.round(parseNote(audio.baseNote || DEFAULT_BASE_NOTE).midi);
+  const lowest = Math.min(...notes);
+  const highest = Math.max(...notes);
+  const rateAt = transpose => MOD_RATE * Math.pow(2, (baseMidi + transpose - REFERENCE_MIDI) / 12);
+
+  // Octave moves that fit the notes, from the lowest rate up
+  const first = 12 * Math.ceil((LOWEST_NOTE - lowest) / 12);
+  const last = Math.max(first, 12 * Math.floor((HIGHEST_NOTE - highest) / 12));
+  let transpose = first;
+  for (let candidate = last; candidate > first; candidate -= 12) {
+    const rate = rateAt(candidate);
+    if (rate <= audio.sampleRate && audio.data.length * rate / audio.sampleRate <= MAX_SAMPLE_LENGTH) {
+      transpose = candidate;
+      break;
+    }
+  }
+  if (highest + transpose > HIGHEST_NOTE) {
+    warnings.add(`Sample ${id} plays more than ProTracker's three octaves: its highest notes are moved down by octaves`);
+  }
+
+  const rate = rateAt(transpose);
+  const ratio = rate / audio.sampleRate;
+  const sourceFrames = Math.min(audio.data.length, Math.floor(MAX_SAMPLE_LENGTH / ratio));
+  if (sourceFrames < audio.data.length) {
+    warnings.add(`Sample ${id} is cut to ${MAX_SAMPLE_LENGTH} frames (the longest ProTracker sample)`);
+  }
+  const data = toInt8(resample(audio.data.subarray(0, sourceFrames), ratio));
+
+  let loopStart = 0;
+  let loopLength = 0;
+  if (audio.loopLength > 2) {
+    loopStart = Math.min(even(audio.loopStart * ratio), data.length & ~1);
+    loopLength = Math.min(even(audio.loopLength * ratio), (data.length & ~1) - loopStart);
+    if (loopLength <= 2) {
+      loopStart = 0;
+      loopLength = 0;
+    }
+  }
+
+  return {
+    transpose,
+    rate,
+    ratio,
+    // Periods of the transposed sample over the engine's (slides and vibrato move periods)
+    periodScale: MOD_RATE / rate,
+    sample: { name: id, finetune: 0, volume: 64, loopStart, loopLength, data }
+  };
+}
+
+/**
+ * Cells of a song pattern as 64-row MOD patterns
+ */
+function convertPattern(rows, context) {
+  // MOD channel → song channel whose notes it plays, and whether one is playing
+  const channels = Array.from({ length: MOD_CHANNELS }, (_, channel) => ({ owner: channel, running: false, sample: null }));
+  const cells = rows.map(row => convertRow(Array.isArray(row) ? row : [row], channels, context));
+
+  const parts = [];
+  for (let start = 0; start < cells.length; start += ROWS_PER_PATTERN) {
+    const part = cells.slice(start, start + ROWS_PER_PATTERN);
+    if (part.length < ROWS_PER_PATTERN) {
+      setEffect(part[part.length - 1], 0xD, 0x00, () => {
+        context.warnings.add(`Patterns that aren't a multiple of ${ROWS_PER_PATTERN} rows end with a D00 pattern break: it replaces an effect of their last row`);
+      }, true);
+      while (part.length < ROWS_PER_PATTERN) {
+        part.push(new Array(MOD_CHANNELS).fill(null));
+      }
+    }
+    parts.push(part);
+  }
+  return parts;
+}
+
+/**
+ * Cells of a row: steps of channels past 4 move to a free channel
+ */
+function convertRow(steps, channels, context) {
+  const cells = new Array(MOD_CHANNELS).fill(null);
+  steps.forEach((step, channel) => {
+    if (!step) {
+      return;
+    }
+    let target = channel;
+    if (channel >= MOD_CHANNELS) {
+      target = freeChannel(cells, channels, channel, Boolean(step.sample));
+      if (target === -1) {
+        context.warnings.add(`Rows with more than ${MOD_CHANNELS} channels in use: steps without a free channel are dropped`);
+        return;
+      }
+      if (step.sample && channels[target].owner !== channel) {
+        context.warnings.add(`Notes of channels past ${MOD_CHANNELS} are moved to a free channel (ending the note it plays)`);
+      }
+    }
+    cells[target] = convertStep(step, channels[target], context);
+    if (step.sample && cells[target] && cells[target].sample) {
+      channels[target].owner = channel;
+    }
+  });
+  return cells;
+}
+
+/**
+ * Free MOD channel of a row for a song channel past 4: the one playing its
+ * notes, else (for a new note) a silent one, else any; -1 if none is free
+ */
+function freeChannel(cells, channels, channel, startsNote) {
+  const free = cells.map((cell, index) => (cell ? -1 : index)).filter(index => index !== -1);
+  const own = free.find(index => channels[index].owner === channel);
+  if (own !== undefined || !startsNote) {
+    return own ?? -1;
+  }
+  return free.find(index => !channels[index].running) ?? free[0] ?? -1;
+}
+
+/**
+ * Cell of a step, or null if nothing of it can be written
+ */
+function convertStep(step, channel, { exported, samples, timing, warnings }) {
+  if (step.pan !== undefined) {
+    warnings.add('Step pan is dropped: ProTracker channels are panned left-right-right-left');
+  }
+  if (TRIG_FIELDS.some(field => step[field] !== undefined)) {
+    warnings.add('Trig conditions are dropped: their steps always play');
+  }
+
+  if (step.note === NOTE_OFF || step.note === NOTE_CUT) {
+    // No note off in ProTracker: the note is silenced, at its delay with ECx
+    channel.running = false;
+    const delay = readDelay(step, warnings);
+    return delay ? { period: 0, sample: 0, effect: 0xE, param: 0xC0 | delay } : { period: 0, sample: 0, effect: 0xC, param: 0 };
+  }
+
+  const cell = { period: 0, sample: 0, effect: 0, param: 0 };
+  const columns = [];
+  if (step.sample) {
+    const sample = exported.get(step.sample);
+    const midi = sample ? stepMidi(step, samples[step.sample], warnings) : null;
+    if (midi === null) {
+      return null;
+    }
+    cell.sample = sample.number;
+    cell.period = notePeriod(fitNote(midi + sample.transpose));
+    channel.sample = sample;
+    channel.running = true;
+  }
+
+  const effect = readEffect(step, warnings);
+  if (effect) {
+    columns.push(modEffect(effect, channel.sample, timing, warnings));
+  }
+  if (step.sample) {
+    const delay = readDelay(step, warnings);
+    if (delay) {
+      columns.push([0xE, 0xD0 | delay]);
+    }
+    const volume = step.volume !== undefined ? Math.round(Math.min(64, Math.max(0, step.volume))) : 64;
+    if (volume !== 64) {
+      columns.push([0xC, volume]);
+    }
+  }
+  if (columns.length > 1) {
+    warnings.add('A MOD cell holds one effect: the volume (Cxx) or delay (EDx) of steps with an effect, and the volume of delayed notes, are dropped');
+  }
+  if (columns.length > 0) {
+    [cell.effect, cell.param] = columns[0];
+  }
+  return cell.sample || cell.effect || cell.param ? cell : null;
+}
+
+/**
+ * MOD effect of an engine effect: [effect, param]
+ */
+function modEffect({ command, param, x, y }, sample, timing, warnings) {
+  switch (command) {
+    case 'E9':
+      return [0xE, 0x90 | x];
+    case 'EC':
+      return [0xE, 0xC0 | x];
+    case 'F':
+      if (param < 0x20) {
+        timing.speed = param;
+        return [0xF, param];
+      }
+      return [0xF, trackerTempo(param, timing, warnings)];
+    case '1':
+    case '2':
+    case '3':
+      return [Number(command), scalePeriods(param, sample, 0xFF)];
+    case '4':
+      return [0x4, (x << 4) | scalePeriods(y, sample, 0x0F)];
+    case '9': {
+      const offset = sample ? Math.round(param * sample.ratio) : param;
+      if (offset > 0xFF) {
+        warnings.add('Sample offsets (9xx) past the resampled sample\'s 65280 frames are clamped');
+      }
+      return [0x9, Math.min(0xFF, offset)];
+    }
+    default:
+      return [parseInt(command, 16), param];
+  }
+}
+
+/**
+ * Slide or vibrato depth in the transposed sample's periods (00 keeps its memory meaning)
+ */
+function scalePeriods(value, sample, max) {
+  if (value === 0 || !sample) {
+    return value;
+  }
+  return Math.min(max, Math.max(1, Math.round(value * sample.periodScale)));
+}
+
+/**
+ * ProTracker BPM of a musical BPM: rows last speed ticks of 2.5 / BPM seconds
+ * (the inverse of moduleBpm in shared/module-song.js)
+ */
+function trackerTempo(bpm, { speed, rowsPerBeat }, warnings) {
+  const tempo = Math.round(bpm * speed * rowsPerBeat / 24);
+  if (tempo < 0x20 || tempo > 0xFF) {
+    warnings.add(`Tempos outside ProTracker's 32-255 BPM (${bpm} BPM at speed ${speed}) are clamped`);
+  }
+  return Math.min(0xFF, Math.max(0x20, tempo));
+}
+
+/**
+ * Copy of the first part with the song's speed and tempo on its first row
+ * (ProTracker starts at speed 6, 125 BPM)
+ */
+function startTiming(part, speed, trackerBpm, warnings) {
+  const cells = part.map(row => row.slice());
+  const missing = () => warnings.add('No free effect column on the first row for the song\'s speed and tempo');
+  if (speed !== MOD_SPEED) {
+    setEffect(cells[0], 0xF, speed, missing);
+  }
+  if (trackerBpm !== MOD_BPM) {
+    setEffect(cells[0], 0xF, trackerBpm, missing);
+  }
+  return cells;
+}
+
+/**
+ * Put an effect in a row's first cell without one; if every cell has one,
+ * call onFull (and replace the last channel's with force)
+ */
+function setEffect(row, effect, param, onFull, force = false) {
+  let index = row.findIndex(cell => !cell || (cell.effect === 0 && cell.param === 0));
+  if (index === -1) {
+    onFull();
+    if (!force) {
+      return;
+    }
+    index = row.length - 1;
+  }
+  row[index] = { ...(row[index] || { period: 0, sample: 0 }), effect, param };
+}
+
+/**
+ * Whole MIDI note of a step (the sample's base note without a note), or null if invalid
+ */
+function stepMidi(step, audio, warnings) {
+  try {
+    const { midi, hz } = parseNote(step.note ?? audio.baseNote ?? DEFAULT_BASE_NOTE);
+    if (hz !== undefined && Math.round(midi) !== midi) {
+      warnings.add('Frequencies between notes were rounded to the nearest note');
+    }
+    return Math.round(midi);
+  } catch (error) {
+    warnings.add(`${error.message}: step skipped`);
+    return null;
+  }
+}
+
+/**
+ * Note moved by octaves into C-1 to B-3
+ */
+function fitNote(midi) {
+  let note = midi;
+  while (note < LOWEST_NOTE) {
+    note += 12;
+  }
+  while (note > HIGHEST_NOTE) {
+    note -= 12;
+  }
+  return note;
+}
+
+function readEffect(step, warnings) {
+  if (!step.effect) {
+    return null;
+  }
+  try {
+    return parseEffect(step.effect);
+  } catch (error) {
+    warnings.add(error.message);
+    return null;
+  }
+}
+
+function readDelay(step, warnings) {
+  const delay = Math.round(step.delay || 0);
+  if (delay > 0x0F) {
+    warnings.add('Delays past 15 ticks are clamped (EDx)');
+  }
+  return Math.min(0x0F, Math.max(0, delay));
+}
+
+/**
+ * Resample by a ratio (output frames per input frame): averages the frames
+ * of each output frame when shrinking, interpolates when growing
+ */
+function resample(data, ratio) {
+  const length = Math.floor(data.length * ratio);
+  const step = 1 / ratio;
+  const output = new Float32Array(length);
+  for (let i = 0; i < length; i++) {
+    const position = i * step;
+    const start = Math.floor(position);
+    if (step > 1) {
+      const end = Math.min(data.length, Math.max(start + 1, Math.floor(position + step)));
+      let sum = 0;
+      for (let j = start; j < end; j++) {
+        sum += data[j];
+      }
+      output[i] = sum / (end - start);
+    } else {
+      const next = Math.min(start + 1, data.length - 1);
+      output[i] = data[start] + (data[next] - data[start]) * (position - start);
+    }
+  }
+  return output;
+}
+
+function toInt8(data) {
+  return Int8Array.from(data, value => Math.max(-128, Math.min(127, Math.round(value * 128))));
+}
+
+function even(value) {
+  return Math.round(value / 2) * 2;
+}
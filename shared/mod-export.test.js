@@ -0,0 +1,122 @@
+/**
+ * Unit tests for MOD export
+ */
+
+import { modSampleRate, parseMod } from './mod.js';
+import { patternToMod, songSamples, songToMod } from './mod-export.js';
+
+// A sample at the Amiga's C-2 rate and a piano recorded at 44.1 kHz around C-4
+const SAMPLES = {
+  KICK: { data: Float32Array.from({ length: 100 }, (_, i) => (i % 2 ? 0.5 : -0.5)), sampleRate: modSampleRate(0), baseNote: 'C-2', loopStart: 0, loopLength: 0 },
+  PIANO: { data: Float32Array.from({ length: 4410 }, (_, i) => Math.sin(i / 10)), sampleRate: 44100, baseNote: 'C-4', loopStart: 441, loopLength: 2205 }
+};
+
+const EMPTY = { period: 0, sample: 0, effect: 0, param: 0 };
+
+describe('mod-export', () => {
+  describe('patternToMod', () => {
+    test('should write notes with their volume, delay and effects', () => {
+      const result = patternToMod([
+        [{ sample: 'KICK', note: 'C-2', volume: 32 }, { sample: 'PIANO', note: 'C-4', delay: 3 }, { sample: 'PIANO', note: 'E-4', effect: 'A04', volume: 10, pan: 200 }],
+        [{ note: '===' }, { note: '^^^', delay: 2 }, { effect: '302' }],
+        [null, null, { effect: 'F8C' }, { sample: 'KICK' }]
+      ], { name: 'Sketch', samples: SAMPLES });
+      const module = parseMod(result.bytes);
+      const rows = module.patterns[0];
+
+      expect(result).toMatchObject({ format: 'M.K.', channels: 4, bpm: 120, speed: 6, trackerBpm: 120, patterns: 1, positions: 1, rows: 3 });
+      expect(module).toMatchObject({ title: 'Sketch', order: [0] });
+      expect(rows[0]).toEqual([
+        { period: 428, sample: 1, effect: 0xC, param: 32 },
+        { period: 214, sample: 2, effect: 0xE, param: 0xD3 },
+        { period: 170, sample: 2, effect: 0xA, param: 0x04 },
+        { ...EMPTY, effect: 0xF, param: 120 }
+      ]);
+      // The piano plays an octave lower at twice the Amiga rate: its slides move half the periods
+      expect(rows[1]).toEqual([{ ...EMPTY, effect: 0xC }, { ...EMPTY, effect: 0xE, param: 0xC2 }, { ...EMPTY, effect: 0x3, param: 1 }, EMPTY]);
+      expect(rows[2]).toEqual([{ ...EMPTY, effect: 0xD }, EMPTY, { ...EMPTY, effect: 0xF, param: 140 }, { period: 428, sample: 1, effect: 0, param: 0 }]);
+      expect(rows[3]).toEqual([EMPTY, EMPTY, EMPTY, EMPTY]);
+
+      expect(result.samples).toEqual([
+        { number: 1, id: 'KICK', length: 100, sampleRate: 8287, transpose: 0 },
+        { number: 2, id: 'PIANO', length: 1656, sampleRate: 16574, transpose: -12 }
+      ]);
+      expect(module.samples[0]).toMatchObject({ name: 'KICK', volume: 64, loopLength: 2 });
+      expect(Array.from(module.samples[0].data.slice(0, 4))).toEqual([-64, 64, -64, 64]);
+      expect(module.samples[1]).toMatchObject({ name: 'PIANO', length: 1656, loopStart: 166, loopLength: 828 });
+      expect(result.warnings).toEqual([
+        'Step pan is dropped: ProTracker channels are panned left-right-right-left',
+        'A MOD cell holds one effect: the volume (Cxx) or delay (EDx) of steps with an effect, and the volume of delayed notes, are dropped'
+      ]);
+    });
+
+    test('should move notes of channels past 4 to free channels', () => {
+      const note = { sample: 'KICK' };
+      const result = patternToMod([
+        [note, null, note, null, note, note],
+        [null, null, null, null, { note: '===' }],
+        [note, note, note, note, note]
+      ], { samples: SAMPLES });
+      const rows = parseMod(result.bytes).patterns[0];
+
+      expect(rows[0].map(cell => cell.sample)).toEqual([1, 1, 1, 1]);
+      expect(rows[1][1]).toEqual({ ...EMPTY, effect: 0xC });
+      expect(rows[2].map(cell => cell.sample)).toEqual([1, 1, 1, 1]);
+      expect(result.warnings).toEqual([
+        'Notes of channels past 4 are moved to a free channel (ending the note it plays)',
+        'Rows with more than 4 channels in use: steps without a free channel are dropped'
+      ]);
+    });
+
+    test('should transpose samples by octaves to fit their notes', () => {
+      const short = { data: new Float32Array(100000), sampleRate: 44100, baseNote: 'C-2' };
+      const long = { data: new Float32Array(1000000), sampleRate: 44100, baseNote: 'C-2' };
+      const result = patternToMod([[{ sample: 'SHORT', note: 'C-2' }, { sample: 'LONG', note: 'C-2' }]], { samples: { SHORT: short, LONG: long } });
+      const wide = patternToMod([[{ sample: 'LONG', note: 'C-1' }, { sample: 'LONG', note: 'C-5' }]], { samples: { LONG: long } });
+
+      // As high as the sample's rate allows (two octaves up would be 33 kHz), as low as the 128 KB limit needs
+      expect(result.samples).toEqual([
+        { number: 1, id: 'SHORT', length: 37582, sampleRate: 16574, transpose: 12 },
+        { number: 2, id: 'LONG', length: 93958, sampleRate: 4144, transpose: -12 }
+      ]);
+      expect(parseMod(result.bytes).patterns[0][0].map(cell => cell.period).slice(0, 2)).toEqual([214, 856]);
+
+      expect(wide.samples[0]).toMatchObject({ transpose: 0, length: 131068 });
+      expect(parseMod(wide.bytes).patterns[0][0].map(cell => cell.period)).toEqual([856, 214, 0, 0]);
+      expect(wide.warnings).toEqual([
+        'Sample LONG plays more than ProTracker\'s three octaves: its highest notes are moved down by octaves',
+        'Sample LONG is cut to 131070 frames (the longest ProTracker sample)'
+      ]);
+    });
+
+    test('should throw for samples without audio and empty patterns', () => {
+      expect(() => patternToMod([[{ sample: 'NOPE' }]], { samples: SAMPLES })).toThrow('No audio for sample: NOPE');
+      expect(() => patternToMod([], { samples: SAMPLES })).toThrow('Nothing to export');
+      expect(() => patternToMod([[null]], { speed: 40 })).toThrow('speed must be');
+    });
+  });
+
+  describe('songToMod', () => {
+    test('should split patterns into 64 rows and write the order list', () => {
+      const verse = Array.from({ length: 80 }, (_, row) => [row % 16 === 0 ? { sample: 'KICK' } : null]);
+      verse[10] = [{ effect: 'F8C' }];
+      const fill = Array.from({ length: 16 }, () => [{ sample: 'PIANO', note: 'G-4' }]);
+      const song = { patterns: [verse, fill], order: [0, 1, 1, 0] };
+
+      const result = songToMod(song, { bpm: 120, speed: 3, samples: SAMPLES });
+      const module = parseMod(result.bytes);
+
+      expect(songSamples(song)).toEqual(['KICK', 'PIANO']);
+      expect(result).toMatchObject({ trackerBpm: 60, patterns: 4, positions: 6, rows: 192 });
+      expect(module.order).toEqual([0, 1, 2, 2, 3, 1]);
+      // Speed and tempo on the first row of the first position only
+      expect(module.patterns[0][0].slice(0, 2)).toEqual([{ period: 428, sample: 1, effect: 0xF, param: 3 }, { ...EMPTY, effect: 0xF, param: 60 }]);
+      expect(module.patterns[3][0].slice(0, 2)).toEqual([{ period: 428, sample: 1, effect: 0, param: 0 }, EMPTY]);
+      // 140 BPM at speed 3 and 4 rows per beat is ProTracker's 70
+      expect(module.patterns[3][10][0]).toEqual({ ...EMPTY, effect: 0xF, param: 70 });
+      // Parts shorter than 64 rows end with a pattern break, next to the last row's notes
+      expect(module.patterns[1][15][0]).toEqual({ ...EMPTY, effect: 0xD });
+      expect(module.patterns[2][15][0]).toEqual({ period: 143, sample: 2, effect: 0xD, param: 0 });
+    });
+  });
+});
@@ -0,0 +1,213 @@
+/**
+ * MOD import: ProTracker modules turned into a song
+ *
+ * Shared by the server (POST /api/import/mod) and the browser
+ * (web/mod-loader.js). Takes a module read by shared/mod.js.
+ *
+ * Samples become IDs `${prefix}-NN` (NN = sample number) with base note C-2,
+ * which plays at period 428 like on an Amiga; the song uses the amiga tuning,
+ * so every note plays at its ProTracker period.
+ *
+ * The order list is played through once with its Bxx jumps and Dxx breaks
+ * (see shared/module-song.js). Cells become steps:
+ *   - a note without a sample number plays the channel's last sample, at the
+ *     volume the channel has (the sample's default volume, or Cxx)
+ *   - a note of an empty sample cuts the channel ("^^^")
+ *   - Cxx sets the note's volume, EDx its delay
+ *   - 0xy 1xx 2xx 3xx 4xy 9xx Axy E9x ECx are kept, 5xy/6xy keep their
+ *     tone portamento/vibrato and lose the volume slide
+ *   - Fxx speed is kept; Fxx tempo is rescaled to this engine's, which
+ *     counts BPM at speed 6 (ProTracker BPM × 6 / speed)
+ * Channels are panned left-right-right-left like on an Amiga (narrowed).
+ * Everything else is dropped with a warning.
+ */
+
+import { ROWS_PER_PATTERN, modSampleRate } from './mod.js';
+import { MODULE_SPEED, breakRow, buildSong, createDropCounter, effectColumn, playOrder, tempoColumn } from './module-song.js';
+import { midiToNote } from './notes.js';
+import { NOTE_CUT, periodToMidi } from './tracker-effects.js';
+
+// ProTracker defaults (also the engine's: 125 BPM at 4 rows per beat is speed 6)
+export const MOD_BPM = 125;
+export const MOD_SPEED = MODULE_SPEED;
+
+const PAN_LEFT = 64;
+const PAN_RIGHT = 192;
+
+// Effect columns the scheduler plays as they are
+const KEPT_EFFECTS = [0x0, 0x1, 0x2, 0x3, 0x4, 0x9, 0xA];
+const KEPT_EXTENDED = [0x9, 0xC];
+
+// Dropped effects, for the warnings
+const EFFECT_NAMES = {
+  0x7: '7xy (tremolo)',
+  0x8: '8xx (panning)'
+};
+const EXTENDED_NAMES = {
+  0x0: 'E0x (filter)', 0x1: 'E1x (fine portamento up)', 0x2: 'E2x (fine portamento down)',
+  0x3: 'E3x (glissando)', 0x4: 'E4x (vibrato waveform)', 0x5: 'E5x (finetune)', 0x6: 'E6x (pattern loop)',
+  0x7: 'E7x (tremolo waveform)', 0x8: 'E8x (panning)', 0xA: 'EAx (fine volume slide up)',
+  0xB: 'EBx (fine volume slide down)', 0xE: 'EEx (pattern delay)', 0xF: 'EFx (invert loop)'
+};
+
+/**
+ * Convert a parsed module into a song
+ *
+ * @param {object} module - Module from parseMod
+ * @param {object} options
+ * @param {string} options.prefix - Prefix of the sample IDs (default: 'MOD')
+ * @returns {object} { name, bpm, speed, rowsPerBeat, timeSignature, tuning, patterns (pool), order,
+ *   samples: [{ id, index, name, baseNote, sampleRate, volume, finetune, length, loopStart, loopLength }], channels, warnings }
+ */
+export function modToSong(module, { prefix = 'MOD' } = {}) {
+  const { drop, warnings: dropWarnings } = createDropCounter();
+  const warnings = [...module.warnings];
+
+  const samples = module.samples
+    .filter(sample => sample.length > 2)
+    .map(sample => ({
+      id: `${prefix}-${String(sample.index).padStart(2, '0')}`,
+      index: sample.index,
+      name: sample.name,
+      baseNote: 'C-2',
+      sampleRate: modSampleRate(sample.finetune),
+      volume: sample.volume,
+      finetune: sample.finetune,
+      length: sample.length,
+      loopStart: sample.loopStart,
+      loopLength: sample.loopLength > 2 ? sample.loopLength : 0
+    }));
+  const sampleIds = new Map(samples.map(sample => [sample.index, sample.id]));
+  const defaultVolumes = new Map(module.samples.map(sample => [sample.index, sample.volume]));
+
+  const state = {
+    speed: MOD_SPEED,
+    channels: Array.from({ length: module.channels }, () => ({ sample: 0, volume: 64 }))
+  };
+  const convertRow = (cells) => cells.map((cell, channel) =>
+    convertCell(cell, state, channel, { sampleIds, defaultVolumes, drop }));
+
+  const parts = playOrder(module.order, module.patterns, modJump, warnings);
+  const { patterns, order } = buildSong(parts, module.patterns, convertRow);
+
+  return {
+    name: module.title || 'Untitled module',
+    bpm: MOD_BPM,
+    speed: MOD_SPEED,
+    rowsPerBeat: 4,
+    timeSignature: '4/4',
+    tuning: { type: 'amiga' },
+    patterns,
+    order,
+    samples,
+    channels: module.channels,
+    warnings: [...warnings, ...dropWarnings()]
+  };
+}
+
+/**
+ * Effect column of a MOD (or XM, same numbers) effect: "3xx", { delay } for
+ * EDx, or null (Bxx/Dxx shape the order list, Cxx the step volume); Fxx
+ * speed changes update state.speed
+ *
+ * @param {number} effect - Effect number (0-15)
+ * @param {number} param - Parameter (0-255)
+ * @param {object} state - { speed, rowsPerBeat }
+ * @param {Function} drop - Called with the name of dropped effects
+ * @returns {string|object|null}
+ */
+export function modEffectColumn(effect, param, state, drop) {
+  if (effect === 0x0 && param === 0) {
+    return null;
+  }
+  if (KEPT_EFFECTS.includes(effect)) {
+    return effectColumn(effect.toString(16).toUpperCase(), param);
+  }
+  if (effect === 0x5 || effect === 0x6) {
+    drop(`Volume slide of ${effect.toString(16)}xy (${effect === 0x5 ? 'tone portamento' : 'vibrato'} + volume slide)`);
+    return effect === 0x5 ? '300' : '400';
+  }
+  if (effect === 0xB || effect === 0xC || effect === 0xD) {
+    return null;
+  }
+  if (effect === 0xE) {
+    const command = param >> 4;
+    if (command === 0xD) {
+      return { delay: param & 0x0F };
+    }
+    if (KEPT_EXTENDED.includes(command)) {
+      return effectColumn('E', param);
+    }
+    drop(`Effect ${EXTENDED_NAMES[command]}`);
+    return null;
+  }
+  if (effect === 0xF) {
+    if (param === 0) {
+      drop('Effect F00 (stop)');
+      return null;
+    }
+    if (param < 0x20) {
+      state.speed = param;
+      return effectColumn('F', param);
+    }
+    return tempoColumn(param, state, drop);
+  }
+  drop(`Effect ${EFFECT_NAMES[effect]}`);
+  return null;
+}
+
+/**
+ * Order list jump of a MOD cell (Bxx position jump, Dxx break)
+ */
+export function modJump({ effect, param }) {
+  if (effect === 0xB) {
+    return { position: param };
+  }
+  if (effect === 0xD) {
+    const row = breakRow(param);
+    return { row: row < ROWS_PER_PATTERN ? row : 0 };
+  }
+  return null;
+}
+
+/**
+ * Step of a cell, or null for an empty one
+ */
+function convertCell(cell, state, channel, { sampleIds, defaultVolumes, drop }) {
+  const channelState = state.channels[channel];
+  const { period, effect, param } = cell;
+  const step = {};
+
+  if (cell.sample) {
+    channelState.sample = cell.sample;
+    channelState.volume = defaultVolumes.get(cell.sample) ?? 64;
+  }
+  if (effect === 0xC) {
+    channelState.volume = Math.min(param, 64);
+  }
+
+  if (period) {
+    const id = sampleIds.get(channelState.sample);
+    if (id) {
+      step.sample = id;
+      step.note = midiToNote(periodToMidi(period));
+      step.volume = channelState.volume;
+      step.pan = (channel % 4 === 0 || channel % 4 === 3) ? PAN_LEFT : PAN_RIGHT;
+    } else {
+      step.note = NOTE_CUT;
+    }
+  } else if (cell.sample || effect === 0xC) {
+    drop('Volume change of a running note (Cxx or a sample number without a note)');
+  }
+
+  const column = modEffectColumn(effect, param, state, drop);
+  if (column && column.delay !== undefined) {
+    if (period) {
+      step.delay = column.delay;
+    }
+  } else if (column) {
+    step.effect = column;
+  }
+
+  return Object.keys(step).length > 0 ? step : null;
+}
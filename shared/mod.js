@@ -0,0 +1,298 @@
+/**
+ * ProTracker modules: reading and writing MOD files
+ *
+ * Shared by the server (POST /api/import/mod, POST /api/export/mod) and the
+ * browser (web/mod-loader.js): works on a Uint8Array (a Node Buffer is one).
+ *
+ * Reads 31-sample modules (M.K., M!K!, FLT4, 4CHN, xCHN, xxCH, xxCN, CD81,
+ * OKTA, OCTA, TDZx) and the original 15-sample Soundtracker modules, which
+ * have no signature. Samples are 8-bit signed mono; lengths and loop points
+ * are converted to frames (Soundtracker stores its loop start in bytes).
+ *
+ * Cells keep the file's values: period (0 = no note), sample (1-based,
+ * 0 = none), effect (0-15) and param (0-255). Turning them into pattern rows
+ * is up to shared/mod-import.js.
+ *
+ * writeMod writes the same module object as a 31-sample module, so a written
+ * file reads back to the module it was written from.
+ */
+
+// PAL Amiga clock: a sample plays at AMIGA_PAL_CLOCK / (2 × period) frames per second
+export const AMIGA_PAL_CLOCK = 7093789.2;
+
+export const ROWS_PER_PATTERN = 64;
+
+// Signature → number of channels (31-sample modules)
+const SIGNATURES = {
+  'M.K.': 4, 'M!K!': 4, 'FLT4': 4, '4CHN': 4,
+  'CD81': 8, 'OKTA': 8, 'OCTA': 8
+};
+
+const MAX_CHANNELS = 32;
+const SAMPLE_HEADER_SIZE = 30;
+const CELL_SIZE = 4;
+
+// Limits of a 31-sample module (lengths are stored in words)
+export const MAX_SAMPLES = 31;
+export const MAX_SAMPLE_LENGTH = 0xFFFF * 2;
+export const MAX_POSITIONS = 128;
+
+/**
+ * Parse a ProTracker module
+ *
+ * @param {Uint8Array} bytes - File contents
+ * @returns {object} { title, format (signature, 'ST15' for Soundtracker), channels,
+ *   samples: [{ index, name, length, finetune, volume, loopStart, loopLength, data (Int8Array) }],
+ *   order (pattern numbers), restart, patterns: [[[{ period, sample, effect, param }]]], warnings }
+ */
+export function parseMod(bytes) {
+  if (!(bytes instanceof Uint8Array)) {
+    throw new Error('Module must be binary data');
+  }
+  const warnings = [];
+  const { format, channels, sampleCount } = readFormat(bytes);
+  const headerSize = 20 + sampleCount * SAMPLE_HEADER_SIZE + 2 + 128 + (sampleCount === 31 ? 4 : 0);
+  if (bytes.length < headerSize) {
+    throw new Error('Invalid module: file is shorter than its header');
+  }
+
+  const title = readText(bytes, 0, 20);
+  const samples = [];
+  for (let index = 0; index < sampleCount; index++) {
+    const offset = 20 + index * SAMPLE_HEADER_SIZE;
+    const finetune = bytes[offset + 24] & 0x0F;
+    samples.push({
+      index: index + 1,
+      name: readText(bytes, offset, 22),
+      length: word(bytes, offset + 22) * 2,
+      finetune: finetune > 7 ? finetune - 16 : finetune,
+      volume: Math.min(bytes[offset + 25], 64),
+      // Soundtracker stored the loop start in bytes, ProTracker in words
+      loopStart: word(bytes, offset + 26) * (sampleCount === 31 ? 2 : 1),
+      loopLength: word(bytes, offset + 28) * 2
+    });
+  }
+
+  const orderOffset = 20 + sampleCount * SAMPLE_HEADER_SIZE;
+  const songLength = bytes[orderOffset];
+  const restart = bytes[orderOffset + 1];
+  if (songLength < 1 || songLength > 128) {
+    throw new Error(`Invalid module: song length ${songLength} (1-128 positions)`);
+  }
+  const positions = Array.from(bytes.subarray(orderOffset + 2, orderOffset + 2 + 128));
+  const order = positions.slice(0, songLength);
+
+  // Patterns stored: the highest number in the whole order table (trackers
+  // save unused positions too), or in the song if the file can't hold them
+  const patternSize = ROWS_PER_PATTERN * channels * CELL_SIZE;
+  let patternCount = Math.max(...positions) + 1;
+  if (headerSize + patternCount * patternSize > bytes.length) {
+    patternCount = Math.max(...order) + 1;
+  }
+  if (headerSize + patternCount * patternSize > bytes.length) {
+    throw new Error(`Invalid module: ${patternCount} patterns don't fit in the file`);
+  }
+
+  const patterns = [];
+  for (let pattern = 0; pattern < patternCount; pattern++) {
+    const rows = [];
+    for (let row = 0; row < ROWS_PER_PATTERN; row++) {
+      const cells = [];
+      for (let channel = 0; channel < channels; channel++) {
+        cells.push(readCell(bytes, headerSize + pattern * patternSize + (row * channels + channel) * CELL_SIZE));
+      }
+      rows.push(cells);
+    }
+    patterns.push(rows);
+  }
+
+  // Sample data follows the patterns, in sample order
+  let offset = headerSize + patternCount * patternSize;
+  for (const sample of samples) {
+    const available = Math.max(0, Math.min(sample.length, bytes.length - offset));
+    if (available < sample.length) {
+      warnings.push(`Sample ${sample.index} is cut short: ${available} of ${sample.length} bytes`);
+      sample.length = available;
+    }
+    sample.data = Int8Array.from(bytes.subarray(offset, offset + available), byte => (byte << 24) >> 24);
+    offset += available;
+
+    if (sample.loopLength > 2 && sample.loopStart + sample.loopLength > sample.length) {
+      const loopLength = Math.max(0, sample.length - sample.loopStart);
+      warnings.push(`Sample ${sample.index}: loop ends after the sample, shortened to ${loopLength} frames`);
+      sample.loopLength = loopLength;
+    }
+  }
+
+  return { title, format, channels, samples, order, restart: restart < songLength ? restart : 0, patterns, warnings };
+}
+
+/**
+ * Write a 31-sample ProTracker module
+ *
+ * Sample lengths and loop points are written in words: odd values are
+ * rounded down. Unused positions of the order table are 0.
+ *
+ * @param {object} module - { title, format (default 'M.K.', or the xCHN/xxCH signature of other channel counts),
+ *   samples: [{ name, finetune, volume, loopStart, loopLength, data (Int8Array) }] (up to 31),
+ *   order, restart, patterns: [[[{ period, sample, effect, param }]]] (64 rows of cells) }
+ * @returns {Uint8Array} File contents
+ */
+export function writeMod({ title = '', format = 'M.K.', samples = [], order, restart = 0, patterns }) {
+  const channels = SIGNATURES[format] || Number((format.match(/^(\d)CHN$/) || format.match(/^(\d\d)C[HN]$/) || [])[1]);
+  if (!(channels >= 1 && channels <= MAX_CHANNELS)) {
+    throw new Error(`Unsupported format: ${format} (use M.K., xCHN or xxCH)`);
+  }
+  if (samples.length > MAX_SAMPLES) {
+    throw new Error(`Too many samples: ${samples.length} (up to ${MAX_SAMPLES})`);
+  }
+  if (!Array.isArray(order) || order.length < 1 || order.length > MAX_POSITIONS) {
+    throw new Error(`order must list 1 to ${MAX_POSITIONS} positions`);
+  }
+  if (!order.every(pattern => Number.isInteger(pattern) && pattern >= 0 && pattern < patterns.length)) {
+    throw new Error(`order must list pattern numbers from 0 to ${patterns.length - 1}`);
+  }
+
+  const headerSize = 20 + MAX_SAMPLES * SAMPLE_HEADER_SIZE + 2 + 128 + 4;
+  const patternSize = ROWS_PER_PATTERN * channels * CELL_SIZE;
+  const lengths = samples.map(sample => Math.min(sample.data.length, MAX_SAMPLE_LENGTH) & ~1);
+  const bytes = new Uint8Array(headerSize + patterns.length * patternSize + lengths.reduce((sum, length) => sum + length, 0));
+
+  writeText(bytes, 0, 20, title);
+  samples.forEach((sample, index) => {
+    const offset = 20 + index * SAMPLE_HEADER_SIZE;
+    const loopLength = sample.loopLength > 2 ? sample.loopLength : 0;
+    writeText(bytes, offset, 22, sample.name || '');
+    setWord(bytes, offset + 22, lengths[index] / 2);
+    bytes[offset + 24] = (sample.finetune || 0) & 0x0F;
+    bytes[offset + 25] = Math.min(sample.volume ?? 64, 64);
+    setWord(bytes, offset + 26, loopLength ? sample.loopStart >> 1 : 0);
+    setWord(bytes, offset + 28, loopLength ? loopLength >> 1 : 1);
+  });
+  for (let index = samples.length; index < MAX_SAMPLES; index++) {
+    setWord(bytes, 20 + index * SAMPLE_HEADER_SIZE + 28, 1);
+  }
+
+  const orderOffset = 20 + MAX_SAMPLES * SAMPLE_HEADER_SIZE;
+  bytes[orderOffset] = order.length;
+  bytes[orderOffset + 1] = restart;
+  bytes.set(order, orderOffset + 2);
+  writeText(bytes, orderOffset + 130, 4, format);
+
+  patterns.forEach((rows, pattern) => {
+    for (let row = 0; row < ROWS_PER_PATTERN; row++) {
+      for (let channel = 0; channel < channels; channel++) {
+        const cell = rows[row] && rows[row][channel];
+        if (cell) {
+          writeCell(bytes, headerSize + pattern * patternSize + (row * channels + channel) * CELL_SIZE, cell);
+        }
+      }
+    }
+  });
+
+  let offset = headerSize + patterns.length * patternSize;
+  samples.forEach((sample, index) => {
+    bytes.set(new Uint8Array(sample.data.buffer, sample.data.byteOffset, lengths[index]), offset);
+    offset += lengths[index];
+  });
+  return bytes;
+}
+
+/**
+ * Playback rate of a sample's C-2 (period 428) in frames per second
+ *
+ * @param {number} finetune - Sample finetune (-8 to 7, eighths of a semitone)
+ * @returns {number} Sample rate (about 8287 Hz at finetune 0)
+ */
+export function modSampleRate(finetune = 0) {
+  return AMIGA_PAL_CLOCK / (2 * 428) * Math.pow(2, finetune / 96);
+}
+
+/**
+ * Signature at offset 1080, or a 15-sample Soundtracker module if it has none
+ */
+function readFormat(bytes) {
+  const signature = bytes.length >= 1084 ? readText(bytes, 1080, 4) : '';
+  if (SIGNATURES[signature]) {
+    return { format: signature, channels: SIGNATURES[signature], sampleCount: 31 };
+  }
+  if (signature === 'FLT8') {
+    throw new Error('FLT8 modules (StarTrekker 8 channels) are not supported');
+  }
+  const match = signature.match(/^(\d)CHN$/) || signature.match(/^(\d\d)C[HN]$/) || signature.match(/^TDZ(\d)$/);
+  if (match) {
+    const channels = Number(match[1]);
+    if (channels < 1 || channels > MAX_CHANNELS) {
+      throw new Error(`Unsupported number of channels: ${channels} (${signature})`);
+    }
+    return { format: signature, channels, sampleCount: 31 };
+  }
+  if (!isSoundtracker(bytes)) {
+    throw new Error('Not a ProTracker module (unknown signature and not a 15-sample Soundtracker module)');
+  }
+  return { format: 'ST15', channels: 4, sampleCount: 15 };
+}
+
+/**
+ * Soundtracker modules have no signature: check that the header is sane
+ */
+function isSoundtracker(bytes) {
+  if (bytes.length < 600) {
+    return false;
+  }
+  for (let index = 0; index < 15; index++) {
+    if (bytes[20 + index * SAMPLE_HEADER_SIZE + 25] > 64) {
+      return false;
+    }
+  }
+  const songLength = bytes[470];
+  return songLength >= 1 && songLength <= 128 && bytes.subarray(472, 600).every(pattern => pattern < 64);
+}
+
+function readCell(bytes, offset) {
+  const [b0, b1, b2, b3] = bytes.subarray(offset, offset + CELL_SIZE);
+  return {
+    period: ((b0 & 0x0F) << 8) | b1,
+    sample: (b0 & 0xF0) | (b2 >> 4),
+    effect: b2 & 0x0F,
+    param: b3
+  };
+}
+
+function writeCell(bytes, offset, { period = 0, sample = 0, effect = 0, param = 0 }) {
+  bytes[offset] = (sample & 0xF0) | ((period >> 8) & 0x0F);
+  bytes[offset + 1] = period & 0xFF;
+  bytes[offset + 2] = ((sample & 0x0F) << 4) | (effect & 0x0F);
+  bytes[offset + 3] = param;
+}
+
+function word(bytes, offset) {
+  return (bytes[offset] << 8) | bytes[offset + 1];
+}
+
+function setWord(bytes, offset, value) {
+  bytes[offset] = (value >> 8) & 0xFF;
+  bytes[offset + 1] = value & 0xFF;
+}
+
+/**
+ * Text field padded with zeros (cut to its length)
+ */
+function writeText(bytes, offset, length, text) {
+  for (let i = 0; i < Math.min(text.length, length); i++) {
+    const code = text.charCodeAt(i);
+    bytes[offset + i] = code >= 0x20 && code < 0x7F ? code : 0x20;
+  }
+}
+
+/**
+ * Zero-terminated text field, non-printable characters as spaces
+ * (also used by shared/s3m.js and shared/xm.js)
+ */
+export function readText(bytes, offset, length) {
+  let text = '';
+  for (let i = offset; i < offset + length && bytes[i] !== 0; i++) {
+    text += bytes[i] >= 0x20 && bytes[i] < 0x7F ? String.fromCharCode(bytes[i]) : ' ';
+  }
+  return text.trimEnd();
+}
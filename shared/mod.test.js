@@ -0,0 +1,206 @@
+/**
+ * Unit tests for MOD reading, writing and import
+ */
+
+import { modSampleRate, parseMod, writeMod } from './mod.js';
+import { modToSong } from './mod-import.js';
+
+// Pattern of 64 rows × 4 channels from sparse cells: { 'row,channel': [period, sample, effect, param] }
+const pattern = (cells = {}) => Array.from({ length: 64 }, (_, row) =>
+  Array.from({ length: 4 }, (_, channel) => cells[`${row},${channel}`] || [0, 0, 0, 0]));
+
+/**
+ * A 31-sample module (M.K.) with the given samples ({ name, volume, finetune,
+ * loopStart, loopLength in frames, data }), order list and patterns
+ */
+function buildMod({ title = 'Test', signature = 'M.K.', samples = [], order = [0], patterns = [pattern()] }) {
+  const bytes = [...text(title, 20)];
+  for (let index = 0; index < 31; index++) {
+    const sample = samples[index] || { data: [] };
+    bytes.push(...text(sample.name || '', 22), ...word(sample.data.length / 2), (sample.finetune || 0) & 0x0F,
+      sample.volume ?? 64, ...word((sample.loopStart || 0) / 2), ...word((sample.loopLength || 2) / 2));
+  }
+  bytes.push(order.length, 0, ...order, ...new Array(128 - order.length).fill(0), ...text(signature, 4));
+  for (const rows of patterns) {
+    for (const [period, sample, effect, param] of rows.flat()) {
+      bytes.push((sample & 0xF0) | (period >> 8), period & 0xFF, ((sample & 0x0F) << 4) | effect, param);
+    }
+  }
+  samples.forEach(sample => bytes.push(...sample.data.map(value => value & 0xFF)));
+  return new Uint8Array(bytes);
+}
+
+function text(value, length) {
+  return Array.from({ length }, (_, i) => (i < value.length ? value.charCodeAt(i) : 0));
+}
+
+function word(value) {
+  return [value >> 8, value & 0xFF];
+}
+
+const SQUARE = { name: 'square', volume: 48, data: [100, 100, -100, -100, 100, 100, -100, -100] };
+const EMPTY = { name: 'empty', data: [] };
+
+describe('mod', () => {
+  describe('parseMod', () => {
+    test('should read samples, order and cells of a 31-sample module', () => {
+      const module = parseMod(buildMod({
+        title: 'Demo',
+        samples: [{ ...SQUARE, finetune: -1, loopStart: 2, loopLength: 4, data: [-128, 127, 0, 1, 2, 3, 4, 5] }],
+        order: [0, 0],
+        patterns: [pattern({ '1,2': [428, 1, 0xC, 0x20] })]
+      }));
+
+      expect(module).toMatchObject({ title: 'Demo', format: 'M.K.', channels: 4, order: [0, 0], restart: 0, warnings: [] });
+      expect(module.samples[0]).toMatchObject({ index: 1, name: 'square', length: 8, finetune: -1, volume: 48, loopStart: 2, loopLength: 4 });
+      expect(Array.from(module.samples[0].data.subarray(0, 3))).toEqual([-128, 127, 0]);
+      expect(module.samples).toHaveLength(31);
+      expect(module.patterns[0][1][2]).toEqual({ period: 428, sample: 1, effect: 0xC, param: 0x20 });
+      expect(module.patterns[0][0][0]).toEqual({ period: 0, sample: 0, effect: 0, param: 0 });
+    });
+
+    test('should read channel counts from the signature', () => {
+      const eight = [...buildMod({ signature: '8CHN', patterns: [] }), ...new Array(64 * 8 * 4).fill(0)];
+      expect(parseMod(new Uint8Array(eight)).channels).toBe(8);
+      expect(() => parseMod(buildMod({ signature: 'FLT8' }))).toThrow('FLT8');
+    });
+
+    test('should read 15-sample Soundtracker modules with loop starts in bytes', () => {
+      const mod = buildMod({ samples: [{ ...SQUARE, loopStart: 4, loopLength: 4 }] });
+      // Drop samples 16-31 and the signature: 15 × 30 header bytes, order list at 470
+      const soundtracker = new Uint8Array([...mod.subarray(0, 470), ...mod.subarray(950, 1080), ...mod.subarray(1084)]);
+      soundtracker[20 + 26 + 1] = 4; // Loop start in bytes
+
+      const module = parseMod(soundtracker);
+      expect(module).toMatchObject({ format: 'ST15', channels: 4 });
+      expect(module.samples).toHaveLength(15);
+      expect(module.samples[0]).toMatchObject({ loopStart: 4, loopLength: 4 });
+      expect(Array.from(module.samples[0].data)).toEqual(SQUARE.data);
+    });
+
+    test('should shorten cut off samples and loops with a warning', () => {
+      const mod = buildMod({ samples: [{ ...SQUARE, loopStart: 2, loopLength: 6 }] });
+      const module = parseMod(mod.subarray(0, mod.length - 4));
+
+      expect(module.samples[0]).toMatchObject({ length: 4, loopLength: 2 });
+      expect(module.warnings).toEqual(['Sample 1 is cut short: 4 of 8 bytes', 'Sample 1: loop ends after the sample, shortened to 2 frames']);
+    });
+
+    test('should reject files that are not modules', () => {
+      expect(() => parseMod('M.K.')).toThrow('binary data');
+      expect(() => parseMod(new Uint8Array(2000).fill(0xFF))).toThrow('Not a ProTracker module');
+      expect(() => parseMod(buildMod({}).subarray(0, 1500))).toThrow('1 patterns don\'t fit');
+    });
+
+    test('should play C-2 at the Amiga rate of period 428', () => {
+      expect(modSampleRate()).toBeCloseTo(8287.14, 2);
+      expect(modSampleRate(8) / modSampleRate()).toBeCloseTo(Math.pow(2, 1 / 12), 9);
+    });
+  });
+
+  describe('writeMod', () => {
+    test('should write a module that reads back', () => {
+      const rows = pattern().map(cells => cells.map(([period, sample, effect, param]) => ({ period, sample, effect, param })));
+      rows[0][1] = { period: 428, sample: 17, effect: 0xC, param: 0x20 };
+      rows[63][3] = { period: 0, sample: 0, effect: 0xD, param: 0 };
+      const bytes = writeMod({
+        title: 'Written',
+        samples: [
+          { name: 'bass', volume: 48, finetune: -2, loopStart: 2, loopLength: 4, data: Int8Array.of(0, 64, 127, -128, -64, 0, 1) },
+          ...Array.from({ length: 16 }, () => ({ data: new Int8Array(0) }))
+        ],
+        order: [0, 1, 0],
+        patterns: [rows, pattern().map(cells => cells.map(() => null))]
+      });
+      const module = parseMod(bytes);
+
+      expect(module).toMatchObject({ title: 'Written', format: 'M.K.', channels: 4, order: [0, 1, 0], warnings: [] });
+      expect(module.samples[0]).toMatchObject({ name: 'bass', length: 6, volume: 48, finetune: -2, loopStart: 2, loopLength: 4 });
+      expect(Array.from(module.samples[0].data)).toEqual([0, 64, 127, -128, -64, 0]);
+      expect(module.samples[1]).toMatchObject({ length: 0, loopLength: 2 });
+      expect(module.patterns[0][0][1]).toEqual({ period: 428, sample: 17, effect: 0xC, param: 0x20 });
+      expect(module.patterns[0][63][3]).toEqual({ period: 0, sample: 0, effect: 0xD, param: 0 });
+      expect(module.patterns[1][5][2]).toEqual({ period: 0, sample: 0, effect: 0, param: 0 });
+    });
+
+    test('should reject modules the format can\'t hold', () => {
+      const patterns = [pattern()];
+      expect(() => writeMod({ format: 'FLT8', order: [0], patterns })).toThrow('Unsupported format');
+      expect(() => writeMod({ order: [], patterns })).toThrow('1 to 128 positions');
+      expect(() => writeMod({ order: [1], patterns })).toThrow('from 0 to 0');
+      expect(() => writeMod({ order: [0], patterns, samples: new Array(32).fill({ data: new Int8Array(0) }) })).toThrow('Too many samples');
+    });
+  });
+
+  describe('modToSong', () => {
+    test('should turn cells into steps with sample volumes, carried samples and Amiga panning', () => {
+      const song = modToSong(parseMod(buildMod({
+        samples: [SQUARE, EMPTY],
+        patterns: [pattern({
+          '0,0': [428, 1, 0, 0],
+          '1,0': [285, 0, 0, 0],
+          '1,1': [214, 1, 0xC, 0x20],
+          '2,0': [428, 2, 0, 0],
+          '2,2': [856, 1, 0xE, 0xD3],
+          '2,3': [0, 0, 0x5, 0x12]
+        })]
+      })), { prefix: 'T' });
+
+      expect(song).toMatchObject({ name: 'Test', bpm: 125, speed: 6, tuning: { type: 'amiga' }, order: ['p00'] });
+      expect(song.samples).toEqual([
+        { id: 'T-01', index: 1, name: 'square', baseNote: 'C-2', sampleRate: modSampleRate(0), volume: 48, finetune: 0, length: 8, loopStart: 0, loopLength: 0 }
+      ]);
+      const rows = song.patterns.p00;
+      expect(rows).toHaveLength(64);
+      expect(rows[0]).toEqual([{ sample: 'T-01', note: 'C-2', volume: 48, pan: 64 }, null, null, null]);
+      expect(rows[1]).toEqual([
+        { sample: 'T-01', note: 'G-2', volume: 48, pan: 64 },
+        { sample: 'T-01', note: 'C-3', volume: 32, pan: 192 },
+        null,
+        null
+      ]);
+      expect(rows[2]).toEqual([
+        { note: '^^^' }, // Empty sample: the channel goes silent
+        null,
+        { sample: 'T-01', note: 'C-1', volume: 48, pan: 192, delay: 3 },
+        { effect: '300' }
+      ]);
+      expect(song.warnings).toEqual(['Volume slide of 5xy (tone portamento + volume slide): dropped on 1 step']);
+    });
+
+    test('should follow pattern breaks and jumps through the order list', () => {
+      const song = modToSong(parseMod(buildMod({
+        samples: [SQUARE],
+        order: [0, 1, 1, 1, 2, 0],
+        patterns: [
+          pattern({ '0,0': [428, 1, 0, 0], '31,1': [0, 0, 0xD, 0x16] }), // Break to row 16
+          pattern({ '20,0': [428, 1, 0, 0] }),
+          pattern({ '3,0': [0, 0, 0xB, 0x00] }) // Jump back to the start: the song loops
+        ]
+      })));
+
+      expect(song.order).toEqual(['p00-r00-31', 'p01-r16-63', { pattern: 'p01', repeat: 2 }, 'p02-r00-03']);
+      expect(song.patterns['p00-r00-31']).toHaveLength(32);
+      expect(song.patterns['p01-r16-63'][4][0]).toMatchObject({ sample: 'MOD-01', note: 'C-2' });
+      expect(song.patterns['p01-r16-63']).toHaveLength(48);
+    });
+
+    test('should rescale Fxx tempo to the speed and drop unsupported effects', () => {
+      const song = modToSong(parseMod(buildMod({
+        patterns: [pattern({
+          '0,0': [0, 0, 0xF, 0x03],
+          '1,0': [0, 0, 0xF, 0x7D], // 125 BPM at speed 3: twice the rows per minute
+          '2,0': [0, 0, 0xF, 0x00],
+          '3,0': [0, 0, 0xE, 0x62],
+          '4,0': [0, 0, 0xE, 0x61]
+        })]
+      })));
+      const rows = song.patterns.p00;
+
+      expect(rows[0][0]).toEqual({ effect: 'F03' });
+      expect(rows[1][0]).toEqual({ effect: 'FFA' });
+      expect(rows[2][0]).toBeNull();
+      expect(song.warnings).toEqual(['Effect F00 (stop): dropped on 1 step', 'Effect E6x (pattern loop): dropped on 2 steps']);
+    });
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Module import: MOD, S3M and XM files by their signature
+ *
+ * Shared by the server (POST /api/import/mod) and the browser
+ * (web/mod-loader.js): one entry point for the three tracker formats, each
+ * read by its parser (shared/mod.js, s3m.js, xm.js) and converted by its
+ * import (shared/mod-import.js, s3m-import.js, xm-import.js). The songs have
+ * the same shape; samples list the frames per second of their base note
+ * (sampleRate) and the index of their data in module.samples.
+ */
+
+import { parseMod } from './mod.js';
+import { modToSong } from './mod-import.js';
+import { isS3m, parseS3m } from './s3m.js';
+import { s3mToSong } from './s3m-import.js';
+import { isXm, parseXm } from './xm.js';
+import { xmToSong } from './xm-import.js';
+
+export const MODULE_TYPES = ['mod', 's3m', 'xm'];
+
+const IMPORTS = {
+  mod: modToSong,
+  s3m: s3mToSong,
+  xm: xmToSong
+};
+
+/**
+ * Read a module file of any supported format
+ *
+ * @param {Uint8Array} bytes - File contents
+ * @returns {object} Module from its parser, with its type ('mod', 's3m' or 'xm')
+ */
+export function parseModule(bytes) {
+  if (!(bytes instanceof Uint8Array)) {
+    throw new Error('Module must be binary data');
+  }
+  if (isXm(bytes)) {
+    return { type: 'xm', ...parseXm(bytes) };
+  }
+  if (isS3m(bytes)) {
+    return { type: 's3m', ...parseS3m(bytes) };
+  }
+  return { type: 'mod', ...parseMod(bytes) };
+}
+
+/**
+ * Convert a parsed module into a song with its format's import
+ *
+ * @param {object} module - Module from parseModule
+ * @param {object} options
+ * @param {string} options.prefix - Prefix of the sample IDs (default: the format's)
+ * @returns {object} Song (see modToSong, s3mToSong, xmToSong)
+ */
+export function moduleToSong(module, options = {}) {
+  const convert = IMPORTS[module.type];
+  if (!convert) {
+    throw new Error(`Unknown module type: ${module.type} (use ${MODULE_TYPES.join(', ')})`);
+  }
+  return convert(module, options);
+}
@@ -0,0 +1,214 @@
+/**
+ * Module songs: what the MOD, S3M and XM imports share
+ *
+ * The order list is played through once, like the module would: position
+ * jumps (a jump back ends the song, it would loop from there) and pattern
+ * breaks (start the next pattern at a row) pick the rows that play, so a
+ * pattern cut by a break becomes its own pool entry ("p05-r00-31"). The same
+ * part twice in a row becomes a repeat.
+ *
+ * Tempo: trackers count BPM in ticks (a row lasts speed ticks of 2.5 / BPM
+ * seconds), this engine counts beats of rowsPerBeat rows (see
+ * applyTempoEffect), so tracker BPM is rescaled by 24 / (speed × rowsPerBeat):
+ * × 6 / speed at 4 rows per beat.
+ */
+
+import { midiToNote } from './notes.js';
+
+export const MODULE_SPEED = 6;
+
+// AudioBuffer rates every browser supports
+const MIN_SAMPLE_RATE = 8000;
+const MAX_SAMPLE_RATE = 96000;
+
+/**
+ * Collects dropped effects, one warning per kind with its count
+ *
+ * @returns {object} { drop(message), warnings() }
+ */
+export function createDropCounter() {
+  const dropped = new Map();
+  return {
+    drop: (message) => dropped.set(message, (dropped.get(message) || 0) + 1),
+    warnings: () => [...dropped].map(([message, count]) => `${message}: dropped on ${count} step${count === 1 ? '' : 's'}`)
+  };
+}
+
+/**
+ * Pattern parts in the order they play
+ *
+ * @param {number[]} order - Pattern number of each position
+ * @param {Array} patterns - Patterns (rows of cells)
+ * @param {Function} jumpOf - Cell → { position } (jump), { row } (break), both, or null
+ * @param {string[]} warnings - Gets missing patterns
+ * @returns {Array<object>} [{ pattern, startRow, endRow }]
+ */
+export function playOrder(order, patterns, jumpOf, warnings) {
+  const parts = [];
+  const visited = new Set();
+  let position = 0;
+  let row = 0;
+
+  while (position < order.length) {
+    const key = `${position}:${row}`;
+    if (visited.has(key)) {
+      break;
+    }
+    visited.add(key);
+
+    const rows = patterns[order[position]];
+    if (!rows) {
+      warnings.push(`Position ${position} plays missing pattern ${order[position]}: skipped`);
+      position++;
+      row = 0;
+      continue;
+    }
+    if (row >= rows.length) {
+      row = 0;
+    }
+
+    let endRow = rows.length - 1;
+    let nextPosition = position + 1;
+    let nextRow = 0;
+    for (let r = row; r < rows.length; r++) {
+      const jumps = rows[r].map(jumpOf).filter(Boolean);
+      if (jumps.length === 0) {
+        continue;
+      }
+      endRow = r;
+      for (const jump of jumps) {
+        nextPosition = jump.position ?? nextPosition;
+        nextRow = jump.row ?? nextRow;
+      }
+      break;
+    }
+
+    parts.push({ pattern: order[position], startRow: row, endRow });
+    if (nextPosition <= position) {
+      break; // Jump back: the module loops from here
+    }
+    position = nextPosition;
+    row = nextRow;
+  }
+  return parts;
+}
+
+/**
+ * Pool and order list of the parts, converted in the order they play (so
+ * channel state carries from part to part like in the module)
+ *
+ * @param {Array<object>} parts - From playOrder
+ * @param {Array} patterns - Patterns (rows of cells)
+ * @param {Function} convertRow - Cells of a row → steps
+ * @returns {object} { patterns (pool), order }
+ */
+export function buildSong(parts, patterns, convertRow) {
+  const pool = {};
+  const order = [];
+  for (const { pattern, startRow, endRow } of parts) {
+    const rows = patterns[pattern].slice(startRow, endRow + 1).map(convertRow);
+    const name = poolName(pool, rows, pattern, startRow, endRow, patterns[pattern].length);
+    pool[name] = rows;
+
+    const last = order[order.length - 1];
+    if (last === name) {
+      order[order.length - 1] = { pattern: name, repeat: 2 };
+    } else if (last && last.pattern === name) {
+      last.repeat++;
+    } else {
+      order.push(name);
+    }
+  }
+  return { patterns: pool, order };
+}
+
+/**
+ * Pattern break row of a BCD parameter ("D32" = row 32, MOD and XM Dxx,
+ * S3M Cxx)
+ */
+export function breakRow(param) {
+  return (param >> 4) * 10 + (param & 0x0F);
+}
+
+/**
+ * Effect column text: command and two hex digits ("F7D")
+ */
+export function effectColumn(command, param) {
+  return command + param.toString(16).toUpperCase().padStart(2, '0');
+}
+
+/**
+ * Rows per beat of a module song: 4, or 8 if it starts fast (speed below 4),
+ * so its Fxx tempos stay within FF
+ */
+export function moduleRowsPerBeat(speed) {
+  return speed < 4 ? 8 : 4;
+}
+
+/**
+ * Musical BPM of a tracker tempo (BPM in ticks) at a speed
+ *
+ * @param {number} bpm - Tracker BPM
+ * @param {object} timing - { speed, rowsPerBeat (default 4) }
+ * @returns {number} Unrounded BPM
+ */
+export function moduleBpm(bpm, { speed, rowsPerBeat = 4 }) {
+  return bpm * 24 / (speed * rowsPerBeat);
+}
+
+/**
+ * Fxx of a tracker tempo (BPM in ticks) at a speed, in this engine's BPM
+ *
+ * @param {number} bpm - Tracker BPM
+ * @param {object} timing - { speed (ticks per row at that point), rowsPerBeat (default 4) }
+ * @param {Function} drop - Called when the tempo had to be clamped
+ * @returns {string} Fxx effect (F20-FFF)
+ */
+export function tempoColumn(bpm, timing, drop) {
+  const rescaled = Math.round(moduleBpm(bpm, timing));
+  if (rescaled < 0x20 || rescaled > 0xFF) {
+    drop('Fxx tempo out of range at this speed (clamped)');
+  }
+  return effectColumn('F', Math.min(0xFF, Math.max(0x20, rescaled)));
+}
+
+/**
+ * Pool name of a pattern part: "p05", "p05-r00-31" for the rows of a break,
+ * "p05-2" if the same rows convert differently (channel state carried in)
+ */
+function poolName(pool, rows, pattern, startRow, endRow, length) {
+  let base = `p${String(pattern).padStart(2, '0')}`;
+  if (startRow > 0 || endRow < length - 1) {
+    base += `-r${String(startRow).padStart(2, '0')}-${String(endRow).padStart(2, '0')}`;
+  }
+  const json = JSON.stringify(rows);
+  for (let variant = 1; ; variant++) {
+    const name = variant === 1 ? base : `${base}-${variant}`;
+    if (!pool[name] || JSON.stringify(pool[name]) === json) {
+      return name;
+    }
+  }
+}
+
+/**
+ * Sample rate and base note a sample can be created with: AudioBuffers only
+ * take 8000-96000 frames per second everywhere, so rates outside are moved
+ * by octaves and the base note with them (the notes sound the same)
+ *
+ * @param {number} sampleRate - Frames per second of the base note
+ * @param {number} baseMidi - MIDI number of the base note
+ * @returns {object} { sampleRate, baseNote }
+ */
+export function fitSampleRate(sampleRate, baseMidi) {
+  let rate = sampleRate;
+  let midi = baseMidi;
+  while (rate < MIN_SAMPLE_RATE) {
+    rate *= 2;
+    midi += 12;
+  }
+  while (rate > MAX_SAMPLE_RATE) {
+    rate /= 2;
+    midi -= 12;
+  }
+  return { sampleRate: rate, baseNote: midiToNote(midi) };
+}
@@ -0,0 +1,165 @@
+/**
+ * Notes: one parser for every note the server and the browser accept
+ *
+ * Shared by PatternService (play-notes, validation), the web sampler (pitch of
+ * a step), MIDI input and theory, so a note plays or fails the same way
+ * everywhere.
+ *
+ * Accepted notes:
+ *   "C-4", "C#4", "Db-4", "Bb3"   Letter (A-G), accidentals, optional "-", octave
+ *   "F##2", "Fx2", "Ebb5"         Double sharps ("##" or "x") and double flats
+ *   "C-10", "C--1"                Octaves -1 to 10 ("-" before a negative octave)
+ *   60, "60"                      MIDI note number (0-127)
+ *   "440Hz", "261.63 Hz"          Frequency, played at its exact pitch
+ *   "s7", "s-3"                   Step of the play's tuning above its root (see
+ *                                 tuning.js); without a tuning a semitone above C-4
+ *
+ * C-4 = MIDI 60, A-4 = 440 Hz. Notes are written back in tracker format with
+ * sharps ("A#-3" for "Bb3", "D-4" for "Cx4"), so formatting a formatted note
+ * gives the same note. Frequencies stay in Hz (they fall between notes), steps
+ * stay steps (their pitch depends on the tuning).
+ */
+
+export const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const NATURALS = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+const ACCIDENTALS = { '': 0, '#': 1, '##': 2, 'x': 2, 'b': -1, 'bb': -2 };
+
+export const MIN_OCTAVE = -1;
+export const MAX_OCTAVE = 10;
+
+const NAME_PATTERN = /^([A-G])(##|#|x|bb|b)?(?:-?(-?\d+))?$/;
+const MIDI_PATTERN = /^\d+$/;
+const HZ_PATTERN = /^(\d+(?:\.\d+)?)\s*hz$/i;
+const STEP_PATTERN = /^s(-?\d+)$/i;
+
+const NOTE_EXAMPLES = '"C-4", "Bb3", "F##2", "C--1", MIDI 60, "440Hz" or step "s7"';
+
+/**
+ * Parse a note
+ *
+ * @param {string|number} note - Note name, MIDI note number or frequency
+ * @param {number} defaultOctave - Octave of names without one (default: none, octave required)
+ * @returns {object} { midi (fractional for frequencies), hz (frequencies only), step (steps only) }
+ */
+export function parseNote(note, defaultOctave) {
+  if (typeof note === 'number') {
+    return { midi: readMidi(note, note) };
+  }
+  if (typeof note !== 'string') {
+    throw new Error(`Invalid note: ${JSON.stringify(note)} (e.g. ${NOTE_EXAMPLES})`);
+  }
+
+  const text = note.trim();
+  if (MIDI_PATTERN.test(text)) {
+    return { midi: readMidi(Number(text), note) };
+  }
+
+  const hzMatch = text.match(HZ_PATTERN);
+  if (hzMatch) {
+    const hz = Number(hzMatch[1]);
+    if (!(hz > 0)) {
+      throw new Error(`Invalid note: "${note}" (frequency must be above 0 Hz)`);
+    }
+    return { midi: 69 + 12 * Math.log2(hz / 440), hz };
+  }
+
+  const stepMatch = text.match(STEP_PATTERN);
+  if (stepMatch) {
+    const step = Number(stepMatch[1]);
+    return { midi: 60 + step, step };
+  }
+
+  const match = text.match(NAME_PATTERN);
+  if (!match) {
+    throw new Error(`Invalid note: "${note}" (e.g. ${NOTE_EXAMPLES})`);
+  }
+  const octave = match[3] !== undefined ? Number(match[3]) : defaultOctave;
+  if (octave === undefined) {
+    throw new Error(`Invalid note: "${note}" has no octave (e.g. "${match[1]}${match[2] || ''}-4")`);
+  }
+  // Accidentals can cross the octave: "B#3" is C-4, "Cb4" is B-3
+  const midi = (octave + 1) * 12 + NATURALS[match[1]] + ACCIDENTALS[match[2] || ''];
+  if (!Number.isInteger(octave) || octave < MIN_OCTAVE || octave > MAX_OCTAVE || midi < 0) {
+    throw new Error(`Invalid note: "${note}" (octave must be from ${MIN_OCTAVE} to ${MAX_OCTAVE})`);
+  }
+  return { midi };
+}
+
+/**
+ * MIDI note number of a note (fractional for frequencies)
+ *
+ * @param {string|number} note - Note name, MIDI note number or frequency
+ * @param {number} defaultOctave - Octave of names without one (optional)
+ * @returns {number}
+ */
+export function noteToMidi(note, defaultOctave) {
+  return parseNote(note, defaultOctave).midi;
+}
+
+/**
+ * Tracker note name of a MIDI note number ("C-4" = 60, "C--1" = 0)
+ *
+ * @param {number} midi - Whole MIDI note number
+ * @returns {string}
+ */
+export function midiToNote(midi) {
+  if (!Number.isInteger(midi)) {
+    throw new Error(`Invalid MIDI note: ${midi} (must be a whole number)`);
+  }
+  const octave = Math.floor(midi / 12) - 1;
+  if (octave < MIN_OCTAVE || octave > MAX_OCTAVE) {
+    throw new Error(`Note out of range: MIDI ${midi} (octaves ${MIN_OCTAVE} to ${MAX_OCTAVE})`);
+  }
+  return `${NOTE_NAMES[((midi % 12) + 12) % 12]}-${octave}`;
+}
+
+/**
+ * Write a note in tracker format: "Bb3" → "A#-3", "60" → "C-4", "440 hz" → "440Hz", "S7" → "s7"
+ *
+ * @param {string|number} note - Note name, MIDI note number or frequency
+ * @param {number} defaultOctave - Octave of names without one (optional)
+ * @returns {string}
+ */
+export function formatNote(note, defaultOctave) {
+  const { midi, hz, step } = parseNote(note, defaultOctave);
+  if (hz !== undefined) {
+    return `${hz}Hz`;
+  }
+  return step !== undefined ? `s${step}` : midiToNote(midi);
+}
+
+/**
+ * Whether a token is a note name (with or without octave), as opposed to a
+ * MIDI number, frequency or anything else ("Bb" and "G7" are note names)
+ *
+ * @param {string} token
+ * @returns {boolean}
+ */
+export function isNoteName(token) {
+  return typeof token === 'string' && NAME_PATTERN.test(token.trim());
+}
+
+/**
+ * Semitones from one note to another (fractional for frequencies)
+ *
+ * @param {string|number} note - Note to play
+ * @param {string|number} baseNote - Reference note (pitch of the sample as recorded)
+ * @returns {number}
+ */
+export function noteToSemitones(note, baseNote) {
+  return noteToMidi(note) - noteToMidi(baseNote);
+}
+
+/**
+ * Pitch class (0-11) of a letter and its accidentals ("B", "#" → 0)
+ */
+export function pitchClass(letter, accidental = '') {
+  return (NATURALS[letter] + ACCIDENTALS[accidental] + 12) % 12;
+}
+
+function readMidi(midi, note) {
+  if (!Number.isInteger(midi) || midi < 0 || midi > 127) {
+    throw new Error(`Invalid note: ${JSON.stringify(note)} (MIDI note numbers are whole numbers from 0 to 127)`);
+  }
+  return midi;
+}
@@ -0,0 +1,121 @@
+/**
+ * Unit tests for note parsing and formatting
+ */
+
+import { formatNote, isNoteName, midiToNote, noteToMidi, noteToSemitones, parseNote } from './notes.js';
+
+describe('notes', () => {
+  describe('noteToMidi', () => {
+    test('should read tracker and scientific note names', () => {
+      expect(noteToMidi('C-4')).toBe(60);
+      expect(noteToMidi('C4')).toBe(60);
+      expect(noteToMidi('A#-3')).toBe(58);
+      expect(noteToMidi('A-4')).toBe(69);
+    });
+
+    test('should read flats and double accidentals', () => {
+      expect(noteToMidi('Bb3')).toBe(58);
+      expect(noteToMidi('Db-4')).toBe(61);
+      expect(noteToMidi('Cx4')).toBe(62);
+      expect(noteToMidi('F##2')).toBe(noteToMidi('G-2'));
+      expect(noteToMidi('Ebb5')).toBe(noteToMidi('D-5'));
+    });
+
+    test('should move accidentals across the octave', () => {
+      expect(noteToMidi('B#3')).toBe(60);
+      expect(noteToMidi('Cb4')).toBe(59);
+    });
+
+    test('should read multi-digit and negative octaves', () => {
+      expect(noteToMidi('C-10')).toBe(132);
+      expect(noteToMidi('C--1')).toBe(0);
+      expect(noteToMidi('G-1')).toBe(31); // "-" is the separator: octave 1
+    });
+
+    test('should read MIDI note numbers', () => {
+      expect(noteToMidi(60)).toBe(60);
+      expect(noteToMidi('127')).toBe(127);
+    });
+
+    test('should read frequencies', () => {
+      expect(noteToMidi('440Hz')).toBe(69);
+      expect(noteToMidi('880 hz')).toBe(81);
+      expect(noteToMidi('261.63Hz')).toBeCloseTo(60, 2);
+    });
+
+    test('should read steps of the tuning (semitones above C-4 without one)', () => {
+      expect(parseNote('s7')).toEqual({ midi: 67, step: 7 });
+      expect(parseNote('S-12')).toEqual({ midi: 48, step: -12 });
+      expect(formatNote('S7')).toBe('s7');
+    });
+
+    test('should use the default octave for names without one', () => {
+      expect(noteToMidi('Bb', 3)).toBe(58);
+      expect(() => noteToMidi('Bb')).toThrow('has no octave');
+    });
+
+    test('should reject invalid notes', () => {
+      expect(() => noteToMidi('H-4')).toThrow('Invalid note: "H-4"');
+      expect(() => noteToMidi('C-11')).toThrow('octave must be from -1 to 10');
+      expect(() => noteToMidi('Cb--1')).toThrow('octave must be from -1 to 10');
+      expect(() => noteToMidi(128)).toThrow('from 0 to 127');
+      expect(() => noteToMidi(60.5)).toThrow('whole numbers');
+      expect(() => noteToMidi('0Hz')).toThrow('above 0 Hz');
+      expect(() => noteToMidi(null)).toThrow('Invalid note');
+    });
+  });
+
+  describe('midiToNote', () => {
+    test('should write tracker notes with sharps', () => {
+      expect(midiToNote(60)).toBe('C-4');
+      expect(midiToNote(58)).toBe('A#-3');
+      expect(midiToNote(0)).toBe('C--1');
+      expect(midiToNote(132)).toBe('C-10');
+    });
+
+    test('should reject fractional and out of range numbers', () => {
+      expect(() => midiToNote(60.5)).toThrow('whole number');
+      expect(() => midiToNote(-1)).toThrow('Note out of range');
+    });
+  });
+
+  describe('formatNote', () => {
+    test('should normalize enharmonics to sharps', () => {
+      expect(formatNote('Bb3')).toBe('A#-3');
+      expect(formatNote('Cx4')).toBe('D-4');
+      expect(formatNote('E#4')).toBe('F-4');
+      expect(formatNote('Db', 4)).toBe('C#-4');
+    });
+
+    test('should format MIDI numbers and keep frequencies in Hz', () => {
+      expect(formatNote(60)).toBe('C-4');
+      expect(formatNote('440 hz')).toBe('440Hz');
+    });
+
+    test('should round-trip every note it writes', () => {
+      for (let midi = 0; midi <= 143; midi++) {
+        const note = midiToNote(midi);
+        expect(formatNote(note)).toBe(note);
+        expect(noteToMidi(note)).toBe(midi);
+      }
+    });
+  });
+
+  describe('isNoteName', () => {
+    test('should tell note names from other tokens', () => {
+      expect(isNoteName('Bb')).toBe(true);
+      expect(isNoteName('G7')).toBe(true);
+      expect(isNoteName('C--1')).toBe(true);
+      expect(isNoteName('Cmaj7')).toBe(false);
+      expect(isNoteName('60')).toBe(false);
+    });
+  });
+
+  describe('noteToSemitones', () => {
+    test('should give semitones from the base note', () => {
+      expect(noteToSemitones('G-4', 'C-4')).toBe(7);
+      expect(noteToSemitones('Bb3', 'C-4')).toBe(-2);
+      expect(noteToSemitones(36, 'C-2')).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Polymeter: tracks with their own lengths (and rows per beat) merged into
+ * pattern rows
+ *
+ * Used by the server to turn a multi-track pattern into the rows every client
+ * already plays, so slots, songs, grooves and trig conditions keep working.
+ *
+ * Multi-track format (one channel per track, one step per track row):
+ *   {
+ *     tracks: [
+ *       { steps: [{ sample, note, ... } | null, ...], rowsPerBeat },  // rowsPerBeat optional
+ *       ...
+ *     ],
+ *     length  // Optional: rows of the play's rowsPerBeat to play (default: full cycle)
+ *   }
+ *
+ * Tracks loop independently: a 5-step hi-hat over a 16-step kick repeats every
+ * 5 rows. Tracks with different rowsPerBeat (3 against 4) are laid out on a
+ * common grid (the least common multiple), e.g. 12 rows per beat for 3 and 4;
+ * a step's `delay` ticks are scaled to keep their place in the track's row,
+ * effects run on the grid row the step lands on.
+ *
+ * Without a length the rows cover the full cycle, where all tracks start
+ * together again, so looping the play keeps every track in its own loop.
+ */
+
+// Most grid rows a merge writes: longer cycles need an explicit length, which
+// can't go past it either
+export const MAX_CYCLE_ROWS = 4096;
+
+/**
+ * Check a multi-track pattern (throws on invalid data)
+ *
+ * @param {Array<object>} tracks - [{ steps, rowsPerBeat }]
+ */
+export function validateTracks(tracks) {
+  if (!Array.isArray(tracks) || tracks.length === 0) {
+    throw new Error('tracks must be a non-empty array of { steps, rowsPerBeat }');
+  }
+  tracks.forEach((track, index) => {
+    if (!track || typeof track !== 'object' || !Array.isArray(track.steps) || track.steps.length === 0) {
+      throw new Error(`Track ${index} must have a non-empty steps array`);
+    }
+    if (track.rowsPerBeat !== undefined && !(Number.isInteger(track.rowsPerBeat) && track.rowsPerBeat >= 1)) {
+      throw new Error(`Track ${index} rowsPerBeat must be a positive integer`);
+    }
+  });
+}
+
+/**
+ * Merge tracks into pattern rows
+ *
+ * @param {Array<object>} tracks - [{ steps, rowsPerBeat }]
+ * @param {object} options
+ * @param {number} options.rowsPerBeat - Rows per beat of the play (default for tracks, unit of length)
+ * @param {number} options.length - Rows to play (default: full cycle, at most MAX_CYCLE_ROWS grid rows)
+ * @returns {object} { rows, rowsPerBeat (of the grid), cycle (grid rows of the full cycle),
+ *   tracks: [{ steps, rowsPerBeat, loops }] }
+ */
+export function mergeTracks(tracks, { rowsPerBeat, length } = {}) {
+  validateTracks(tracks);
+  if (!(Number.isInteger(rowsPerBeat) && rowsPerBeat >= 1)) {
+    throw new Error('rowsPerBeat must be a positive integer');
+  }
+  if (length !== undefined && !(Number.isInteger(length) && length >= 1)) {
+    throw new Error('length must be a positive integer (rows)');
+  }
+
+  const trackRowsPerBeat = tracks.map(track => track.rowsPerBeat ?? rowsPerBeat);
+  const gridRowsPerBeat = [rowsPerBeat, ...trackRowsPerBeat].reduce(lcm);
+  const playScale = gridRowsPerBeat / rowsPerBeat;
+
+  // Grid rows per track step, and per track loop
+  const scales = trackRowsPerBeat.map(trackRpb => gridRowsPerBeat / trackRpb);
+  const cycleRows = tracks.map((track, index) => track.steps.length * scales[index]).reduce(lcm);
+  if (length === undefined && cycleRows > MAX_CYCLE_ROWS) {
+    throw new Error(`Tracks only line up again after ${cycleRows / gridRowsPerBeat} beats; give a length`);
+  }
+  const gridLength = length !== undefined ? length * playScale : cycleRows;
+  if (gridLength > MAX_CYCLE_ROWS) {
+    throw new Error(`length must be at most ${Math.floor(MAX_CYCLE_ROWS / playScale)} rows (${MAX_CYCLE_ROWS} rows of the tracks' common grid)`);
+  }
+
+  const rows = Array.from({ length: gridLength }, () => new Array(tracks.length).fill(null));
+  tracks.forEach((track, channel) => {
+    const scale = scales[channel];
+    for (let index = 0; index * scale < gridLength; index++) {
+      const step = track.steps[index % track.steps.length];
+      if (step) {
+        rows[index * scale][channel] = scale > 1 && step.delay ? { ...step, delay: step.delay * scale } : step;
+      }
+    }
+  });
+
+  return {
+    rows,
+    rowsPerBeat: gridRowsPerBeat,
+    cycle: cycleRows,
+    tracks: tracks.map((track, index) => ({
+      steps: track.steps.length,
+      rowsPerBeat: trackRowsPerBeat[index],
+      loops: gridLength / (track.steps.length * scales[index])
+    }))
+  };
+}
+
+function gcd(a, b) {
+  return b === 0 ? a : gcd(b, a % b);
+}
+
+function lcm(a, b) {
+  return (a / gcd(a, b)) * b;
+}
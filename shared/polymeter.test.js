@@ -0,0 +1,84 @@
+/**
+ * Unit tests for polymeter tracks
+ */
+
+import { MAX_CYCLE_ROWS, mergeTracks, validateTracks } from './polymeter.js';
+
+const kick = { sample: '808-KICK', note: 'C-2' };
+const hat = { sample: '808-HAT', note: 'C-2' };
+
+// Rows of a channel that hold a step
+function hits(rows, channel) {
+  return rows.flatMap((row, index) => (row[channel] ? [index] : []));
+}
+
+describe('polymeter', () => {
+  test('should loop each track on its own length until they line up', () => {
+    const result = mergeTracks([
+      { steps: [kick, null, null, null] },
+      { steps: [hat, null, null] }
+    ], { rowsPerBeat: 4 });
+
+    expect(result.rows).toHaveLength(12);
+    expect(result.rowsPerBeat).toBe(4);
+    expect(hits(result.rows, 0)).toEqual([0, 4, 8]);
+    expect(hits(result.rows, 1)).toEqual([0, 3, 6, 9]);
+    expect(result.tracks).toEqual([
+      { steps: 4, rowsPerBeat: 4, loops: 3 },
+      { steps: 3, rowsPerBeat: 4, loops: 4 }
+    ]);
+  });
+
+  test('should play a requested length', () => {
+    const result = mergeTracks([
+      { steps: new Array(16).fill(kick) },
+      { steps: [hat, null, hat, null, null] }
+    ], { rowsPerBeat: 4, length: 16 });
+
+    expect(result.rows).toHaveLength(16);
+    expect(result.cycle).toBe(80);
+    expect(hits(result.rows, 1)).toEqual([0, 2, 5, 7, 10, 12, 15]);
+    expect(result.tracks[1].loops).toBe(3.2);
+  });
+
+  test('should lay out tracks with their own rowsPerBeat on a common grid', () => {
+    const result = mergeTracks([
+      { steps: [kick, kick, kick, kick] },
+      { steps: [{ ...hat, delay: 2 }, hat, hat], rowsPerBeat: 3 }
+    ], { rowsPerBeat: 4 });
+
+    // 12 rows per beat: quarter notes of 4 rows every 3 grid rows, triplets every 4
+    expect(result.rowsPerBeat).toBe(12);
+    expect(hits(result.rows, 0)).toEqual([0, 3, 6, 9]);
+    expect(hits(result.rows, 1)).toEqual([0, 4, 8]);
+    expect(result.rows[0][1].delay).toBe(8); // 2 ticks of a 4 grid row step
+    expect(result.rows[4][1].delay).toBeUndefined();
+  });
+
+  test('should count length in rows of the play rowsPerBeat', () => {
+    const result = mergeTracks([{ steps: [kick], rowsPerBeat: 3 }], { rowsPerBeat: 4, length: 8 });
+
+    expect(result.rows).toHaveLength(24);
+  });
+
+  test('should ask for a length when tracks take too long to line up', () => {
+    const tracks = [{ steps: new Array(61).fill(hat) }, { steps: new Array(67).fill(hat) }, { steps: new Array(71).fill(hat) }];
+
+    expect(() => mergeTracks(tracks, { rowsPerBeat: 4 })).toThrow('give a length');
+    expect(mergeTracks(tracks, { rowsPerBeat: 4, length: 64 }).rows).toHaveLength(64);
+  });
+
+  test('should cap an explicit length at the longest merge', () => {
+    expect(() => mergeTracks([{ steps: [kick] }], { rowsPerBeat: 4, length: 1e8 })).toThrow('length must be at most 4096 rows');
+    // Counted on the common grid: 3 against 4 rows per beat is 3 grid rows per play row
+    expect(() => mergeTracks([{ steps: [kick], rowsPerBeat: 3 }], { rowsPerBeat: 4, length: 2048 })).toThrow('at most 1365 rows');
+    expect(mergeTracks([{ steps: [kick] }], { rowsPerBeat: 4, length: MAX_CYCLE_ROWS }).rows).toHaveLength(MAX_CYCLE_ROWS);
+  });
+
+  test('should throw error for invalid tracks', () => {
+    expect(() => validateTracks([])).toThrow('tracks must be a non-empty array');
+    expect(() => validateTracks([{ steps: [] }])).toThrow('Track 0 must have a non-empty steps array');
+    expect(() => validateTracks([{ steps: [kick], rowsPerBeat: 1.5 }])).toThrow('Track 0 rowsPerBeat must be a positive integer');
+    expect(() => mergeTracks([{ steps: [kick] }], { rowsPerBeat: 4, length: 0 })).toThrow('length must be a positive integer');
+  });
+});
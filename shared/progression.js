@@ -0,0 +1,371 @@
+/**
+ * Progressions: roman numerals in a key turned into a playable pattern
+ *
+ * Shared by the server (theory route) and usable in the browser.
+ *
+ * Progressions are numerals separated by "-", spaces or "|", an optional key
+ * and an optional length per chord:
+ *   "ii-V-I in Bb", "I-vi-IV-V in G, 2 bars each", "i iv V7 i in A minor, 2 beats each"
+ *
+ * Numerals: case sets the quality (I major, ii minor), then "°"/"o"
+ * (diminished), "ø" (half-diminished), "+" (augmented) or any chord suffix
+ * ("7", "maj7", "9", "sus4", "add9", ...): V7 is a dominant, ii7 a minor 7th,
+ * Imaj7 a major 7th. "b"/"#" before the numeral shifts the root (bVII), "/"
+ * after it makes a secondary chord (V7/V: the dominant of V). In minor keys
+ * degrees follow natural minor, except diminished chords on vii, which sit on
+ * the leading tone (vii°7 in A minor is G#dim7).
+ *
+ * Voicing: the first chord is in root position with its lowest voice from a
+ * fifth below to a fifth above C of the octave; every next chord takes the
+ * inversion in that window that moves the voices least. Chords with more
+ * than four tones leave out the fifth, then the root (the bass plays it).
+ *
+ * Rows (play-pattern format, one channel per voice, bass first):
+ *   block    Chord on its first row and on every bar line it holds over
+ *   strum    Chord on every beat, voices delayed by a tick each (down, then up)
+ *   alberti  One channel: lowest, highest, middle, highest voice on 8th notes
+ * A chord with fewer voices than the one before ends the extra channels with
+ * a note off.
+ */
+
+import { midiToNote } from './notes.js';
+import { NOTE_OFF } from './tracker-effects.js';
+import { createMeter } from './meter.js';
+import { parseChord } from './theory.js';
+
+export const RHYTHMS = ['block', 'strum', 'alberti'];
+
+export const MAX_CHORDS = 64;
+export const MAX_BARS_PER_CHORD = 16;
+
+const MAJOR = [0, 2, 4, 5, 7, 9, 11];
+const MINOR = [0, 2, 3, 5, 7, 8, 10];
+const SHARP_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const FLAT_NAMES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
+const ROOTS = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+const ROMAN = ['i', 'ii', 'iii', 'iv', 'v', 'vi', 'vii'];
+const ROMAN_PATTERN = 'VII|VI|V|IV|III|II|I|vii|vi|v|iv|iii|ii|i';
+const NUMERAL_PATTERN = new RegExp(`^([b#]?)(${ROMAN_PATTERN})(.*?)(?:\\/([b#]?)(${ROMAN_PATTERN}))?$`);
+const KEY_PATTERN = /^([A-G])([#b]?)\s*([A-Za-z]*)$/;
+const LENGTH_PATTERN = /,\s*(\d+(?:\.\d+)?)\s*(bars?|beats?)(?:\s+each)?\s*$/i;
+
+const DIMINISHED = ['dim', 'dim7', 'm7b5'];
+
+/**
+ * Parse a key like "Bb", "G minor" or "F#m"
+ *
+ * @param {string} key - Tonic with "#"/"b", then "major"/"maj"/"M" (default) or "minor"/"min"/"m"
+ * @returns {object} { tonic (pitch class 0-11), minor, name, flats (spell chords with flats) }
+ */
+export function parseKey(key) {
+  const match = typeof key === 'string' ? key.trim().match(KEY_PATTERN) : null;
+  const mode = match ? (match[3] === 'M' ? 'major' : match[3].toLowerCase()) : null;
+  const minor = ['m', 'min', 'minor'].includes(mode);
+  if (!match || !(minor || ['', 'maj', 'major'].includes(mode))) {
+    throw new Error(`Unknown key: ${key} (e.g. "Bb", "G major", "A minor", "F#m")`);
+  }
+  const tonic = (ROOTS[match[1]] + (match[2] === '#' ? 1 : match[2] === 'b' ? -1 : 0) + 12) % 12;
+  const flats = match[2] === 'b' || (minor ? ['D', 'G', 'C', 'F'].includes(match[1]) && !match[2] : match[1] === 'F' && !match[2]);
+  return { tonic, minor, name: `${match[1]}${match[2]} ${minor ? 'minor' : 'major'}`, flats };
+}
+
+/**
+ * Chord symbol of a roman numeral in a key ("ii7" in Bb → "Cm7")
+ *
+ * @param {string} numeral - Roman numeral like "V7", "vii°", "bVII" or "V7/V"
+ * @param {object} key - Key from parseKey
+ * @returns {string}
+ */
+export function numeralToChord(numeral, key) {
+  const match = typeof numeral === 'string' ? numeral.trim().match(NUMERAL_PATTERN) : null;
+  const quality = match ? numeralQuality(match[2], match[3]) : null;
+  if (quality === null) {
+    throw new Error(`Unknown numeral: ${numeral} (e.g. "ii", "V7", "Imaj7", "vii°", "bVII", "V7/V")`);
+  }
+
+  let tonic = key.tonic;
+  let minor = key.minor;
+  if (match[5]) {
+    // Secondary chord: the target degree is the tonic, in its own mode
+    const targetQuality = numeralQuality(match[5], '');
+    tonic = degreeRoot(tonic, minor, match[4], match[5], targetQuality);
+    minor = targetQuality === 'm';
+  }
+  const root = degreeRoot(tonic, minor, match[1], match[2], quality);
+  const flats = key.flats || match[1] === 'b' || match[4] === 'b';
+  return `${(flats ? FLAT_NAMES : SHARP_NAMES)[root]}${quality}`;
+}
+
+/**
+ * Parse a progression like "ii-V-I in Bb" or "I-vi-IV-V in G, 2 bars each"
+ *
+ * @param {string} progression - Numerals, optional "in <key>" and ", <n> bars/beats each"
+ * @returns {object} { numerals, key (text or null), bars (or null), beats (or null) }
+ */
+export function parseProgression(progression) {
+  if (typeof progression !== 'string' || progression.trim() === '') {
+    throw new Error('progression must be a string like "ii-V-I in Bb" or "I-vi-IV-V in G, 2 bars each"');
+  }
+  let text = progression.trim();
+  let bars = null;
+  let beats = null;
+
+  const length = text.match(LENGTH_PATTERN);
+  if (length) {
+    if (length[2].toLowerCase().startsWith('bar')) {
+      bars = Number(length[1]);
+    } else {
+      beats = Number(length[1]);
+    }
+    text = text.slice(0, length.index).trim();
+  } else if (text.includes(',')) {
+    throw new Error(`Unknown chord length in "${progression}" (e.g. ", 2 bars each" or ", 2 beats each")`);
+  }
+
+  let key = null;
+  const keyMatch = text.match(/\s+in\s+(.+)$/i);
+  if (keyMatch) {
+    key = keyMatch[1].trim();
+    text = text.slice(0, keyMatch.index);
+  }
+
+  const numerals = text.split(/[\s\-–|]+/).filter(token => token !== '');
+  if (numerals.length === 0) {
+    throw new Error(`No numerals in "${progression}"`);
+  }
+  return { numerals, key, bars, beats };
+}
+
+/**
+ * Voice a list of chords with smooth voice leading
+ *
+ * @param {Array<string>} symbols - Chord symbols
+ * @param {object} options
+ * @param {number} options.octave - Octave around which the chords sit (default: 4)
+ * @returns {Array<Array<number>>} MIDI notes of each chord, low to high (without bass)
+ */
+export function voiceLead(symbols, { octave = 4 } = {}) {
+  const low = readOctave(octave) - 5;
+  let previous = null;
+  let anchor = null;
+
+  return symbols.map(symbol => {
+    const candidates = inversions(upperVoices(parseChord(symbol)), low);
+    let best = candidates[0];
+    if (previous) {
+      let bestCost = Infinity;
+      candidates.forEach(candidate => {
+        // Ties go to the voicing closest to where the progression started
+        const cost = movement(previous, candidate) + Math.abs(mean(candidate) - anchor) / 100;
+        if (cost < bestCost) {
+          best = candidate;
+          bestCost = cost;
+        }
+      });
+    } else {
+      anchor = mean(best);
+    }
+    previous = best;
+    return best;
+  });
+}
+
+/**
+ * Build a playable pattern from a progression
+ *
+ * @param {string} progression - Progression like "ii-V-I in Bb" (see parseProgression)
+ * @param {object} options
+ * @param {string} options.key - Key when the progression has none (default: C major)
+ * @param {number} options.bars - Bars per chord when the progression has no length (default: 1)
+ * @param {number} options.beats - Beats per chord, instead of bars
+ * @param {string} options.rhythm - 'block' (default), 'strum' or 'alberti'
+ * @param {number} options.octave - Octave of the chords (default: 4), the bass plays two below
+ * @param {string} options.instrument - Sample of the chords (default: 'ST-01')
+ * @param {boolean} options.bass - Add a bass channel on the roots (default: true)
+ * @param {string} options.bassInstrument - Sample of the bass (default: the instrument)
+ * @param {number} options.volume - Step volume 0-64 (default: 48)
+ * @param {object} options.meter - Meter from createMeter (default: 4 rows per beat, 4/4)
+ * @returns {object} { key, rhythm, rowsPerChord, chords: [{ numeral, symbol, notes, bass, row }], rows }
+ */
+export function progressionPattern(progression, {
+  key,
+  bars,
+  beats,
+  rhythm = 'block',
+  octave = 4,
+  instrument = 'ST-01',
+  bass = true,
+  bassInstrument,
+  volume = 48,
+  meter = createMeter()
+} = {}) {
+  const parsed = parseProgression(progression);
+  if (parsed.numerals.length > MAX_CHORDS) {
+    throw new Error(`A progression can have up to ${MAX_CHORDS} chords`);
+  }
+  if (!RHYTHMS.includes(rhythm)) {
+    throw new Error(`rhythm must be one of ${RHYTHMS.join(', ')}`);
+  }
+  if (!Number.isInteger(volume) || volume < 0 || volume > 64) {
+    throw new Error('volume must be an integer from 0 to 64');
+  }
+
+  const resolvedKey = parseKey(parsed.key ?? key ?? 'C');
+  const rowsPerChord = chordRows(parsed.bars !== null || parsed.beats !== null ? parsed : { bars, beats }, meter);
+  const symbols = parsed.numerals.map(numeral => numeralToChord(numeral, resolvedKey));
+  const voicings = voiceLead(symbols, { octave });
+  const bassLow = bass ? readOctave(octave - 2, 'octave must be an integer from 2 to 9 (the bass plays two octaves below)') : 0;
+
+  const firstVoice = bass ? 1 : 0;
+  const width = firstVoice + (rhythm === 'alberti' ? 1 : Math.max(...voicings.map(voices => voices.length)));
+  const rows = Array.from({ length: symbols.length * rowsPerChord }, () => new Array(width).fill(null));
+  const step = note => ({ sample: instrument, note: midiToNote(note), volume });
+
+  const chords = symbols.map((symbol, index) => {
+    const start = index * rowsPerChord;
+    const voices = voicings[index];
+    const root = parseChord(symbol).root;
+    const bassNote = bassLow + root;
+
+    for (let offset = 0; offset < rowsPerChord; offset++) {
+      const row = start + offset;
+      const barLine = offset === 0 || row % meter.rowsPerBar === 0;
+      if (bass && barLine) {
+        rows[row][0] = { sample: bassInstrument ?? instrument, note: midiToNote(bassNote), volume };
+      }
+
+      // Voices the previous chord had and this one hasn't are released
+      if (offset === 0 && index > 0 && rhythm !== 'alberti') {
+        for (let voice = voices.length; voice < voicings[index - 1].length; voice++) {
+          rows[row][firstVoice + voice] = { note: NOTE_OFF };
+        }
+      }
+
+      if (rhythm === 'block' && barLine) {
+        voices.forEach((note, voice) => { rows[row][firstVoice + voice] = step(note); });
+      } else if (rhythm === 'strum' && (offset === 0 || row % meter.rowsPerBeat === 0)) {
+        // Down strokes on the beat, up strokes on every second one
+        const up = Math.floor(row / meter.rowsPerBeat) % 2 === 1;
+        voices.forEach((note, voice) => {
+          const delay = up ? voices.length - 1 - voice : voice;
+          rows[row][firstVoice + voice] = delay ? { ...step(note), delay } : step(note);
+        });
+      } else if (rhythm === 'alberti') {
+        const every = meter.rowsPerBeat % 2 === 0 ? meter.rowsPerBeat / 2 : meter.rowsPerBeat;
+        if (offset % every === 0) {
+          const top = voices.length - 1;
+          const order = [0, top, Math.min(1, top), top];
+          rows[row][firstVoice] = step(voices[order[(offset / every) % order.length]]);
+        }
+      }
+    }
+
+    return {
+      numeral: parsed.numerals[index],
+      symbol,
+      notes: voices.map(midiToNote),
+      bass: bass ? midiToNote(bassNote) : null,
+      row: start
+    };
+  });
+
+  return { key: resolvedKey.name, rhythm, rowsPerChord, chords, rows };
+}
+
+function numeralQuality(roman, suffix) {
+  const lower = roman === roman.toLowerCase();
+  let quality;
+  if (suffix === 'o' || suffix === '°') {
+    quality = 'dim';
+  } else if (suffix === 'o7' || suffix === '°7') {
+    quality = 'dim7';
+  } else if (suffix === 'ø' || suffix === 'ø7') {
+    quality = 'm7b5';
+  } else if (suffix === '+') {
+    quality = 'aug';
+  } else if (suffix === '+7') {
+    quality = 'aug7';
+  } else if (!lower || suffix.startsWith('sus')) {
+    quality = suffix;
+  } else if (suffix === 'maj7' || suffix === 'M7') {
+    quality = 'mMaj7';
+  } else {
+    quality = `m${suffix}`;
+  }
+
+  try {
+    parseChord(`C${quality}`);
+    return quality;
+  } catch {
+    return null;
+  }
+}
+
+function degreeRoot(tonic, minor, accidental, roman, quality) {
+  const degree = ROMAN.indexOf(roman.toLowerCase());
+  let semitones = (minor ? MINOR : MAJOR)[degree];
+  if (minor && degree === 6 && !accidental && DIMINISHED.includes(quality)) {
+    semitones = 11;
+  }
+  const shift = accidental === '#' ? 1 : accidental === 'b' ? -1 : 0;
+  return (tonic + semitones + shift + 12) % 12;
+}
+
+function chordRows({ bars, beats }, meter) {
+  if (bars !== null && bars !== undefined && beats !== null && beats !== undefined) {
+    throw new Error('Give bars or beats per chord, not both');
+  }
+  const rows = beats !== null && beats !== undefined ? beats * meter.rowsPerBeat : (bars ?? 1) * meter.rowsPerBar;
+  if (!Number.isInteger(rows) || rows < 1 || rows > MAX_BARS_PER_CHORD * meter.rowsPerBar) {
+    throw new Error(`Chord length must be a whole number of rows from 1 to ${MAX_BARS_PER_CHORD} bars`);
+  }
+  return rows;
+}
+
+function readOctave(octave, message = 'octave must be an integer from 0 to 9') {
+  if (!Number.isInteger(octave) || octave < 0 || octave > 9) {
+    throw new Error(message);
+  }
+  return (octave + 1) * 12;
+}
+
+// Pitch classes of the voices above the bass (at most four)
+function upperVoices({ root, intervals }) {
+  let upper = intervals;
+  if (upper.length > 4) {
+    upper = upper.filter(interval => interval !== 7);
+  }
+  if (upper.length > 4) {
+    upper = upper.filter(interval => interval !== 0);
+  }
+  return upper.slice(0, 4).map(interval => (root + interval) % 12);
+}
+
+// Close position of every inversion, lowest voice from `low` up to an octave above
+function inversions(pitchClasses, low) {
+  return pitchClasses.map((_, rotation) => {
+    const order = [...pitchClasses.slice(rotation), ...pitchClasses.slice(0, rotation)];
+    let midi = low + ((order[0] - low) % 12 + 12) % 12;
+    return order.map((pitchClass, index) => {
+      if (index > 0) {
+        midi += ((pitchClass - midi) % 12 + 12) % 12 || 12;
+      }
+      return midi;
+    });
+  });
+}
+
+// Semitones the voices move (nearest note for chords of different sizes)
+function movement(from, to) {
+  if (from.length === to.length) {
+    return from.reduce((sum, note, index) => sum + Math.abs(note - to[index]), 0);
+  }
+  const nearest = (notes, target) => Math.min(...notes.map(note => Math.abs(note - target)));
+  return to.reduce((sum, note) => sum + nearest(from, note), 0) +
+    from.reduce((sum, note) => sum + nearest(to, note), 0);
+}
+
+function mean(notes) {
+  return notes.reduce((sum, note) => sum + note, 0) / notes.length;
+}
@@ -0,0 +1,122 @@
+/**
+ * Unit tests for roman numeral progressions
+ */
+
+import { createMeter } from './meter.js';
+import { numeralToChord, parseKey, parseProgression, progressionPattern, voiceLead } from './progression.js';
+
+describe('progression', () => {
+  describe('parseProgression', () => {
+    test('should read numerals, key and chord length', () => {
+      expect(parseProgression('ii-V-I in Bb')).toEqual({ numerals: ['ii', 'V', 'I'], key: 'Bb', bars: null, beats: null });
+      expect(parseProgression('I-vi-IV-V in G, 2 bars each')).toMatchObject({ key: 'G', bars: 2 });
+      expect(parseProgression('i iv | V7 i, 2 beats each')).toEqual({ numerals: ['i', 'iv', 'V7', 'i'], key: null, bars: null, beats: 2 });
+    });
+
+    test('should reject empty progressions and unknown lengths', () => {
+      expect(() => parseProgression('')).toThrow('progression must be a string');
+      expect(() => parseProgression('I-V in C, forever')).toThrow('Unknown chord length');
+    });
+  });
+
+  describe('parseKey', () => {
+    test('should read major and minor keys', () => {
+      expect(parseKey('Bb')).toMatchObject({ tonic: 10, minor: false, name: 'Bb major', flats: true });
+      expect(parseKey('A minor')).toMatchObject({ tonic: 9, minor: true, flats: false });
+      expect(parseKey('F#m')).toMatchObject({ tonic: 6, minor: true, name: 'F# minor' });
+      expect(() => parseKey('H')).toThrow('Unknown key: H');
+    });
+  });
+
+  describe('numeralToChord', () => {
+    test('should take the quality from case and suffix', () => {
+      const bb = parseKey('Bb');
+      expect(numeralToChord('ii7', bb)).toBe('Cm7');
+      expect(numeralToChord('V7', bb)).toBe('F7');
+      expect(numeralToChord('Imaj7', bb)).toBe('Bbmaj7');
+      expect(numeralToChord('viiø7', bb)).toBe('Am7b5');
+    });
+
+    test('should handle borrowed, secondary and leading-tone chords', () => {
+      expect(numeralToChord('bVII', parseKey('C'))).toBe('Bb');
+      expect(numeralToChord('V7/V', parseKey('C'))).toBe('D7');
+      expect(numeralToChord('V/ii', parseKey('C'))).toBe('A');
+      expect(numeralToChord('vii°7', parseKey('A minor'))).toBe('G#dim7');
+      expect(numeralToChord('VII', parseKey('A minor'))).toBe('G');
+    });
+
+    test('should reject unknown numerals', () => {
+      expect(() => numeralToChord('IIX', parseKey('C'))).toThrow('Unknown numeral: IIX');
+      expect(() => numeralToChord('Vfoo', parseKey('C'))).toThrow('Unknown numeral');
+    });
+  });
+
+  describe('voiceLead', () => {
+    test('should move voices to the nearest chord tones', () => {
+      expect(voiceLead(['Cm7', 'F7', 'Bbmaj7'])).toEqual([
+        [60, 63, 67, 70],
+        [60, 63, 65, 69],
+        [58, 62, 65, 69]
+      ]);
+      expect(voiceLead(['C', 'G', 'C'])).toEqual([[60, 64, 67], [59, 62, 67], [60, 64, 67]]);
+    });
+
+    test('should leave out the fifth, then the root of large chords', () => {
+      expect(voiceLead(['C9'])[0].map(note => note % 12)).toEqual([0, 4, 10, 2]);
+      expect(voiceLead(['C13'])[0].map(note => note % 12)).toEqual([4, 10, 2, 9]);
+    });
+  });
+
+  describe('progressionPattern', () => {
+    test('should play block chords with a bass channel on the roots', () => {
+      const result = progressionPattern('ii-V-I in Bb', { instrument: 'ST-01' });
+      expect(result.key).toBe('Bb major');
+      expect(result.rowsPerChord).toBe(16);
+      expect(result.rows).toHaveLength(48);
+      expect(result.chords.map(chord => chord.symbol)).toEqual(['Cm', 'F', 'Bb']);
+      expect(result.chords[1]).toMatchObject({ bass: 'F-2', row: 16 });
+      expect(result.rows[16][0]).toEqual({ sample: 'ST-01', note: 'F-2', volume: 48 });
+      expect(result.rows[16].slice(1).map(step => step.note)).toEqual(result.chords[1].notes);
+      expect(result.rows[17]).toEqual([null, null, null, null]);
+    });
+
+    test('should restrike held chords on every bar line', () => {
+      const result = progressionPattern('I-IV in C, 2 bars each', { bass: false });
+      expect(result.rows).toHaveLength(64);
+      expect(result.rows[16][0].note).toBe('C-4');
+      expect(result.rows[8]).toEqual([null, null, null]);
+    });
+
+    test('should strum on every beat, down then up', () => {
+      const result = progressionPattern('I in C, 2 beats each', { rhythm: 'strum', bass: false });
+      expect(result.rows[0].map(step => step.delay)).toEqual([undefined, 1, 2]);
+      expect(result.rows[4].map(step => step.delay)).toEqual([2, 1, undefined]);
+    });
+
+    test('should play Alberti bass on one channel in 8th notes', () => {
+      const result = progressionPattern('I in C, 1 beat each', { rhythm: 'alberti', bass: false, meter: createMeter({ timeSignature: '2/4' }) });
+      expect(result.rows.map(row => row[0] && row[0].note)).toEqual(['C-4', null, 'G-4', null]);
+      const bar = progressionPattern('I', { rhythm: 'alberti' }).rows;
+      expect(bar.filter((_, row) => row % 2 === 0).slice(0, 4).map(row => row[1].note)).toEqual(['C-4', 'G-4', 'E-4', 'G-4']);
+    });
+
+    test('should release voices the next chord does not use', () => {
+      const result = progressionPattern('V7-I in C', { bass: false });
+      expect(result.rows[16][3]).toEqual({ note: '===' });
+    });
+
+    test('should follow the meter and options', () => {
+      const result = progressionPattern('I-V', { key: 'D', beats: 3, meter: createMeter({ timeSignature: '3/4' }), volume: 30 });
+      expect(result.rowsPerChord).toBe(12);
+      expect(result.chords.map(chord => chord.symbol)).toEqual(['D', 'A']);
+      expect(result.rows[0][1].volume).toBe(30);
+    });
+
+    test('should reject invalid options', () => {
+      expect(() => progressionPattern('I', { rhythm: 'waltz' })).toThrow('rhythm must be one of');
+      expect(() => progressionPattern('I', { bars: 0.1 })).toThrow('whole number of rows');
+      expect(() => progressionPattern('I', { octave: 1 })).toThrow('bass plays two octaves below');
+      expect(() => progressionPattern('I', { volume: 65 })).toThrow('volume must be');
+    });
+  });
+});
@@ -0,0 +1,278 @@
+/**
+ * S3M import: Scream Tracker 3 modules turned into a song
+ *
+ * Shared by the server (POST /api/import/mod) and the browser
+ * (web/mod-loader.js). Takes a module read by shared/s3m.js.
+ *
+ * Samples become IDs `${prefix}-NN` (NN = instrument number) with base note
+ * C-4 at their C2SPD, the rate Scream Tracker plays C-4 at, so notes keep
+ * the module's pitch in the default tuning.
+ *
+ * The order list is played through once with its Bxx jumps and Cxx breaks
+ * (see shared/module-song.js); "+++" markers are skipped. Cells become steps:
+ *   - a note without an instrument plays the channel's last one, at the
+ *     volume the channel has (the instrument's default volume, or the
+ *     volume column)
+ *   - "^^^" cuts the channel, like a note of an empty or Adlib instrument
+ *   - Axx → Fxx speed, Txx → Fxx tempo (rescaled to this engine's BPM, see
+ *     tempoColumn), Dxy → Axy, Exx/Fxx → 2xx/1xx, Gxx → 3xx, Hxy → 4xy,
+ *     Jxy → 0xy, Oxx → 9xx, Qxy → E9y, SCx → ECx, SDx → note delay
+ *   - S8x and Xxx set the channel's pan from that note on
+ *   - Kxy/Lxy keep their vibrato/tone portamento and lose the volume slide;
+ *     D, E and F with 00 repeat the channel's last value, as in ST3
+ * Fine slides and everything else are dropped with a warning.
+ */
+
+import { NOTE_CUT_VALUE, NOTE_EMPTY, ORDER_MARKER, ROWS_PER_PATTERN, VOLUME_EMPTY } from './s3m.js';
+import {
+  breakRow, buildSong, createDropCounter, effectColumn, fitSampleRate, moduleBpm, moduleRowsPerBeat, playOrder, tempoColumn
+} from './module-song.js';
+import { midiToNote } from './notes.js';
+import { NOTE_CUT } from './tracker-effects.js';
+
+// Dropped effects, for the warnings
+const EFFECT_NAMES = {
+  I: 'Ixy (tremor)', M: 'Mxx (channel volume)', N: 'Nxy (channel volume slide)', P: 'Pxy (panning slide)',
+  R: 'Rxy (tremolo)', U: 'Uxy (fine vibrato)', V: 'Vxx (global volume)', W: 'Wxy (global volume slide)',
+  Y: 'Yxy (panbrello)', Z: 'Zxx (MIDI macro)'
+};
+const EXTENDED_NAMES = {
+  0x0: 'S0x (filter)', 0x1: 'S1x (glissando)', 0x2: 'S2x (finetune)', 0x3: 'S3x (vibrato waveform)',
+  0x4: 'S4x (tremolo waveform)', 0x5: 'S5x (panbrello waveform)', 0x6: 'S6x (fine pattern delay)',
+  0x7: 'S7x (instrument control)', 0x9: 'S9x (sound control)', 0xA: 'SAx (high offset)',
+  0xB: 'SBx (pattern loop)', 0xE: 'SEx (pattern delay)', 0xF: 'SFx (funk repeat)'
+};
+
+/**
+ * Convert a parsed S3M module into a song
+ *
+ * @param {object} module - Module from parseS3m
+ * @param {object} options
+ * @param {string} options.prefix - Prefix of the sample IDs (default: 'S3M')
+ * @returns {object} { name, bpm, speed, rowsPerBeat, timeSignature, tuning, patterns (pool), order,
+ *   samples: [{ id, index, name, baseNote, sampleRate, volume, c2spd, length, loopStart, loopLength }], channels, warnings }
+ */
+export function s3mToSong(module, { prefix = 'S3M' } = {}) {
+  const { drop, warnings: dropWarnings } = createDropCounter();
+  const warnings = [...module.warnings];
+
+  const samples = module.samples
+    .filter(sample => sample.length > 2)
+    .map(sample => {
+      const { sampleRate, baseNote } = fitSampleRate(sample.c2spd, 60);
+      return {
+        id: `${prefix}-${String(sample.index).padStart(2, '0')}`,
+        index: sample.index,
+        name: sample.name,
+        baseNote,
+        sampleRate,
+        volume: sample.volume,
+        c2spd: sample.c2spd,
+        length: sample.length,
+        loopStart: sample.loopStart,
+        loopLength: sample.loopLength
+      };
+    });
+  const sampleIds = new Map(samples.map(sample => [sample.index, sample.id]));
+  const defaultVolumes = new Map(module.samples.map(sample => [sample.index, sample.volume]));
+
+  // Markers are skipped, but Bxx counts positions with them
+  const order = [];
+  const positions = module.order.map(pattern => {
+    const position = order.length;
+    if (pattern !== ORDER_MARKER) {
+      order.push(pattern);
+    }
+    return position;
+  });
+  const jumpOf = ({ effect, param }) => {
+    if (effect === 'B') {
+      return { position: positions[param] ?? order.length };
+    }
+    if (effect === 'C') {
+      const row = breakRow(param);
+      return { row: row < ROWS_PER_PATTERN ? row : 0 };
+    }
+    return null;
+  };
+
+  const timing = { speed: module.speed, rowsPerBeat: moduleRowsPerBeat(module.speed) };
+  const state = {
+    ...timing,
+    channels: module.pans.map(pan => ({ sample: 0, volume: 64, pan, memory: {} }))
+  };
+  const convertRow = (cells) => cells.map((cell, channel) =>
+    convertCell(cell, state, channel, { sampleIds, defaultVolumes, drop }));
+
+  const parts = playOrder(order, module.patterns, jumpOf, warnings);
+  const { patterns, order: songOrder } = buildSong(parts, module.patterns, convertRow);
+
+  return {
+    name: module.title || 'Untitled module',
+    bpm: Math.round(moduleBpm(module.tempo, timing)),
+    speed: timing.speed,
+    rowsPerBeat: timing.rowsPerBeat,
+    timeSignature: '4/4',
+    tuning: null,
+    patterns,
+    order: songOrder,
+    samples,
+    channels: module.channels,
+    warnings: [...warnings, ...dropWarnings()]
+  };
+}
+
+/**
+ * Step of a cell, or null for an empty one
+ */
+function convertCell(cell, state, channel, { sampleIds, defaultVolumes, drop }) {
+  const channelState = state.channels[channel];
+  const step = {};
+
+  if (cell.instrument) {
+    channelState.sample = cell.instrument;
+    channelState.volume = defaultVolumes.get(cell.instrument) ?? 64;
+  }
+  if (cell.volume !== VOLUME_EMPTY) {
+    channelState.volume = Math.min(cell.volume, 64);
+  }
+  const column = s3mEffectColumn(cell, channelState, state, drop);
+  if (column && column.pan !== undefined) {
+    channelState.pan = column.pan;
+  }
+
+  const midi = (cell.note >> 4) * 12 + (cell.note & 0x0F) + 12;
+  if (cell.note === NOTE_CUT_VALUE) {
+    step.note = NOTE_CUT;
+  } else if (cell.note !== NOTE_EMPTY && (cell.note & 0x0F) < 12) {
+    const id = sampleIds.get(channelState.sample);
+    if (id) {
+      step.sample = id;
+      step.note = midiToNote(midi);
+      step.volume = channelState.volume;
+      step.pan = channelState.pan;
+    } else {
+      step.note = NOTE_CUT;
+    }
+  } else if (cell.instrument || cell.volume !== VOLUME_EMPTY) {
+    drop('Volume change of a running note (volume column or an instrument without a note)');
+  } else if (column && column.pan !== undefined) {
+    drop('Pan change of a running note (S8x or Xxx without a note)');
+  }
+
+  if (column && column.delay !== undefined) {
+    if (step.sample) {
+      step.delay = column.delay;
+    }
+  } else if (typeof column === 'string') {
+    step.effect = column;
+  }
+
+  return Object.keys(step).length > 0 ? step : null;
+}
+
+/**
+ * Effect column of an S3M effect: "3xx", { delay } for SDx, { pan } for
+ * S8x/Xxx, or null (Bxx/Cxx shape the order list); Axx updates state.speed
+ */
+function s3mEffectColumn({ effect, param }, channelState, state, drop) {
+  switch (effect) {
+    case null:
+    case 'B':
+    case 'C':
+      return null;
+    case 'A':
+      if (param === 0) {
+        return null;
+      }
+      if (param > 0x1F) {
+        drop('Axx speed above 1F (clamped)');
+      }
+      state.speed = Math.min(param, 0x1F);
+      return effectColumn('F', state.speed);
+    case 'D': {
+      const value = remember(channelState, 'slide', param);
+      if (((value >> 4) === 0xF && (value & 0x0F)) || ((value & 0x0F) === 0xF && (value >> 4))) {
+        drop('Effect DxF/DFy (fine volume slide)');
+        return null;
+      }
+      return effectColumn('A', value);
+    }
+    case 'E':
+    case 'F': {
+      const value = remember(channelState, 'portamento', param);
+      if (value >= 0xE0) {
+        drop(`Effect ${effect}${value >= 0xF0 ? 'F' : 'E'}x (${value >= 0xF0 ? 'fine' : 'extra fine'} portamento)`);
+        return null;
+      }
+      return effectColumn(effect === 'E' ? '2' : '1', value);
+    }
+    case 'G':
+      return effectColumn('3', param);
+    case 'H':
+      return effectColumn('4', param);
+    case 'J':
+      return param ? effectColumn('0', param) : null;
+    case 'K':
+    case 'L':
+      remember(channelState, 'slide', param);
+      drop(`Volume slide of ${effect}xy (${effect === 'L' ? 'tone portamento' : 'vibrato'} + volume slide)`);
+      return effect === 'L' ? '300' : '400';
+    case 'O':
+      return effectColumn('9', param);
+    case 'Q':
+      if ((param & 0x0F) === 0) {
+        return null;
+      }
+      if ((param >> 4) !== 0 && (param >> 4) !== 8) {
+        drop('Volume change of Qxy (retrigger)');
+      }
+      return effectColumn('E', 0x90 | (param & 0x0F));
+    case 'S':
+      return extendedColumn(param, drop);
+    case 'T':
+      if (param < 0x20) {
+        drop('Effect Txx below 20 (tempo slide)');
+        return null;
+      }
+      return tempoColumn(param, state, drop);
+    case 'X':
+      if (param > 0x80) {
+        drop('Effect XA4 (surround)');
+        return null;
+      }
+      return { pan: Math.min(255, param * 2) };
+    default:
+      drop(`Effect ${EFFECT_NAMES[effect] || `${effect}xx`}`);
+      return null;
+  }
+}
+
+/**
+ * Sxy sub-commands
+ */
+function extendedColumn(param, drop) {
+  const command = param >> 4;
+  const value = param & 0x0F;
+  if (command === 0x8) {
+    return { pan: value * 17 };
+  }
+  if (command === 0xC) {
+    return effectColumn('E', param);
+  }
+  if (command === 0xD) {
+    return { delay: value };
+  }
+  drop(`Effect ${EXTENDED_NAMES[command]}`);
+  return null;
+}
+
+/**
+ * Parameter 00 repeats the channel's last one of the effect kind
+ */
+function remember(channelState, kind, param) {
+  if (param) {
+    channelState.memory[kind] = param;
+  }
+  return channelState.memory[kind] || 0;
+}
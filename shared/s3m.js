@@ -0,0 +1,244 @@
+/**
+ * Scream Tracker 3 modules: reading S3M files
+ *
+ * Shared by the server (POST /api/import/mod) and the browser (web/mod-loader.js):
+ * works on a Uint8Array (a Node Buffer is one). Multi-byte values are
+ * little-endian; headers are found through parapointers (offset / 16).
+ *
+ * Samples keep their C2SPD (the frames per second of C-4) and default
+ * volume; data is 8-bit (Int8Array) or 16-bit (Int16Array), converted to
+ * signed, and stereo samples keep their left channel. Adlib instruments have
+ * no sample data: they are listed empty with a warning.
+ *
+ * Channels: the PCM channels the header enables (L1-L8, R1-R8) are numbered
+ * from 0 in file order; their pan comes from the pan table if the file has
+ * one, else left/right (or centre for mono songs).
+ *
+ * Cells keep the file's values: note (octave << 4 | semitone, NOTE_EMPTY,
+ * NOTE_CUT_VALUE), instrument (1-based, 0 = none), volume (0-64, or
+ * VOLUME_EMPTY), effect (command letter 'A'-'Z', null = none) and param.
+ * Turning them into pattern rows is up to shared/s3m-import.js.
+ */
+
+import { readText } from './mod.js';
+
+export const ROWS_PER_PATTERN = 64;
+
+// Note byte values without a note
+export const NOTE_EMPTY = 255;
+export const NOTE_CUT_VALUE = 254;
+export const VOLUME_EMPTY = 255;
+
+// Order list entries: skipped marker ("+++") and end of song ("---")
+export const ORDER_MARKER = 254;
+export const ORDER_END = 255;
+
+const HEADER_SIZE = 0x60;
+const CHANNEL_COUNT = 32;
+
+// Default pans of left and right channels (pan table nibbles 3 and C, 0-255)
+const PAN_LEFT = 3 * 17;
+const PAN_RIGHT = 12 * 17;
+const PAN_CENTER = 128;
+
+const SAMPLE_LOOP = 0x01;
+const SAMPLE_STEREO = 0x02;
+const SAMPLE_16BIT = 0x04;
+
+/**
+ * Parse a Scream Tracker 3 module
+ *
+ * @param {Uint8Array} bytes - File contents
+ * @returns {object} { title, format ('SCRM'), channels, pans (0-255 per channel),
+ *   speed, tempo, samples: [{ index, name, length, volume, c2spd, loopStart, loopLength, data (Int8Array/Int16Array) }],
+ *   order (pattern numbers, with ORDER_MARKER entries), patterns: [[[{ note, instrument, volume, effect, param }]]], warnings }
+ */
+export function parseS3m(bytes) {
+  if (!(bytes instanceof Uint8Array)) {
+    throw new Error('Module must be binary data');
+  }
+  if (!isS3m(bytes)) {
+    throw new Error('Not a Scream Tracker 3 module (no SCRM signature)');
+  }
+  const warnings = [];
+
+  const orderCount = word(bytes, 0x20);
+  const instrumentCount = word(bytes, 0x22);
+  const patternCount = word(bytes, 0x24);
+  const signedSamples = word(bytes, 0x2A) === 1;
+  const stereo = (bytes[0x33] & 0x80) !== 0;
+  const hasPanTable = bytes[0x35] === 252;
+
+  const pointers = HEADER_SIZE + orderCount;
+  const panTable = pointers + (instrumentCount + patternCount) * 2;
+  if (panTable + (hasPanTable ? CHANNEL_COUNT : 0) > bytes.length) {
+    throw new Error('Invalid module: file is shorter than its header');
+  }
+
+  // Enabled PCM channels in file order; pattern cells of other channels are skipped
+  const channelMap = new Array(CHANNEL_COUNT).fill(-1);
+  const pans = [];
+  for (let channel = 0; channel < CHANNEL_COUNT; channel++) {
+    const setting = bytes[0x40 + channel];
+    if (setting & 0x80) {
+      continue;
+    }
+    if (setting >= 16) {
+      warnings.push(`Channel ${channel + 1} is an Adlib channel: skipped`);
+      continue;
+    }
+    channelMap[channel] = pans.length;
+    const tablePan = hasPanTable ? bytes[panTable + channel] : 0;
+    if (tablePan & 0x20) {
+      pans.push((tablePan & 0x0F) * 17);
+    } else if (stereo) {
+      pans.push(setting < 8 ? PAN_LEFT : PAN_RIGHT);
+    } else {
+      pans.push(PAN_CENTER);
+    }
+  }
+
+  const order = [];
+  for (const pattern of bytes.subarray(HEADER_SIZE, HEADER_SIZE + orderCount)) {
+    if (pattern === ORDER_END) {
+      break;
+    }
+    order.push(pattern);
+  }
+
+  const samples = [];
+  for (let index = 0; index < instrumentCount; index++) {
+    samples.push(readSample(bytes, word(bytes, pointers + index * 2) * 16, index + 1, signedSamples, warnings));
+  }
+
+  const patterns = [];
+  for (let pattern = 0; pattern < patternCount; pattern++) {
+    const offset = word(bytes, pointers + (instrumentCount + pattern) * 2) * 16;
+    patterns.push(readPattern(bytes, offset, channelMap, pans.length, pattern, warnings));
+  }
+
+  return {
+    title: readText(bytes, 0, 28),
+    format: 'SCRM',
+    channels: pans.length,
+    pans,
+    speed: bytes[0x31] || 6,
+    tempo: bytes[0x32] >= 32 ? bytes[0x32] : 125,
+    samples,
+    order,
+    patterns,
+    warnings
+  };
+}
+
+/**
+ * Check the S3M signature
+ */
+export function isS3m(bytes) {
+  return bytes.length >= HEADER_SIZE && readText(bytes, 44, 4) === 'SCRM';
+}
+
+/**
+ * Instrument header and sample data (empty for Adlib and missing instruments)
+ */
+function readSample(bytes, offset, index, signedSamples, warnings) {
+  const sample = { index, name: '', length: 0, volume: 0, c2spd: 8363, loopStart: 0, loopLength: 0, data: new Int8Array(0) };
+  if (offset === 0 || offset + 0x50 > bytes.length) {
+    return sample;
+  }
+  const type = bytes[offset];
+  sample.name = readText(bytes, offset + 0x30, 28);
+  if (type >= 2) {
+    warnings.push(`Instrument ${index} is an Adlib instrument: skipped`);
+    return sample;
+  }
+  if (type !== 1) {
+    return sample;
+  }
+
+  const flags = bytes[offset + 0x1F];
+  const frameSize = flags & SAMPLE_16BIT ? 2 : 1;
+  const dataOffset = ((bytes[offset + 0x0D] << 16) | word(bytes, offset + 0x0E)) * 16;
+  const declared = dword(bytes, offset + 0x10);
+  const length = Math.max(0, Math.min(declared, Math.floor((bytes.length - dataOffset) / frameSize)));
+  if (length < declared) {
+    warnings.push(`Sample ${index} is cut short: ${length} of ${declared} frames`);
+  }
+  if (flags & SAMPLE_STEREO) {
+    warnings.push(`Sample ${index} is stereo: only its left channel plays`);
+  }
+
+  const loopStart = dword(bytes, offset + 0x14);
+  const loopEnd = Math.min(dword(bytes, offset + 0x18), length);
+  Object.assign(sample, {
+    length,
+    volume: Math.min(bytes[offset + 0x1C], 64),
+    c2spd: dword(bytes, offset + 0x20) || 8363,
+    loopStart: (flags & SAMPLE_LOOP) && loopEnd > loopStart ? loopStart : 0,
+    loopLength: (flags & SAMPLE_LOOP) && loopEnd > loopStart ? loopEnd - loopStart : 0,
+    data: readSampleData(bytes, dataOffset, length, frameSize, signedSamples)
+  });
+  return sample;
+}
+
+/**
+ * Sample frames as signed values (S3M stores unsigned data unless the header says otherwise)
+ */
+function readSampleData(bytes, offset, length, frameSize, signedSamples) {
+  if (frameSize === 2) {
+    return Int16Array.from({ length }, (_, i) => {
+      const value = word(bytes, offset + i * 2);
+      return signedSamples ? (value << 16) >> 16 : value - 0x8000;
+    });
+  }
+  return Int8Array.from(bytes.subarray(offset, offset + length), byte => (signedSamples ? (byte << 24) >> 24 : byte - 0x80));
+}
+
+/**
+ * Packed pattern: per row, cells of the channels that have one
+ */
+function readPattern(bytes, offset, channelMap, channels, pattern, warnings) {
+  const rows = Array.from({ length: ROWS_PER_PATTERN }, () => Array.from({ length: channels }, emptyCell));
+  if (offset === 0) {
+    return rows;
+  }
+  const end = Math.min(bytes.length, offset + word(bytes, offset));
+  let position = offset + 2;
+  for (let row = 0; row < ROWS_PER_PATTERN && position < end; row++) {
+    for (let what = bytes[position++]; what !== 0 && position < end; what = bytes[position++]) {
+      const cell = emptyCell();
+      if (what & 0x20) {
+        cell.note = bytes[position++];
+        cell.instrument = bytes[position++];
+      }
+      if (what & 0x40) {
+        cell.volume = bytes[position++];
+      }
+      if (what & 0x80) {
+        const command = bytes[position++];
+        cell.effect = command >= 1 && command <= 26 ? String.fromCharCode(64 + command) : null;
+        cell.param = bytes[position++];
+      }
+      const channel = channelMap[what & 0x1F];
+      if (channel >= 0) {
+        rows[row][channel] = cell;
+      }
+    }
+  }
+  if (position > end) {
+    warnings.push(`Pattern ${pattern} is cut short`);
+  }
+  return rows;
+}
+
+function emptyCell() {
+  return { note: NOTE_EMPTY, instrument: 0, volume: VOLUME_EMPTY, effect: null, param: 0 };
+}
+
+function word(bytes, offset) {
+  return bytes[offset] | (bytes[offset + 1] << 8);
+}
+
+function dword(bytes, offset) {
+  return word(bytes, offset) + word(bytes, offset + 2) * 0x10000;
+}
@@ -0,0 +1,190 @@
+/**
+ * Unit tests for S3M reading and import
+ */
+
+import { NOTE_CUT_VALUE, ORDER_MARKER, parseS3m } from './s3m.js';
+import { s3mToSong } from './s3m-import.js';
+
+/**
+ * A Scream Tracker 3 module (unsigned samples) with the given channel
+ * settings, pan table, samples ({ name, volume, c2spd, loopStart, loopEnd,
+ * bits, data as signed values }), order list and patterns of sparse cells
+ * ({ 'row,channel': { note, instrument, volume, effect, param } })
+ */
+function buildS3m({
+  title = 'Test', speed = 6, tempo = 125, stereo = true, channels = [0, 8, 1, 9], pans = null,
+  samples = [], order = [0], patterns = [{}]
+}) {
+  const bytes = [...text(title, 28), 0x1A, 16, 0, 0, ...word(order.length), ...word(samples.length), ...word(patterns.length),
+    ...word(0), ...word(0x1320), ...word(2), ...text('SCRM', 4), 64, speed, tempo, stereo ? 0xB0 : 0x30, 0, pans ? 252 : 0,
+    ...new Array(10).fill(0), ...Array.from({ length: 32 }, (_, i) => channels[i] ?? 255), ...order];
+  const pointers = bytes.length;
+  bytes.push(...new Array((samples.length + patterns.length) * 2).fill(0));
+  if (pans) {
+    bytes.push(...Array.from({ length: 32 }, (_, i) => (pans[i] === undefined ? 0 : 0x20 | pans[i])));
+  }
+
+  const paragraph = () => {
+    while (bytes.length % 16) bytes.push(0);
+    return bytes.length / 16;
+  };
+  const setWord = (offset, value) => bytes.splice(offset, 2, ...word(value));
+
+  const headers = samples.map((sample, index) => {
+    setWord(pointers + index * 2, paragraph());
+    const offset = bytes.length;
+    const flags = (sample.loopEnd ? 1 : 0) | (sample.bits === 16 ? 4 : 0);
+    bytes.push(1, ...text('', 12), 0, 0, 0, ...dword(sample.data.length), ...dword(sample.loopStart || 0), ...dword(sample.loopEnd || 0),
+      sample.volume ?? 64, 0, 0, flags, ...dword(sample.c2spd || 8363), ...new Array(12).fill(0), ...text(sample.name || '', 28), ...text('SCRS', 4));
+    return offset;
+  });
+
+  patterns.forEach((cells, index) => {
+    setWord(pointers + (samples.length + index) * 2, paragraph());
+    const start = bytes.length;
+    bytes.push(0, 0);
+    for (let row = 0; row < 64; row++) {
+      for (const [key, cell] of Object.entries(cells)) {
+        const [cellRow, channel] = key.split(',').map(Number);
+        if (cellRow !== row) continue;
+        const hasNote = cell.note !== undefined || cell.instrument !== undefined;
+        bytes.push(channel | (hasNote ? 0x20 : 0) | (cell.volume !== undefined ? 0x40 : 0) | (cell.effect ? 0x80 : 0));
+        if (hasNote) bytes.push(cell.note ?? 255, cell.instrument || 0);
+        if (cell.volume !== undefined) bytes.push(cell.volume);
+        if (cell.effect) bytes.push(cell.effect.charCodeAt(0) - 64, cell.param || 0);
+      }
+      bytes.push(0);
+    }
+    setWord(start, bytes.length - start);
+  });
+
+  samples.forEach((sample, index) => {
+    const segment = paragraph();
+    bytes.splice(headers[index] + 13, 3, segment >> 16, segment & 0xFF, (segment >> 8) & 0xFF);
+    for (const value of sample.data) {
+      bytes.push(...(sample.bits === 16 ? word(value + 0x8000) : [value + 0x80]));
+    }
+  });
+  return new Uint8Array(bytes);
+}
+
+function text(value, length) {
+  return Array.from({ length }, (_, i) => (i < value.length ? value.charCodeAt(i) : 0));
+}
+
+function word(value) {
+  return [value & 0xFF, (value >> 8) & 0xFF];
+}
+
+function dword(value) {
+  return [...word(value & 0xFFFF), ...word(value >>> 16)];
+}
+
+const SQUARE = { name: 'square', volume: 48, c2spd: 16726, data: [100, 100, -100, -100, 100, 100, -100, -100] };
+
+describe('s3m', () => {
+  describe('parseS3m', () => {
+    test('should read channels, samples, order and packed cells', () => {
+      const module = parseS3m(buildS3m({
+        title: 'Demo',
+        channels: [0, 8, 255, 1],
+        pans: [undefined, undefined, 0, 7],
+        samples: [
+          { ...SQUARE, loopStart: 2, loopEnd: 6 },
+          { name: 'wide', bits: 16, data: [-32768, 32767, 0, 1000] }
+        ],
+        order: [1, ORDER_MARKER, 0, 255, 1],
+        patterns: [{}, { '0,3': { note: 0x45, instrument: 2, volume: 40, effect: 'D', param: 0x0F }, '2,0': { note: NOTE_CUT_VALUE } }]
+      }));
+
+      expect(module).toMatchObject({ title: 'Demo', format: 'SCRM', channels: 3, pans: [51, 204, 119], speed: 6, tempo: 125, warnings: [] });
+      expect(module.order).toEqual([1, ORDER_MARKER, 0]);
+      expect(module.samples[0]).toMatchObject({ index: 1, name: 'square', length: 8, volume: 48, c2spd: 16726, loopStart: 2, loopLength: 4 });
+      expect(Array.from(module.samples[0].data)).toEqual(SQUARE.data);
+      expect(module.samples[1].data).toBeInstanceOf(Int16Array);
+      expect(Array.from(module.samples[1].data)).toEqual([-32768, 32767, 0, 1000]);
+
+      const rows = module.patterns[1];
+      expect(rows).toHaveLength(64);
+      expect(rows[0][2]).toEqual({ note: 0x45, instrument: 2, volume: 40, effect: 'D', param: 0x0F });
+      expect(rows[2][0]).toMatchObject({ note: NOTE_CUT_VALUE, instrument: 0, effect: null });
+    });
+
+    test('should center mono songs and skip Adlib channels', () => {
+      const module = parseS3m(buildS3m({ stereo: false, channels: [0, 16, 8] }));
+
+      expect(module.pans).toEqual([128, 128]);
+      expect(module.warnings).toEqual(['Channel 2 is an Adlib channel: skipped']);
+    });
+
+    test('should reject files that are not S3M modules', () => {
+      expect(() => parseS3m(new Uint8Array(200))).toThrow('no SCRM signature');
+      expect(() => parseS3m(buildS3m({}).subarray(0, 97))).toThrow('shorter than its header');
+    });
+  });
+
+  describe('s3mToSong', () => {
+    test('should play C-4 at the C2SPD with instrument and column volumes', () => {
+      const song = s3mToSong(parseS3m(buildS3m({
+        samples: [SQUARE, { ...SQUARE, name: 'low', c2spd: 4000 }],
+        patterns: [{
+          '0,0': { note: 0x40, instrument: 1 },
+          '0,1': { note: 0x47, instrument: 2, volume: 20 },
+          '1,0': { note: 0x50, effect: 'S', param: 0xD2 },
+          '2,0': { note: NOTE_CUT_VALUE },
+          '2,1': { note: 0x40, effect: 'X', param: 0x40 },
+          '3,1': { volume: 10 }
+        }]
+      })), { prefix: 'T' });
+
+      expect(song).toMatchObject({ name: 'Test', bpm: 125, speed: 6, rowsPerBeat: 4, tuning: null, order: ['p00'] });
+      expect(song.samples).toEqual([
+        { id: 'T-01', index: 1, name: 'square', baseNote: 'C-4', sampleRate: 16726, volume: 48, c2spd: 16726, length: 8, loopStart: 0, loopLength: 0 },
+        { id: 'T-02', index: 2, name: 'low', baseNote: 'C-5', sampleRate: 8000, volume: 48, c2spd: 4000, length: 8, loopStart: 0, loopLength: 0 }
+      ]);
+      const rows = song.patterns.p00;
+      expect(rows[0]).toEqual([{ sample: 'T-01', note: 'C-4', volume: 48, pan: 51 }, { sample: 'T-02', note: 'G-4', volume: 20, pan: 204 }, null, null]);
+      expect(rows[1][0]).toEqual({ sample: 'T-01', note: 'C-5', volume: 48, pan: 51, delay: 2 });
+      expect(rows[2]).toEqual([{ note: '^^^' }, { sample: 'T-02', note: 'C-4', volume: 20, pan: 128 }, null, null]);
+      expect(rows[3][1]).toBeNull();
+      expect(song.warnings).toEqual(['Volume change of a running note (volume column or an instrument without a note): dropped on 1 step']);
+    });
+
+    test('should convert effects with their memory and drop fine slides', () => {
+      const song = s3mToSong(parseS3m(buildS3m({
+        speed: 3,
+        tempo: 150,
+        patterns: [{
+          '0,0': { effect: 'D', param: 0x04 },
+          '1,0': { effect: 'D', param: 0x00 },
+          '2,0': { effect: 'D', param: 0xF1 },
+          '3,0': { effect: 'F', param: 0x08 },
+          '4,0': { effect: 'E', param: 0x00 },
+          '5,0': { effect: 'T', param: 0x96 },
+          '6,0': { effect: 'A', param: 0x06 },
+          '7,0': { effect: 'Q', param: 0x03 },
+          '8,0': { effect: 'R', param: 0x44 }
+        }]
+      })));
+      const effects = song.patterns.p00.slice(0, 9).map(row => row[0]?.effect);
+
+      // Speed 3 starts at 8 rows per beat: 150 BPM at speed 3 is 150 × 24 / (3 × 8)
+      expect(song).toMatchObject({ bpm: 150, speed: 3, rowsPerBeat: 8 });
+      expect(effects).toEqual(['A04', 'A04', undefined, '108', '208', 'F96', 'F06', 'E93', undefined]);
+      expect(song.warnings).toEqual(['Effect DxF/DFy (fine volume slide): dropped on 1 step', 'Effect Rxy (tremolo): dropped on 1 step']);
+    });
+
+    test('should skip order markers and count them in jumps', () => {
+      const song = s3mToSong(parseS3m(buildS3m({
+        order: [0, ORDER_MARKER, 1, 2],
+        patterns: [
+          { '15,0': { effect: 'B', param: 3 } }, // Position 3: pattern 2
+          { '0,0': { note: 0x40 } },
+          { '7,1': { effect: 'C', param: 0x10 } }
+        ]
+      })));
+
+      expect(song.order).toEqual(['p00-r00-15', 'p02-r00-07']);
+    });
+  });
+});
@@ -0,0 +1,275 @@
+/**
+ * Standard MIDI Files: reading SMF type 0 and 1, writing type 1
+ *
+ * Shared by the server (MIDI import and export routes, CLI) and usable in the
+ * browser: works on a Uint8Array (a Node Buffer is one).
+ *
+ * Events keep their absolute tick; channels are numbered 1-16 like on a
+ * MIDI device (channel 10 is the General MIDI drum channel). A note-on with
+ * velocity 0 is read as a note-off. Events this engine has no use for
+ * (aftertouch, pitch bend, SysEx, other meta events) are skipped.
+ *
+ * Event types:
+ *   noteOn / noteOff   { channel, note, velocity }
+ *   programChange      { channel, program }
+ *   controller         { channel, controller, value }
+ *   tempo              { microsecondsPerQuarter, bpm (quarter notes per minute) }
+ *   timeSignature      { numerator, denominator }
+ *   trackName          { text }
+ *
+ * writeSmf writes the same event objects, so a written file reads back to
+ * the events it was written from.
+ */
+
+/**
+ * Parse a Standard MIDI File
+ *
+ * @param {Uint8Array} bytes - File contents
+ * @returns {object} { format (0 or 1), division (ticks per quarter note), tracks: [{ name, events: [{ tick, type, ... }] }] }
+ */
+export function parseSmf(bytes) {
+  if (!(bytes instanceof Uint8Array)) {
+    throw new Error('MIDI file must be binary data');
+  }
+  const reader = createReader(bytes);
+  if (reader.ascii(4) !== 'MThd') {
+    throw new Error('Not a Standard MIDI File (missing MThd header)');
+  }
+  const headerLength = reader.uint32();
+  if (headerLength < 6) {
+    throw new Error('Invalid MIDI file: header chunk shorter than 6 bytes');
+  }
+  const format = reader.uint16();
+  const trackCount = reader.uint16();
+  const division = reader.uint16();
+  reader.skip(headerLength - 6);
+
+  if (format === 2) {
+    throw new Error('SMF type 2 (independent sequences) is not supported, only type 0 and 1');
+  }
+  if (format > 2) {
+    throw new Error(`Unknown SMF type: ${format}`);
+  }
+  if (division & 0x8000) {
+    throw new Error('SMPTE time division is not supported (ticks per quarter note only)');
+  }
+  if (division === 0) {
+    throw new Error('Invalid MIDI file: 0 ticks per quarter note');
+  }
+
+  const tracks = [];
+  while (tracks.length < trackCount && reader.remaining() >= 8) {
+    const id = reader.ascii(4);
+    const length = reader.uint32();
+    if (length > reader.remaining()) {
+      throw new Error(`Invalid MIDI file: track ${tracks.length} is cut short`);
+    }
+    // Chunks other than MTrk are skipped, as the spec asks
+    if (id === 'MTrk') {
+      tracks.push(parseTrack(createReader(reader.bytes(length)), tracks.length));
+    } else {
+      reader.skip(length);
+    }
+  }
+  if (tracks.length < trackCount) {
+    throw new Error(`Invalid MIDI file: header promises ${trackCount} tracks, found ${tracks.length}`);
+  }
+
+  return { format, division, tracks };
+}
+
+/**
+ * Write a Standard MIDI File
+ *
+ * Events of a track are written in the order given (sorted by tick) and
+ * without running status; every track ends with an end-of-track event on its
+ * last tick. Text outside ASCII is written as "?".
+ *
+ * @param {object} smf - { format (0 or 1, default: 1), division (ticks per quarter note),
+ *   tracks: [{ events: [{ tick, type, ... }] }] }
+ * @returns {Uint8Array} File contents
+ */
+export function writeSmf({ format = 1, division, tracks }) {
+  if (format !== 0 && format !== 1) {
+    throw new Error('Only SMF type 0 and 1 can be written');
+  }
+  if (!Number.isInteger(division) || division < 1 || division > 0x7FFF) {
+    throw new Error('division must be an integer from 1 to 32767 ticks per quarter note');
+  }
+  if (format === 0 && tracks.length !== 1) {
+    throw new Error('SMF type 0 has exactly one track');
+  }
+
+  const chunks = tracks.map(track => {
+    const data = [];
+    let tick = 0;
+    for (const event of track.events) {
+      if (event.tick < tick) {
+        throw new Error(`Track events must be sorted by tick (${event.type} at tick ${event.tick} after tick ${tick})`);
+      }
+      data.push(...varint(event.tick - tick), ...encodeEvent(event));
+      tick = event.tick;
+    }
+    data.push(0, 0xFF, 0x2F, 0);
+    return [...asciiBytes('MTrk'), ...uint(data.length, 4), ...data];
+  });
+
+  return new Uint8Array([
+    ...asciiBytes('MThd'), ...uint(6, 4), ...uint(format, 2), ...uint(tracks.length, 2), ...uint(division, 2),
+    ...chunks.flat()
+  ]);
+}
+
+function encodeEvent(event) {
+  const status = command => command | (event.channel - 1);
+  switch (event.type) {
+    case 'noteOn':
+      return [status(0x90), event.note, event.velocity];
+    case 'noteOff':
+      return [status(0x80), event.note, event.velocity ?? 0];
+    case 'controller':
+      return [status(0xB0), event.controller, event.value];
+    case 'programChange':
+      return [status(0xC0), event.program];
+    case 'tempo':
+      return [0xFF, 0x51, 3, ...uint(Math.round(event.microsecondsPerQuarter), 3)];
+    case 'timeSignature':
+      // Denominator as a power of 2, 24 MIDI clocks per click, 8 32nds per quarter
+      return [0xFF, 0x58, 4, event.numerator, Math.log2(event.denominator), 24, 8];
+    case 'trackName': {
+      const text = asciiBytes(event.text);
+      return [0xFF, 0x03, ...varint(text.length), ...text];
+    }
+    default:
+      throw new Error(`Unknown MIDI event type: ${event.type}`);
+  }
+}
+
+function varint(value) {
+  const bytes = [value & 0x7F];
+  while ((value >>>= 7) > 0) {
+    bytes.unshift((value & 0x7F) | 0x80);
+  }
+  return bytes;
+}
+
+function uint(value, size) {
+  return Array.from({ length: size }, (_, index) => Math.floor(value / 256 ** (size - 1 - index)) & 0xFF);
+}
+
+function asciiBytes(text) {
+  return [...text].map(char => (char.charCodeAt(0) < 0x80 ? char.charCodeAt(0) : 0x3F));
+}
+
+function parseTrack(reader, index) {
+  const events = [];
+  let name = null;
+  let tick = 0;
+  let runningStatus = null;
+
+  while (reader.remaining() > 0) {
+    tick += reader.varint();
+    let status = reader.uint8();
+
+    if (status === 0xFF) {
+      const type = reader.uint8();
+      const data = reader.bytes(reader.varint());
+      if (type === 0x2F) {
+        break; // End of track
+      }
+      if (type === 0x51 && data.length === 3) {
+        const microsecondsPerQuarter = (data[0] << 16) | (data[1] << 8) | data[2];
+        events.push({ tick, type: 'tempo', microsecondsPerQuarter, bpm: 60000000 / microsecondsPerQuarter });
+      } else if (type === 0x58 && data.length >= 2) {
+        events.push({ tick, type: 'timeSignature', numerator: data[0], denominator: 2 ** data[1] });
+      } else if (type === 0x03 && name === null) {
+        name = decodeText(data);
+        events.push({ tick, type: 'trackName', text: name });
+      }
+      continue;
+    }
+    if (status === 0xF0 || status === 0xF7) {
+      reader.skip(reader.varint()); // SysEx
+      continue;
+    }
+
+    // Running status: a data byte repeats the last channel message's status
+    let first;
+    if (status < 0x80) {
+      if (runningStatus === null) {
+        throw new Error(`Invalid MIDI file: data byte without status in track ${index}`);
+      }
+      first = status;
+      status = runningStatus;
+    } else {
+      runningStatus = status;
+      first = reader.uint8();
+    }
+
+    const command = status & 0xF0;
+    const channel = (status & 0x0F) + 1;
+    if (command === 0x80 || command === 0x90) {
+      const velocity = reader.uint8();
+      const type = command === 0x90 && velocity > 0 ? 'noteOn' : 'noteOff';
+      events.push({ tick, type, channel, note: first, velocity });
+    } else if (command === 0xB0) {
+      events.push({ tick, type: 'controller', channel, controller: first, value: reader.uint8() });
+    } else if (command === 0xC0) {
+      events.push({ tick, type: 'programChange', channel, program: first });
+    } else if (command === 0xA0 || command === 0xE0) {
+      reader.skip(1); // Aftertouch, pitch bend (channel pressure has one data byte)
+    }
+  }
+
+  return { name, events };
+}
+
+function createReader(bytes) {
+  let offset = 0;
+  const take = count => {
+    if (offset + count > bytes.length) {
+      throw new Error('Invalid MIDI file: unexpected end of data');
+    }
+    const start = offset;
+    offset += count;
+    return start;
+  };
+
+  return {
+    remaining: () => bytes.length - offset,
+    skip: count => { take(count); },
+    uint8: () => bytes[take(1)],
+    uint16: () => {
+      const start = take(2);
+      return (bytes[start] << 8) | bytes[start + 1];
+    },
+    uint32: () => {
+      const start = take(4);
+      return ((bytes[start] << 24) | (bytes[start + 1] << 16) | (bytes[start + 2] << 8) | bytes[start + 3]) >>> 0;
+    },
+    bytes: count => {
+      const start = take(count);
+      return bytes.subarray(start, start + count);
+    },
+    ascii: count => {
+      const start = take(count);
+      return String.fromCharCode(...bytes.subarray(start, start + count));
+    },
+    varint: () => {
+      // Variable-length quantity: 7 bits per byte, high bit set on all but the last (at most 4 bytes)
+      let value = 0;
+      for (let index = 0; index < 4; index++) {
+        const byte = bytes[take(1)];
+        value = (value << 7) | (byte & 0x7F);
+        if (!(byte & 0x80)) {
+          return value;
+        }
+      }
+      throw new Error('Invalid MIDI file: variable-length number longer than 4 bytes');
+    }
+  };
+}
+
+function decodeText(data) {
+  return String.fromCharCode(...data).trim();
+}
@@ -0,0 +1,247 @@
+/**
+ * Theory: chord symbols and scales expanded into notes
+ *
+ * Shared by the server (theory routes, chord tokens in play-notes) and
+ * usable in the browser.
+ *
+ * Chords: root (A-G with # or b), quality and an optional slash bass:
+ *   "Cmaj7", "F#m7b5", "G7/B", "Dsus4", "Bbadd9", "Eø7"
+ * Scales: root and scale/mode name: "D dorian", "A harmonic minor"
+ *
+ * Notes come out in tracker format ("C-4", "F#-4", sharps only) with C-4 =
+ * MIDI 60, so they can go straight into pattern steps.
+ */
+
+import { isNoteName, midiToNote, pitchClass } from './notes.js';
+
+// Chord qualities: suffix → semitones above the root
+const CHORD_QUALITIES = {
+  '': [0, 4, 7],
+  'maj': [0, 4, 7],
+  'M': [0, 4, 7],
+  'm': [0, 3, 7],
+  'min': [0, 3, 7],
+  '-': [0, 3, 7],
+  'dim': [0, 3, 6],
+  'o': [0, 3, 6],
+  '°': [0, 3, 6],
+  'aug': [0, 4, 8],
+  '+': [0, 4, 8],
+  'sus2': [0, 2, 7],
+  'sus4': [0, 5, 7],
+  'sus': [0, 5, 7],
+  '5': [0, 7],
+  '6': [0, 4, 7, 9],
+  'm6': [0, 3, 7, 9],
+  '7': [0, 4, 7, 10],
+  'maj7': [0, 4, 7, 11],
+  'M7': [0, 4, 7, 11],
+  'Δ': [0, 4, 7, 11],
+  'Δ7': [0, 4, 7, 11],
+  'm7': [0, 3, 7, 10],
+  'min7': [0, 3, 7, 10],
+  '-7': [0, 3, 7, 10],
+  'mMaj7': [0, 3, 7, 11],
+  'mM7': [0, 3, 7, 11],
+  'm(maj7)': [0, 3, 7, 11],
+  'dim7': [0, 3, 6, 9],
+  'o7': [0, 3, 6, 9],
+  '°7': [0, 3, 6, 9],
+  'm7b5': [0, 3, 6, 10],
+  'ø': [0, 3, 6, 10],
+  'ø7': [0, 3, 6, 10],
+  '7sus4': [0, 5, 7, 10],
+  '7sus2': [0, 2, 7, 10],
+  'aug7': [0, 4, 8, 10],
+  '+7': [0, 4, 8, 10],
+  '7#5': [0, 4, 8, 10],
+  '7b5': [0, 4, 6, 10],
+  '7b9': [0, 4, 7, 10, 13],
+  '7#9': [0, 4, 7, 10, 15],
+  'add9': [0, 4, 7, 14],
+  'madd9': [0, 3, 7, 14],
+  '6/9': [0, 4, 7, 9, 14],
+  '9': [0, 4, 7, 10, 14],
+  'maj9': [0, 4, 7, 11, 14],
+  'm9': [0, 3, 7, 10, 14],
+  '11': [0, 4, 7, 10, 14, 17],
+  'm11': [0, 3, 7, 10, 14, 17],
+  '13': [0, 4, 7, 10, 14, 21],
+  'maj13': [0, 4, 7, 11, 14, 21],
+  'm13': [0, 3, 7, 10, 14, 21]
+};
+
+// Scales and modes: name → semitones above the root (one octave)
+const SCALES = {
+  'major': [0, 2, 4, 5, 7, 9, 11],
+  'ionian': [0, 2, 4, 5, 7, 9, 11],
+  'dorian': [0, 2, 3, 5, 7, 9, 10],
+  'phrygian': [0, 1, 3, 5, 7, 8, 10],
+  'lydian': [0, 2, 4, 6, 7, 9, 11],
+  'mixolydian': [0, 2, 4, 5, 7, 9, 10],
+  'minor': [0, 2, 3, 5, 7, 8, 10],
+  'natural minor': [0, 2, 3, 5, 7, 8, 10],
+  'aeolian': [0, 2, 3, 5, 7, 8, 10],
+  'locrian': [0, 1, 3, 5, 6, 8, 10],
+  'harmonic minor': [0, 2, 3, 5, 7, 8, 11],
+  'melodic minor': [0, 2, 3, 5, 7, 9, 11],
+  'phrygian dominant': [0, 1, 4, 5, 7, 8, 10],
+  'major pentatonic': [0, 2, 4, 7, 9],
+  'pentatonic': [0, 2, 4, 7, 9],
+  'minor pentatonic': [0, 3, 5, 7, 10],
+  'blues': [0, 3, 5, 6, 7, 10],
+  'whole tone': [0, 2, 4, 6, 8, 10],
+  'diminished': [0, 2, 3, 5, 6, 8, 9, 11],
+  'chromatic': [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]
+};
+
+export const VOICINGS = ['close', 'open', 'drop2', 'drop3'];
+
+const CHORD_PATTERN = /^([A-G])([#b]?)(.*?)(?:\/([A-G])([#b]?))?$/;
+
+/**
+ * Parse a chord symbol
+ *
+ * @param {string} symbol - Chord symbol like "F#m7b5" or "G7/B"
+ * @returns {object} { root (pitch class 0-11), quality, intervals, bass (pitch class or null) }
+ */
+export function parseChord(symbol) {
+  const match = typeof symbol === 'string' ? symbol.trim().match(CHORD_PATTERN) : null;
+  const intervals = match ? CHORD_QUALITIES[match[3]] : undefined;
+  if (!intervals) {
+    throw new Error(`Unknown chord: ${symbol} (e.g. "Cmaj7", "F#m7b5", "G7/B", "Dsus4")`);
+  }
+  return {
+    root: pitchClass(match[1], match[2]),
+    quality: match[3],
+    intervals,
+    bass: match[4] ? pitchClass(match[4], match[5]) : null
+  };
+}
+
+/**
+ * Whether a play-notes token is a chord symbol rather than a note name
+ *
+ * Note names win: "C", "Bb3" and "G7" (G in octave 7) are notes, "Cmaj",
+ * "Cm7" and "G7/B" chords (see notes.js for what a note name is). Chords that look like notes ("G7", "C5") need the
+ * object form { chord: 'G7' }.
+ *
+ * @param {string} token - Note name or chord symbol
+ * @returns {boolean}
+ */
+export function isChordSymbol(token) {
+  if (typeof token !== 'string' || isNoteName(token)) {
+    return false;
+  }
+  try {
+    parseChord(token);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Notes of a chord symbol
+ *
+ * @param {string} symbol - Chord symbol
+ * @param {object} options
+ * @param {number} options.octave - Octave of the root (default: 4)
+ * @param {number} options.inversion - Chord tones moved up an octave from the bottom (default: 0)
+ * @param {string} options.voicing - 'close' (default), 'open' (2nd voice up an octave),
+ *   'drop2' / 'drop3' (2nd / 3rd voice from the top down an octave)
+ * @returns {Array<string>} Notes from low to high (slash bass first)
+ */
+export function chordNotes(symbol, { octave = 4, inversion = 0, voicing = 'close' } = {}) {
+  const chord = parseChord(symbol);
+  if (!Number.isInteger(inversion) || inversion < 0 || inversion >= chord.intervals.length) {
+    throw new Error(`inversion must be an integer from 0 to ${chord.intervals.length - 1} for ${symbol}`);
+  }
+  if (!VOICINGS.includes(voicing)) {
+    throw new Error(`voicing must be one of ${VOICINGS.join(', ')}`);
+  }
+
+  const rootMidi = octaveMidi(octave) + chord.root;
+  let voices = chord.intervals.map(interval => rootMidi + interval);
+
+  // A slash bass that is a chord tone isn't doubled above it
+  if (chord.bass !== null) {
+    const upper = voices.filter(midi => midi % 12 !== chord.bass);
+    if (upper.length >= 2) {
+      voices = upper;
+    }
+  }
+
+  for (let step = 0; step < inversion && step < voices.length - 1; step++) {
+    voices = [...voices.slice(1), voices[0] + 12];
+  }
+  voices = applyVoicing(voices, voicing);
+
+  if (chord.bass !== null) {
+    let bass = octaveMidi(octave) + chord.bass;
+    while (bass >= voices[0]) {
+      bass -= 12;
+    }
+    voices = [bass, ...voices];
+  }
+
+  return voices.map(midiToNote);
+}
+
+/**
+ * Parse a scale like "D dorian" or "A harmonic minor"
+ *
+ * @param {string} scale - Root and scale/mode name
+ * @returns {object} { root (pitch class 0-11), name, intervals }
+ */
+export function parseScale(scale) {
+  const match = typeof scale === 'string' ? scale.trim().match(/^([A-G])([#b]?)\s+(.+)$/) : null;
+  const name = match ? match[3].toLowerCase().replace(/[-_\s]+/g, ' ') : null;
+  if (!match || !SCALES[name]) {
+    throw new Error(`Unknown scale: ${scale} (root and one of ${Object.keys(SCALES).join(', ')})`);
+  }
+  return { root: pitchClass(match[1], match[2]), name, intervals: SCALES[name] };
+}
+
+/**
+ * Notes of a scale, ascending from the root
+ *
+ * @param {string} scale - Root and scale/mode name
+ * @param {object} options
+ * @param {number} options.octave - Octave of the root (default: 4)
+ * @param {number} options.octaves - Octaves to cover (default: 1)
+ * @returns {Array<string>} Notes, ending below the root of the next octave
+ */
+export function scaleNotes(scale, { octave = 4, octaves = 1 } = {}) {
+  const { root, intervals } = parseScale(scale);
+  if (!Number.isInteger(octaves) || octaves < 1 || octaves > 4) {
+    throw new Error('octaves must be an integer from 1 to 4');
+  }
+
+  const rootMidi = octaveMidi(octave) + root;
+  const notes = [];
+  for (let index = 0; index < octaves; index++) {
+    intervals.forEach(interval => notes.push(midiToNote(rootMidi + index * 12 + interval)));
+  }
+  return notes;
+}
+
+function octaveMidi(octave) {
+  if (!Number.isInteger(octave) || octave < 0 || octave > 9) {
+    throw new Error('octave must be an integer from 0 to 9');
+  }
+  return (octave + 1) * 12;
+}
+
+function applyVoicing(voices, voicing) {
+  if (voices.length < 3 || voicing === 'close') {
+    return voices;
+  }
+  const result = [...voices];
+  if (voicing === 'open') {
+    result[1] += 12;
+  } else {
+    result[result.length - (voicing === 'drop2' ? 2 : 3)] -= 12;
+  }
+  return result.sort((a, b) => a - b);
+}
@@ -0,0 +1,68 @@
+/**
+ * Unit tests for chord and scale expansion
+ */
+
+import { chordNotes, isChordSymbol, parseChord, scaleNotes } from './theory.js';
+
+describe('theory', () => {
+  describe('chordNotes', () => {
+    test('should expand chord symbols in root position', () => {
+      expect(chordNotes('Cmaj7')).toEqual(['C-4', 'E-4', 'G-4', 'B-4']);
+      expect(chordNotes('F#m7b5')).toEqual(['F#-4', 'A-4', 'C-5', 'E-5']);
+      expect(chordNotes('Dsus4')).toEqual(['D-4', 'G-4', 'A-4']);
+      expect(chordNotes('Bbadd9', { octave: 3 })).toEqual(['A#-3', 'D-4', 'F-4', 'C-5']);
+    });
+
+    test('should put a slash bass below the chord without doubling it', () => {
+      expect(chordNotes('G7/B')).toEqual(['B-3', 'G-4', 'D-5', 'F-5']);
+      expect(chordNotes('Am/G')).toEqual(['G-4', 'A-4', 'C-5', 'E-5']);
+    });
+
+    test('should invert and voice chords', () => {
+      expect(chordNotes('Cmaj7', { inversion: 1 })).toEqual(['E-4', 'G-4', 'B-4', 'C-5']);
+      expect(chordNotes('Cmaj7', { voicing: 'drop2' })).toEqual(['G-3', 'C-4', 'E-4', 'B-4']);
+      expect(chordNotes('C', { voicing: 'open' })).toEqual(['C-4', 'G-4', 'E-5']);
+    });
+
+    test('should read 6/9 as a quality, not a slash chord', () => {
+      expect(parseChord('C6/9')).toMatchObject({ quality: '6/9', bass: null });
+    });
+
+    test('should throw error for unknown chords and options', () => {
+      expect(() => chordNotes('Cmaj42')).toThrow('Unknown chord: Cmaj42');
+      expect(() => chordNotes('C', { inversion: 3 })).toThrow('inversion must be an integer from 0 to 2');
+      expect(() => chordNotes('C', { voicing: 'wide' })).toThrow('voicing must be one of');
+      expect(() => chordNotes('C', { octave: 10 })).toThrow('octave must be an integer from 0 to 9');
+    });
+  });
+
+  describe('isChordSymbol', () => {
+    test('should tell chord symbols from note names', () => {
+      expect(isChordSymbol('Cm7')).toBe(true);
+      expect(isChordSymbol('Cmaj')).toBe(true);
+      expect(isChordSymbol('G7/B')).toBe(true);
+      expect(isChordSymbol('C')).toBe(false);
+      expect(isChordSymbol('C5')).toBe(false);
+      expect(isChordSymbol('G7')).toBe(false); // G in octave 7
+      expect(isChordSymbol('D#-3')).toBe(false);
+      expect(isChordSymbol('xyz')).toBe(false);
+    });
+  });
+
+  describe('scaleNotes', () => {
+    test('should list modes and scales', () => {
+      expect(scaleNotes('D dorian')).toEqual(['D-4', 'E-4', 'F-4', 'G-4', 'A-4', 'B-4', 'C-5']);
+      expect(scaleNotes('A harmonic minor', { octave: 3 })).toEqual(['A-3', 'B-3', 'C-4', 'D-4', 'E-4', 'F-4', 'G#-4']);
+      expect(scaleNotes('Eb Minor-Pentatonic')).toEqual(['D#-4', 'F#-4', 'G#-4', 'A#-4', 'C#-5']);
+    });
+
+    test('should cover several octaves', () => {
+      expect(scaleNotes('C major', { octaves: 2 })).toHaveLength(14);
+    });
+
+    test('should throw error for unknown scales', () => {
+      expect(() => scaleNotes('C bebop')).toThrow('Unknown scale: C bebop');
+      expect(() => scaleNotes('dorian')).toThrow('Unknown scale: dorian');
+    });
+  });
+});
@@ -0,0 +1,306 @@
+/**
+ * Tracker effects: ProTracker/S3M effect column semantics
+ *
+ * Shared by the browser scheduler (which turns the tick changes into
+ * AudioParam automation) and the server (which validates effect columns).
+ *
+ * An effect is written like in a tracker: command + two hex digits
+ * ("037", "A0F", "EC3"). Effects run on the speed ticks of a row: tick 0 is
+ * the row start, slides move on ticks 1..speed-1.
+ *
+ * Pitch is tracked in Amiga periods (lower period = higher pitch), so slide
+ * amounts match ProTracker: period REFERENCE_PERIOD plays a sample at its
+ * base note (playbackRate 1).
+ *
+ * Note column: NOTE_OFF ("===") fades the channel's running note out,
+ * NOTE_CUT ("^^^") silences it at once.
+ *
+ * Supported:
+ *   0xy  Arpeggio (cycle note, +x, +y semitones every tick)
+ *   1xx  Portamento up (period -xx per tick)
+ *   2xx  Portamento down (period +xx per tick)
+ *   3xx  Tone portamento (slide to the step's note at xx per tick, 00 = last speed)
+ *   4xy  Vibrato (speed x, depth y, 0 = last value)
+ *   9xx  Sample offset (start at xx × 256 frames, 00 = last offset)
+ *   Axy  Volume slide (up x or down y per tick)
+ *   ECx  Note cut at tick x
+ *   E9x  Retrigger note every x ticks
+ *   Fxx  Set speed (01-1F ticks per row) or tempo (20-FF musical BPM) from
+ *        this row on; the scheduler applies it before timing the row
+ */
+
+// Note column values that end the channel's running note
+export const NOTE_OFF = '===';  // Key off: short fade out
+export const NOTE_CUT = '^^^';  // Note cut: silence at once
+
+// Period of a sample's base note (ProTracker C-2)
+export const REFERENCE_PERIOD = 428;
+
+// ProTracker period table (finetune 0) from C-1 to B-3 (MIDI 24-59)
+export const PROTRACKER_PERIODS = [
+  856, 808, 762, 720, 678, 640, 604, 570, 538, 508, 480, 453,
+  428, 404, 381, 360, 340, 320, 302, 285, 269, 254, 240, 226,
+  214, 202, 190, 180, 170, 160, 151, 143, 135, 127, 120, 113
+];
+const FIRST_PERIOD_MIDI = 24;
+const REFERENCE_MIDI = 36; // C-2
+
+// Period limits (keep slides audible and the playbackRate finite)
+const MIN_PERIOD = 14;
+const MAX_PERIOD = REFERENCE_PERIOD * 16;
+
+// Sample offset unit of 9xx (frames)
+export const SAMPLE_OFFSET_UNIT = 256;
+
+// ProTracker vibrato sine table (one half wave)
+const VIBRATO_TABLE = [
+  0, 24, 49, 74, 97, 120, 141, 161, 180, 197, 212, 224, 235, 244, 250, 253,
+  255, 253, 250, 244, 235, 224, 212, 197, 180, 161, 141, 120, 97, 74, 49, 24
+];
+
+const EFFECT_PATTERN = /^([0-9A-F])([0-9A-F]{2})$/;
+
+// Commands this engine plays (extended E commands are checked by sub-command)
+const SUPPORTED_COMMANDS = new Set(['0', '1', '2', '3', '4', '9', 'A', 'F']);
+const SUPPORTED_EXTENDED = new Set(['9', 'C']);
+
+/**
+ * Parse an effect column value
+ *
+ * @param {string} effect - Effect like "037", "A0F" or "EC3" (case-insensitive)
+ * @returns {object} { command, param, x, y } (command 'EC'/'E9' for extended effects)
+ */
+export function parseEffect(effect) {
+  const match = typeof effect === 'string' ? effect.toUpperCase().match(EFFECT_PATTERN) : null;
+  if (!match) {
+    throw new Error(`Invalid effect: ${effect} (use a command and two hex digits, e.g. "A0F")`);
+  }
+
+  const param = parseInt(match[2], 16);
+  let command = match[1];
+  let x = param >> 4;
+  const y = param & 0x0F;
+
+  if (command === 'E') {
+    if (!SUPPORTED_EXTENDED.has(match[2][0])) {
+      throw new Error(`Unsupported effect: ${effect} (extended effects: ECx, E9x)`);
+    }
+    command = `E${match[2][0]}`;
+    x = y; // Extended effects carry their value in the low digit
+  } else if (!SUPPORTED_COMMANDS.has(command)) {
+    throw new Error(`Unsupported effect: ${effect} (supported: 0xy, 1xx, 2xx, 3xx, 4xy, 9xx, Axy, ECx, E9x, Fxx)`);
+  } else if (command === 'F' && param === 0) {
+    throw new Error(`Unsupported effect: ${effect} (F00 would stop the song; use F01-FFF)`);
+  }
+
+  return { command, param, x, y };
+}
+
+/**
+ * Apply a set speed/tempo effect (Fxx) to play timing
+ *
+ * Speed changes keep the tick length, so rows get shorter or longer like in
+ * ProTracker (F03 at speed 6 doubles the rows per minute). Tempo values set
+ * the musical BPM.
+ *
+ * @param {object} timing - { tempo (rows per minute), speed (ticks per row), rowsPerBeat }
+ * @param {object} effect - Parsed Fxx effect
+ * @returns {object} New { tempo, speed }
+ */
+export function applyTempoEffect(timing, effect) {
+  if (effect.param < 0x20) {
+    return { tempo: timing.tempo * timing.speed / effect.param, speed: effect.param };
+  }
+  return { tempo: effect.param * timing.rowsPerBeat, speed: timing.speed };
+}
+
+/**
+ * Tempo (rows per minute) of a row inside a tempo ramp
+ *
+ * @param {number} startTempo - Tempo at the ramp's first row
+ * @param {number} endTempo - Tempo at the ramp's last row
+ * @param {number} fraction - Position in the ramp (0 = first row, 1 = last row)
+ * @param {string} curve - 'linear' or 'exponential' (equal ratio per row)
+ * @returns {number} Tempo
+ */
+export function rampTempo(startTempo, endTempo, fraction, curve = 'linear') {
+  if (curve === 'exponential') {
+    return startTempo * Math.pow(endTempo / startTempo, fraction);
+  }
+  return startTempo + (endTempo - startTempo) * fraction;
+}
+
+/**
+ * ProTracker period of a note: from the period table for C-1 to B-3, equal
+ * tempered outside it
+ *
+ * @param {number} midi - MIDI note number (C-2 = 36 plays at REFERENCE_PERIOD)
+ * @returns {number} Period
+ */
+export function notePeriod(midi) {
+  const index = midi - FIRST_PERIOD_MIDI;
+  if (Number.isInteger(index) && index >= 0 && index < PROTRACKER_PERIODS.length) {
+    return PROTRACKER_PERIODS[index];
+  }
+  return REFERENCE_PERIOD * Math.pow(2, -(midi - REFERENCE_MIDI) / 12);
+}
+
+/**
+ * Nearest note of a period (table periods give their own note)
+ *
+ * @param {number} period - Amiga period
+ * @returns {number} MIDI note number
+ */
+export function periodToMidi(period) {
+  return REFERENCE_MIDI + Math.round(12 * Math.log2(REFERENCE_PERIOD / period));
+}
+
+/**
+ * Convert a playbackRate to a period and back
+ */
+export function ratioToPeriod(ratio) {
+  return REFERENCE_PERIOD / ratio;
+}
+
+export function periodToRatio(period) {
+  return REFERENCE_PERIOD / period;
+}
+
+/**
+ * Create the effect state of one channel
+ * Effects with a 00 parameter reuse the channel's last value (effect memory).
+ */
+export function createChannelState() {
+  return {
+    period: null, // Period of the running note (slides change it)
+    outputPeriod: null, // Period last written to the voice (arpeggio/vibrato offsets included)
+    targetPeriod: null, // Tone portamento target
+    volume: 64,
+    portaSpeed: 0,
+    vibratoSpeed: 0,
+    vibratoDepth: 0,
+    vibratoPos: 0,
+    sampleOffset: 0
+  };
+}
+
+/**
+ * Start offset of a note (9xx), in frames
+ *
+ * @param {object} channel - Channel state
+ * @param {object|null} effect - Parsed effect
+ * @returns {number} Offset in frames (0 without 9xx)
+ */
+export function sampleOffsetFrames(channel, effect) {
+  if (!effect || effect.command !== '9') {
+    return 0;
+  }
+  if (effect.param) {
+    channel.sampleOffset = effect.param;
+  }
+  return channel.sampleOffset * SAMPLE_OFFSET_UNIT;
+}
+
+/**
+ * Work out what one row of an effect does to the running note
+ *
+ * Updates the channel state and returns the changes per tick; the caller
+ * schedules them at rowTime + tick × tickDuration.
+ *
+ * @param {object} channel - Channel state (period of the running note set)
+ * @param {object|null} effect - Parsed effect (null = no effect)
+ * @param {number} speed - Ticks per row
+ * @returns {Array<object>} Tick changes [{ tick, period?, volume?, retrigger? }] in tick order
+ */
+export function renderRowEffect(channel, effect, speed) {
+  const changes = [];
+  const setPeriod = (tick, period) => {
+    channel.outputPeriod = period;
+    changes.push({ tick, period });
+  };
+
+  // Arpeggio and vibrato offsets only last for their row
+  const command = effect ? effect.command : null;
+  const offsetsPitch = (command === '0' && effect.param) || command === '4';
+  if (!offsetsPitch && channel.outputPeriod !== channel.period) {
+    setPeriod(0, channel.period);
+  }
+
+  switch (command) {
+    case '0':
+      if (effect.param) {
+        const offsets = [0, effect.x, effect.y];
+        for (let tick = 0; tick < speed; tick++) {
+          setPeriod(tick, channel.period / Math.pow(2, offsets[tick % 3] / 12));
+        }
+      }
+      break;
+
+    case '1':
+    case '2': {
+      const step = command === '1' ? -effect.param : effect.param;
+      for (let tick = 1; tick < speed; tick++) {
+        channel.period = clampPeriod(channel.period + step);
+        setPeriod(tick, channel.period);
+      }
+      break;
+    }
+
+    case '3':
+      if (effect.param) {
+        channel.portaSpeed = effect.param;
+      }
+      if (channel.targetPeriod !== null) {
+        for (let tick = 1; tick < speed && channel.period !== channel.targetPeriod; tick++) {
+          const distance = channel.targetPeriod - channel.period;
+          channel.period += Math.sign(distance) * Math.min(Math.abs(distance), channel.portaSpeed);
+          setPeriod(tick, channel.period);
+        }
+      }
+      break;
+
+    case '4':
+      if (effect.x) channel.vibratoSpeed = effect.x;
+      if (effect.y) channel.vibratoDepth = effect.y;
+      for (let tick = 1; tick < speed; tick++) {
+        const delta = (VIBRATO_TABLE[channel.vibratoPos & 31] * channel.vibratoDepth) / 128;
+        setPeriod(tick, clampPeriod(channel.period + (channel.vibratoPos < 32 ? delta : -delta)));
+        channel.vibratoPos = (channel.vibratoPos + channel.vibratoSpeed) & 63;
+      }
+      break;
+
+    case 'A': {
+      // Up takes precedence when both digits are set (ProTracker)
+      const step = effect.x ? effect.x : -effect.y;
+      for (let tick = 1; tick < speed; tick++) {
+        channel.volume = Math.min(64, Math.max(0, channel.volume + step));
+        changes.push({ tick, volume: channel.volume });
+      }
+      break;
+    }
+
+    case 'EC':
+      if (effect.x < speed) {
+        channel.volume = 0;
+        changes.push({ tick: effect.x, volume: 0 });
+      }
+      break;
+
+    case 'E9':
+      if (effect.x > 0) {
+        for (let tick = effect.x; tick < speed; tick += effect.x) {
+          changes.push({ tick, retrigger: true });
+        }
+      }
+      break;
+
+    default:
+      break; // No effect, 9xx (applied when the note starts) or Fxx (applied by the scheduler)
+  }
+
+  return changes;
+}
+
+function clampPeriod(period) {
+  return Math.min(MAX_PERIOD, Math.max(MIN_PERIOD, period));
+}
@@ -0,0 +1,171 @@
+/**
+ * Unit tests for tracker effects
+ */
+
+import {
+  REFERENCE_PERIOD,
+  applyTempoEffect,
+  createChannelState,
+  notePeriod,
+  parseEffect,
+  periodToMidi,
+  periodToRatio,
+  rampTempo,
+  renderRowEffect,
+  sampleOffsetFrames
+} from './tracker-effects.js';
+
+describe('tracker effects', () => {
+  let channel;
+
+  beforeEach(() => {
+    channel = createChannelState();
+    channel.period = REFERENCE_PERIOD;
+    channel.outputPeriod = REFERENCE_PERIOD;
+  });
+
+  describe('parseEffect', () => {
+    test('should parse command and parameter digits', () => {
+      expect(parseEffect('a0f')).toEqual({ command: 'A', param: 0x0F, x: 0, y: 15 });
+      expect(parseEffect('037')).toEqual({ command: '0', param: 0x37, x: 3, y: 7 });
+    });
+
+    test('should parse extended effects by sub-command', () => {
+      expect(parseEffect('EC3')).toMatchObject({ command: 'EC', x: 3 });
+      expect(parseEffect('E92')).toMatchObject({ command: 'E9', x: 2 });
+    });
+
+    test('should throw error for malformed or unsupported effects', () => {
+      expect(() => parseEffect('A0')).toThrow('Invalid effect: A0');
+      expect(() => parseEffect(12)).toThrow('Invalid effect: 12');
+      expect(() => parseEffect('B00')).toThrow('Unsupported effect: B00');
+      expect(() => parseEffect('E10')).toThrow('Unsupported effect: E10');
+    });
+  });
+
+  describe('renderRowEffect', () => {
+    test('should do nothing without an effect', () => {
+      expect(renderRowEffect(channel, null, 6)).toEqual([]);
+    });
+
+    test('should cycle arpeggio notes every tick', () => {
+      const changes = renderRowEffect(channel, parseEffect('047'), 6);
+
+      const semitones = changes.map(change => Math.round(12 * Math.log2(periodToRatio(change.period))));
+      expect(semitones).toEqual([0, 4, 7, 0, 4, 7]);
+      expect(channel.period).toBe(REFERENCE_PERIOD); // Base note unchanged
+    });
+
+    test('should restore the base note after arpeggio', () => {
+      renderRowEffect(channel, parseEffect('047'), 6);
+
+      expect(renderRowEffect(channel, null, 6)).toEqual([{ tick: 0, period: REFERENCE_PERIOD }]);
+    });
+
+    test('should slide period on ticks after the first', () => {
+      const up = renderRowEffect(channel, parseEffect('102'), 4);
+
+      expect(up).toEqual([
+        { tick: 1, period: REFERENCE_PERIOD - 2 },
+        { tick: 2, period: REFERENCE_PERIOD - 4 },
+        { tick: 3, period: REFERENCE_PERIOD - 6 }
+      ]);
+
+      renderRowEffect(channel, parseEffect('203'), 2);
+      expect(channel.period).toBe(REFERENCE_PERIOD - 3);
+    });
+
+    test('should stop tone portamento at the target', () => {
+      channel.targetPeriod = REFERENCE_PERIOD - 5;
+
+      const changes = renderRowEffect(channel, parseEffect('303'), 6);
+
+      expect(changes.map(change => change.period)).toEqual([REFERENCE_PERIOD - 3, REFERENCE_PERIOD - 5]);
+    });
+
+    test('should remember tone portamento speed', () => {
+      renderRowEffect(channel, parseEffect('304'), 1);
+      channel.targetPeriod = REFERENCE_PERIOD + 8;
+
+      renderRowEffect(channel, parseEffect('300'), 3);
+
+      expect(channel.period).toBe(REFERENCE_PERIOD + 8);
+    });
+
+    test('should vibrate around the note', () => {
+      const changes = renderRowEffect(channel, parseEffect('4CF'), 6);
+      const periods = changes.map(change => change.period);
+
+      expect(Math.max(...periods)).toBeGreaterThan(REFERENCE_PERIOD);
+      expect(Math.min(...periods)).toBeLessThan(REFERENCE_PERIOD);
+      expect(channel.period).toBe(REFERENCE_PERIOD);
+    });
+
+    test('should slide volume and clamp to 0-64', () => {
+      channel.volume = 62;
+      const up = renderRowEffect(channel, parseEffect('A10'), 4);
+      expect(up.map(change => change.volume)).toEqual([63, 64, 64]);
+
+      const down = renderRowEffect(channel, parseEffect('A0F'), 6);
+      expect(down.map(change => change.volume)).toEqual([49, 34, 19, 4, 0]);
+    });
+
+    test('should cut note at tick x', () => {
+      expect(renderRowEffect(channel, parseEffect('EC2'), 6)).toEqual([{ tick: 2, volume: 0 }]);
+      expect(renderRowEffect(channel, parseEffect('EC9'), 6)).toEqual([]);
+    });
+
+    test('should retrigger every x ticks', () => {
+      const changes = renderRowEffect(channel, parseEffect('E92'), 6);
+
+      expect(changes).toEqual([
+        { tick: 2, retrigger: true },
+        { tick: 4, retrigger: true }
+      ]);
+    });
+  });
+
+  describe('sampleOffsetFrames', () => {
+    test('should use 256 frame units and remember the last offset', () => {
+      expect(sampleOffsetFrames(channel, parseEffect('904'))).toBe(1024);
+      expect(sampleOffsetFrames(channel, parseEffect('900'))).toBe(1024);
+      expect(sampleOffsetFrames(channel, null)).toBe(0);
+    });
+  });
+
+  describe('tempo', () => {
+    const timing = { tempo: 480, speed: 6, rowsPerBeat: 4 };
+
+    test('should set speed below F20 and keep the tick length', () => {
+      expect(applyTempoEffect(timing, parseEffect('F03'))).toEqual({ tempo: 960, speed: 3 });
+    });
+
+    test('should set musical BPM from F20', () => {
+      expect(applyTempoEffect(timing, parseEffect('F8C'))).toEqual({ tempo: 560, speed: 6 });
+    });
+
+    test('should reject F00', () => {
+      expect(() => parseEffect('F00')).toThrow('Unsupported effect: F00');
+    });
+
+    test('should ramp tempo linearly or exponentially', () => {
+      expect(rampTempo(400, 800, 0.5)).toBe(600);
+      expect(rampTempo(400, 1600, 0.5, 'exponential')).toBe(800);
+      expect(rampTempo(400, 800, 1, 'exponential')).toBe(800);
+    });
+  });
+
+  describe('ProTracker periods', () => {
+    test('should read notes of the period table and equal temperament outside it', () => {
+      expect(notePeriod(36)).toBe(REFERENCE_PERIOD); // C-2
+      expect(notePeriod(43)).toBe(285); // G-2: the table, not 428 / 2^(7/12) = 285.7
+      expect(notePeriod(72)).toBeCloseTo(REFERENCE_PERIOD / 8, 9); // C-5
+    });
+
+    test('should find the nearest note of a period', () => {
+      expect(periodToMidi(428)).toBe(36);
+      expect(periodToMidi(113)).toBe(59);
+      expect(periodToMidi(339)).toBe(40); // Soundtracker's E-2 (ProTracker: 340)
+    });
+  });
+});
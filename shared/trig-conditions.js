@@ -0,0 +1,89 @@
+/**
+ * Trig conditions: steps that only play on some passes of a loop
+ *
+ * Shared by the server (validates rows) and the browser scheduler (decides
+ * row by row which steps fire), like Elektron trig conditions.
+ *
+ * Step fields (all optional, a step plays when every one of them passes):
+ *   probability: 0-100   Chance in % that the step plays
+ *   every: [n, m]        Plays on pass n of every m passes of the loop
+ *                        ([2, 4] = 2nd, 6th, 10th, ... pass)
+ *   condition:           'fill' / 'not-fill'   while the play's fill is on / off
+ *                        'first' / 'not-first' on the first pass only / all other passes
+ *                        'pre' / 'not-pre'     if the channel's previous conditional
+ *                                              step played / didn't play
+ *
+ * "Previous" is the last step on the same channel with a probability, every or
+ * condition other than pre/not-pre; before there is one, 'pre' doesn't play.
+ * Probability comes from a hash of (seed, row, channel) like humanize, so a
+ * seed replays exactly which steps fired.
+ */
+
+import { seededRandom } from './humanize.js';
+
+export const TRIG_CONDITIONS = ['fill', 'not-fill', 'first', 'not-first', 'pre', 'not-pre'];
+
+// Key that separates probability rolls from humanize jitter of the same row/channel
+const PROBABILITY_KEY = 2;
+
+/**
+ * Check the trig condition fields of a step (throws on invalid data)
+ *
+ * @param {object} step - Pattern step
+ */
+export function validateTrig(step) {
+  const { probability, every, condition } = step;
+  if (probability !== undefined && !(typeof probability === 'number' && probability >= 0 && probability <= 100)) {
+    throw new Error('probability must be a number from 0 to 100');
+  }
+  if (every !== undefined && !(Array.isArray(every) && every.length === 2 && every.every(Number.isInteger) &&
+      every[0] >= 1 && every[0] <= every[1])) {
+    throw new Error('every must be [n, m]: pass n (1-m) of every m passes');
+  }
+  if (condition !== undefined && !TRIG_CONDITIONS.includes(condition)) {
+    throw new Error(`condition must be one of ${TRIG_CONDITIONS.join(', ')}`);
+  }
+}
+
+/**
+ * Decide whether a step plays, and remember the result for 'pre' conditions
+ *
+ * @param {object} step - Pattern step
+ * @param {object} context - { seed, row (rows since the play started), pass (0-based loop pass), channel, fill }
+ * @param {Array<boolean>} previous - Last condition result per channel (updated)
+ * @returns {boolean} True if the step plays
+ */
+export function trigFires(step, context, previous) {
+  const { probability, every, condition } = step;
+  if (probability === undefined && every === undefined && condition === undefined) {
+    return true;
+  }
+
+  let fires = true;
+  if (probability !== undefined) {
+    fires = seededRandom(context.seed, context.row, context.channel, PROBABILITY_KEY) * 100 < probability;
+  }
+  if (Array.isArray(every) && every[1] > 0) {
+    fires = fires && context.pass % every[1] === every[0] - 1;
+  }
+  if (condition !== undefined) {
+    fires = fires && conditionPasses(condition, context, previous[context.channel] === true);
+  }
+
+  if (condition !== 'pre' && condition !== 'not-pre') {
+    previous[context.channel] = fires;
+  }
+  return fires;
+}
+
+function conditionPasses(condition, { fill, pass }, previousFired) {
+  switch (condition) {
+    case 'fill': return fill === true;
+    case 'not-fill': return fill !== true;
+    case 'first': return pass === 0;
+    case 'not-first': return pass > 0;
+    case 'pre': return previousFired;
+    case 'not-pre': return !previousFired;
+    default: return true; // Unknown conditions are reported by validation, not muted
+  }
+}
@@ -0,0 +1,76 @@
+/**
+ * Unit tests for trig conditions
+ */
+
+import { trigFires, validateTrig } from './trig-conditions.js';
+
+// Which passes of a looped one-step channel fire
+function firedPasses(step, { passes = 8, seed = 1, fill = false } = {}) {
+  const previous = [];
+  const fired = [];
+  for (let pass = 0; pass < passes; pass++) {
+    if (trigFires(step, { seed, row: pass, pass, channel: 0, fill }, previous)) {
+      fired.push(pass);
+    }
+  }
+  return fired;
+}
+
+describe('trig conditions', () => {
+  test('should always fire steps without conditions', () => {
+    expect(firedPasses({ sample: 'kick' })).toEqual([0, 1, 2, 3, 4, 5, 6, 7]);
+  });
+
+  test('should fire on pass n of every m passes', () => {
+    expect(firedPasses({ every: [2, 4] })).toEqual([1, 5]);
+    expect(firedPasses({ every: [1, 3] })).toEqual([0, 3, 6]);
+  });
+
+  test('should fire first and not-first passes', () => {
+    expect(firedPasses({ condition: 'first' })).toEqual([0]);
+    expect(firedPasses({ condition: 'not-first' })).toEqual([1, 2, 3, 4, 5, 6, 7]);
+  });
+
+  test('should fire fill steps only while fill is on', () => {
+    expect(firedPasses({ condition: 'fill' })).toEqual([]);
+    expect(firedPasses({ condition: 'fill' }, { fill: true })).toHaveLength(8);
+    expect(firedPasses({ condition: 'not-fill' }, { fill: true })).toEqual([]);
+  });
+
+  test('should repeat probability results for the same seed', () => {
+    const step = { probability: 50 };
+    const take = firedPasses(step, { passes: 64, seed: 42 });
+
+    expect(firedPasses(step, { passes: 64, seed: 42 })).toEqual(take);
+    expect(firedPasses(step, { passes: 64, seed: 43 })).not.toEqual(take);
+    expect(take.length).toBeGreaterThan(16);
+    expect(take.length).toBeLessThan(48);
+  });
+
+  test('should never or always fire at 0 and 100 percent', () => {
+    expect(firedPasses({ probability: 0 })).toEqual([]);
+    expect(firedPasses({ probability: 100 })).toHaveLength(8);
+  });
+
+  test('should follow the previous condition on the same channel', () => {
+    const previous = [];
+    const context = { seed: 1, row: 0, pass: 1, channel: 0 };
+
+    // every [2, 4] fires on pass 1, so pre follows it and not-pre doesn't
+    expect(trigFires({ every: [2, 4] }, context, previous)).toBe(true);
+    expect(trigFires({ condition: 'pre' }, context, previous)).toBe(true);
+    expect(trigFires({ condition: 'not-pre' }, context, previous)).toBe(false);
+
+    // pre/not-pre don't count as previous conditions themselves
+    expect(previous).toEqual([true]);
+    expect(trigFires({ condition: 'pre' }, { ...context, channel: 1 }, previous)).toBe(false);
+  });
+
+  test('should throw error for invalid conditions', () => {
+    expect(() => validateTrig({ probability: 150 })).toThrow('probability must be a number from 0 to 100');
+    expect(() => validateTrig({ every: [5, 4] })).toThrow('every must be [n, m]');
+    expect(() => validateTrig({ every: 2 })).toThrow('every must be [n, m]');
+    expect(() => validateTrig({ condition: 'sometimes' })).toThrow('condition must be one of fill, not-fill');
+    expect(() => validateTrig({ sample: 'kick', probability: 25, every: [1, 2], condition: 'pre' })).not.toThrow();
+  });
+});
@@ -0,0 +1,279 @@
+/**
+ * Tunings: note frequencies outside 12-tone equal temperament
+ *
+ * Shared by the server (validates and resolves the tuning of plays, patterns
+ * and songs) and the browser sampler (pitch of every step).
+ *
+ * Tuning definitions (inline, or stored in the tuning library and given by ID):
+ *   { type: 'edo', divisions: 19 }            n equal divisions of the octave (default 12);
+ *                                             note names play the nearest step
+ *   { type: 'just', tonic: 'D' }              5-limit just intonation above the tonic
+ *   { type: 'scala', scl: '...', kbm: '...' } Text of a Scala .scl file, optional .kbm
+ *                                             keyboard mapping (default: A-4 = a4)
+ *   { type: 'amiga' }                         ProTracker periods: notes play at the pitch
+ *                                             of their period over C-2's (428), like
+ *                                             imported MOD files sound on an Amiga
+ *   { a4: 432 }                               12-EDO with another reference pitch
+ *
+ * `a4` is the frequency of A-4 (default: 440 Hz; a .kbm brings its own).
+ * Notes are entered by name ("E-4", see notes.js) or by step number: "s7" is
+ * 7 steps of the tuning above its root, which is C-4 for EDO, the tonic in
+ * octave 4 for just intonation and the mapping's middle note for Scala.
+ * Frequencies ("440Hz") play as given.
+ *
+ * Samples are recorded in 12-EDO with A-4 = 440 Hz, so a step plays at the
+ * tuned frequency of its note over the frequency of the sample's base note.
+ * Effects (arpeggio, slides) still move in 12-EDO semitones from there
+ * (with the amiga tuning, slides move real ProTracker periods).
+ */
+
+import { NOTE_NAMES, parseNote } from './notes.js';
+import { REFERENCE_PERIOD, notePeriod } from './tracker-effects.js';
+
+export const TUNING_TYPES = ['edo', 'just', 'scala', 'amiga'];
+
+// Note whose period is REFERENCE_PERIOD (C-2): the amiga tuning's 12-EDO anchor
+const AMIGA_REFERENCE_MIDI = 36;
+
+// 5-limit just intonation: ratio above the tonic per semitone
+const JUST_RATIOS = [1, 16 / 15, 9 / 8, 6 / 5, 5 / 4, 4 / 3, 45 / 32, 3 / 2, 8 / 5, 5 / 3, 9 / 5, 15 / 8];
+
+const MAX_DIVISIONS = 144;
+const MIN_A4 = 300;
+const MAX_A4 = 600;
+
+/**
+ * Check a tuning definition and resolve it into what the sampler plays
+ * (throws on invalid data)
+ *
+ * @param {object} tuning - Tuning definition (see above)
+ * @returns {object} edo: { name, type, divisions, a4 }, just: { name, type, tonic (pitch class), a4 },
+ *   scala: { name, type, cents (per degree, the last is the period), keyboard }, amiga: { name, type }
+ */
+export function resolveTuning(tuning) {
+  if (!tuning || typeof tuning !== 'object' || Array.isArray(tuning)) {
+    throw new Error('tuning must be an object like { type: "edo", divisions: 19 } or { a4: 432 }');
+  }
+  const type = tuning.type ?? 'edo';
+  if (!TUNING_TYPES.includes(type)) {
+    throw new Error(`tuning type must be one of ${TUNING_TYPES.join(', ')}`);
+  }
+  if (tuning.a4 !== undefined && !(typeof tuning.a4 === 'number' && tuning.a4 >= MIN_A4 && tuning.a4 <= MAX_A4)) {
+    throw new Error(`a4 must be a frequency from ${MIN_A4} to ${MAX_A4} Hz`);
+  }
+  const a4 = tuning.a4 ?? 440;
+
+  if (type === 'amiga') {
+    if (tuning.a4 !== undefined) {
+      throw new Error('a4 does not apply to the amiga tuning (its pitches are fixed periods)');
+    }
+    return { name: tuning.name || 'ProTracker periods', type };
+  }
+
+  if (type === 'edo') {
+    const divisions = tuning.divisions ?? 12;
+    if (!Number.isInteger(divisions) || divisions < 1 || divisions > MAX_DIVISIONS) {
+      throw new Error(`divisions must be an integer from 1 to ${MAX_DIVISIONS}`);
+    }
+    return { name: tuning.name || `${divisions}-EDO`, type, divisions, a4 };
+  }
+
+  if (type === 'just') {
+    const tonic = readTonic(tuning.tonic ?? 'C');
+    return { name: tuning.name || `Just ${NOTE_NAMES[tonic]}`, type, tonic, a4 };
+  }
+
+  const scale = parseScl(tuning.scl);
+  if (tuning.kbm !== undefined && tuning.a4 !== undefined) {
+    throw new Error('Give a4 or a .kbm (it has its own reference frequency), not both');
+  }
+  const keyboard = tuning.kbm !== undefined
+    ? parseKbm(tuning.kbm, scale.cents.length)
+    : { size: 0, first: 0, last: 127, middle: 60, reference: 69, frequency: a4, octaveDegree: scale.cents.length, map: [] };
+  return { name: tuning.name || scale.description || 'Scala scale', type, cents: scale.cents, keyboard };
+}
+
+/**
+ * Parse the text of a Scala .scl file
+ *
+ * Lines starting with "!" are comments; then a description, the number of
+ * pitches and one pitch per line: cents if it has a ".", otherwise a ratio
+ * ("3/2" or "2"). 1/1 is implied, the last pitch is the period (octave).
+ *
+ * @param {string} text - File contents
+ * @returns {object} { description, cents: [cents of degree 1..n] }
+ */
+export function parseScl(text) {
+  if (typeof text !== 'string') {
+    throw new Error('scl must be the text of a Scala .scl file');
+  }
+  const lines = text.split(/\r?\n/).filter(line => !line.startsWith('!'));
+  const count = parseInt((lines[1] || '').trim(), 10);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error('Scala .scl: the line after the description must be the number of pitches');
+  }
+  const pitches = lines.slice(2).map(line => line.trim()).filter(line => line !== '');
+  if (pitches.length < count) {
+    throw new Error(`Scala .scl: expected ${count} pitches, found ${pitches.length}`);
+  }
+
+  const cents = pitches.slice(0, count).map(readPitch);
+  if (!(cents[count - 1] > 0)) {
+    throw new Error('Scala .scl: the last pitch (the period) must be above 1/1');
+  }
+  return { description: (lines[0] || '').trim(), cents };
+}
+
+/**
+ * Parse the text of a Scala .kbm keyboard mapping
+ *
+ * Values, one per line ("!" comments): map size, first and last MIDI note,
+ * middle note (degree 0), reference note, its frequency, the degree of the
+ * formal octave, then one scale degree per map entry ("x" = key not mapped).
+ * Map size 0 maps keys to consecutive degrees.
+ *
+ * @param {string} text - File contents
+ * @param {number} scaleSize - Degrees of the scale (formal octave 0 = the scale's period)
+ * @returns {object} { size, first, last, middle, reference, frequency, octaveDegree, map }
+ */
+export function parseKbm(text, scaleSize) {
+  if (typeof text !== 'string') {
+    throw new Error('kbm must be the text of a Scala .kbm file');
+  }
+  const values = text.split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line !== '' && !line.startsWith('!'))
+    .map(line => line.split(/\s+/)[0]);
+  if (values.length < 7) {
+    throw new Error('Scala .kbm: expected map size, first note, last note, middle note, reference note, ' +
+      'reference frequency and octave degree');
+  }
+
+  const [size, first, last, middle, reference] = values.slice(0, 5).map(Number);
+  const frequency = Number(values[5]);
+  const octaveDegree = Number(values[6]);
+  if (!Number.isInteger(size) || size < 0 || ![first, last, middle, reference].every(isMidiKey) ||
+      !(frequency > 0) || !Number.isInteger(octaveDegree) || octaveDegree < 0) {
+    throw new Error('Scala .kbm: map size and octave degree must be whole numbers, notes MIDI keys 0-127 ' +
+      'and the reference frequency above 0');
+  }
+
+  // Entries not given are unmapped keys
+  const map = Array.from({ length: size }, (_, index) => {
+    const entry = values[7 + index];
+    if (entry === undefined || entry.toLowerCase() === 'x') {
+      return null;
+    }
+    if (!/^-?\d+$/.test(entry)) {
+      throw new Error(`Scala .kbm: invalid map entry "${entry}" (scale degree or x)`);
+    }
+    return Number(entry);
+  });
+  return { size, first, last, middle, reference, frequency, octaveDegree: octaveDegree || scaleSize, map };
+}
+
+/**
+ * Frequency of a note in a tuning
+ *
+ * @param {object|null} tuning - Resolved tuning (null = 12-EDO, A-4 = 440 Hz)
+ * @param {string|number} note - Note name, MIDI number, frequency or step ("s7")
+ * @returns {number} Hz
+ */
+export function noteFrequency(tuning, note) {
+  const { midi, hz, step } = parseNote(note);
+  if (hz !== undefined) {
+    return hz;
+  }
+  if (!tuning) {
+    return equalFrequency(midi, 440);
+  }
+
+  if (tuning.type === 'edo') {
+    const { divisions, a4 } = tuning;
+    const steps = step !== undefined ? Math.round(-9 * divisions / 12) + step : Math.round((midi - 69) * divisions / 12);
+    return a4 * Math.pow(2, steps / divisions);
+  }
+
+  if (tuning.type === 'amiga') {
+    const key = step !== undefined ? AMIGA_REFERENCE_MIDI + step : midi;
+    return equalFrequency(AMIGA_REFERENCE_MIDI, 440) * REFERENCE_PERIOD / notePeriod(key);
+  }
+
+  if (tuning.type === 'just') {
+    const tonicMidi = 60 + tuning.tonic;
+    const semitones = step !== undefined ? step : midi - tonicMidi;
+    const octaves = Math.floor(semitones / 12);
+    return equalFrequency(tonicMidi, tuning.a4) * JUST_RATIOS[semitones - octaves * 12] * Math.pow(2, octaves);
+  }
+
+  const { cents, keyboard } = tuning;
+  const degree = step !== undefined ? step : keyDegree(keyboard, midi);
+  if (degree === null) {
+    throw new Error(`Note ${note} is not on the tuning's keyboard mapping`);
+  }
+  const referenceDegree = keyDegree(keyboard, keyboard.reference) ?? keyboard.reference - keyboard.middle;
+  return keyboard.frequency * Math.pow(2, (degreeCents(cents, degree) - degreeCents(cents, referenceDegree)) / 1200);
+}
+
+/**
+ * Playback rate of a note on a sample recorded at its base note (12-EDO, A-4 = 440 Hz)
+ *
+ * @param {object|null} tuning - Resolved tuning (null = 12-EDO)
+ * @param {string|number} note - Note to play
+ * @param {string} baseNote - Base note of the sample
+ * @returns {number}
+ */
+export function tunedRatio(tuning, note, baseNote) {
+  return noteFrequency(tuning, note) / noteFrequency(null, baseNote);
+}
+
+function equalFrequency(midi, a4) {
+  return a4 * Math.pow(2, (midi - 69) / 12);
+}
+
+function readTonic(tonic) {
+  if (typeof tonic !== 'string' || !/^[A-G](##|#|x|bb|b)?$/.test(tonic.trim())) {
+    throw new Error('tonic must be a note name without octave, like "D" or "Bb"');
+  }
+  return ((parseNote(tonic, 4).midi % 12) + 12) % 12;
+}
+
+function readPitch(line) {
+  const token = line.split(/\s+/)[0];
+  if (token.includes('.')) {
+    const cents = Number(token);
+    if (Number.isFinite(cents)) {
+      return cents;
+    }
+  } else {
+    const match = token.match(/^(\d+)(?:\/(\d+))?$/);
+    const ratio = match ? Number(match[1]) / Number(match[2] ?? 1) : NaN;
+    if (ratio > 0 && Number.isFinite(ratio)) {
+      return 1200 * Math.log2(ratio);
+    }
+  }
+  throw new Error(`Scala .scl: invalid pitch "${token}" (cents with a ".", or a ratio like 3/2)`);
+}
+
+function isMidiKey(value) {
+  return Number.isInteger(value) && value >= 0 && value <= 127;
+}
+
+function keyDegree({ size, first, last, middle, octaveDegree, map }, key) {
+  if (key < first || key > last) {
+    return null;
+  }
+  const offset = key - middle;
+  if (size === 0) {
+    return offset;
+  }
+  const octaves = Math.floor(offset / size);
+  const entry = map[offset - octaves * size];
+  return entry === null ? null : entry + octaves * octaveDegree;
+}
+
+function degreeCents(cents, degree) {
+  const periods = Math.floor(degree / cents.length);
+  const index = degree - periods * cents.length;
+  return periods * cents[cents.length - 1] + (index === 0 ? 0 : cents[index - 1]);
+}
@@ -0,0 +1,136 @@
+/**
+ * Unit tests for tunings
+ */
+
+import { noteFrequency, parseKbm, parseScl, resolveTuning, tunedRatio } from './tuning.js';
+
+// Pythagorean pentatonic, ratios and cents mixed
+const PENTATONIC_SCL = `! pyth5.scl
+!
+Pythagorean pentatonic
+ 5
+!
+ 9/8
+ 81/64
+ 3/2
+ 27/16
+ 2/1
+`;
+
+describe('tuning', () => {
+  describe('resolveTuning', () => {
+    test('should default to 12-EDO at 440 Hz', () => {
+      expect(resolveTuning({})).toEqual({ name: '12-EDO', type: 'edo', divisions: 12, a4: 440 });
+      expect(resolveTuning({ a4: 432 })).toMatchObject({ divisions: 12, a4: 432 });
+    });
+
+    test('should resolve just intonation tonics to pitch classes', () => {
+      expect(resolveTuning({ type: 'just', tonic: 'Bb' })).toEqual({ name: 'Just A#', type: 'just', tonic: 10, a4: 440 });
+    });
+
+    test('should reject invalid tunings', () => {
+      expect(() => resolveTuning('19-edo')).toThrow('tuning must be an object');
+      expect(() => resolveTuning({ type: 'meantone' })).toThrow('tuning type must be one of edo, just, scala, amiga');
+      expect(() => resolveTuning({ type: 'amiga', a4: 432 })).toThrow('a4 does not apply');
+      expect(() => resolveTuning({ divisions: 0 })).toThrow('divisions must be an integer from 1 to 144');
+      expect(() => resolveTuning({ a4: 40 })).toThrow('a4 must be a frequency from 300 to 600 Hz');
+      expect(() => resolveTuning({ type: 'just', tonic: 'D-4' })).toThrow('tonic must be a note name without octave');
+      expect(() => resolveTuning({ type: 'scala', scl: PENTATONIC_SCL, kbm: '0\n0\n127\n60\n69\n440\n0', a4: 432 }))
+        .toThrow('not both');
+    });
+  });
+
+  describe('noteFrequency', () => {
+    test('should play 12-EDO without a tuning', () => {
+      expect(noteFrequency(null, 'A-4')).toBeCloseTo(440, 6);
+      expect(noteFrequency(null, 'C-4')).toBeCloseTo(261.626, 3);
+      expect(noteFrequency(null, '300Hz')).toBe(300);
+    });
+
+    test('should move every note with the A4 reference', () => {
+      const tuning = resolveTuning({ a4: 432 });
+      expect(noteFrequency(tuning, 'A-4')).toBeCloseTo(432, 6);
+      expect(noteFrequency(tuning, 'A-5')).toBeCloseTo(864, 6);
+    });
+
+    test('should play names at the nearest EDO step and steps from C-4', () => {
+      const tuning = resolveTuning({ type: 'edo', divisions: 19 });
+      // E-4 is 7 semitones above A-3: round(7 * 19 / 12) = 11 steps
+      expect(noteFrequency(tuning, 'E-4')).toBeCloseTo(220 * Math.pow(2, 11 / 19), 6);
+      // C-4 is step round(-9 * 19 / 12) = -14 from A-4
+      expect(noteFrequency(tuning, 's0')).toBeCloseTo(440 * Math.pow(2, -14 / 19), 6);
+      expect(noteFrequency(tuning, 's19')).toBeCloseTo(2 * noteFrequency(tuning, 's0'), 6);
+    });
+
+    test('should play pure intervals above the just intonation tonic', () => {
+      const tuning = resolveTuning({ type: 'just', tonic: 'D' });
+      const tonic = noteFrequency(null, 'D-4');
+      expect(noteFrequency(tuning, 'D-4')).toBeCloseTo(tonic, 6);
+      expect(noteFrequency(tuning, 'F#-4')).toBeCloseTo(tonic * 5 / 4, 6);
+      expect(noteFrequency(tuning, 'A-3')).toBeCloseTo(tonic * 3 / 4, 6);
+      expect(noteFrequency(tuning, 's7')).toBeCloseTo(tonic * 3 / 2, 6);
+    });
+
+    test('should map keys to Scala degrees around A-4', () => {
+      const tuning = resolveTuning({ type: 'scala', scl: PENTATONIC_SCL });
+      expect(tuning.name).toBe('Pythagorean pentatonic');
+      // Default mapping: C-4 is degree 0, A-4 (degree 9 = 1 period + degree 4) is 440 Hz
+      expect(noteFrequency(tuning, 'A-4')).toBeCloseTo(440, 6);
+      expect(noteFrequency(tuning, 'C-4')).toBeCloseTo(440 / 2 / (27 / 16), 6);
+      expect(noteFrequency(tuning, 's2')).toBeCloseTo(noteFrequency(tuning, 'C-4') * 81 / 64, 6);
+    });
+
+    test('should follow a keyboard mapping', () => {
+      // 12 keys per period, white keys only: C D E G A, black keys unmapped
+      const kbm = '12\n0\n127\n60\n60\n261.6\n5\n0\nx\n1\nx\n2\nx\nx\n3\nx\n4\nx\nx\n';
+      const tuning = resolveTuning({ type: 'scala', scl: PENTATONIC_SCL, kbm });
+      expect(noteFrequency(tuning, 'C-4')).toBeCloseTo(261.6, 6);
+      expect(noteFrequency(tuning, 'G-4')).toBeCloseTo(261.6 * 3 / 2, 6);
+      expect(noteFrequency(tuning, 'C-5')).toBeCloseTo(523.2, 6);
+      expect(() => noteFrequency(tuning, 'C#-4')).toThrow('not on the tuning\'s keyboard mapping');
+    });
+    test('should play ProTracker periods with the amiga tuning', () => {
+      const tuning = resolveTuning({ type: 'amiga' });
+      expect(tuning).toEqual({ name: 'ProTracker periods', type: 'amiga' });
+      expect(tunedRatio(tuning, 'C-2', 'C-2')).toBe(1);
+      expect(tunedRatio(tuning, 'G-2', 'C-2')).toBeCloseTo(428 / 285, 9); // Table period, not 2^(7/12)
+      expect(tunedRatio(tuning, 'C-5', 'C-2')).toBeCloseTo(8, 9); // Equal tempered above the table
+      expect(noteFrequency(tuning, 's12')).toBe(noteFrequency(tuning, 'C-3'));
+    });
+  });
+
+  describe('parseScl', () => {
+    test('should read ratios and cents', () => {
+      const scale = parseScl('! comment\nQuarter\n2\n50.0\n2/1\n');
+      expect(scale.description).toBe('Quarter');
+      expect(scale.cents[0]).toBe(50);
+      expect(scale.cents[1]).toBeCloseTo(1200, 6);
+    });
+
+    test('should reject broken files', () => {
+      expect(() => parseScl('Only\nfive\n')).toThrow('number of pitches');
+      expect(() => parseScl('Short\n3\n100.0\n2/1\n')).toThrow('expected 3 pitches, found 2');
+      expect(() => parseScl('Bad\n1\nthree halves\n')).toThrow('invalid pitch "three"');
+    });
+  });
+
+  describe('parseKbm', () => {
+    test('should read a linear mapping', () => {
+      expect(parseKbm('! linear\n0\n0\n127\n60\n69\n432.0\n0\n', 7)).toEqual({
+        size: 0, first: 0, last: 127, middle: 60, reference: 69, frequency: 432, octaveDegree: 7, map: []
+      });
+    });
+
+    test('should reject incomplete mappings', () => {
+      expect(() => parseKbm('12\n0\n127\n', 12)).toThrow('expected map size');
+      expect(() => parseKbm('1\n0\n127\n60\n69\n440\n12\nseven\n', 12)).toThrow('invalid map entry "seven"');
+    });
+  });
+
+  describe('tunedRatio', () => {
+    test('should give the playback rate against a 12-EDO base note', () => {
+      expect(tunedRatio(null, 'C-5', 'C-4')).toBeCloseTo(2, 6);
+      expect(tunedRatio(resolveTuning({ a4: 432 }), 'A-4', 'A-4')).toBeCloseTo(432 / 440, 6);
+    });
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * WAV files: reading PCM sample data
+ *
+ * Used by the server to read the audio of its samples (POST /api/export/mod);
+ * works on a Uint8Array (a Node Buffer is one), so it runs in the browser too.
+ *
+ * Reads RIFF WAVE files with integer PCM (8-bit unsigned, 16/24/32-bit
+ * signed) or 32/64-bit float data, also in the WAVE_FORMAT_EXTENSIBLE
+ * wrapper. Channels are mixed down to mono; other chunks are skipped.
+ */
+
+const FORMAT_PCM = 1;
+const FORMAT_FLOAT = 3;
+const FORMAT_EXTENSIBLE = 0xFFFE;
+
+/**
+ * Parse a WAV file
+ *
+ * @param {Uint8Array} bytes - File contents
+ * @returns {object} { sampleRate, channels, bitsPerSample, float, frames, data (Float32Array, mono, -1 to 1) }
+ */
+export function parseWav(bytes) {
+  if (!(bytes instanceof Uint8Array)) {
+    throw new Error('WAV file must be binary data');
+  }
+  if (bytes.length < 12 || text(bytes, 0) !== 'RIFF' || text(bytes, 8) !== 'WAVE') {
+    throw new Error('Not a WAV file (missing RIFF/WAVE header)');
+  }
+
+  let format = null;
+  let data = null;
+  for (let offset = 12; offset + 8 <= bytes.length;) {
+    const id = text(bytes, offset);
+    const size = uint32(bytes, offset + 4);
+    const body = bytes.subarray(offset + 8, Math.min(offset + 8 + size, bytes.length));
+    if (id === 'fmt ') {
+      format = readFormat(body);
+    } else if (id === 'data') {
+      data = body;
+    }
+    // Chunks are padded to an even size
+    offset += 8 + size + (size & 1);
+  }
+  if (!format) {
+    throw new Error('Invalid WAV file: no fmt chunk');
+  }
+  if (!data) {
+    throw new Error('Invalid WAV file: no data chunk');
+  }
+
+  const { channels, bitsPerSample, float } = format;
+  const bytesPerSample = bitsPerSample / 8;
+  const frames = Math.floor(data.length / (bytesPerSample * channels));
+  const read = sampleReader(data, bitsPerSample, float);
+  const mono = new Float32Array(frames);
+  for (let frame = 0; frame < frames; frame++) {
+    let sum = 0;
+    for (let channel = 0; channel < channels; channel++) {
+      sum += read((frame * channels + channel) * bytesPerSample);
+    }
+    mono[frame] = sum / channels;
+  }
+
+  return { sampleRate: format.sampleRate, channels, bitsPerSample, float, frames, data: mono };
+}
+
+/**
+ * Format chunk: { channels, sampleRate, bitsPerSample, float }
+ */
+function readFormat(body) {
+  if (body.length < 16) {
+    throw new Error('Invalid WAV file: fmt chunk shorter than 16 bytes');
+  }
+  let tag = uint16(body, 0);
+  if (tag === FORMAT_EXTENSIBLE && body.length >= 26) {
+    // The sub-format GUID starts with the format tag
+    tag = uint16(body, 24);
+  }
+  const channels = uint16(body, 2);
+  const sampleRate = uint32(body, 4);
+  const bitsPerSample = uint16(body, 14);
+  const float = tag === FORMAT_FLOAT;
+
+  if (tag !== FORMAT_PCM && !float) {
+    throw new Error(`Unsupported WAV format: ${tag} (PCM or float only)`);
+  }
+  if (float ? ![32, 64].includes(bitsPerSample) : ![8, 16, 24, 32].includes(bitsPerSample)) {
+    throw new Error(`Unsupported WAV format: ${bitsPerSample}-bit ${float ? 'float' : 'PCM'}`);
+  }
+  if (channels < 1 || sampleRate < 1) {
+    throw new Error('Invalid WAV file: no channels or sample rate');
+  }
+  return { channels, sampleRate, bitsPerSample, float };
+}
+
+/**
+ * Reader of one sample value (-1 to 1) at a byte offset of the data
+ */
+function sampleReader(data, bitsPerSample, float) {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  if (float) {
+    return bitsPerSample === 32 ? offset => view.getFloat32(offset, true) : offset => view.getFloat64(offset, true);
+  }
+  switch (bitsPerSample) {
+    case 8:
+      return offset => (data[offset] - 128) / 128;
+    case 16:
+      return offset => view.getInt16(offset, true) / 32768;
+    case 24:
+      return offset => ((data[offset] | (data[offset + 1] << 8) | (data[offset + 2] << 16)) << 8 >> 8) / 8388608;
+    default:
+      return offset => view.getInt32(offset, true) / 2147483648;
+  }
+}
+
+function text(bytes, offset) {
+  return String.fromCharCode(...bytes.subarray(offset, offset + 4));
+}
+
+function uint16(bytes, offset) {
+  return bytes[offset] | (bytes[offset + 1] << 8);
+}
+
+function uint32(bytes, offset) {
+  return (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)) >>> 0;
+}
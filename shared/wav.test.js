@@ -0,0 +1,71 @@
+/**
+ * Unit tests for WAV reading
+ */
+
+import { parseWav } from './wav.js';
+
+/**
+ * A WAV file with the given format and raw data bytes (chunks before the
+ * data: an odd-sized one to check the padding)
+ */
+function buildWav({ tag = 1, channels = 1, sampleRate = 44100, bits = 16, data = [], extensible = false }) {
+  const format = [...word(extensible ? 0xFFFE : tag), ...word(channels), ...dword(sampleRate),
+    ...dword(sampleRate * channels * bits / 8), ...word(channels * bits / 8), ...word(bits)];
+  if (extensible) {
+    format.push(...word(22), ...word(bits), ...dword(0), ...word(tag), ...new Array(14).fill(0));
+  }
+  const chunks = [
+    ...chunk('fmt ', format),
+    ...chunk('LIST', [1, 2, 3]),
+    ...chunk('data', data)
+  ];
+  return new Uint8Array([...text('RIFF'), ...dword(4 + chunks.length), ...text('WAVE'), ...chunks]);
+}
+
+function chunk(id, body) {
+  return [...text(id), ...dword(body.length), ...body, ...(body.length % 2 ? [0] : [])];
+}
+
+function text(value) {
+  return Array.from(value, char => char.charCodeAt(0));
+}
+
+function word(value) {
+  return [value & 0xFF, (value >> 8) & 0xFF];
+}
+
+function dword(value) {
+  return [...word(value & 0xFFFF), ...word(value >>> 16)];
+}
+
+describe('wav', () => {
+  describe('parseWav', () => {
+    test('should read 16-bit PCM and mix stereo to mono', () => {
+      const wav = parseWav(buildWav({
+        channels: 2,
+        sampleRate: 22050,
+        data: [...word(0x4000), ...word(0x4000), ...word(0x8000), ...word(0), ...word(0x7FFF), ...word(0x7FFF)]
+      }));
+
+      expect(wav).toMatchObject({ sampleRate: 22050, channels: 2, bitsPerSample: 16, float: false, frames: 3 });
+      expect(Array.from(wav.data)).toEqual([0.5, -0.5, 32767 / 32768]);
+    });
+
+    test('should read 8-bit, 24-bit and float data', () => {
+      expect(Array.from(parseWav(buildWav({ bits: 8, data: [128, 0, 192] })).data)).toEqual([0, -1, 0.5]);
+      expect(Array.from(parseWav(buildWav({ bits: 24, data: [0, 0, 0xC0, 0, 0, 0x40] })).data)).toEqual([-0.5, 0.5]);
+
+      const floats = new Uint8Array(Float32Array.of(0.25, -1).buffer);
+      const wav = parseWav(buildWav({ tag: 3, bits: 32, data: Array.from(floats), extensible: true }));
+      expect(wav.float).toBe(true);
+      expect(Array.from(wav.data)).toEqual([0.25, -1]);
+    });
+
+    test('should reject files that are not PCM WAV files', () => {
+      expect(() => parseWav('RIFF')).toThrow('binary data');
+      expect(() => parseWav(new Uint8Array(20))).toThrow('Not a WAV file');
+      expect(() => parseWav(buildWav({ tag: 2 }))).toThrow('Unsupported WAV format: 2');
+      expect(() => parseWav(buildWav({ bits: 12 }))).toThrow('12-bit PCM');
+    });
+  });
+});
@@ -0,0 +1,297 @@
+/**
+ * XM import: FastTracker 2 modules turned into a song
+ *
+ * Shared by the server (POST /api/import/mod) and the browser
+ * (web/mod-loader.js). Takes a module read by shared/xm.js.
+ *
+ * Every sample of an instrument becomes a sample ID `${prefix}-II-SS`
+ * (instrument II, its sample SS) whose base note is the note that plays at
+ * its rate (C-4 moved by the relative note), with the instrument's envelopes
+ * and fadeout. Notes pick their sample from the instrument's keymap, so a
+ * multi-sample instrument plays as the steps' samples.
+ *
+ * The order list is played through once with its Bxx jumps and Dxx breaks
+ * (see shared/module-song.js). Cells become steps:
+ *   - a note without an instrument plays the channel's last one; an
+ *     instrument number resets the channel's volume and pan to its sample's
+ *   - key off ("===") releases the envelopes: the note fades out
+ *   - effects 0-F convert like MOD effects (see modEffectColumn), Cxx and
+ *     the volume column set the volume, 8xx and the volume column's Px the
+ *     pan; 1xx/2xx/Axy 00 repeat the channel's last value
+ *   - with the linear frequency table, 1xx/2xx/3xx slide semitones: they are
+ *     rescaled to periods around the base note (× LINEAR_SLIDE_SCALE)
+ *   - Rxy → E9y, K00 → key off
+ * Everything else, like auto-vibrato, is dropped with a warning.
+ */
+
+import { NOTE_KEY_OFF, xmSampleRate } from './xm.js';
+import { modEffectColumn } from './mod-import.js';
+import {
+  breakRow, buildSong, createDropCounter, effectColumn, fitSampleRate, moduleBpm, moduleRowsPerBeat, playOrder
+} from './module-song.js';
+import { midiToNote } from './notes.js';
+import { NOTE_CUT, NOTE_OFF, REFERENCE_PERIOD } from './tracker-effects.js';
+
+// Linear slides move 1/16 semitone per unit; at the base note's period a semitone is about 24.7 periods
+export const LINEAR_SLIDE_SCALE = REFERENCE_PERIOD * Math.LN2 / 12 / 16;
+
+// MIDI number of XM note 1 (C-0) minus one
+const NOTE_OFFSET = 11;
+
+// Effect numbers past F (G = 16, ...)
+const EFFECT_GLOBAL_VOLUME = 16;
+const EFFECT_KEY_OFF = 20;
+const EFFECT_RETRIGGER = 27;
+
+// Dropped effects, for the warnings
+const EFFECT_NAMES = {
+  16: 'Gxx (global volume)', 17: 'Hxy (global volume slide)', 20: 'Kxx (key off at a tick)',
+  21: 'Lxx (envelope position)', 25: 'Pxy (panning slide)', 29: 'Txy (tremor)', 33: 'X1x/X2x (extra fine portamento)'
+};
+const VOLUME_COLUMN_NAMES = {
+  0x8: 'Dx (fine volume slide down)', 0x9: 'Ux (fine volume slide up)', 0xA: 'Sx (vibrato speed)',
+  0xB: 'Vx (vibrato)', 0xD: 'Lx (panning slide left)', 0xE: 'Rx (panning slide right)'
+};
+
+/**
+ * Convert a parsed XM module into a song
+ *
+ * @param {object} module - Module from parseXm
+ * @param {object} options
+ * @param {string} options.prefix - Prefix of the sample IDs (default: 'XM')
+ * @returns {object} { name, bpm, speed, rowsPerBeat, timeSignature, tuning, patterns (pool), order,
+ *   samples: [{ id, index, instrument, name, baseNote, sampleRate, volume, panning, finetune, relativeNote,
+ *     length, loopStart, loopLength, volumeEnvelope, panningEnvelope, fadeout }],
+ *   instruments: [{ index, name, keymap: [{ from, to, sample }] }], channels, warnings }
+ */
+export function xmToSong(module, { prefix = 'XM' } = {}) {
+  const { drop, warnings: dropWarnings } = createDropCounter();
+  const warnings = [...module.warnings];
+
+  const samples = [];
+  for (const instrument of module.instruments) {
+    if (instrument.vibrato.depth > 0) {
+      warnings.push(`Instrument ${instrument.index}: auto-vibrato is not played`);
+    }
+    instrument.samples.forEach((index, position) => {
+      const sample = module.samples[index - 1];
+      const baseMidi = 60 - sample.relativeNote;
+      if (sample.length <= 2) {
+        return;
+      }
+      if (baseMidi < 0 || baseMidi > 143) {
+        warnings.push(`Sample ${index}: relative note ${sample.relativeNote} is out of range, skipped`);
+        return;
+      }
+      const { sampleRate, baseNote } = fitSampleRate(xmSampleRate(sample.finetune), baseMidi);
+      samples.push({
+        id: `${prefix}-${pad(instrument.index)}-${pad(position + 1)}`,
+        index,
+        instrument: instrument.index,
+        name: sample.name || instrument.name,
+        baseNote,
+        sampleRate,
+        volume: sample.volume,
+        panning: sample.panning,
+        finetune: sample.finetune,
+        relativeNote: sample.relativeNote,
+        length: sample.length,
+        loopStart: sample.loopStart,
+        loopLength: sample.loopLength,
+        volumeEnvelope: instrument.volumeEnvelope,
+        panningEnvelope: instrument.panningEnvelope,
+        fadeout: instrument.fadeout
+      });
+    });
+  }
+  const samplesByIndex = new Map(samples.map(sample => [sample.index, sample]));
+
+  const jumpOf = ({ effect, param }) => {
+    if (effect === 0xB) {
+      return { position: param };
+    }
+    if (effect === 0xD) {
+      return { row: breakRow(param) };
+    }
+    return null;
+  };
+
+  const timing = { speed: module.speed, rowsPerBeat: moduleRowsPerBeat(module.speed) };
+  const state = {
+    ...timing,
+    linear: module.linear,
+    channels: Array.from({ length: module.channels }, () => ({ instrument: 0, volume: 64, pan: 128, memory: {} }))
+  };
+  const context = { instruments: module.instruments, samplesByIndex, drop };
+  const convertRow = (cells) => cells.map((cell, channel) => convertCell(cell, state, channel, context));
+
+  const parts = playOrder(module.order, module.patterns, jumpOf, warnings);
+  const { patterns, order } = buildSong(parts, module.patterns, convertRow);
+
+  return {
+    name: module.title || 'Untitled module',
+    bpm: Math.round(moduleBpm(module.bpm, timing)),
+    speed: timing.speed,
+    rowsPerBeat: timing.rowsPerBeat,
+    timeSignature: '4/4',
+    tuning: null,
+    patterns,
+    order,
+    samples,
+    instruments: module.instruments.map(instrument => ({
+      index: instrument.index,
+      name: instrument.name,
+      keymap: keymapRanges(instrument.keymap, samplesByIndex)
+    })),
+    channels: module.channels,
+    warnings: [...warnings, ...dropWarnings()]
+  };
+}
+
+/**
+ * Step of a cell, or null for an empty one
+ */
+function convertCell(cell, state, channel, { instruments, samplesByIndex, drop }) {
+  const channelState = state.channels[channel];
+  const { note, volume } = cell;
+  const step = {};
+
+  if (cell.instrument) {
+    channelState.instrument = cell.instrument;
+  }
+  const instrument = instruments[channelState.instrument - 1];
+  const sample = note >= 1 && note <= 96 && instrument ? samplesByIndex.get(instrument.keymap[note - 1]) : null;
+  if (cell.instrument && sample) {
+    channelState.volume = sample.volume;
+    channelState.pan = sample.panning;
+  }
+
+  // Volume column
+  const volumeCommand = volume >> 4;
+  let volumeEffect = null;
+  if (volume >= 0x10 && volume <= 0x50) {
+    channelState.volume = volume - 0x10;
+  } else if (volumeCommand === 0xC) {
+    channelState.pan = (volume & 0x0F) * 17;
+  } else if (volumeCommand === 0x6 || volumeCommand === 0x7) {
+    volumeEffect = effectColumn('A', volumeCommand === 0x7 ? (volume & 0x0F) << 4 : volume & 0x0F);
+  } else if (volumeCommand === 0xF) {
+    volumeEffect = slideColumn('3', (volume & 0x0F) << 4, state);
+  } else if (VOLUME_COLUMN_NAMES[volumeCommand]) {
+    drop(`Volume column ${VOLUME_COLUMN_NAMES[volumeCommand]}`);
+  }
+
+  const column = xmEffectColumn(cell, channelState, state, drop);
+  if (column && column.pan !== undefined) {
+    channelState.pan = column.pan;
+  }
+
+  if (note === NOTE_KEY_OFF || (column && column.keyOff)) {
+    step.note = NOTE_OFF;
+  } else if (note >= 1 && note <= 96) {
+    if (sample) {
+      step.sample = sample.id;
+      step.note = midiToNote(note + NOTE_OFFSET);
+      step.volume = channelState.volume;
+      step.pan = channelState.pan;
+    } else {
+      step.note = NOTE_CUT;
+    }
+  } else if (cell.instrument || (volume >= 0x10 && volume <= 0x50) || cell.effect === 0xC) {
+    drop('Volume change of a running note (Cxx, the volume column or an instrument without a note)');
+  } else if (volumeCommand === 0xC || (column && column.pan !== undefined)) {
+    drop('Pan change of a running note (8xx or the volume column without a note)');
+  }
+
+  if (column && column.delay !== undefined) {
+    if (step.sample) {
+      step.delay = column.delay;
+    }
+  } else if (typeof column === 'string') {
+    step.effect = column;
+    if (volumeEffect) {
+      drop('Volume column slide or tone portamento next to an effect');
+    }
+  } else if (volumeEffect) {
+    step.effect = volumeEffect;
+  }
+
+  return Object.keys(step).length > 0 ? step : null;
+}
+
+/**
+ * Effect column of an XM effect: "3xx", { delay } for EDx, { pan } for 8xx,
+ * { keyOff } for K00, or null (Bxx/Dxx shape the order list, Cxx is the
+ * step volume)
+ */
+function xmEffectColumn({ effect, param }, channelState, state, drop) {
+  if (effect === 0x8) {
+    return { pan: param };
+  }
+  if (effect === 0xC) {
+    channelState.volume = Math.min(param, 64);
+    return null;
+  }
+  if (effect === EFFECT_KEY_OFF && param === 0) {
+    return { keyOff: true };
+  }
+  if (effect === EFFECT_RETRIGGER) {
+    if ((param & 0x0F) === 0) {
+      return null;
+    }
+    if ((param >> 4) !== 0 && (param >> 4) !== 8) {
+      drop('Volume change of Rxy (multi retrigger)');
+    }
+    return effectColumn('E', 0x90 | (param & 0x0F));
+  }
+  if (effect >= EFFECT_GLOBAL_VOLUME) {
+    drop(`Effect ${EFFECT_NAMES[effect] || `${String.fromCharCode(55 + effect)}xx`}`);
+    return null;
+  }
+
+  // 00 repeats the last slide like in FastTracker 2
+  let value = param;
+  if (effect === 0x1 || effect === 0x2 || effect === 0xA) {
+    if (param) {
+      channelState.memory[effect] = param;
+    }
+    value = channelState.memory[effect] || 0;
+  }
+  if (effect >= 0x1 && effect <= 0x3) {
+    return slideColumn(String(effect), value, state);
+  }
+  return modEffectColumn(effect, value, state, drop);
+}
+
+/**
+ * Portamento column, rescaled for the linear frequency table (00 stays 00)
+ */
+function slideColumn(command, value, { linear }) {
+  return effectColumn(command, linear ? Math.min(0xFF, Math.round(value * LINEAR_SLIDE_SCALE)) : value);
+}
+
+/**
+ * Keymap as note ranges: [{ from: 'C-0', to: 'B-3', sample: 'XM-01-01' }]
+ */
+function keymapRanges(keymap, samplesByIndex) {
+  const ranges = [];
+  keymap.forEach((index, key) => {
+    const sample = samplesByIndex.get(index);
+    const last = ranges[ranges.length - 1];
+    const note = midiToNote(key + 1 + NOTE_OFFSET);
+    if (!sample) {
+      return;
+    }
+    if (last && last.sample === sample.id && last.next === key) {
+      last.to = note;
+      last.next = key + 1;
+    } else {
+      ranges.push({ from: note, to: note, sample: sample.id, next: key + 1 });
+    }
+  });
+  return ranges.map(({ next, ...range }) => range);
+}
+
+function pad(number) {
+  return String(number).padStart(2, '0');
+}
@@ -0,0 +1,304 @@
+/**
+ * FastTracker 2 modules: reading XM files
+ *
+ * Shared by the server (POST /api/import/mod) and the browser (web/mod-loader.js):
+ * works on a Uint8Array (a Node Buffer is one). Multi-byte values are
+ * little-endian.
+ *
+ * Instruments hold up to 16 samples and a keymap (the sample of each of the
+ * 96 notes), volume and panning envelopes and a fadeout. Their samples are
+ * listed in one flat `samples` list (index 1-based, in file order), which
+ * the instruments refer to. Sample data is delta-decoded to 8-bit
+ * (Int8Array) or 16-bit (Int16Array); lengths and loop points are in frames.
+ *
+ * Envelopes: { points: [{ tick, value (0-64) }], sustain, loopStart, loopEnd }
+ * with point indexes (null = off), or null if the instrument has none on.
+ *
+ * Cells keep the file's values: note (1-96, 0 = none, NOTE_KEY_OFF),
+ * instrument (1-based, 0 = none), volume (volume column byte, 0 = empty),
+ * effect (0-35, 0-F like ProTracker) and param.
+ * Turning them into pattern rows is up to shared/xm-import.js.
+ */
+
+import { readText } from './mod.js';
+
+export const NOTE_KEY_OFF = 97;
+
+// Note played at a sample's rate (with relative note and finetune 0)
+export const XM_BASE_RATE = 8363;
+
+const SIGNATURE = 'Extended Module:';
+const ENVELOPE_POINTS = 12;
+
+const ENVELOPE_ON = 0x01;
+const ENVELOPE_SUSTAIN = 0x02;
+const ENVELOPE_LOOP = 0x04;
+
+const SAMPLE_LOOP_FORWARD = 1;
+const SAMPLE_LOOP_PINGPONG = 2;
+const SAMPLE_16BIT = 0x10;
+
+/**
+ * Parse a FastTracker 2 module
+ *
+ * @param {Uint8Array} bytes - File contents
+ * @returns {object} { title, format ('XM'), tracker, channels, linear (linear frequency table), speed, bpm,
+ *   order, restart, patterns: [[[{ note, instrument, volume, effect, param }]]],
+ *   instruments: [{ index, name, samples (indexes into samples), keymap (sample index of notes 1-96, 0 = none),
+ *     volumeEnvelope, panningEnvelope, fadeout, vibrato: { type, sweep, depth, rate } }],
+ *   samples: [{ index, instrument, name, length, volume, finetune, panning, relativeNote, loopStart, loopLength, pingPong, data }],
+ *   warnings }
+ */
+export function parseXm(bytes) {
+  if (!(bytes instanceof Uint8Array)) {
+    throw new Error('Module must be binary data');
+  }
+  if (!isXm(bytes)) {
+    throw new Error('Not a FastTracker 2 module (no "Extended Module" signature)');
+  }
+  const warnings = [];
+  const version = word(bytes, 58);
+  if (version < 0x0104) {
+    throw new Error(`XM version ${version >> 8}.${String(version & 0xFF).padStart(2, '0')} is not supported (1.04 only)`);
+  }
+
+  const headerSize = dword(bytes, 60);
+  const songLength = word(bytes, 64);
+  const channels = word(bytes, 68);
+  const patternCount = word(bytes, 70);
+  const instrumentCount = word(bytes, 72);
+  if (60 + headerSize > bytes.length || channels < 1 || channels > 32) {
+    throw new Error('Invalid module: broken header');
+  }
+
+  let offset = 60 + headerSize;
+  const patterns = [];
+  for (let pattern = 0; pattern < patternCount; pattern++) {
+    const read = readPattern(bytes, offset, channels, pattern, warnings);
+    patterns.push(read.rows);
+    offset = read.end;
+  }
+
+  const instruments = [];
+  const samples = [];
+  for (let index = 1; index <= instrumentCount && offset < bytes.length; index++) {
+    const read = readInstrument(bytes, offset, index, samples, warnings);
+    instruments.push(read.instrument);
+    offset = read.end;
+  }
+  if (instruments.length < instrumentCount) {
+    warnings.push(`Module is cut short: ${instruments.length} of ${instrumentCount} instruments`);
+  }
+
+  const restart = word(bytes, 66);
+  return {
+    title: readText(bytes, 17, 20),
+    format: 'XM',
+    tracker: readText(bytes, 38, 20),
+    channels,
+    linear: (word(bytes, 74) & 0x01) !== 0,
+    speed: word(bytes, 76) || 6,
+    bpm: word(bytes, 78) >= 32 ? word(bytes, 78) : 125,
+    order: Array.from(bytes.subarray(80, 80 + Math.min(songLength, 256))),
+    restart: restart < songLength ? restart : 0,
+    patterns,
+    instruments,
+    samples,
+    warnings
+  };
+}
+
+/**
+ * Check the XM signature
+ */
+export function isXm(bytes) {
+  return bytes.length >= 80 && readText(bytes, 0, SIGNATURE.length) === SIGNATURE;
+}
+
+/**
+ * Playback rate of a sample's C-4 (with its finetune) in frames per second;
+ * its relative note moves the note that plays at this rate
+ *
+ * @param {number} finetune - Sample finetune (-128 to 127, 128ths of a semitone)
+ * @returns {number} Sample rate (8363 Hz at finetune 0)
+ */
+export function xmSampleRate(finetune = 0) {
+  return XM_BASE_RATE * Math.pow(2, finetune / (128 * 12));
+}
+
+/**
+ * Pattern header and packed cells
+ */
+function readPattern(bytes, offset, channels, pattern, warnings) {
+  const headerLength = dword(bytes, offset);
+  const rowCount = word(bytes, offset + 5);
+  const packedSize = word(bytes, offset + 7);
+  const rows = Array.from({ length: rowCount || 64 }, () => Array.from({ length: channels }, emptyCell));
+
+  const end = offset + headerLength + packedSize;
+  if (end > bytes.length) {
+    throw new Error(`Invalid module: pattern ${pattern} doesn't fit in the file`);
+  }
+  let position = offset + headerLength;
+  for (let cellIndex = 0; position < end && cellIndex < rows.length * channels; cellIndex++) {
+    const cell = rows[Math.floor(cellIndex / channels)][cellIndex % channels];
+    const first = bytes[position];
+    // Packed cell: bit 7 set, bits 0-4 say which fields follow; else all five follow
+    const fields = first & 0x80 ? first : 0x1F;
+    if (first & 0x80) {
+      position++;
+    }
+    if (fields & 0x01) cell.note = bytes[position++];
+    if (fields & 0x02) cell.instrument = bytes[position++];
+    if (fields & 0x04) cell.volume = bytes[position++];
+    if (fields & 0x08) cell.effect = bytes[position++];
+    if (fields & 0x10) cell.param = bytes[position++];
+    if (cell.note > NOTE_KEY_OFF) {
+      cell.note = 0;
+    }
+  }
+  if (position > end) {
+    warnings.push(`Pattern ${pattern}: last cell is cut short`);
+  }
+  return { rows, end };
+}
+
+/**
+ * Instrument header, its sample headers and sample data
+ */
+function readInstrument(bytes, offset, index, samples, warnings) {
+  const headerSize = dword(bytes, offset);
+  const sampleCount = headerSize >= 29 ? word(bytes, offset + 27) : 0;
+  const instrument = {
+    index,
+    name: readText(bytes, offset + 4, 22),
+    samples: [],
+    keymap: new Array(96).fill(0),
+    volumeEnvelope: null,
+    panningEnvelope: null,
+    fadeout: 0,
+    vibrato: { type: 0, sweep: 0, depth: 0, rate: 0 }
+  };
+  if (sampleCount === 0) {
+    return { instrument, end: offset + headerSize };
+  }
+  if (offset + 243 > bytes.length) {
+    throw new Error(`Invalid module: instrument ${index} doesn't fit in the file`);
+  }
+
+  const sampleHeaderSize = dword(bytes, offset + 29) || 40;
+  instrument.volumeEnvelope = readEnvelope(bytes, offset + 129, bytes[offset + 225], bytes.subarray(offset + 227, offset + 230), bytes[offset + 233]);
+  instrument.panningEnvelope = readEnvelope(bytes, offset + 177, bytes[offset + 226], bytes.subarray(offset + 230, offset + 233), bytes[offset + 234]);
+  instrument.vibrato = { type: bytes[offset + 235], sweep: bytes[offset + 236], depth: bytes[offset + 237], rate: bytes[offset + 238] };
+  instrument.fadeout = word(bytes, offset + 239);
+
+  const first = samples.length + 1;
+  const keymap = bytes.subarray(offset + 33, offset + 129);
+  instrument.keymap = Array.from(keymap, sample => (sample < sampleCount ? first + sample : 0));
+
+  // Sample headers, then the data of all of them
+  let headerOffset = offset + headerSize;
+  const headers = [];
+  for (let i = 0; i < sampleCount; i++) {
+    headers.push(readSampleHeader(bytes, headerOffset, samples.length + 1 + i, index));
+    headerOffset += sampleHeaderSize;
+  }
+  let dataOffset = headerOffset;
+  for (const sample of headers) {
+    const frameSize = sample.bits === 16 ? 2 : 1;
+    const declared = sample.length;
+    const available = Math.max(0, Math.min(declared, Math.floor((bytes.length - dataOffset) / frameSize)));
+    if (available < declared) {
+      warnings.push(`Sample ${sample.index} is cut short: ${available} of ${declared} frames`);
+    }
+    sample.length = available;
+    sample.data = readDeltaData(bytes, dataOffset, available, frameSize);
+    dataOffset += declared * frameSize;
+
+    if (sample.loopLength > 0 && sample.loopStart + sample.loopLength > sample.length) {
+      sample.loopLength = Math.max(0, sample.length - sample.loopStart);
+    }
+    if (sample.pingPong && sample.loopLength > 0) {
+      warnings.push(`Sample ${sample.index}: ping-pong loop plays forward`);
+    }
+    delete sample.bits;
+    samples.push(sample);
+    instrument.samples.push(sample.index);
+  }
+  return { instrument, end: dataOffset };
+}
+
+/**
+ * Sample header (lengths and loop points in bytes, converted to frames)
+ */
+function readSampleHeader(bytes, offset, index, instrument) {
+  const type = bytes[offset + 14];
+  const frameSize = type & SAMPLE_16BIT ? 2 : 1;
+  const loopType = type & 0x03;
+  const loopLength = Math.floor(dword(bytes, offset + 8) / frameSize);
+  const looping = (loopType === SAMPLE_LOOP_FORWARD || loopType === SAMPLE_LOOP_PINGPONG) && loopLength > 0;
+  return {
+    index,
+    instrument,
+    name: readText(bytes, offset + 18, 22),
+    length: Math.floor(dword(bytes, offset) / frameSize),
+    volume: Math.min(bytes[offset + 12], 64),
+    finetune: (bytes[offset + 13] << 24) >> 24,
+    panning: bytes[offset + 15],
+    relativeNote: (bytes[offset + 16] << 24) >> 24,
+    loopStart: looping ? Math.floor(dword(bytes, offset + 4) / frameSize) : 0,
+    loopLength: looping ? loopLength : 0,
+    pingPong: looping && loopType === SAMPLE_LOOP_PINGPONG,
+    bits: frameSize * 8
+  };
+}
+
+/**
+ * Delta-encoded sample data (each value is the difference to the previous one)
+ */
+function readDeltaData(bytes, offset, length, frameSize) {
+  let value = 0;
+  if (frameSize === 2) {
+    return Int16Array.from({ length }, (_, i) => {
+      value = (value + (bytes[offset + i * 2] | (bytes[offset + i * 2 + 1] << 8))) & 0xFFFF;
+      return (value << 16) >> 16;
+    });
+  }
+  return Int8Array.from(bytes.subarray(offset, offset + length), delta => {
+    value = (value + delta) & 0xFF;
+    return (value << 24) >> 24;
+  });
+}
+
+/**
+ * Envelope points (tick, value words) and settings, null if it's off
+ */
+function readEnvelope(bytes, offset, count, [sustain, loopStart, loopEnd], type) {
+  if (!(type & ENVELOPE_ON) || count < 1) {
+    return null;
+  }
+  const points = [];
+  for (let i = 0; i < Math.min(count, ENVELOPE_POINTS); i++) {
+    points.push({ tick: word(bytes, offset + i * 4), value: Math.min(word(bytes, offset + i * 4 + 2), 64) });
+  }
+  const point = (flag, value) => ((type & flag) && value < points.length ? value : null);
+  const looping = point(ENVELOPE_LOOP, loopStart) !== null && point(ENVELOPE_LOOP, loopEnd) !== null && loopEnd >= loopStart;
+  return {
+    points,
+    sustain: point(ENVELOPE_SUSTAIN, sustain),
+    loopStart: looping ? loopStart : null,
+    loopEnd: looping ? loopEnd : null
+  };
+}
+
+function emptyCell() {
+  return { note: 0, instrument: 0, volume: 0, effect: 0, param: 0 };
+}
+
+function word(bytes, offset) {
+  return bytes[offset] | (bytes[offset + 1] << 8);
+}
+
+function dword(bytes, offset) {
+  return word(bytes, offset) + word(bytes, offset + 2) * 0x10000;
+}
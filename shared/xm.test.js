@@ -0,0 +1,215 @@
+/**
+ * Unit tests for XM reading and import, and module format detection
+ */
+
+import { NOTE_KEY_OFF, parseXm, xmSampleRate } from './xm.js';
+import { LINEAR_SLIDE_SCALE, xmToSong } from './xm-import.js';
+import { moduleToSong, parseModule } from './module-import.js';
+
+/**
+ * A FastTracker 2 module with the given patterns ({ rows, cells:
+ * { 'row,channel': [note, instrument, volume, effect, param] } }) and
+ * instruments ({ name, keymap: sample of notes 1-96, volumeEnvelope,
+ * panningEnvelope, fadeout, samples: [{ name, volume, finetune, panning,
+ * relativeNote, loopStart, loopLength, loopType, bits, data }] })
+ */
+function buildXm({ title = 'Test', channels = 2, linear = true, speed = 6, bpm = 125, order = [0], patterns = [{}], instruments = [] }) {
+  const bytes = [...text('Extended Module: ', 17), ...text(title, 20), 0x1A, ...text('Test tracker', 20), ...word(0x0104),
+    ...dword(276), ...word(order.length), ...word(0), ...word(channels), ...word(patterns.length), ...word(instruments.length),
+    ...word(linear ? 1 : 0), ...word(speed), ...word(bpm), ...order, ...new Array(256 - order.length).fill(0)];
+
+  for (const { rows = 64, cells = {} } of patterns) {
+    const data = [];
+    for (let row = 0; row < rows; row++) {
+      for (let channel = 0; channel < channels; channel++) {
+        const cell = cells[`${row},${channel}`];
+        if (!cell) {
+          data.push(0x80);
+        } else if (cell.length === 5 && cell.every(Boolean)) {
+          data.push(...cell); // Unpacked: all five bytes
+        } else {
+          const fields = cell.map((value, i) => (value ? 1 << i : 0)).reduce((a, b) => a | b, 0);
+          data.push(0x80 | fields, ...cell.filter(Boolean));
+        }
+      }
+    }
+    bytes.push(...dword(9), 0, ...word(rows), ...word(data.length), ...data);
+  }
+
+  for (const instrument of instruments) {
+    const samples = instrument.samples || [];
+    const header = [...dword(samples.length ? 263 : 29), ...text(instrument.name || '', 22), 0, ...word(samples.length)];
+    if (samples.length) {
+      const volume = envelope(instrument.volumeEnvelope);
+      const panning = envelope(instrument.panningEnvelope);
+      header.push(...dword(40), ...Array.from({ length: 96 }, (_, note) => instrument.keymap?.[note] || 0),
+        ...volume.points, ...panning.points, volume.count, panning.count, ...volume.settings, ...panning.settings,
+        volume.type, panning.type, 0, 0, instrument.vibratoDepth || 0, 0, ...word(instrument.fadeout || 0), ...new Array(22).fill(0));
+    }
+    bytes.push(...header);
+    for (const sample of samples) {
+      const frameSize = sample.bits === 16 ? 2 : 1;
+      bytes.push(...dword(sample.data.length * frameSize), ...dword((sample.loopStart || 0) * frameSize),
+        ...dword((sample.loopLength || 0) * frameSize), sample.volume ?? 64, (sample.finetune || 0) & 0xFF,
+        (sample.loopType || 0) | (frameSize === 2 ? 0x10 : 0), sample.panning ?? 128, (sample.relativeNote || 0) & 0xFF, 0,
+        ...text(sample.name || '', 22));
+    }
+    for (const sample of samples) {
+      let previous = 0;
+      for (const value of sample.data) {
+        bytes.push(...(sample.bits === 16 ? word(value - previous) : [(value - previous) & 0xFF]));
+        previous = value;
+      }
+    }
+  }
+  return new Uint8Array(bytes);
+}
+
+/**
+ * Envelope bytes: 12 points, count, sustain/loop start/loop end, type
+ */
+function envelope({ points = [], sustain, loopStart, loopEnd } = {}) {
+  const type = (points.length ? 1 : 0) | (sustain !== undefined ? 2 : 0) | (loopStart !== undefined ? 4 : 0);
+  return {
+    points: Array.from({ length: 12 }, (_, i) => [...word(points[i]?.[0] || 0), ...word(points[i]?.[1] || 0)]).flat(),
+    count: points.length,
+    settings: [sustain || 0, loopStart || 0, loopEnd || 0],
+    type
+  };
+}
+
+function text(value, length) {
+  return Array.from({ length }, (_, i) => (i < value.length ? value.charCodeAt(i) : 0));
+}
+
+function word(value) {
+  return [value & 0xFF, (value >> 8) & 0xFF];
+}
+
+function dword(value) {
+  return [...word(value & 0xFFFF), ...word(value >>> 16)];
+}
+
+const SQUARE = { name: 'square', volume: 48, data: [100, 100, -100, -100, 100, 100, -100, -100] };
+
+// Piano: two samples split at C-4 (note 49), a volume envelope with sustain and a fadeout
+const PIANO = {
+  name: 'piano',
+  keymap: Array.from({ length: 96 }, (_, note) => (note < 48 ? 0 : 1)),
+  volumeEnvelope: { points: [[0, 64], [10, 32], [20, 0]], sustain: 1 },
+  fadeout: 1024,
+  samples: [
+    { ...SQUARE, name: 'low', relativeNote: 12, panning: 64 },
+    { name: 'high', volume: 32, finetune: -128, bits: 16, loopStart: 1, loopLength: 2, loopType: 2, data: [1000, -1000, 2000, -2000] }
+  ]
+};
+
+describe('xm', () => {
+  describe('parseXm', () => {
+    test('should read the header, packed patterns and instruments', () => {
+      const module = parseXm(buildXm({
+        title: 'Demo',
+        speed: 4,
+        bpm: 140,
+        order: [1, 0],
+        patterns: [{ rows: 16 }, { rows: 8, cells: { '0,1': [49, 1, 0x30, 0xC, 0x20], '3,0': [NOTE_KEY_OFF, 0, 0, 0, 0] } }],
+        instruments: [PIANO, { name: 'empty' }, { name: 'lead', keymap: [], samples: [SQUARE] }]
+      }));
+
+      expect(module).toMatchObject({ title: 'Demo', format: 'XM', tracker: 'Test tracker', channels: 2, linear: true, speed: 4, bpm: 140 });
+      expect(module.order).toEqual([1, 0]);
+      expect(module.patterns.map(rows => rows.length)).toEqual([16, 8]);
+      expect(module.patterns[1][0][1]).toEqual({ note: 49, instrument: 1, volume: 0x30, effect: 0xC, param: 0x20 });
+      expect(module.patterns[1][3][0]).toEqual({ note: NOTE_KEY_OFF, instrument: 0, volume: 0, effect: 0, param: 0 });
+
+      const [piano, empty, lead] = module.instruments;
+      expect(piano).toMatchObject({ index: 1, name: 'piano', samples: [1, 2], fadeout: 1024, panningEnvelope: null });
+      expect(piano.keymap[47]).toBe(1);
+      expect(piano.keymap[48]).toBe(2);
+      expect(piano.volumeEnvelope).toEqual({
+        points: [{ tick: 0, value: 64 }, { tick: 10, value: 32 }, { tick: 20, value: 0 }], sustain: 1, loopStart: null, loopEnd: null
+      });
+      expect(empty).toMatchObject({ samples: [], volumeEnvelope: null });
+      expect(lead.samples).toEqual([3]);
+
+      expect(module.samples[0]).toMatchObject({ index: 1, instrument: 1, name: 'low', volume: 48, panning: 64, relativeNote: 12, length: 8 });
+      expect(Array.from(module.samples[0].data)).toEqual(SQUARE.data);
+      expect(module.samples[1]).toMatchObject({ finetune: -128, length: 4, loopStart: 1, loopLength: 2, pingPong: true });
+      expect(Array.from(module.samples[1].data)).toEqual([1000, -1000, 2000, -2000]);
+      expect(module.warnings).toEqual(['Sample 2: ping-pong loop plays forward']);
+    });
+
+    test('should reject files that are not XM modules', () => {
+      expect(() => parseXm(new Uint8Array(400))).toThrow('no "Extended Module" signature');
+      expect(() => parseXm(buildXm({ patterns: [{ cells: { '0,0': [49, 1, 0, 0, 0] } }] }).subarray(0, 340))).toThrow('pattern 0 doesn\'t fit');
+    });
+
+    test('should play C-4 at 8363 Hz moved by the finetune', () => {
+      expect(xmSampleRate()).toBe(8363);
+      expect(xmSampleRate(-128) / xmSampleRate()).toBeCloseTo(Math.pow(2, -1 / 12), 9);
+    });
+  });
+
+  describe('xmToSong', () => {
+    test('should pick samples from the keymap and keep envelopes', () => {
+      const song = xmToSong(parseXm(buildXm({
+        patterns: [{
+          cells: {
+            '0,0': [37, 1, 0, 0, 0], // C-3: low sample
+            '0,1': [61, 1, 0x20, 0, 0], // C-5: high sample, volume column 16
+            '1,0': [NOTE_KEY_OFF, 0, 0, 0, 0],
+            '2,0': [49, 0, 0xC4, 0, 0], // Pan from the volume column
+            '2,1': [50, 0, 0, 0x8, 0xFF]
+          }
+        }],
+        instruments: [PIANO]
+      })), { prefix: 'T' });
+
+      expect(song).toMatchObject({ name: 'Test', bpm: 125, speed: 6, rowsPerBeat: 4, tuning: null, order: ['p00'] });
+      expect(song.samples.map(({ id, index, instrument, baseNote }) => ({ id, index, instrument, baseNote }))).toEqual([
+        { id: 'T-01-01', index: 1, instrument: 1, baseNote: 'C-3' },
+        { id: 'T-01-02', index: 2, instrument: 1, baseNote: 'C-5' } // 7894 Hz at C-4 is 15788 Hz at C-5
+      ]);
+      expect(song.samples[1].sampleRate).toBeCloseTo(xmSampleRate(-128) * 2, 6);
+      expect(song.samples[0]).toMatchObject({ fadeout: 1024, volumeEnvelope: { sustain: 1 }, panningEnvelope: null });
+      expect(song.instruments).toEqual([
+        { index: 1, name: 'piano', keymap: [{ from: 'C-0', to: 'B-3', sample: 'T-01-01' }, { from: 'C-4', to: 'B-7', sample: 'T-01-02' }] }
+      ]);
+
+      const rows = song.patterns.p00;
+      expect(rows[0]).toEqual([{ sample: 'T-01-01', note: 'C-3', volume: 48, pan: 64 }, { sample: 'T-01-02', note: 'C-5', volume: 16, pan: 128 }]);
+      expect(rows[1][0]).toEqual({ note: '===' });
+      expect(rows[2]).toEqual([{ sample: 'T-01-02', note: 'C-4', volume: 48, pan: 68 }, { sample: 'T-01-02', note: 'C#-4', volume: 16, pan: 255 }]);
+    });
+
+    test('should rescale linear slides and convert or drop extra effects', () => {
+      const cells = {
+        '0,0': [0, 0, 0, 0x1, 0x10],
+        '1,0': [0, 0, 0, 0x1, 0x00],
+        '2,0': [0, 0, 0xF2, 0, 0], // Tone portamento 20 from the volume column
+        '3,0': [0, 0, 0, 27, 0x03],
+        '4,0': [0, 0, 0, 20, 0x00],
+        '5,0': [0, 0, 0, 16, 0x20]
+      };
+      const song = xmToSong(parseXm(buildXm({ patterns: [{ cells }], instruments: [PIANO] })));
+      const amiga = xmToSong(parseXm(buildXm({ linear: false, patterns: [{ cells }], instruments: [PIANO] })));
+      const effects = (rows) => rows.slice(0, 6).map(row => row[0]?.effect ?? row[0]?.note);
+
+      const slide = (value) => Math.round(value * LINEAR_SLIDE_SCALE).toString(16).toUpperCase();
+      expect(effects(song.patterns.p00)).toEqual([`1${slide(0x10)}`, `1${slide(0x10)}`, `3${slide(0x20)}`, 'E93', '===', undefined]);
+      expect(effects(amiga.patterns.p00)).toEqual(['110', '110', '320', 'E93', '===', undefined]);
+      expect(song.warnings).toEqual(['Sample 2: ping-pong loop plays forward', 'Effect Gxx (global volume): dropped on 1 step']);
+    });
+  });
+
+  describe('parseModule', () => {
+    test('should detect the format and convert with its import', () => {
+      const module = parseModule(buildXm({ instruments: [PIANO] }));
+
+      expect(module.type).toBe('xm');
+      expect(moduleToSong(module, { prefix: 'P' }).samples.map(sample => sample.id)).toEqual(['P-01-01', 'P-01-02']);
+      expect(() => parseModule(new Uint8Array(100))).toThrow('Not a ProTracker module');
+      expect(() => moduleToSong({ type: 'it' })).toThrow('Unknown module type: it');
+    });
+  });
+});
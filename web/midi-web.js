@@ -1,12 +1,11 @@
 // Web MIDI API integration for NoiseCanvas
 // Handles MIDI device connection and note mapping
 
-// Convert MIDI note number to musical notation (e.g., 60 -> C-4)
+import { midiToNote } from '../shared/notes.js';
+
+// Convert MIDI note number to musical notation (e.g., 60 -> C-4, 0 -> C--1)
 export function midiNoteToName(noteNumber) {
-  const noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-  const octave = Math.floor(noteNumber / 12) - 1;
-  const noteIndex = noteNumber % 12;
-  return `${noteNames[noteIndex]}-${octave}`;
+  return midiToNote(noteNumber);
 }
 
 // General MIDI drum map (note number -> sample name)
@@ -14,6 +14,12 @@
  */
 
 import WebAudioSampler from './sampler-web.js';
+import { registerModuleSamples } from './mod-loader.js';
+import { musicalBpmToTempo } from '../shared/meter.js';
+import { parseModule } from '../shared/module-import.js';
+
+// How often the current row of server plays is reported back
+const POSITION_REPORT_INTERVAL_MS = 1000;
 
 export class NoiseCanvasClient {
   constructor() {
@@ -21,18 +27,31 @@ export class NoiseCanvasClient {
     this.audioContext = null;
     this.isInitialized = false;
     this.pollInterval = null;
+    this.eventSource = null;
     this.lastPlayId = null;
+    this.session = 'default';
+    this.reportedPlays = new Set(); // Server plays whose position we report
+    this.positionInterval = null;
+    this.pendingPlays = new Set(); // Server plays received but not started yet (a stop cancels them)
+    this.playQueue = Promise.resolve(); // Starts server plays one after another, in arrival order
+    this.samplesLoading = null; // Running loadSamples() (concurrent callers share it)
   }
 
   /**
    * Initialize the audio system
    * Must be called from user interaction (browser autoplay policy)
+   *
+   * @param {object} options - Client options
+   * @param {string} options.session - Session to join (default: 'default').
+   *   Only plays sent to this session are heard by this client.
    */
-  async init() {
+  async init(options = {}) {
     if (this.isInitialized) {
       return;
     }
 
+    this.session = options.session || 'default';
+
     // Create AudioContext and sampler
     this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
     this.sampler = new WebAudioSampler(this.audioContext);
@@ -45,20 +64,41 @@ export class NoiseCanvasClient {
 
     this.isInitialized = true;
 
-    console.log('[NoiseCanvas Client] Initialized and ready');
+    console.log(`[NoiseCanvas Client] Initialized and ready (session: ${this.session})`);
   }
 
   /**
-   * Load samples from server
+   * Load samples from server (samples already loaded are skipped, so this
+   * also picks up samples added since, e.g. an imported module's)
+   * A call while samples are loading waits for that load instead of starting another.
    */
-  async loadSamples() {
+  loadSamples() {
+    if (!this.samplesLoading) {
+      this.samplesLoading = this.fetchSamples().finally(() => {
+        this.samplesLoading = null;
+      });
+    }
+    return this.samplesLoading;
+  }
+
+  /**
+   * Fetch and decode the samples this client doesn't have yet (see loadSamples)
+   */
+  async fetchSamples() {
     try {
       const response = await fetch('/api/samples');
       const data = await response.json();
 
       if (data.success) {
+        const missing = data.samples.filter(sample => !this.sampler.hasSample(sample.name));
+        const modules = new Map(); // Module file → its samples
+
         // Load each sample
-        for (const sample of data.samples) {
+        for (const sample of missing) {
+          if (sample.module) {
+            modules.set(sample.path, [...(modules.get(sample.path) || []), sample]);
+            continue;
+          }
           console.log(`[NoiseCanvas Client] Loading sample: ${sample.name}`);
 
           // Use relative URL (works with hybrid server on same origin)
@@ -70,7 +110,28 @@ export class NoiseCanvasClient {
             loopLength: sample.loopLength,
           });
         }
-        console.log(`[NoiseCanvas Client] Loaded ${data.samples.length} samples`);
+
+        // Module samples: fetch each module once and extract its samples
+        for (const [url, samples] of modules) {
+          console.log(`[NoiseCanvas Client] Loading module: ${url}`);
+          const moduleResponse = await fetch(url);
+          if (!moduleResponse.ok) {
+            throw new Error(`Failed to fetch ${url}: ${moduleResponse.statusText}`);
+          }
+          const module = parseModule(new Uint8Array(await moduleResponse.arrayBuffer()));
+          await registerModuleSamples(this.sampler, module, samples.map(sample => ({
+            id: sample.name,
+            index: sample.module.index,
+            baseNote: sample.baseNote,
+            sampleRate: sample.sampleRate,
+            loopStart: sample.loopStart,
+            loopLength: sample.loopLength,
+            volumeEnvelope: sample.volumeEnvelope,
+            panningEnvelope: sample.panningEnvelope,
+            fadeout: sample.fadeout
+          })));
+        }
+        console.log(`[NoiseCanvas Client] Loaded ${missing.length} samples`);
       }
     } catch (error) {
       console.error('[NoiseCanvas Client] Failed to load samples:', error);
@@ -78,6 +139,21 @@ export class NoiseCanvasClient {
     }
   }
 
+  /**
+   * Load the samples a play uses that this client doesn't have yet
+   * (added on the server after init)
+   *
+   * @param {object} play - Play data ({ pattern or song })
+   */
+  async loadMissingSamples(play) {
+    const patterns = play.song ? play.song.patterns : [play.pattern || []];
+    const missing = patterns.some(rows => rows.some(row =>
+      (Array.isArray(row) ? row : [row]).some(step => step && step.sample && !this.sampler.hasSample(step.sample))));
+    if (missing) {
+      await this.loadSamples();
+    }
+  }
+
   /**
    * Play notes directly (for testing)
    *
@@ -89,7 +165,7 @@ export class NoiseCanvasClient {
       throw new Error('NoiseCanvas Client not initialized. Call init() first.');
     }
 
-    const { bpm = 120, instrument = 'ST-01', volume = 64 } = options;
+    const { bpm = 120, instrument = 'ST-01', volume = 64, rowsPerBeat = 4, timeSignature } = options;
 
     // Convert notes to pattern format
     const pattern = notes.map(note => ({
@@ -99,10 +175,10 @@ export class NoiseCanvasClient {
     }));
 
     // Convert musical BPM to tempo (rows/min)
-    const tempo = bpm * 4;  // 16th note resolution
+    const tempo = musicalBpmToTempo(bpm, rowsPerBeat);
 
     // Play using sampler
-    this.sampler.playPattern(pattern, { tempo });
+    this.sampler.playPattern(pattern, { tempo, rowsPerBeat, timeSignature });
 
     return {
       success: true,
@@ -128,6 +204,7 @@ export class NoiseCanvasClient {
         },
         body: JSON.stringify({
           notes,
+          session: this.session,
           ...options,
         }),
       });
@@ -135,11 +212,12 @@ export class NoiseCanvasClient {
       const result = await response.json();
 
       if (result.success) {
-        // Convert musical BPM to tempo (rows/min)
-        const tempo = result.bpm * 4;  // 16th note resolution
-
-        // Play the pattern locally
-        this.sampler.playPattern(result.pattern, { tempo });
+        // The server returns the tempo (rows/min) already converted with its rowsPerBeat
+        this.sampler.playPattern(result.pattern, {
+          tempo: result.tempo,
+          rowsPerBeat: result.rowsPerBeat,
+          timeSignature: result.timeSignature
+        });
       }
 
       return result;
@@ -149,9 +227,200 @@ export class NoiseCanvasClient {
     }
   }
 
+  /**
+   * Subscribe to pushed play commands (Server-Sent Events)
+   * Every open browser receives every play, unlike polling where the
+   * first poller takes the queue.
+   */
+  subscribe() {
+    if (this.eventSource) {
+      return; // Already subscribed
+    }
+
+    console.log(`[NoiseCanvas Client] Subscribing to session '${this.session}'...`);
+
+    this.eventSource = new EventSource(`/api/events?session=${encodeURIComponent(this.session)}`);
+    this.eventSource.addEventListener('play', (event) => {
+      this.handlePlay(JSON.parse(event.data));
+    });
+
+    // Transport commands (only delivered over the push channel)
+    this.eventSource.addEventListener('stop', (event) => {
+      const { playId } = JSON.parse(event.data);
+      console.log(`[NoiseCanvas Client] Stopping play ${playId}`);
+      this.pendingPlays.delete(playId); // Still loading samples: never starts
+      this.sampler.stopPlay(playId);
+    });
+    this.eventSource.addEventListener('stop-all', () => {
+      console.log('[NoiseCanvas Client] Stopping all plays');
+      this.pendingPlays.clear();
+      this.sampler.stopAll();
+    });
+    this.eventSource.addEventListener('pause', () => {
+      console.log('[NoiseCanvas Client] Paused');
+      this.sampler.pause();
+    });
+    this.eventSource.addEventListener('resume', () => {
+      console.log('[NoiseCanvas Client] Resumed');
+      this.sampler.resume();
+    });
+    this.eventSource.onerror = () => {
+      // EventSource reconnects by itself; just note it
+      console.warn('[NoiseCanvas Client] Event stream interrupted, reconnecting...');
+    };
+  }
+
+  /**
+   * Close the event stream
+   */
+  unsubscribe() {
+    if (this.eventSource) {
+      this.eventSource.close();
+      this.eventSource = null;
+      console.log('[NoiseCanvas Client] Unsubscribed from events');
+    }
+  }
+
+  /**
+   * Play a play command received from the server (push or poll)
+   *
+   * Plays start in the order they arrive: one that loads samples first holds
+   * back the ones after it, so a later slot swap can't overtake an earlier one.
+   * A stop that arrives in the meantime cancels the play before it starts.
+   *
+   * @param {object} play - Play data ({ playId, pattern or song, tempo, speed, repeat })
+   * @returns {Promise} Resolves once the play started (or was cancelled)
+   */
+  handlePlay(play) {
+    // Log different message based on whether it's notes or pattern
+    if (play.song) {
+      console.log(`[NoiseCanvas Client] Playing song${play.songId ? ` '${play.songId}'` : ''}: ${play.song.order.length} patterns at ${play.tempo} rows/min`);
+    } else if (play.slot) {
+      console.log(`[NoiseCanvas Client] Slot '${play.slot}': ${play.pattern.length} rows at ${play.tempo} rows/min`);
+    } else if (play.notes) {
+      console.log(`[NoiseCanvas Client] Playing notes: ${play.notes.map(n => typeof n === 'string' ? n : n.note).join(', ')} at ${play.tempo} rows/min`);
+    } else {
+      console.log(`[NoiseCanvas Client] Playing pattern: ${play.pattern.length} rows at ${play.tempo} rows/min`);
+    }
+
+    this.reportStatus(play.playId, { event: 'received' });
+    this.pendingPlays.add(play.playId);
+
+    this.playQueue = this.playQueue
+      .then(() => this.startPlay(play))
+      .catch(error => console.error(`[NoiseCanvas Client] Failed to start play ${play.playId}:`, error));
+    return this.playQueue;
+  }
+
+  /**
+   * Start a received play once its samples are loaded (see handlePlay)
+   *
+   * @param {object} play - Play data
+   */
+  async startPlay(play) {
+    try {
+      await this.loadMissingSamples(play);
+    } catch (error) {
+      // Play anyway: steps of samples that failed to load are skipped
+      console.warn('[NoiseCanvas Client] Failed to load samples of the play:', error.message);
+    }
+
+    if (!this.pendingPlays.delete(play.playId)) {
+      console.log(`[NoiseCanvas Client] Play ${play.playId} was stopped before it started`);
+      return;
+    }
+
+    // Pass through all playback options (tempo, speed, repeat)
+    // The server's playId lets stop commands find this play
+    const options = {
+      playId: play.playId,
+      tempo: play.tempo,
+      speed: play.speed,
+      repeat: play.loop ? Infinity : play.repeat,  // JSON has no Infinity
+      slot: play.slot,
+      quantize: play.quantize,
+      rowsPerBar: play.rowsPerBar,
+      rowsPerBeat: play.rowsPerBeat,
+      timeSignature: play.timeSignature,
+      groove: play.groove,
+      humanize: play.humanize,
+      tuning: play.tuning,
+      seed: play.seed,
+      fill: play.fill,
+      onStart: (audioTime) => this.reportStatus(play.playId, {
+        event: 'started',
+        startedAt: this.audioTimeToWallClock(audioTime)
+      }),
+      onEnd: () => {
+        this.reportedPlays.delete(play.playId);
+        this.reportStatus(play.playId, { event: 'finished' });
+      }
+    };
+    if (play.song) {
+      this.sampler.playSong(play.song, options);
+    } else {
+      this.sampler.playPattern(play.pattern, options);
+    }
+    this.lastPlayId = play.playId;
+
+    this.reportedPlays.add(play.playId);
+    this.startPositionReports();
+  }
+
+  /**
+   * Convert AudioContext time (seconds) to wall clock time (ms since epoch)
+   */
+  audioTimeToWallClock(audioTime) {
+    return Date.now() + (audioTime - this.audioContext.currentTime) * 1000;
+  }
+
+  /**
+   * Report play lifecycle to the server (so GET /api/plays/:id knows what was heard)
+   * Failures are only logged - reporting must never interrupt playback.
+   *
+   * @param {string} playId - Play ID
+   * @param {object} report - { event, startedAt, row, repeat, order }
+   */
+  async reportStatus(playId, report) {
+    try {
+      await fetch(`/api/plays/${encodeURIComponent(playId)}/status`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(report),
+      });
+    } catch (error) {
+      console.warn(`[NoiseCanvas Client] Failed to report ${report.event} for ${playId}:`, error.message);
+    }
+  }
+
+  /**
+   * Periodically report the current row of running server plays
+   */
+  startPositionReports() {
+    if (this.positionInterval) {
+      return;
+    }
+
+    this.positionInterval = setInterval(() => {
+      for (const playId of this.reportedPlays) {
+        const position = this.sampler.getPlayPosition(playId);
+        if (!position) {
+          this.reportedPlays.delete(playId); // Stopped or finished
+        } else if (position.started) {
+          this.reportStatus(playId, { event: 'position', row: position.row, repeat: position.repeat, order: position.order });
+        }
+      }
+
+      if (this.reportedPlays.size === 0) {
+        clearInterval(this.positionInterval);
+        this.positionInterval = null;
+      }
+    }, POSITION_REPORT_INTERVAL_MS);
+  }
+
   /**
    * Start polling server for play commands
-   * (Alternative to WebSocket for simpler architecture)
+   * (Fallback for environments without EventSource; prefer subscribe())
    */
   startPolling(intervalMs = 500) {
     if (this.pollInterval) {
@@ -163,7 +432,7 @@ export class NoiseCanvasClient {
     this.pollInterval = setInterval(async () => {
       try {
         // Poll for new play commands
-        const response = await fetch('/api/pending-plays');
+        const response = await fetch(`/api/pending-plays?session=${encodeURIComponent(this.session)}`);
         const data = await response.json();
 
         if (data.success && data.plays && data.plays.length > 0) {
@@ -171,20 +440,7 @@ export class NoiseCanvasClient {
 
           // Play each pending pattern
           for (const play of data.plays) {
-            // Log different message based on whether it's notes or pattern
-            if (play.notes) {
-              console.log(`[NoiseCanvas Client] Playing notes: ${play.notes.map(n => typeof n === 'string' ? n : n.note).join(', ')} at ${play.tempo} rows/min`);
-            } else {
-              console.log(`[NoiseCanvas Client] Playing pattern: ${play.pattern.length} rows at ${play.tempo} rows/min`);
-            }
-
-            // Pass through all playback options (tempo, speed, repeat)
-            const options = {
-              tempo: play.tempo,
-              speed: play.speed,
-              repeat: play.repeat
-            };
-            this.sampler.playPattern(play.pattern, options);
+            this.handlePlay(play);
           }
         }
       } catch (error) {
@@ -208,7 +464,11 @@ export class NoiseCanvasClient {
    * Cleanup
    */
   async destroy() {
+    this.unsubscribe();
     this.stopPolling();
+    this.pendingPlays.clear();
+    clearInterval(this.positionInterval);
+    this.positionInterval = null;
     if (this.sampler) {
       await this.sampler.close();
     }
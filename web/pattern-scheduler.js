@@ -0,0 +1,640 @@
+/**
+ * PatternScheduler: Rolling lookahead scheduler for pattern playback
+ *
+ * "Two clocks" approach:
+ * - A JavaScript timer wakes up every TIMER_INTERVAL_MS (imprecise)
+ * - Each wake-up schedules the rows that fall inside the next LOOKAHEAD_SECONDS
+ *   of the AudioContext clock with source.start(time) (sample-accurate)
+ *
+ * Only a few rows exist as audio nodes at any moment, so patterns can loop
+ * forever, long songs don't create thousands of nodes up front, and tempo or
+ * pattern changes apply from the next unscheduled row on.
+ *
+ * Effects: each step may carry a tracker effect ("A0F", "037", ... see
+ * shared/tracker-effects.js). The scheduler keeps effect state per channel
+ * (step index in the row) and the sampler turns the tick changes into
+ * AudioParam automation.
+ *
+ * Tempo: Fxx effects and song tempo ramps change tempo/speed from one row to
+ * the next. Row times are accumulated row by row, so note times and play
+ * positions follow the changing tempo.
+ *
+ * Groove: a play's groove table (see shared/groove.js) moves each row off the
+ * grid by a fraction of a row and scales its velocity. The grid itself stays
+ * put, so swing never drifts and the next row is timed from the grid. Rows a
+ * groove moves ahead of the grid are scheduled that much earlier.
+ * Humanize (shared/humanize.js) then adds seeded per-channel jitter and
+ * push/drag on top of the groove and the step's delay ticks (pushed steps
+ * are scheduled early too).
+ *
+ * Tuning: a play's tuning (see shared/tuning.js) sets the pitch of every
+ * note it starts; without one notes are 12-EDO at A-4 = 440 Hz.
+ *
+ * Trig conditions: steps with probability, every or condition (see
+ * shared/trig-conditions.js) are only scheduled on the loop passes they fire
+ * on; the play's seed makes probability reproducible.
+ *
+ * Songs: a play can walk an order list of patterns (like a MOD order table).
+ * The next pattern's first row follows the previous pattern's last row on the
+ * same clock, so there is no gap between patterns.
+ *
+ * Slots (live coding): a play started with `slot: 'drums'` while another play
+ * loops in that slot doesn't stack on top - it replaces the running loop at
+ * the next bar or pattern boundary.
+ */
+
+import {
+  NOTE_CUT,
+  NOTE_OFF,
+  applyTempoEffect,
+  createChannelState,
+  parseEffect,
+  rampTempo,
+  ratioToPeriod,
+  renderRowEffect,
+  sampleOffsetFrames
+} from '../shared/tracker-effects.js';
+import { createMeter } from '../shared/meter.js';
+import { grooveAt, grooveLead } from '../shared/groove.js';
+import { humanizeLead, humanizeStep } from '../shared/humanize.js';
+import { trigFires } from '../shared/trig-conditions.js';
+
+// How far ahead of ctx.currentTime rows are scheduled (seconds)
+const LOOKAHEAD_SECONDS = 0.1;
+
+// How often the scheduler wakes up (must be well below the lookahead)
+const TIMER_INTERVAL_MS = 25;
+
+// Delay before the first row so it is never scheduled in the past
+const START_OFFSET_SECONDS = 0.1;
+
+// Fade of a note replaced by the next note on its channel (avoids clicks)
+const VOICE_STEAL_FADE_SECONDS = 0.005;
+
+// Fade of a note ended by a note off ("===")
+const NOTE_OFF_FADE_SECONDS = 0.05;
+
+export class PatternScheduler {
+  /**
+   * @param {WebAudioSampler} sampler - Sampler that turns steps into sound
+   */
+  constructor(sampler) {
+    this.sampler = sampler;
+    this.ctx = sampler.ctx;
+    this.plays = new Map(); // playId -> play state
+    this.timer = null;
+  }
+
+  /**
+   * Start a play
+   *
+   * @param {string} playId - Play ID
+   * @param {Array} pattern - Pattern data (array of rows)
+   * @param {object} options - { tempo, speed, repeat (Infinity = loop forever), onStart, onEnd }
+   * @param {number} options.rowsPerBeat - Rows per beat (default 4; Fxx and tempo ramps convert BPM with it)
+   * @param {string} options.timeSignature - Time signature (default '4/4')
+   * @param {object} options.groove - Groove { name, steps: [{ offset, velocity }] } (default: straight)
+   * @param {object} options.humanize - Humanize settings with seed (default: none)
+   * @param {object} options.tuning - Resolved tuning (default: 12-EDO, A-4 = 440 Hz)
+   * @param {number} options.seed - Seed of probability trig conditions (default: random)
+   * @param {boolean} options.fill - Play 'fill' trig conditions (default: false)
+   * @param {string} options.slot - Slot name: replace the slot's running play instead of stacking
+   * @param {string} options.quantize - Slot swap point: 'bar' (default) or 'pattern'
+   * @param {number} options.rowsPerBar - Rows per bar for 'bar' quantize (default: from the time signature)
+   */
+  start(playId, pattern, options = {}) {
+    if (this.plays.has(playId)) {
+      this.stop(playId);
+    }
+
+    const running = options.slot ? this.findSlotPlay(options.slot) : null;
+    if (running) {
+      this.queueSwap(running, playId, pattern, options);
+      return;
+    }
+
+    this.startSong(playId, { patterns: [pattern], order: [0] }, options);
+  }
+
+  /**
+   * Start a play that walks an order list of patterns
+   *
+   * @param {string} playId - Play ID
+   * @param {object} song - { patterns: [rows], order: [index into patterns], tempoRamps }
+   * @param {Array<object>} song.tempoRamps - Optional [{ startRow, endRow, bpm, curve }], rows counted from the start of the order list
+   * @param {object} options - { tempo, speed, repeat (times through the order list), onStart, onEnd }
+   */
+  startSong(playId, song, options = {}) {
+    if (this.plays.has(playId)) {
+      this.stop(playId);
+    }
+
+    const startTime = this.ctx.currentTime + START_OFFSET_SECONDS;
+    const meter = createMeter(options);
+    const play = {
+      id: playId,
+      slot: options.slot || null,
+      quantize: options.quantize || 'bar',
+      rowsPerBar: options.rowsPerBar || meter.rowsPerBar,
+      pendingSwap: null,
+      absoluteRow: 0, // Rows played since start (the loop grid for 'bar' swaps)
+      patterns: song.patterns,
+      order: song.order,
+      orderIndex: 0, // Position in the order list
+      pattern: song.patterns[song.order[0]], // Pattern at orderIndex
+      tempo: options.tempo || 480, // Default: 120 BPM × 4 = 480 rows/min
+      speed: options.speed || 6,
+      rowsPerBeat: meter.rowsPerBeat, // Musical BPM → rows per minute (Fxx tempo, ramps)
+      groove: options.groove || null, // { name, steps } applied per row
+      humanize: options.humanize || null, // { seed, timing, volume, channels } applied per step
+      tuning: options.tuning || null, // Pitch of the notes (see shared/tuning.js)
+      seed: trigSeed(options.seed), // Probability trig conditions
+      fill: options.fill === true, // 'fill' trig conditions play
+      trigResults: [], // Last trig condition result per channel (for 'pre')
+      tempoRamps: song.tempoRamps || [], // [{ startRow, endRow, bpm, curve }] rows of one pass
+      rampStartTempos: [],
+      passRow: 0, // Rows since the start of the current pass through the order list
+      repeat: options.repeat || 1,
+      rowIndex: 0,
+      repeatIndex: 0,
+      nextRowTime: startTime,
+      startTime,
+      endTime: null, // Known once the last row is scheduled
+      sources: new Set(),
+      channels: [], // Effect state per channel (running note, slides, effect memory)
+      rowLog: [], // { time, row, repeat, order } of scheduled rows (for position)
+      onEnd: options.onEnd
+    };
+    // Rows ahead of the grid must not fall before the start
+    play.startTime = play.nextRowTime = startTime + leadTime(play);
+    this.plays.set(playId, play);
+
+    this.scheduleAhead(play);
+    this.ensureTimer();
+
+    if (options.onStart) {
+      options.onStart(play.startTime);
+    }
+  }
+
+  /**
+   * Find the play currently running in a slot
+   */
+  findSlotPlay(slot) {
+    for (const play of this.plays.values()) {
+      if (play.slot === slot) {
+        return play;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Replace a running slot play at its next boundary
+   * A newer swap replaces a swap that hasn't happened yet (latest wins).
+   */
+  queueSwap(play, playId, pattern, options) {
+    const meter = createMeter(options);
+    play.pendingSwap = {
+      playId,
+      pattern,
+      tempo: options.tempo || play.tempo,
+      speed: options.speed || play.speed,
+      repeat: options.repeat || 1,
+      quantize: options.quantize || 'bar',
+      rowsPerBeat: meter.rowsPerBeat,
+      rowsPerBar: options.rowsPerBar || meter.rowsPerBar,
+      groove: options.groove || null,
+      humanize: options.humanize || null,
+      tuning: options.tuning || null,
+      seed: trigSeed(options.seed),
+      fill: options.fill === true,
+      onStart: options.onStart,
+      onEnd: options.onEnd
+    };
+  }
+
+  /**
+   * True if the next row of a play is a swap point for its pending swap
+   */
+  isSwapBoundary(play) {
+    if (play.pendingSwap.quantize === 'pattern') {
+      return play.rowIndex === 0;
+    }
+    return play.absoluteRow % play.pendingSwap.rowsPerBar === 0;
+  }
+
+  /**
+   * Hand a running play over to its pending swap
+   * The old play ends here; the new one continues on the same clock, so the
+   * beat never drifts. With 'bar' quantize the new pattern joins at the
+   * position the loop grid is at (patterns stay aligned to the downbeat).
+   */
+  applySwap(play) {
+    const swap = play.pendingSwap;
+    play.pendingSwap = null;
+
+    this.plays.delete(play.id);
+    if (play.onEnd) {
+      play.onEnd();
+    }
+
+    play.id = swap.playId;
+    play.pattern = swap.pattern;
+    play.tempo = swap.tempo;
+    play.speed = swap.speed;
+    play.repeat = swap.repeat;
+    play.quantize = swap.quantize;
+    play.rowsPerBeat = swap.rowsPerBeat;
+    play.groove = swap.groove;
+    play.humanize = swap.humanize;
+    play.tuning = swap.tuning;
+    play.seed = swap.seed;
+    play.fill = swap.fill;
+    play.trigResults = [];
+    play.rowsPerBar = swap.rowsPerBar;
+    play.onEnd = swap.onEnd;
+    play.patterns = [swap.pattern];
+    play.order = [0];
+    play.orderIndex = 0;
+    play.tempoRamps = [];
+    play.rowIndex = swap.quantize === 'bar' ? play.absoluteRow % swap.pattern.length : 0;
+    play.repeatIndex = 0;
+    this.plays.set(play.id, play);
+
+    if (swap.onStart) {
+      swap.onStart(play.nextRowTime);
+    }
+  }
+
+  /**
+   * Change a running play from the next unscheduled row on
+   * Row times are accumulated, so a tempo change keeps the beat continuous.
+   *
+   * @param {string} playId - Play ID
+   * @param {object} changes - { tempo, speed, repeat, pattern, groove (null = straight), humanize (null = off), tuning (null = 12-EDO), fill }
+   * @returns {boolean} True if the play was found
+   */
+  update(playId, changes = {}) {
+    const play = this.plays.get(playId);
+    if (!play) {
+      return false;
+    }
+
+    if (changes.tempo) play.tempo = changes.tempo;
+    if (changes.speed) play.speed = changes.speed;
+    if (changes.repeat) play.repeat = changes.repeat;
+    if (changes.groove !== undefined) play.groove = changes.groove;
+    if (changes.humanize !== undefined) play.humanize = changes.humanize;
+    if (changes.tuning !== undefined) play.tuning = changes.tuning;
+    if (changes.fill !== undefined) play.fill = changes.fill === true;
+    if (changes.pattern) {
+      play.patterns = [changes.pattern];
+      play.order = [0];
+      play.orderIndex = 0;
+      play.tempoRamps = [];
+      play.pattern = changes.pattern;
+      play.rowIndex = play.rowIndex % Math.max(play.pattern.length, 1);
+    }
+    return true;
+  }
+
+  /**
+   * Stop a play: cancels notes not yet started and silences sounding ones
+   * A play still waiting for its slot swap stops the loop that carries it
+   * (the slot falls silent, like it would after the swap).
+   *
+   * @param {string} playId - Play ID
+   * @returns {boolean} True if the play was found
+   */
+  stop(playId) {
+    const play = this.plays.get(playId) || this.findSwapCarrier(playId);
+    if (!play) {
+      return false;
+    }
+
+    for (const source of play.sources) {
+      try {
+        source.stop();
+      } catch (error) {
+        // Already stopped
+      }
+    }
+    play.pendingSwap = null;
+    this.plays.delete(play.id);
+    return true;
+  }
+
+  /**
+   * Find the running play whose pending swap is the given play
+   *
+   * @param {string} playId - Play ID of the pending swap
+   * @returns {object|null} Running play state
+   */
+  findSwapCarrier(playId) {
+    for (const play of this.plays.values()) {
+      if (play.pendingSwap && play.pendingSwap.playId === playId) {
+        return play;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get the current position of a play
+   *
+   * @param {string} playId - Play ID
+   * @returns {object|null} { row, repeat, order, started } or null if not playing
+   */
+  getPosition(playId) {
+    const play = this.plays.get(playId);
+    if (!play) {
+      return null;
+    }
+
+    this.trimRowLog(play);
+    const now = this.ctx.currentTime;
+    const current = play.rowLog[0];
+    if (!current || current.time > now) {
+      return { row: 0, repeat: 0, order: 0, started: false };
+    }
+    return { row: current.row, repeat: current.repeat, order: current.order, started: true };
+  }
+
+  /**
+   * Drop row log entries the clock has passed, keeping the current one
+   */
+  trimRowLog(play) {
+    const now = this.ctx.currentTime;
+    while (play.rowLog.length > 1 && play.rowLog[1].time <= now) {
+      play.rowLog.shift();
+    }
+  }
+
+  /**
+   * Timer callback: schedule every play's upcoming rows, finish ended plays
+   */
+  tick() {
+    for (const play of this.plays.values()) {
+      this.scheduleAhead(play);
+      this.trimRowLog(play);
+
+      if (play.endTime !== null && this.ctx.currentTime >= play.endTime) {
+        this.plays.delete(play.id);
+        if (play.onEnd) {
+          play.onEnd();
+        }
+      }
+    }
+
+    if (this.plays.size === 0) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Schedule all rows of a play that start inside the lookahead window
+   * (widened by how far its rows may start ahead of the grid, so early rows
+   * aren't clamped to "now")
+   */
+  scheduleAhead(play) {
+    const lead = Math.max(leadTime(play), play.pendingSwap ? leadTime(play.pendingSwap) : 0);
+    const horizon = this.ctx.currentTime + LOOKAHEAD_SECONDS + lead;
+
+    while (play.endTime === null && play.nextRowTime < horizon) {
+      this.scheduleRow(play);
+    }
+  }
+
+  /**
+   * Schedule the notes of the next row and advance the play
+   */
+  scheduleRow(play) {
+    if (play.pendingSwap && this.isSwapBoundary(play)) {
+      this.applySwap(play);
+    }
+
+    // Steps whose trig condition doesn't fire on this pass are left out entirely
+    const row = play.pattern[play.rowIndex];
+    const trig = { seed: play.seed, row: play.absoluteRow, pass: play.repeatIndex, fill: play.fill };
+    const steps = (Array.isArray(row) ? row : [row]).map((step, channelIndex) =>
+      (step && trigFires(step, { ...trig, channel: channelIndex }, play.trigResults) ? step : null));
+    const effects = steps.map(step => (step ? readEffect(step) : null));
+
+    // Tempo/speed changes of this row apply before the row is timed
+    this.applyTempoChanges(play, effects);
+
+    const rowDuration = 60 / play.tempo;  // Seconds per row
+    if (!(rowDuration > 0 && Number.isFinite(rowDuration) && play.speed > 0 && Number.isFinite(play.speed))) {
+      // The clock would never move on (like ProTracker's F00, this ends the play)
+      console.warn(`[PatternScheduler] Play ${play.id} ended: invalid tempo ${play.tempo} or speed ${play.speed}`);
+      play.endTime = play.nextRowTime;
+      this.releaseLoopingVoices(play);
+      return;
+    }
+    const groove = grooveAt(play.groove && play.groove.steps, play.absoluteRow);
+    const timing = {
+      // Early enough for the offset (see scheduleAhead); the clamp only catches a groove changed mid-play
+      rowTime: Math.max(play.nextRowTime + groove.offset * rowDuration, this.ctx.currentTime),
+      tickDuration: rowDuration / play.speed,  // Seconds per tick (for effects)
+      velocity: groove.velocity
+    };
+
+    steps.forEach((step, channelIndex) => {
+      if (step) {
+        this.scheduleStep(play, channelIndex, step, effects[channelIndex], timing);
+      }
+    });
+
+    play.rowLog.push({ time: play.nextRowTime, row: play.rowIndex, repeat: play.repeatIndex, order: play.orderIndex });
+    play.nextRowTime += rowDuration;
+    play.rowIndex++;
+    play.absoluteRow++;
+    play.passRow++;
+
+    if (play.rowIndex >= play.pattern.length) {
+      play.rowIndex = 0;
+      play.orderIndex++;
+      if (play.orderIndex >= play.order.length) {
+        play.orderIndex = 0;
+        play.passRow = 0;
+        play.repeatIndex++;
+        if (play.repeatIndex >= play.repeat) {
+          play.endTime = play.nextRowTime;
+          this.releaseLoopingVoices(play);
+        }
+      }
+      play.pattern = play.patterns[play.order[play.orderIndex]];
+    }
+  }
+
+  /**
+   * Apply the row's Fxx effects and the tempo ramp the row is in
+   * (ramps win over Fxx tempo while they run)
+   */
+  applyTempoChanges(play, effects) {
+    for (const effect of effects) {
+      if (effect && effect.command === 'F') {
+        Object.assign(play, applyTempoEffect(play, effect));
+      }
+    }
+
+    play.tempoRamps.forEach((ramp, index) => {
+      if (play.passRow < ramp.startRow || play.passRow > ramp.endRow) {
+        return;
+      }
+      if (play.passRow === ramp.startRow) {
+        play.rampStartTempos[index] = play.tempo;
+      }
+      const fraction = (play.passRow - ramp.startRow) / (ramp.endRow - ramp.startRow);
+      play.tempo = rampTempo(play.rampStartTempos[index], ramp.bpm * play.rowsPerBeat, fraction, ramp.curve);
+    });
+  }
+
+  /**
+   * Schedule one step of a row: start its note, then run its effect on the
+   * channel's running note (steps without a note continue the last one)
+   *
+   * Channels are monophonic like tracker channels: a new note replaces the
+   * running one, note off ("===") and note cut ("^^^") end it. Note off of a
+   * sample with a volume envelope (XM instruments) is a key off: the note
+   * leaves its sustain and fades out.
+   *
+   * @param {object} timing - { rowTime (grooved), tickDuration, velocity (groove volume factor) }
+   */
+  scheduleStep(play, channelIndex, step, effect, { rowTime, tickDuration, velocity }) {
+    if (!play.channels[channelIndex]) {
+      play.channels[channelIndex] = createChannelState();
+    }
+    const channel = play.channels[channelIndex];
+
+    // Check for Note Delay effect (delay in ticks), then humanize on top
+    const delayTicks = (step.delay !== undefined) ? step.delay : 0;
+    const human = humanizeStep(play.humanize, play.absoluteRow, channelIndex);
+    // Early enough for the offset (see scheduleAhead); the clamp only catches humanize changed mid-play
+    const noteTime = Math.max(rowTime + delayTicks * tickDuration + human.offset, this.ctx.currentTime);
+
+    if (step.note === NOTE_OFF && channel.voice && channel.voice.sample.volumeEnvelope) {
+      // Key off of an instrument with envelopes: the note fades out and stays the channel's
+      this.sampler.keyOffVoice(channel.voice, noteTime);
+      return;
+    }
+    if (step.note === NOTE_OFF || step.note === NOTE_CUT) {
+      if (channel.voice) {
+        this.sampler.releaseVoice(channel.voice, noteTime, step.note === NOTE_OFF ? NOTE_OFF_FADE_SECONDS : 0);
+        channel.voice = null;
+      }
+      return;
+    }
+
+    if (step.sample) {
+      let ratio;
+      try {
+        ratio = this.sampler.pitchRatio(step, play.tuning);
+      } catch (error) {
+        // Invalid note: skip the step (like invalid effects), the rest of the row plays
+        console.warn(`[PatternScheduler] Row ${play.rowIndex}, channel ${channelIndex}: ${error.message}`);
+        return;
+      }
+      if (ratio === null) {
+        return; // Sample not loaded
+      }
+
+      if (effect && effect.command === '3' && channel.voice) {
+        // Tone portamento: slide the running note instead of starting a new one
+        channel.targetPeriod = ratioToPeriod(ratio);
+      } else {
+        if (channel.voice) {
+          this.sampler.releaseVoice(channel.voice, noteTime, VOICE_STEAL_FADE_SECONDS);
+        }
+        const baseVolume = (step.volume !== undefined) ? step.volume : 64;
+        const volume = Math.min(64, Math.max(0, baseVolume * velocity + human.volume));
+        channel.voice = this.sampler.scheduleVoice({ ...step, volume }, noteTime, play.sources, {
+          offset: sampleOffsetFrames(channel, effect),
+          tuning: play.tuning,
+          tickDuration
+        });
+        channel.period = ratioToPeriod(ratio);
+        channel.outputPeriod = channel.period;
+        channel.targetPeriod = null;
+        channel.volume = volume;
+        channel.vibratoPos = 0;
+      }
+    }
+
+    if (channel.voice) {
+      const changes = renderRowEffect(channel, effect, play.speed);
+      this.sampler.automateVoice(channel.voice, changes, rowTime, tickDuration);
+    }
+  }
+
+  /**
+   * End notes of looping samples when a play ends (they would ring forever);
+   * one-shot samples keep their natural decay
+   */
+  releaseLoopingVoices(play) {
+    for (const channel of play.channels) {
+      if (channel && channel.voice && channel.voice.sample.hasLoop) {
+        this.sampler.releaseVoice(channel.voice, play.endTime, NOTE_OFF_FADE_SECONDS);
+        channel.voice = null;
+      }
+    }
+  }
+
+  /**
+   * Start the wake-up timer if it isn't running
+   */
+  ensureTimer() {
+    if (!this.timer) {
+      this.timer = setInterval(() => this.tick(), TIMER_INTERVAL_MS);
+    }
+  }
+
+  /**
+   * Stop all plays and the timer
+   */
+  stopAll() {
+    for (const playId of [...this.plays.keys()]) {
+      this.stop(playId);
+    }
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+/**
+ * Seed of a play's probability trig conditions (random if none was given)
+ */
+function trigSeed(seed) {
+  return Number.isInteger(seed) ? seed : Math.floor(Math.random() * 0x7FFFFFFF);
+}
+
+/**
+ * Seconds a play's notes may start ahead of the grid (negative groove
+ * offsets, humanize push and jitter)
+ *
+ * @param {object} play - Play state or pending swap ({ tempo, groove, humanize })
+ */
+function leadTime(play) {
+  const groove = play.groove ? grooveLead(play.groove.steps) * 60 / play.tempo : 0;
+  // An invalid tempo ends the play on its next row (see scheduleRow)
+  return (Number.isFinite(groove) && groove > 0 ? groove : 0) + humanizeLead(play.humanize);
+}
+
+/**
+ * Parsed effect of a step, or null (invalid effects are skipped with a warning)
+ */
+function readEffect(step) {
+  if (!step.effect) {
+    return null;
+  }
+  try {
+    return parseEffect(step.effect);
+  } catch (error) {
+    console.warn(`[PatternScheduler] ${error.message}`);
+    return null;
+  }
+}
+
+export default PatternScheduler;
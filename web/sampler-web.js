@@ -9,38 +9,51 @@
  * - Sample loading from URLs (AudioBuffer)
  * - Pitch shifting via playbackRate
  * - Volume (0-64) and panning (0-255) support
- * - Pattern playback with precise BPM-based scheduling
+ * - Pattern playback with precise BPM-based scheduling (rolling lookahead)
+ * - Tracker effect column (arpeggio, slides, vibrato, ...) via AudioParam automation
+ * - Instrument envelopes (XM volume/panning envelopes, key off and fadeout)
+ * - Transport: stop plays (cancels scheduled notes), pause/resume
  */
 
+import PatternScheduler from './pattern-scheduler.js';
+import { periodToRatio } from '../shared/tracker-effects.js';
+import { walkEnvelope } from '../shared/envelope.js';
+import { noteToSemitones } from '../shared/notes.js';
+import { tunedRatio } from '../shared/tuning.js';
+
+// Envelope ticks scheduled ahead of a note start or key off (about 20 s at speed 6, 125 BPM)
+const ENVELOPE_TICKS = 1024;
+
+// Fadeout volume: a fadeout of n takes FADEOUT_RANGE / n ticks to silence
+const FADEOUT_RANGE = 32768;
+
 class WebAudioSampler {
   constructor(audioContext = null) {
     // Reuse existing AudioContext or create new one
     // (AudioContext is limited resource - better to reuse)
     this.ctx = audioContext || new (window.AudioContext || window.webkitAudioContext)();
     this.samples = new Map();
+    this.scheduler = new PatternScheduler(this);
+    this.playCounter = 0;
   }
 
   /**
    * Load sample from URL and decode to AudioBuffer
+   * (or register a ready AudioBuffer, e.g. a sample extracted from a module)
    * 
    * @param {string} name - Sample identifier
-   * @param {string} url - URL to audio file (relative or absolute)
+   * @param {string|AudioBuffer} source - URL to audio file (relative or absolute), or decoded audio
    * @param {object} options - Sample metadata
    * @param {string} options.baseNote - Reference pitch (e.g., 'C-4')
    * @param {number} options.loopStart - Loop start point in samples
    * @param {number} options.loopLength - Loop length in samples (>2 = looping)
+   * @param {object} options.volumeEnvelope - Volume envelope (see shared/envelope.js, values 0-64)
+   * @param {object} options.panningEnvelope - Panning envelope (values 0-64, 32 = the note's pan)
+   * @param {number} options.fadeout - Fade per tick after key off (0-4095, of 32768)
    */
-  async loadSample(name, url, options = {}) {
+  async loadSample(name, source, options = {}) {
     try {
-      // Fetch audio file
-      const response = await fetch(url);
-      if (!response.ok) {
-        throw new Error(`Failed to fetch ${url}: ${response.statusText}`);
-      }
-      const arrayBuffer = await response.arrayBuffer();
-      
-      // Decode to AudioBuffer (works with WAV, MP3, OGG, etc.)
-      const audioBuffer = await this.ctx.decodeAudioData(arrayBuffer);
+      const audioBuffer = (typeof source === 'string') ? await this.fetchAudio(source) : source;
       
       // Store with metadata
       this.samples.set(name, {
@@ -48,7 +61,10 @@ class WebAudioSampler {
         baseNote: options.baseNote || 'C-4',
         loopStart: options.loopStart || 0,
         loopLength: options.loopLength || 0,
-        hasLoop: (options.loopLength || 0) > 2  // MOD standard: loop length > 2 means looping
+        hasLoop: (options.loopLength || 0) > 2,  // MOD standard: loop length > 2 means looping
+        volumeEnvelope: options.volumeEnvelope || null,
+        panningEnvelope: options.panningEnvelope || null,
+        fadeout: options.fadeout || 0
       });
       
       return audioBuffer;
@@ -58,38 +74,29 @@ class WebAudioSampler {
   }
 
   /**
-   * Convert note name to semitones relative to base note
-   * (Identical logic to Node.js sampler.js)
+   * Fetch an audio file and decode it (works with WAV, MP3, OGG, etc.)
+   *
+   * @param {string} url - URL to audio file
+   * @returns {Promise<AudioBuffer>}
+   */
+  async fetchAudio(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch ${url}: ${response.statusText}`);
+    }
+    return this.ctx.decodeAudioData(await response.arrayBuffer());
+  }
+
+  /**
+   * Convert note to semitones relative to base note
+   * (Same parser as the server: shared/notes.js)
    * 
-   * @param {string} targetNote - Note to play (e.g., 'D-4', 'C#5')
+   * @param {string|number} targetNote - Note to play (e.g., 'D-4', 'C#5', 'Bb3', 60, '440Hz')
    * @param {string} baseNote - Reference note (e.g., 'C-4')
-   * @returns {number} Semitones difference (-12 to +12 = one octave)
+   * @returns {number} Semitones difference (fractional for frequencies)
    */
   noteToSemitones(targetNote, baseNote) {
-    const noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-    
-    // Parse note (e.g., "C-4" or "C#4")
-    const parseNote = (note) => {
-      const match = note.match(/^([A-G]#?)[-]?(\d)$/);
-      if (!match) {
-        throw new Error(`Invalid note format: ${note}. Use format like 'C-4' or 'C#4'`);
-      }
-      const noteName = match[1];
-      const octave = parseInt(match[2]);
-      const noteIndex = noteNames.indexOf(noteName);
-      
-      if (noteIndex === -1) {
-        throw new Error(`Invalid note name: ${noteName}`);
-      }
-      
-      // Calculate absolute semitone (C-0 = 0)
-      return octave * 12 + noteIndex;
-    };
-    
-    const targetSemitone = parseNote(targetNote);
-    const baseSemitone = parseNote(baseNote);
-    
-    return targetSemitone - baseSemitone;
+    return noteToSemitones(targetNote, baseNote);
   }
 
   /**
@@ -102,6 +109,7 @@ class WebAudioSampler {
    * @param {object} options - Playback options
    * @param {number} options.volume - Volume (0-64, default 64)
    * @param {number} options.pan - Panning (0-255, 128 = center)
+   * @param {object} options.tuning - Resolved tuning (default: 12-EDO, A-4 = 440 Hz)
    * @returns {AudioBufferSourceNode} Source node (for stopping if needed)
    */
   triggerNote(sampleName, note, options = {}) {
@@ -111,8 +119,7 @@ class WebAudioSampler {
     }
     
     // Calculate pitch shift ratio
-    const semitones = this.noteToSemitones(note, sample.baseNote);
-    const pitchRatio = Math.pow(2, semitones / 12);
+    const pitchRatio = tunedRatio(options.tuning || null, note, sample.baseNote);
     
     // Create audio graph nodes
     const source = this.ctx.createBufferSource();
@@ -150,82 +157,324 @@ class WebAudioSampler {
 
   /**
    * Play a pattern with tempo-based timing
-   * Uses Web Audio's precise scheduling (sample-accurate timing)
+   * Rows are scheduled by a rolling lookahead scheduler (see pattern-scheduler.js),
+   * each note still starts at a sample-accurate AudioContext time.
    *
    * @param {Array} pattern - Pattern data (array of rows)
    * @param {object} options - Playback options
-   * @param {number} options.tempo - Tempo in rows per minute (default 480 = 120 BPM × 4)
+   * @param {number} options.tempo - Tempo in rows per minute (default 480 = 120 BPM × 4 rows per beat)
    * @param {number} options.speed - Ticks per row (default 6)
-   * @param {number} options.repeat - Number of repeats (default 1)
+   * @param {number} options.rowsPerBeat - Rows per beat (default 4)
+   * @param {string} options.timeSignature - Time signature (default '4/4')
+   * @param {object} options.groove - Groove { name, steps: [{ offset, velocity }] } (default: straight)
+   * @param {object} options.humanize - Humanize { seed, timing, volume, bias, channels } (default: none)
+   * @param {object} options.tuning - Resolved tuning (see shared/tuning.js, default: 12-EDO, A-4 = 440 Hz)
+   * @param {number} options.repeat - Number of repeats (default 1, Infinity = loop until stopped)
+   * @param {string} options.playId - ID for stopping this play later (generated if omitted)
+   * @param {function} options.onStart - Called with the AudioContext time of the first row
+   * @param {function} options.onEnd - Called when the last row has played (not on stop)
+   * @param {string} options.slot - Slot name: replaces the loop running in the slot at the next boundary
+   * @param {string} options.quantize - Slot swap point: 'bar' (default) or 'pattern'
+   * @param {number} options.rowsPerBar - Rows per bar for 'bar' quantize (default: from the time signature)
+   * @returns {string} Play ID
    */
   playPattern(pattern, options = {}) {
-    const tempo = options.tempo || 480; // Default: 120 BPM × 4 = 480 rows/min
-    const speed = options.speed || 6;
-    const repeat = options.repeat || 1;
+    const playId = options.playId || `local_${++this.playCounter}`;
+    this.scheduler.start(playId, pattern, options);
+    return playId;
+  }
 
-    // Calculate timing
-    const rowDuration = 60 / tempo;  // Seconds per row
-    const tickDuration = rowDuration / speed;  // Seconds per tick (for effects)
-    
-    let startTime = this.ctx.currentTime + 0.1; // Small offset for scheduling
-    
-    for (let rep = 0; rep < repeat; rep++) {
-      pattern.forEach((row, rowIndex) => {
-        const rowTime = startTime + (rowIndex * rowDuration);
-        
-        // Schedule notes in this row
-        const steps = Array.isArray(row) ? row : [row];
-        steps.forEach((step, channelIndex) => {
-          if (step && step.sample) {
-            // Check for Note Delay effect (delay in ticks)
-            const delayTicks = (step.delay !== undefined) ? step.delay : 0;
-            const delayTime = delayTicks * tickDuration;
-
-            this.scheduleNote(step, rowTime + delayTime);
-          }
-        });
-      });
-      
-      startTime += pattern.length * rowDuration;
-    }
+  /**
+   * Play a song: patterns in order list order, each one starting right where
+   * the previous one ends
+   *
+   * @param {object} song - { patterns: [rows], order: [index into patterns] }
+   * @param {object} options - Same as playPattern (repeat counts passes through the order list, no slots)
+   * @returns {string} Play ID
+   */
+  playSong(song, options = {}) {
+    const playId = options.playId || `local_${++this.playCounter}`;
+    this.scheduler.startSong(playId, song, options);
+    return playId;
+  }
+
+  /**
+   * Change a running play (tempo, speed, repeat, pattern, groove, humanize or tuning) from the next row on
+   *
+   * @param {string} playId - Play ID
+   * @param {object} changes - { tempo, speed, repeat, pattern, groove (null = straight), humanize (null = off),
+   *   tuning (null = 12-EDO) }
+   * @returns {boolean} True if the play was found
+   */
+  updatePlay(playId, changes) {
+    return this.scheduler.update(playId, changes);
+  }
+
+  /**
+   * Get the current position of a play
+   *
+   * @param {string} playId - Play ID
+   * @returns {object|null} { row, repeat, order, started } or null if not playing
+   */
+  getPlayPosition(playId) {
+    return this.scheduler.getPosition(playId);
   }
 
   /**
    * Schedule a single note at a specific time
-   * (Internal method for playPattern)
+   * (Internal method for PatternScheduler)
+   *
+   * @param {object} note - Step ({ sample, note, volume, pan })
+   * @param {number} time - AudioContext time to start
+   * @param {Set} sources - Source set of the play (node is tracked until it ends)
+   * @returns {AudioBufferSourceNode|undefined} Scheduled source
+   */
+  scheduleNote(note, time, sources = null) {
+    return this.scheduleVoice(note, time, sources)?.source;
+  }
+
+  /**
+   * Schedule a note and return its voice, so effects can automate it later
+   * (Internal method for PatternScheduler)
+   *
+   * @param {object} note - Step ({ sample, note, volume, pan })
+   * @param {number} time - AudioContext time to start
+   * @param {Set} sources - Source set of the play (node is tracked until it ends)
+   * @param {object} options
+   * @param {number} options.offset - Start offset in frames (9xx sample offset)
+   * @param {object} options.tuning - Resolved tuning of the play (default: 12-EDO)
+   * @param {number} options.tickDuration - Seconds per tick (envelopes advance per tick)
+   * @returns {object|undefined} Voice { source, gain, sample, ratio, sources }
    */
-  scheduleNote(note, time) {
+  scheduleVoice(note, time, sources = null, options = {}) {
     const sample = this.samples.get(note.sample);
     if (!sample) return;
-    
-    const semitones = this.noteToSemitones(note.note, sample.baseNote);
-    const pitchRatio = Math.pow(2, semitones / 12);
-    
-    const source = this.ctx.createBufferSource();
+
     const gainNode = this.ctx.createGain();
     const panNode = this.ctx.createStereoPanner();
-    
-    source.buffer = sample.buffer;
-    source.playbackRate.value = pitchRatio;
-    
+
     const volume = (note.volume !== undefined) ? note.volume : 64;
     gainNode.gain.value = volume / 64;
-    
+
     const pan = (note.pan !== undefined) ? note.pan : 128;
     panNode.pan.value = (pan / 127.5) - 1;
-    
-    source.connect(gainNode);
-    gainNode.connect(panNode);
+
+    const voice = {
+      sample,
+      gain: gainNode,
+      ratio: this.pitchRatio(note, options.tuning),
+      sources,
+      source: null
+    };
+
+    // Envelopes: BufferSource → gain (volume, effects) → envelope → fadeout → pan
+    let output = gainNode;
+    if (options.tickDuration && (sample.volumeEnvelope || sample.panningEnvelope)) {
+      Object.assign(voice, { startTime: time, tickDuration: options.tickDuration, pan, panner: panNode, keyedOff: false });
+      if (sample.volumeEnvelope) {
+        voice.envelope = this.ctx.createGain();
+        voice.fade = this.ctx.createGain();
+        output.connect(voice.envelope);
+        voice.envelope.connect(voice.fade);
+        output = voice.fade;
+      }
+      this.scheduleEnvelopes(voice, time, { ticks: ENVELOPE_TICKS });
+    }
+    output.connect(panNode);
     panNode.connect(this.ctx.destination);
-    
+
+    voice.source = this.startVoiceSource(voice, time, (options.offset || 0) / sample.buffer.sampleRate);
+    return voice;
+  }
+
+  /**
+   * Automate a voice's envelopes from a time on
+   *
+   * @param {object} voice - Voice from scheduleVoice (with envelopes)
+   * @param {number} time - AudioContext time of the walk start
+   * @param {object} walk - walkEnvelope options ({ position, ticks, held }), per envelope if position is a function
+   */
+  scheduleEnvelopes(voice, time, walk) {
+    const { sample, tickDuration } = voice;
+    const targets = [
+      [sample.volumeEnvelope, voice.envelope && voice.envelope.gain, value => value / 64],
+      [sample.panningEnvelope, voice.panner.pan, value => envelopePan(voice.pan, value)]
+    ];
+    for (const [envelope, param, toValue] of targets) {
+      if (!envelope || !param) continue;
+      const position = typeof walk.position === 'function' ? walk.position(envelope) : walk.position;
+      param.cancelScheduledValues(time);
+      for (const event of walkEnvelope(envelope, { ...walk, position }).events) {
+        const at = time + event.tick * tickDuration;
+        if (event.jump) {
+          param.setValueAtTime(toValue(event.value), at);
+        } else {
+          param.linearRampToValueAtTime(toValue(event.value), at);
+        }
+      }
+    }
+  }
+
+  /**
+   * Pitch ratio (playbackRate) of a step's note for its sample
+   *
+   * @param {object} note - Step ({ sample, note })
+   * @param {object} tuning - Resolved tuning (default: 12-EDO, A-4 = 440 Hz)
+   * @returns {number|null} Ratio, or null if the sample isn't loaded
+   */
+  pitchRatio(note, tuning = null) {
+    const sample = this.samples.get(note.sample);
+    if (!sample) return null;
+
+    return tunedRatio(tuning, note.note, sample.baseNote);
+  }
+
+  /**
+   * Start a buffer source for a voice (note start and E9x retrigger)
+   *
+   * @param {object} voice - Voice from scheduleVoice
+   * @param {number} time - AudioContext time to start
+   * @param {number} offset - Start offset in seconds
+   * @returns {AudioBufferSourceNode} Scheduled source
+   */
+  startVoiceSource(voice, time, offset = 0) {
+    const { sample, sources } = voice;
+    const source = this.ctx.createBufferSource();
+
+    source.buffer = sample.buffer;
+    source.playbackRate.value = voice.ratio;
+    source.connect(voice.gain);
+
     // Loop handling
     if (sample.hasLoop) {
       source.loop = true;
       source.loopStart = sample.loopStart / sample.buffer.sampleRate;
       source.loopEnd = (sample.loopStart + sample.loopLength) / sample.buffer.sampleRate;
     }
-    
-    source.start(time); // Precise scheduling!
+
+    source.start(time, Math.min(offset, sample.buffer.duration)); // Precise scheduling!
+
+    if (sources) {
+      sources.add(source);
+      source.onended = () => sources.delete(source);
+    }
+    return source;
+  }
+
+  /**
+   * End a voice: fade its gain to silence and stop its source
+   * (Internal method for PatternScheduler: new note on the channel, note off, note cut)
+   *
+   * @param {object} voice - Voice from scheduleVoice
+   * @param {number} time - AudioContext time the note ends
+   * @param {number} fadeSeconds - Fade length (0 = cut at once)
+   */
+  releaseVoice(voice, time, fadeSeconds = 0) {
+    const gain = voice.gain.gain;
+    gain.cancelScheduledValues(time);
+    if (fadeSeconds > 0) {
+      // Exponential approach from whatever the gain is at that time (no click)
+      gain.setTargetAtTime(0, time, fadeSeconds / 5);
+    } else {
+      gain.setValueAtTime(0, time);
+    }
+
+    try {
+      voice.source.stop(time + fadeSeconds);
+    } catch (error) {
+      // Already stopped
+    }
+  }
+
+  /**
+   * Key off a voice with a volume envelope: its envelopes leave the sustain
+   * point and its fadeout starts (a note without fadeout rings on, like in
+   * FastTracker 2)
+   * (Internal method for PatternScheduler: note off of an instrument with envelopes)
+   *
+   * @param {object} voice - Voice from scheduleVoice
+   * @param {number} time - AudioContext time of the key off
+   */
+  keyOffVoice(voice, time) {
+    if (!voice.envelope || voice.keyedOff) return;
+    voice.keyedOff = true;
+
+    // Where the envelopes are at the key off: walked with the key held so far
+    const heldTicks = Math.max(0, Math.round((time - voice.startTime) / voice.tickDuration));
+    this.scheduleEnvelopes(voice, time, {
+      position: envelope => walkEnvelope(envelope, { ticks: heldTicks }).position,
+      ticks: ENVELOPE_TICKS,
+      held: false
+    });
+
+    const { fadeout } = voice.sample;
+    if (fadeout > 0) {
+      const end = time + Math.ceil(FADEOUT_RANGE / fadeout) * voice.tickDuration;
+      voice.fade.gain.setValueAtTime(1, time);
+      voice.fade.gain.linearRampToValueAtTime(0, end);
+      try {
+        voice.source.stop(end);
+      } catch (error) {
+        // Already stopped
+      }
+    }
+  }
+
+  /**
+   * Apply effect tick changes to a voice with AudioParam automation
+   * (Internal method for PatternScheduler)
+   *
+   * @param {object} voice - Voice from scheduleVoice
+   * @param {Array<object>} changes - [{ tick, period?, volume?, retrigger? }] (see tracker-effects.js)
+   * @param {number} rowTime - AudioContext time of the row
+   * @param {number} tickDuration - Seconds per tick
+   */
+  automateVoice(voice, changes, rowTime, tickDuration) {
+    for (const change of changes) {
+      const time = rowTime + change.tick * tickDuration;
+
+      if (change.retrigger) {
+        try {
+          voice.source.stop(time);
+        } catch (error) {
+          // Already stopped
+        }
+        voice.source = this.startVoiceSource(voice, time);
+      }
+      if (change.period !== undefined) {
+        voice.ratio = periodToRatio(change.period);
+        voice.source.playbackRate.setValueAtTime(voice.ratio, time);
+      }
+      if (change.volume !== undefined) {
+        voice.gain.gain.setValueAtTime(change.volume / 64, time);
+      }
+    }
+  }
+
+  /**
+   * Stop a play: cancels notes not yet started and silences sounding ones
+   *
+   * @param {string} playId - Play ID returned by playPattern
+   * @returns {boolean} True if the play was found
+   */
+  stopPlay(playId) {
+    return this.scheduler.stop(playId);
+  }
+
+  /**
+   * Stop every play
+   */
+  stopAll() {
+    this.scheduler.stopAll();
+  }
+
+  /**
+   * Pause all sound (freezes the AudioContext clock, scheduled notes wait)
+   */
+  async pause() {
+    if (this.ctx.state === 'running') {
+      await this.ctx.suspend();
+    }
   }
 
   /**
@@ -267,6 +516,15 @@ class WebAudioSampler {
   }
 }
 
+/**
+ * StereoPanner value of a note's pan (0-255) moved by a panning envelope
+ * value (0-64, 32 = no change), within the room the pan has to the side
+ */
+function envelopePan(pan, value) {
+  const moved = pan + (value - 32) * (128 - Math.abs(pan - 128)) / 32;
+  return Math.min(1, Math.max(-1, (moved / 127.5) - 1));
+}
+
 // Export for ES modules
 export default WebAudioSampler;
 
@@ -197,6 +197,391 @@ test.describe('WebAudioSampler', () => {
     expect(result).toBe(true);
   });
 
+  test('stop_play_cancels_scheduled_notes', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      await window.sampler.resume();
+
+      const pattern = [
+        [{ sample: 'piano', note: 'C-4' }],
+        [{ sample: 'piano', note: 'E-4' }],
+        [{ sample: 'piano', note: 'G-4' }],
+      ];
+
+      const playId = window.sampler.playPattern(pattern, { tempo: 240, repeat: 4 });
+
+      await new Promise(resolve => setTimeout(resolve, 500));
+      const stopped = window.sampler.stopPlay(playId);
+
+      return { stopped, position: window.sampler.getPlayPosition(playId) };
+    });
+
+    expect(result.stopped).toBe(true);
+    expect(result.position).toBeNull();
+  });
+
+  test('scheduler_only_schedules_lookahead_window', async ({ page }) => {
+    const scheduled = await page.evaluate(async () => {
+      await window.sampler.resume();
+
+      // 64 rows × 4 repeats would be 256 nodes if scheduled up front
+      const pattern = Array.from({ length: 64 }, () => [{ sample: 'piano', note: 'C-4', volume: 8 }]);
+      const playId = window.sampler.playPattern(pattern, { tempo: 480, repeat: 4 });
+
+      const count = window.sampler.scheduler.plays.get(playId).sources.size;
+      window.sampler.stopPlay(playId);
+      return count;
+    });
+
+    expect(scheduled).toBeLessThanOrEqual(2);
+  });
+
+  test('play_with_invalid_tempo_ends', async ({ page }) => {
+    const ended = await page.evaluate(async () => {
+      await window.sampler.resume();
+
+      // A negative tempo would move the clock backwards: the play ends instead of looping forever
+      const pattern = [[{ sample: 'piano', note: 'C-4' }]];
+      return new Promise(resolve => {
+        window.sampler.playPattern(pattern, { tempo: -480, repeat: Infinity, onEnd: () => resolve(true) });
+        setTimeout(() => resolve(false), 1000);
+      });
+    });
+
+    expect(ended).toBe(true);
+  });
+
+  test('play_pattern_infinite_loop', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      await window.sampler.resume();
+
+      const pattern = [
+        [{ sample: 'piano', note: 'C-4' }],
+        [{ sample: 'piano', note: 'G-4' }],
+      ];
+
+      let ended = false;
+      const playId = window.sampler.playPattern(pattern, {
+        tempo: 960, // 8 rows per second → 4 loops per second
+        repeat: Infinity,
+        onEnd: () => { ended = true; }
+      });
+
+      await new Promise(resolve => setTimeout(resolve, 1500));
+      const position = window.sampler.getPlayPosition(playId);
+      window.sampler.stopPlay(playId);
+
+      return { ended, repeat: position.repeat };
+    });
+
+    expect(result.ended).toBe(false);
+    expect(result.repeat).toBeGreaterThan(3);
+  });
+
+  test('slot_swap_at_bar_boundary', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      await window.sampler.resume();
+
+      const a = [[{ sample: 'piano', note: 'C-4' }], [], [{ sample: 'piano', note: 'G-4' }], []];
+      const b = [[{ sample: 'piano', note: 'E-4' }], [], [], []];
+      const events = [];
+
+      window.sampler.playPattern(a, {
+        playId: 'a', tempo: 960, repeat: Infinity, slot: 'lead', rowsPerBar: 4,
+        onEnd: () => events.push('a_end')
+      });
+      await new Promise(resolve => setTimeout(resolve, 300));
+
+      window.sampler.playPattern(b, {
+        playId: 'b', tempo: 960, repeat: Infinity, slot: 'lead', rowsPerBar: 4,
+        onStart: () => events.push('b_start')
+      });
+      const stacked = window.sampler.getPlayPosition('b'); // Not running until the bar boundary
+
+      await new Promise(resolve => setTimeout(resolve, 800));
+      const position = window.sampler.getPlayPosition('b');
+      window.sampler.stopPlay('b');
+
+      return { events, stacked, swapped: position !== null, oldGone: window.sampler.getPlayPosition('a') === null };
+    });
+
+    expect(result.stacked).toBeNull();
+    expect(result.events).toEqual(['a_end', 'b_start']);
+    expect(result.swapped).toBe(true);
+    expect(result.oldGone).toBe(true);
+  });
+
+  test('stop_pending_slot_swap_stops_running_loop', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      await window.sampler.resume();
+
+      const a = [[{ sample: 'piano', note: 'C-4' }], [], [], []];
+      window.sampler.playPattern(a, { playId: 'a', tempo: 240, repeat: Infinity, slot: 'lead', rowsPerBar: 16 });
+      window.sampler.playPattern(a, { playId: 'b', tempo: 240, repeat: Infinity, slot: 'lead', rowsPerBar: 16 });
+
+      const stopped = window.sampler.stopPlay('b'); // Still waiting for the bar
+      return { stopped, loopGone: window.sampler.getPlayPosition('a') === null };
+    });
+
+    expect(result).toEqual({ stopped: true, loopGone: true });
+  });
+
+  test('update_play_tempo_while_running', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      await window.sampler.resume();
+
+      const pattern = [
+        [{ sample: 'piano', note: 'C-4' }],
+        [{ sample: 'piano', note: 'E-4' }],
+      ];
+
+      const playId = window.sampler.playPattern(pattern, { tempo: 240, repeat: Infinity });
+      await new Promise(resolve => setTimeout(resolve, 600));
+
+      const updated = window.sampler.updatePlay(playId, { tempo: 960 });
+      await new Promise(resolve => setTimeout(resolve, 600));
+      window.sampler.stopPlay(playId);
+
+      return updated;
+    });
+
+    expect(result).toBe(true);
+  });
+
+  test('play_song_order_list', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      await window.sampler.resume();
+
+      const song = {
+        patterns: [
+          [[{ sample: 'piano', note: 'C-4' }], []],
+          [[{ sample: 'piano', note: 'G-4' }]]
+        ],
+        order: [0, 1, 0]
+      };
+      const orders = new Set();
+      let ended = false;
+
+      const playId = window.sampler.playSong(song, { tempo: 960, onEnd: () => { ended = true; } });
+      for (let i = 0; i < 40 && !ended; i++) {
+        const position = window.sampler.getPlayPosition(playId);
+        if (position && position.started) {
+          orders.add(position.order);
+        }
+        await new Promise(resolve => setTimeout(resolve, 25));
+      }
+
+      return { ended, orders: [...orders].sort() };
+    });
+
+    expect(result.ended).toBe(true);
+    expect(result.orders).toEqual([0, 1, 2]);
+  });
+
+  test('play_pattern_with_effects', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      await window.sampler.resume();
+
+      const pattern = [
+        [{ sample: 'piano', note: 'C-4', effect: '047' }],
+        [{ effect: '102' }],
+        [{ sample: 'piano', note: 'G-4', effect: '308' }],
+        [{ effect: '4A4' }],
+        [{ effect: 'A04' }],
+        [{ sample: 'piano', note: 'C-5', effect: 'E92' }],
+        [{ effect: 'EC3' }],
+        [{ sample: 'piano', note: 'C-4', effect: '904' }],
+      ];
+
+      const playId = window.sampler.playPattern(pattern, { tempo: 480, speed: 6 });
+      const channel = window.sampler.scheduler.plays.get(playId).channels[0];
+      await new Promise(resolve => setTimeout(resolve, 1500));
+
+      return { hasChannel: channel !== undefined, ended: window.sampler.getPlayPosition(playId) === null };
+    });
+
+    expect(result.hasChannel).toBe(true);
+    expect(result.ended).toBe(true);
+  });
+
+  test('note_off_ends_channel_voice', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      await window.sampler.resume();
+
+      // The 2s piano note would still ring without the note off
+      const pattern = [
+        [{ sample: 'piano', note: 'C-4' }, { sample: 'piano', note: 'E-4' }],
+        [{ note: '===' }, { sample: 'piano', note: 'G-4' }],
+        [], [], [], [], [], []
+      ];
+      const playId = window.sampler.playPattern(pattern, { tempo: 480 });
+      const play = window.sampler.scheduler.plays.get(playId);
+
+      await new Promise(resolve => setTimeout(resolve, 600));
+      return { sounding: play.sources.size, voices: play.channels.map(channel => channel.voice !== null) };
+    });
+
+    expect(result.sounding).toBe(1); // Only G-4: E-4 was replaced, C-4 released
+    expect(result.voices).toEqual([false, true]);
+  });
+
+  test('tempo_change_effect_and_ramp', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      await window.sampler.resume();
+
+      // F03 at speed 6 halves the row length from row 1 on
+      const pattern = [[{ sample: 'piano', note: 'C-4' }], [{ effect: 'F03' }], [], []];
+      const patternPlay = window.sampler.scheduler.plays.get(window.sampler.playPattern(pattern, { tempo: 480 }));
+
+      // Ramp from 120 to 240 BPM over one pass
+      const song = {
+        patterns: [[[{ sample: 'piano', note: 'C-4' }], [], [], []]],
+        order: [0],
+        tempoRamps: [{ startRow: 0, endRow: 3, bpm: 240, curve: 'linear' }]
+      };
+      const songPlay = window.sampler.scheduler.plays.get(window.sampler.playSong(song, { tempo: 480 }));
+
+      await new Promise(resolve => setTimeout(resolve, 800));
+      return {
+        patternTiming: { tempo: patternPlay.tempo, speed: patternPlay.speed },
+        songTempo: songPlay.tempo
+      };
+    });
+
+    expect(result.patternTiming).toEqual({ tempo: 960, speed: 3 });
+    expect(result.songTempo).toBe(960);
+  });
+
+  test('meter_sets_bar_length_and_fxx_tempo', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      await window.sampler.resume();
+
+      // F78 = 120 BPM, at 3 rows per beat 360 rows/min
+      const pattern = [[{ effect: 'F78' }], [], []];
+      const playId = window.sampler.playPattern(pattern, { tempo: 480, rowsPerBeat: 3, timeSignature: '3/4' });
+      const play = window.sampler.scheduler.plays.get(playId);
+
+      await new Promise(resolve => setTimeout(resolve, 300));
+      return { rowsPerBar: play.rowsPerBar, tempo: play.tempo };
+    });
+
+    expect(result).toEqual({ rowsPerBar: 9, tempo: 360 });
+  });
+
+  test('groove_moves_rows_off_the_grid', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      await window.sampler.resume();
+
+      const sampler = window.sampler;
+      const starts = [];
+      const scheduleVoice = sampler.scheduleVoice.bind(sampler);
+      sampler.scheduleVoice = (note, time, sources, options) => {
+        starts.push({ time, volume: note.volume });
+        return scheduleVoice(note, time, sources, options);
+      };
+
+      // MPC 75: the second row of each pair lands half a row late, at half velocity
+      const row = [{ sample: 'piano', note: 'C-4', volume: 64 }];
+      const groove = { name: 'test', steps: [{ offset: 0, velocity: 1 }, { offset: 0.5, velocity: 0.5 }] };
+      sampler.playPattern([row, row, row], { tempo: 480, groove });
+
+      await new Promise(resolve => setTimeout(resolve, 500));
+      sampler.scheduleVoice = scheduleVoice;
+      return {
+        gaps: [starts[1].time - starts[0].time, starts[2].time - starts[1].time].map(gap => gap * 1000),
+        volumes: starts.map(start => start.volume)
+      };
+    });
+
+    // 1.5 rows, then 0.5 rows (125ms per row)
+    expect(result.gaps[0]).toBeCloseTo(187.5, 1);
+    expect(result.gaps[1]).toBeCloseTo(62.5, 1);
+    expect(result.volumes).toEqual([64, 32, 64]);
+  });
+
+  test('humanize_reproducible_take', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      await window.sampler.resume();
+
+      const sampler = window.sampler;
+      const scheduleVoice = sampler.scheduleVoice.bind(sampler);
+      const record = async (humanize) => {
+        const starts = [];
+        sampler.scheduleVoice = (note, time, sources, options) => {
+          starts.push({ time, volume: note.volume });
+          return scheduleVoice(note, time, sources, options);
+        };
+        // Row 2 also has 3 delay ticks: humanize adds to them
+        const rows = [0, 0, 3, 0].map(delay => [{ sample: 'piano', note: 'C-4', volume: 48, delay }]);
+        sampler.playPattern(rows, { tempo: 480, humanize });
+        await new Promise(resolve => setTimeout(resolve, 800));
+        sampler.scheduleVoice = scheduleVoice;
+        return {
+          gaps: starts.slice(1).map((start, index) => (start.time - starts[index].time) * 1000),
+          volumes: starts.map(start => start.volume)
+        };
+      };
+
+      const humanize = { seed: 99, timing: 10, volume: 8 };
+      return {
+        first: await record(humanize),
+        second: await record(humanize),
+        straight: await record(null)
+      };
+    });
+
+    // The same seed plays the same take
+    result.first.gaps.forEach((gap, index) => expect(gap).toBeCloseTo(result.second.gaps[index], 1));
+    expect(result.first.volumes).toEqual(result.second.volumes);
+
+    // Straight: 125ms rows, row 2 delayed by 3 of 6 ticks
+    expect(result.straight.gaps[0]).toBeCloseTo(125, 1);
+    expect(result.straight.gaps[1]).toBeCloseTo(187.5, 1);
+
+    // Humanized: within ±10ms per note of the straight take
+    result.first.gaps.forEach((gap, index) => expect(Math.abs(gap - result.straight.gaps[index])).toBeLessThanOrEqual(20));
+    expect(result.first.volumes.every(volume => volume >= 40 && volume <= 56)).toBe(true);
+  });
+
+  test('trig_conditions_vary_loop_passes', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      await window.sampler.resume();
+
+      const sampler = window.sampler;
+      const record = async (options) => {
+        const fired = [];
+        const scheduleVoice = sampler.scheduleVoice.bind(sampler);
+        sampler.scheduleVoice = (note, time, sources, voiceOptions) => {
+          fired.push(note.note);
+          return scheduleVoice(note, time, sources, voiceOptions);
+        };
+        // One row, 4 passes at 40ms per row
+        const row = [
+          { sample: 'piano', note: 'C-4', every: [2, 2] },
+          { sample: 'piano', note: 'E-4', condition: 'fill' },
+          { sample: 'piano', note: 'G-4', probability: 50 }
+        ];
+        sampler.playPattern([row], { tempo: 1500, repeat: 4, ...options });
+        await new Promise(resolve => setTimeout(resolve, 500));
+        sampler.scheduleVoice = scheduleVoice;
+        return fired;
+      };
+
+      return {
+        first: await record({ seed: 5 }),
+        second: await record({ seed: 5 }),
+        fill: await record({ seed: 5, fill: true })
+      };
+    });
+
+    // every [2, 2]: passes 2 and 4; fill off: no E
+    expect(result.first.filter(note => note === 'C-4')).toHaveLength(2);
+    expect(result.first).not.toContain('E-4');
+    expect(result.fill.filter(note => note === 'E-4')).toHaveLength(4);
+
+    // Same seed, same probability hits
+    expect(result.second).toEqual(result.first);
+  });
+
   test('note_conversion_logic', async ({ page }) => {
     // Test noteToSemitones function (pure logic test)
     const results = await page.evaluate(() => {
@@ -384,4 +769,32 @@ test.describe('WebAudioSampler - Real ST-01 Samples', () => {
 
     expect(result).toBe(true);
   });
+
+  test('play_mod_module_at_amiga_periods', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { playModule } = await import('./mod-loader.js');
+      const sampler = new WebAudioSampler();
+      const response = await fetch('/data/songs/lotus20.mod');
+      const bytes = new Uint8Array(await response.arrayBuffer());
+      await sampler.resume();
+
+      const { playId, song } = await playModule(sampler, bytes, { prefix: 'LOTUS' });
+      await new Promise(resolve => setTimeout(resolve, 1500));
+      const position = sampler.getPlayPosition(playId);
+      sampler.stopPlay(playId);
+
+      const sample = sampler.getSample('LOTUS-02');
+      return {
+        samples: song.samples.length,
+        sampleRate: sample.buffer.sampleRate,
+        ratio: sampler.pitchRatio({ sample: 'LOTUS-02', note: 'G-2' }, { type: 'amiga' }),
+        playing: position !== null
+      };
+    });
+
+    expect(result.samples).toBeGreaterThan(0);
+    expect(result.sampleRate).toBeCloseTo(8287, 0);
+    expect(result.ratio).toBeCloseTo(428 / 285, 6);
+    expect(result.playing).toBe(true);
+  });
 });